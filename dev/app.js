@@ -23,8 +23,22 @@ async function checkVersion() {
       isOnline = false;
       updateUIForConnectivity();
     }
-    newVersion = myVersion; // Allow continuing with the old version
+    newVersion = null;
   }
+
+  // With the service worker in control the cached release is what runs; a newer one is precached and offered
+  const shellVersion = await appShell.getVersion();
+  if (shellVersion) {
+    myVersion = shellVersion;
+    localStorage.setItem(versionKey, shellVersion);
+    if (newVersion && parseInt(shellVersion.replace(/\D/g, '')) != parseInt(newVersion.replace(/\D/g, ''))) {
+      appShell.offerUpdate(newVersion);
+    }
+    logsModal.log(`Started version: ${myVersion}`)
+    return;
+  }
+
+  newVersion ??= myVersion; // Allow continuing with the old version
   //console.log('myVersion < newVersion then reload', myVersion, newVersion)
   console.log(parseInt(myVersion.replace(/\D/g, '')), parseInt(newVersion.replace(/\D/g, '')));
   if (parseInt(myVersion.replace(/\D/g, '')) != parseInt(newVersion.replace(/\D/g, ''))) {
@@ -38,14 +52,27 @@ async function checkVersion() {
       'styles.css',
       'app.js',
       'evm-assets.js',
+      'evm-provider.js',
       'dao.js',
+      'db.js',
+      'groups.js',
+      'search-index.js',
+      'gateways.js',
       'data/emoji-picker-data.js',
       'lib.js',
       'network.js',
       'crypto.js',
+      'attachment-chunks.js',
+      'passkey-unlock.js',
+      'key-verification.js',
+      'payment-requests.js',
+      'batch-transfers.js',
+      'staking.js',
       'encryption.worker.js',
       'offline.html',
       'meet/index.html',
+      'meet/call-security.js',
+      'meet/e2ee-worker.js',
     ]);
     window.location.replace(newUrl);
   }
@@ -72,6 +99,109 @@ async function forceReload(urls) {
   }
 }
 
+const APP_SHELL_REQUEST_TIMEOUT_MS = 3000;
+const APP_SHELL_PRECACHE_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Talks to the service worker that precaches the app shell (see service-worker.js).
+ * Each release is cached whole under its version, so the app opens with no network, and a newer release only
+ * replaces the running one when the user accepts it from the update warning modal.
+ */
+class AppShell {
+  constructor() {
+    this.pendingVersion = null;
+  }
+
+  register() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'UPDATE_READY') this.offerUpdate(event.data.version, true);
+    });
+    navigator.serviceWorker.register('./service-worker.js').catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  isActive() {
+    return !!navigator.serviceWorker?.controller;
+  }
+
+  /**
+   * Send a message to the controlling service worker and wait for its reply
+   * @param {Object} message
+   * @param {number} [timeout]
+   * @returns {Promise<Object|null>} Null if there is no service worker or it did not answer in time
+   */
+  request(message, timeout = APP_SHELL_REQUEST_TIMEOUT_MS) {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve(null), timeout);
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve(event.data);
+      };
+      controller.postMessage(message, [channel.port2]);
+    });
+  }
+
+  /**
+   * @returns {Promise<string|null>} Version of the release being served from the cache
+   */
+  async getVersion() {
+    if (!this.isActive()) return null;
+    return (await this.request({ type: 'GET_VERSION' }))?.version || null;
+  }
+
+  /**
+   * Precache a newer release and let the user know it is ready
+   * @param {string} version
+   * @param {boolean} [staged] - The service worker already precached it
+   */
+  async offerUpdate(version, staged = false) {
+    if (!version || version === this.pendingVersion) return;
+    this.pendingVersion = version;
+    const reply = staged
+      ? { ok: true }
+      : await this.request({ type: 'PRECACHE', version }, APP_SHELL_PRECACHE_TIMEOUT_MS);
+    if (!reply?.ok) {
+      // Try again on the next version check
+      this.pendingVersion = null;
+      return;
+    }
+    logsModal.log(`Version ${version} downloaded`);
+    showToast(
+      `<div class="toast-update-title">Version ${escapeHtml(version)} is ready</div><button type="button" class="toast-update-button toast-app-update-button">Update now</button>`,
+      0,
+      'info',
+      true,
+    );
+  }
+
+  /**
+   * Switch to the precached release and reload into it
+   * @returns {Promise<boolean>}
+   */
+  async activate() {
+    const version = this.pendingVersion;
+    const reply = version ? await this.request({ type: 'ACTIVATE_VERSION', version }) : null;
+    if (!reply?.ok) {
+      this.pendingVersion = null;
+      showToast('Update failed. It will be downloaded again on the next version check.', 0, 'error');
+      return false;
+    }
+    const versionKey = network?.netid ? `version_${network.netid}` : 'version';
+    localStorage.setItem(versionKey, version);
+    logsModal.log(`Updated to version: ${version}`);
+    saveState();
+    await accountStore.flush();
+    window.location.replace(window.location.href.split('?')[0]);
+    return true;
+  }
+}
+const appShell = new AppShell();
+
 // https://github.com/shardus/lib-crypto-web/blob/main/utils/stringify.js
 // Needed to stringify and parse bigints; also deterministic stringify
 //   modified to use export
@@ -85,15 +215,18 @@ import {
   DAO_PROPOSAL_CREATE_TYPE,
   DAO_PROPOSAL_DAY_MS,
   DAO_PROPOSAL_GRACE_PERIOD_MAX_MS,
+  DAO_PROPOSAL_TEMPLATES,
   DAO_PROPOSAL_TITLE_MAX_LENGTH,
   DAO_PARAMETER_MAX_WHOLE_DIGITS,
   buildDaoProposalCreateDraft,
   daoRepo,
   DAO_STATES,
+  diffDaoProposalStatuses,
   getDaoFinalVoteResult,
   getDaoTransactionMessage,
   getDaoTrackedProposalMetadataEntries,
   getDaoProposalClaimWindow,
+  getDaoProposalReminders,
   getDaoPendingFinalizationOutcome,
   getDaoProposalTimeline,
   getDaoRewardClaimStatus,
@@ -106,7 +239,9 @@ import {
   isDaoTransactionType,
   normalizeDaoAddress,
   normalizeDaoParameterInput,
+  parseDaoProposalFile,
   parseDaoUnsignedBigInt,
+  serializeDaoProposalDraft,
   setDaoBackendFetcher,
 } from './dao.js';
 
@@ -157,6 +292,7 @@ import {
   installModalTransitionListeners,
   openModal,
   withButtonCooldown,
+  addLongPressListener,
   BUTTON_COOLDOWN_MS,
   FAUCET_COOLDOWN_MS,
   truncateMessage,
@@ -171,7 +307,84 @@ import {
   CHAT_REACTION_SHEET_RECENT_CATEGORY_KEY,
 } from './data/emoji-picker-data.js';
 
-import { evmAssets } from './evm-assets.js';
+import { buildEvmAssetHistoryUrl, buildEvmTransactionUrl, evmAssets } from './evm-assets.js';
+import { evmProvider } from './evm-provider.js';
+
+import {
+  GROUP_CHANGE_KINDS,
+  GROUP_MAX_MEMBERS,
+  GROUP_MESSAGE_TYPE,
+  GROUP_OPS,
+  GROUP_SYSTEM_ENTRY_TYPE,
+  applyGroupEvent,
+  createGroupRecord,
+  generateGroupId,
+  getGroupDeliveryStatus,
+  getGroupMeta,
+  isGroupAdmin,
+  isGroupMember,
+  normalizeGroupName,
+  openGroupEnvelope,
+  sealGroupEvent,
+  summarizeGroupReactions,
+} from './groups.js';
+
+import { STORES, addVersionToData, getAllData, getData, saveData, writeBatch } from './db.js';
+
+import {
+  MessageSearchIndex,
+  getSearchDocId,
+  hasActiveSearchFilters,
+} from './search-index.js';
+
+import { CIRCUIT, GatewayManager, normalizeGateway } from './gateways.js';
+import {
+  fetchChunkedAttachment,
+  getChunkedAttachmentUrls,
+  shouldChunkAttachment,
+  uploadChunkedAttachment,
+} from './attachment-chunks.js';
+import {
+  STAKE_LOCK_REASONS,
+  buildStakingPositions,
+  buildStakingStatementCsv,
+  formatStakeLib,
+  getStakeUnlock,
+  stakeUsdValue,
+} from './staking.js';
+import { createPasskeyUnlock, isPasskeyUnlockSupported, unlockWithPasskey } from './passkey-unlock.js';
+import {
+  KEY_VERIFICATION_STATUS,
+  buildVerificationQrPayload,
+  formatSafetyNumber,
+  getKeyFingerprint,
+  getKeyVerificationStatus,
+  getSafetyNumber,
+  parseVerificationQrPayload,
+} from './key-verification.js';
+import {
+  PAYMENT_REQUEST_ASSET,
+  PAYMENT_REQUEST_EXPIRY_OPTIONS,
+  PAYMENT_REQUEST_STATUS,
+  PAYMENT_REQUEST_TYPE,
+  buildPaymentRequestMessage,
+  createPaymentRequestId,
+  findPaymentRequestForTransfer,
+  getPaymentRequestStatus,
+  isPaymentRequestId,
+  parsePaymentRequestMessage,
+  paymentRequestQrFields,
+  readPaymentRequestQrFields,
+} from './payment-requests.js';
+import {
+  BATCH_TRANSFER_STATUS,
+  buildBatchReceiptCsv,
+  findDuplicateRecipients,
+  formatBatchAmount,
+  parseBatchTransferText,
+  sumBatchAmounts,
+} from './batch-transfers.js';
+import { createCallTicket, deriveCallKey, encodeCallFragment, getCallRoom } from './meet/call-security.js';
 
 const weiDigits = 18;
 const wei = 10n ** BigInt(weiDigits);
@@ -179,6 +392,9 @@ const wei = 10n ** BigInt(weiDigits);
 //network.explorer.url = "http://test.liberdus.com:6001"   // URL of the chain explorer
 const MAX_MEMO_BYTES = 1000; // 1000 bytes for memos
 const MENU_NAVIGATION_LOCK_MS = 400;
+const SEARCH_INDEX_SAVE_DELAY_MS = 2000; // batch search index writes while messages stream in
+// Group threads are indexed under this prefix plus the group id, so they never collide with contact addresses
+const GROUP_SEARCH_PREFIX = 'group:';
 const MAX_CHAT_MESSAGE_BYTES = 1000; // 1000 bytes for chat messages
 const BRIDGE_USERNAME = 'liberdusbridge';
 const TRANSACTION_TIMESTAMP_OFFSET_MS = 500; // Transaction offset to allow for slow connections
@@ -200,6 +416,67 @@ let initialViewportHeight = window.innerHeight;
 
 // parameters to add to the call URL when opening the page
 const callUrlParams = `#config.toolbarButtons=["camera","microphone","desktop","hangup"]&config.disableDeepLinking=true&config.prejoinPageEnabled=false&config.startWithAudioMuted=false&startWithVideoMuted=false&userInfo.displayName=`
+// In-app call page; its media is end-to-end encrypted when opened through openCallWindow.
+// Clients from before encrypted calls, the React Native app included, open these links without the key and
+// cannot see or hear the others; the call page tells them to join from an updated app.
+const CALL_PAGE_PATH = 'meet/index.html';
+
+/**
+ * Open a tab for a call before any await; Safari and iOS block windows opened once the click handler has
+ * awaited something. The React Native app opens links itself and has no popup blocker.
+ * @returns {Window|null}
+ */
+function openBlankCallWindow() {
+  if (reactNativeApp.isReactNativeWebView) return null;
+  const callWindow = window.open('', '_blank');
+  if (callWindow) callWindow.opener = null;
+  return callWindow;
+}
+
+/**
+ * Open a call link. In-app call pages get the call key and a ticket signed with our Liberdus key in the URL
+ * fragment, which never reaches a server; other call links open as before.
+ * @param {string} callUrl
+ * @param {string|null} [callKey]
+ * @param {Window|null} [callWindow] - Tab already opened with openBlankCallWindow
+ */
+async function openCallWindow(callUrl, callKey = null, callWindow = null) {
+  const room = getCallRoom(callUrl);
+  if (!room || !callKey) {
+    callWindow?.close();
+    if (!room) {
+      window.open(callUrl + `${callUrlParams}"${myAccount.username}"`, '_blank');
+    } else {
+      showToast(
+        'This call has no encryption key; others in the call will not be able to see or hear you.',
+        5000,
+        'warning'
+      );
+      window.open(callUrl, '_blank');
+    }
+    return;
+  }
+  callWindow ??= openBlankCallWindow();
+  try {
+    const { ticket, ephemeralSecret } = await createCallTicket({
+      room,
+      address: myAccount.keys.address,
+      username: myAccount.username,
+      secret: myAccount.keys.secret,
+      now: getCorrectedTimestamp(),
+    });
+    const url = `${callUrl.split('#')[0]}#${encodeCallFragment({ key: callKey, ticket, ephemeralSecret })}`;
+    if (callWindow && !callWindow.closed) {
+      callWindow.location.replace(url);
+    } else {
+      window.open(url, '_blank');
+    }
+  } catch (error) {
+    callWindow?.close();
+    console.error('Error opening call:', error);
+    showToast('Could not open the call. Please try again.', 0, 'error');
+  }
+}
 
 // Used in getNetworkParams function
 const NETWORK_ACCOUNT_UPDATE_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes in milliseconds
@@ -213,11 +490,9 @@ const DELETED_MESSAGE_LOCAL_TEXT = 'Deleted on this device';
 const DELETED_MESSAGE_FOR_ALL_TEXT = 'Deleted for all';
 const DELETED_MESSAGE_BY_SENDER_TEXT = 'Deleted by sender';
 
-// Migration for attachment encryption keys.
-// Set this numeric timestamp (YYYYMMDDHHMM) to force re-running the
-// `migrateAttachmentKeysToEncKey` migration for existing users.
-// Use YYYYMMDDHHMM (year, month, day, hour, minute) so migrations
-// can be re-run multiple times per day by bumping this value.
+// Timestamps (YYYYMMDDHHMM) the attachment key and delete state migrations recorded in
+// `account.migrations` before they joined ACCOUNT_DATA_MIGRATIONS; only read to work out
+// the data version of accounts saved before then.
 const MIGRATION_ATTACHMENT_KEYS_TO_ENC_KEY_TS = 202602010000;
 const MIGRATION_DELETE_STATES_TS = 202603160000;
 function assert(condition, message) {
@@ -363,22 +638,26 @@ async function checkUsernameAvailability(username, address, foundAddressObject)
       return 'taken';
     }
 
+    // Contacts are known locally too, so payments to them can be queued while offline
+    const contact = Object.values(myData?.contacts || {}).find(
+      (candidate) => candidate.username && normalizeUsername(candidate.username) === normalizeUsername(username)
+    );
+    if (contact) {
+      if (foundAddressObject) {
+        foundAddressObject.address = contact.address;
+      }
+      return 'taken';
+    }
+
     // Username not found locally
     return 'available';
   }
 
   // Online flow - existing implementation
-  const selectedGateway = getGatewayForRequest();
-  if (!selectedGateway) {
-    console.error('No gateway available for username check');
-    return 'error';
-  }
-
   const usernameBytes = utf82bin(normalizeUsername(username));
   const usernameHash = hashBytes(usernameBytes);
   try {
-    const response = await fetch(`${selectedGateway.web}/address/${usernameHash}`);
-    const data = await response.json();
+    const { data } = await requestGateway(`/address/${usernameHash}`, { read: (response) => response.json() });
     if (data && data.address) {
       if (address && normalizeAddress(data.address) === normalizeAddress(address)) {
         return 'mine';
@@ -407,10 +686,14 @@ function newDataRecord(myAccount) {
     account: myAccount,
     network: {
       gateways: [],
-      defaultGatewayIndex: -1, // -1 means use random selection
+      customGateways: [],
+      pinnedGateway: null, // web URL of the gateway to prefer; null picks the healthiest
     },
     contacts: {},
+    groups: {},
     daoUserVotes: {},
+    daoProposalDrafts: [], // unsubmitted Add Proposal forms, newest first
+    daoFeed: createDaoFeed(),
     chats: [],
     wallet: {
       networth: 0.0,
@@ -460,26 +743,22 @@ function clearMyData() {
   myData = null;
   myAccount = null;
   evmAssets.reset();
+  evmProvider.reset();
   daoRepo.reset();
+  daoWatcher.stop();
+  idleLock.stop();
+  messageSearchModal.resetIndex();
+  chatSocket.stop();
+  outbox.stop();
+  messageRetention.stop();
+  deviceSync.stop();
 }
 
 /**
- * One-time migration: convert legacy friend status (3) to connection (2)
+ * Account data migration 1: convert legacy friend status (3) to connection (2)
  * @param {Object} data
- * @returns {boolean} True if migration flag was applied
  */
 function migrateFriendStatusToConnection(data) {
-  if (!data?.account) return false;
-
-  const migrations =
-    data.account.migrations && typeof data.account.migrations === 'object'
-      ? data.account.migrations
-      : null;
-
-  if (migrations?.friendStatusToConnection === true) {
-    return false;
-  }
-
   if (data.contacts && typeof data.contacts === 'object') {
     for (const contact of Object.values(data.contacts)) {
       if (!contact || typeof contact !== 'object') continue;
@@ -491,43 +770,15 @@ function migrateFriendStatusToConnection(data) {
       }
     }
   }
-
-  data.account.migrations = migrations && typeof migrations === 'object' ? migrations : {};
-  data.account.migrations.friendStatusToConnection = true;
-  return true;
 }
 
 /**
- * One-time migration: extract DH-derived encryption keys to random encKey field
+ * Account data migration 2: extract DH-derived encryption keys to random encKey field
  * This decouples attachment encryption from recipient keys for easier sharing
  * @param {Object} data
- * @returns {Promise<boolean>} True if migration flag was applied
+ * @returns {Promise<void>}
  */
 async function migrateAttachmentKeysToEncKey(data) {
-  if (!data?.account) return false;
-
-  const migrations =
-    data.account.migrations && typeof data.account.migrations === 'object'
-      ? data.account.migrations
-      : null;
-
-  // Determine whether this migration has already been applied.
-  // Previously this flag was a boolean; now we store a numeric timestamp.
-  // Legacy boolean `true` is treated as NOT applied so the migration
-  // will run for those accounts (we set appliedTs to 0).
-  const appliedTsRaw = migrations?.attachmentKeysToEncKey;
-  let appliedTs = 0;
-  if (typeof appliedTsRaw === 'number') {
-    appliedTs = appliedTsRaw;
-  } else if (appliedTsRaw === true) {
-    appliedTs = 0;
-  }
-
-  // If the migration timestamp stored is >= current migration ts, skip running.
-  if (appliedTs >= MIGRATION_ATTACHMENT_KEYS_TO_ENC_KEY_TS) {
-    return false;
-  }
-
   if (data.contacts && typeof data.contacts === 'object') {
     for (const [address, contact] of Object.entries(data.contacts)) {
       if (!contact || typeof contact !== 'object') continue;
@@ -591,38 +842,13 @@ async function migrateAttachmentKeysToEncKey(data) {
       }
     }
   }
-
-  data.account.migrations = migrations && typeof migrations === 'object' ? migrations : {};
-  // Record the migration application timestamp so future runs can be gated.
-  data.account.migrations.attachmentKeysToEncKey = MIGRATION_ATTACHMENT_KEYS_TO_ENC_KEY_TS;
-  return true;
 }
 
 /**
- * One-time migration: split legacy deleted state into local-only (1) and for-all (2)
+ * Account data migration 3: split legacy deleted state into local-only (1) and for-all (2)
  * @param {Object} data
- * @returns {boolean} True if migration flag was applied
  */
 function migrateDeletedMessageStates(data) {
-  if (!data?.account) return false;
-
-  const migrations =
-    data.account.migrations && typeof data.account.migrations === 'object'
-      ? data.account.migrations
-      : null;
-
-  const appliedTsRaw = migrations?.deleteStates;
-  let appliedTs = 0;
-  if (typeof appliedTsRaw === 'number') {
-    appliedTs = appliedTsRaw;
-  } else if (appliedTsRaw === true) {
-    appliedTs = 0;
-  }
-
-  if (appliedTs >= MIGRATION_DELETE_STATES_TS) {
-    return false;
-  }
-
   const deletedMessagesByTxid = new Map();
 
   if (data.contacts && typeof data.contacts === 'object') {
@@ -682,10 +908,54 @@ function migrateDeletedMessageStates(data) {
       tx.memo = getDeletedTextForState(tx.deleted, getDeletedRecordIsMine(tx), legacyText);
     }
   }
+}
 
-  data.account.migrations = migrations && typeof migrations === 'object' ? migrations : {};
-  data.account.migrations.deleteStates = MIGRATION_DELETE_STATES_TS;
-  return true;
+/**
+ * Declared chain of account data migrations, applied in order on sign-in.
+ * `account.dataVersion` records the last step applied; to add a migration append a step
+ * with the next version. Never renumber or remove a shipped step.
+ */
+const ACCOUNT_DATA_MIGRATIONS = [
+  { version: 1, name: 'friendStatusToConnection', migrate: migrateFriendStatusToConnection },
+  { version: 2, name: 'attachmentKeysToEncKey', migrate: migrateAttachmentKeysToEncKey },
+  { version: 3, name: 'deleteStates', migrate: migrateDeletedMessageStates },
+];
+
+/**
+ * Data version of an account, derived from the old per-migration flags for accounts
+ * saved before `account.dataVersion` existed
+ * @param {Object} data
+ * @returns {number}
+ */
+function getAccountDataVersion(data) {
+  const { dataVersion, migrations } = data.account;
+  if (typeof dataVersion === 'number') return dataVersion;
+
+  // The old migrations always ran in chain order, so the applied flags form a prefix
+  if (migrations?.friendStatusToConnection !== true) return 0;
+  if (!(migrations.attachmentKeysToEncKey >= MIGRATION_ATTACHMENT_KEYS_TO_ENC_KEY_TS)) return 1;
+  if (!(migrations.deleteStates >= MIGRATION_DELETE_STATES_TS)) return 2;
+  return 3;
+}
+
+/**
+ * Apply every account data migration newer than the account's data version
+ * @param {Object} data
+ * @returns {Promise<boolean>} True if any migration was applied
+ */
+async function runAccountDataMigrations(data) {
+  if (!data?.account) return false;
+
+  const fromVersion = getAccountDataVersion(data);
+  let applied = false;
+  for (const step of ACCOUNT_DATA_MIGRATIONS) {
+    if (step.version <= fromVersion) continue;
+    await step.migrate(data);
+    data.account.dataVersion = step.version;
+    logsModal.log(`Applied account data migration ${step.version} (${step.name})`);
+    applied = true;
+  }
+  return applied;
 }
 
 /**
@@ -719,8 +989,10 @@ function lockRapidMenuClicks(menuList) {
 document.addEventListener('DOMContentLoaded', async () => {
   installModalTransitionListeners();
   markConnectivityDependentElements();
+  appShell.register();
   await checkVersion(); // version needs to be checked before anything else happens
   timeDifference(); // Calculate and log time difference early
+  await accountStore.load(); // account state must be in memory before anything calls loadState
 
   setupConnectivityDetection();
   PopupSelect.load();
@@ -728,6 +1000,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // React Native App
   reactNativeApp.load();
 
+  // Browser push notifications
+  webPush.load();
+
   // Unlock Modal
   unlockModal.load();
 
@@ -761,6 +1036,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Connected EVM assets
   evmAssets.load();
 
+  // Wallet for Liberdus dApps (EIP-1193 / EIP-6963)
+  evmProvider.load();
+
   // About and Contact Modals
   sourceModal.load();
   aboutModal.load();
@@ -779,6 +1057,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Validator Modals
   validatorModal.load();
+  stakingDashboardModal.load();
 
   // Toll Modal
   tollModal.load();
@@ -801,12 +1080,26 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Contact Info Modal
   contactInfoModal.load();
 
+  // Key Verification Modal
+  keyVerificationModal.load();
+
+  // Payment Request Modal
+  paymentRequestModal.load();
+
+  // Batch Transfer Modal
+  batchTransferModal.load();
+
   // Failed Message Modal
   failedMessageMenu.load();
 
   // New Chat Modal
   newChatModal.load();
 
+  // Group Chat Modals
+  newGroupModal.load();
+  groupChatModal.load();
+  groupInfoModal.load();
+
   // Send Asset Modal
   sendAssetFormModal.load();
 
@@ -842,6 +1135,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Settings Modal
   settingsModal.load();
+  gatewaysModal.load();
 
   // Chat Settings Modal
   chatSettingsModal.load();
@@ -849,6 +1143,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Manage Contacts Modal
   manageContactsModal.load();
 
+  // Outbox Modal
+  outboxModal.load();
+  daoFeedModal.load();
+
   // Secret Modal
   secretModal.load();
 
@@ -924,6 +1222,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // App-wide unload guard; handleBeforeUnload only acts when protected state exists.
   window.addEventListener('beforeunload', handleBeforeUnload);
+  // beforeunload does not fire reliably on mobile; pagehide does
+  window.addEventListener('pagehide', handlePageHide);
 
   // Add global keyboard listener for fullscreen toggling
   window.addEventListener('resize', () => setTimeout(handleKeyboardFullscreenToggle(), 300));
@@ -931,6 +1231,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   getNetworkParams();
 
   welcomeScreen.lastItem.focus();
+  // Back from a lock that reloaded the page
+  unlockModal.openAfterLock();
 });
 
 // Add unload handler to save myData
@@ -953,16 +1255,23 @@ function handleBeforeUnload(e) {
   if (myData){
     reactNativeApp.handleNativeAppSubscribe();
     e.preventDefault();
-    saveState();    // This save might not work if the amount of data to save is large and user quickly clicks on Leave button
+    saveStateNow();
   }
 }
 
+function handlePageHide() {
+  if (menuModal.isSignoutExit) return;
+  saveStateNow();
+}
+
 // This is for installed apps where we can't stop the back button; just save the state
 function handleVisibilityChange() {
   if (document.visibilityState === 'hidden') {
     reactNativeApp.handleNativeAppSubscribe();
     if (reactNativeApp.isReactNativeWebView) {
       useLongPolling = false;
+      // native push notifications take over while in the background
+      chatSocket.stop();
     }
     // if chatModal was opened, save the last message count
     if (chatModal.isActive() && chatModal.address) {
@@ -972,14 +1281,18 @@ function handleVisibilityChange() {
         chatModal.lastMessageCount = contact?.messages?.length || 0;
       }
     }
-    // save state when app is put into background
-    saveState();
+    // save state when app is put into background; the app may be killed soon after
+    saveStateNow();
+    // Send the batch of synced changes, drafts and read markers included, while we still can
+    if (myAccount) deviceSync.flush();
   } else if (document.visibilityState === 'visible') {
     if (myAccount) {
       reactNativeApp.handleNativeAppUnsubscribe();
     }
+    webPush.collectNotifications();
     if (reactNativeApp.isReactNativeWebView) {
       useLongPolling = true;
+      chatSocket.start();
       setTimeout(longPoll, 10);
     }
     // if chatModal was opened, check if message count changed while hidden
@@ -1002,7 +1315,7 @@ function handleVisibilityChange() {
 async function encryptAllAccounts(oldPassword, newPassword) {
   const oldEncKey = !oldPassword ? null : await passwordToKey(oldPassword+'liberdusData');
   const newEncKey = !newPassword ? null : await passwordToKey(newPassword+'liberdusData');
-  // Get all accounts from localStorage
+  // Get all accounts from the registry
   const accountsObj = parse(localStorage.getItem('accounts') || 'null');
   if (!accountsObj?.netids) return;
 
@@ -1010,58 +1323,298 @@ async function encryptAllAccounts(oldPassword, newPassword) {
     const usernamesObj = accountsObj.netids[netid]?.usernames;
     if (!usernamesObj) continue;
     for (const username in usernamesObj) {
-      const key = `${username}_${netid}`;
-      let data = localStorage.getItem(key);
-      if (!data) continue;
+      // Failures are logged per account and leave that account's stored data unchanged
+      accountStore.reencrypt(`${username}_${netid}`, oldEncKey, newEncKey);
+    }
+  }
+  await accountStore.flush();
+}
 
-      // If oldEncKey is set, decrypt; otherwise, treat as plaintext
-      if (oldEncKey) {
-        try {
-          data = decryptData(data, oldEncKey, true);
-        } catch (e) {
-          console.error(`Failed to decrypt data for ${key}:`, e);
-          continue;
+/**
+ * Key used to encrypt stored account state, or null when the app lock is not set
+ * @returns {string|null}
+ */
+function getStateEncKey() {
+  // Consider what happens if localStorage.lock was manually deleted
+  return localStorage.lock && lockModal.encKey ? lockModal.encKey : null;
+}
+
+function saveState() {
+  if (myData && myAccount && myAccount.username && myAccount.netid) {
+    accountStore.write(`${myAccount.username}_${myAccount.netid}`, myData, getStateEncKey());
+  }
+}
+
+/**
+ * saveState for when the page is hidden or closed: the write is started right away with strict
+ * durability so it is on disk once the transaction completes
+ */
+function saveStateNow() {
+  saveState();
+  accountStore.flush('strict');
+}
+
+function loadState(account, noparse=false){
+  const data = accountStore.read(account, getStateEncKey());
+  if (!data) { return null; }
+  if (noparse) return stringify(data);
+  return data;
+}
+
+// Top-level myData fields kept in their own IndexedDB store; everything else goes to the accounts store
+const ACCOUNT_STATE_SECTIONS = {
+  contacts: STORES.CONTACTS,
+  chats: STORES.CHATS,
+  wallet: STORES.WALLET,
+};
+const ACCOUNT_KEY_PATTERN = /^[^_]+_[0-9a-fA-F]{64}$/;
+
+/**
+ * AccountStore - IndexedDB backed storage for per-account state (myData)
+ * Keeps an in-memory copy of every stored record so saveState/loadState stay synchronous;
+ * writes are queued and flushed to IndexedDB in the background.
+ * Records are either split into sections ({ account, contacts, chats, wallet }), each serialized
+ * and encrypted separately, or a single `legacy` blob in the old localStorage format, which is
+ * what restores and localStorage migration produce until the account is next saved.
+ */
+class AccountStore {
+  constructor() {
+    this.records = new Map();
+    this.dirtyKeys = new Set();
+    this.failedKeys = new Set();
+    this.flushPromise = Promise.resolve(true);
+    this.available = false;
+  }
+
+  /**
+   * Read all stored accounts and move any accounts still in localStorage into IndexedDB
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      for (const row of await getAllData(STORES.ACCOUNTS)) {
+        this.records.set(row.key, row.legacy ? { legacy: row.data } : { account: row.data });
+      }
+      for (const [section, storeName] of Object.entries(ACCOUNT_STATE_SECTIONS)) {
+        for (const row of await getAllData(storeName)) {
+          const record = this.records.get(row.key);
+          if (record && !record.legacy) record[section] = row.data;
         }
       }
+      this.available = true;
+    } catch (error) {
+      console.error('Failed to open account storage:', error);
+      showToast('Account storage is unavailable. Changes will not be saved.', 0, 'error');
+    }
+    await this.migrateFromLocalStorage();
+  }
 
-      let newData = data;
+  /**
+   * One-time move of `${username}_${netid}` blobs from localStorage into IndexedDB.
+   * The localStorage copy is only removed after the IndexedDB write has completed.
+   * @returns {Promise<void>}
+   */
+  async migrateFromLocalStorage() {
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && ACCOUNT_KEY_PATTERN.test(key)) legacyKeys.push(key);
+    }
+    if (legacyKeys.length === 0) return;
 
-      // If newEncKey is set, encrypt; otherwise, store as plaintext
-      if (newEncKey) {
-        try {
-          newData = encryptData(newData, newEncKey, true);
-        } catch (e) {
-          console.error(`Failed to encrypt data for ${key}:`, e);
-          continue;
-        }
+    const movedKeys = [];
+    for (const key of legacyKeys) {
+      if (this.records.has(key)) {
+        // Already moved on a previous run that could not clean up localStorage
+        movedKeys.push(key);
+        continue;
+      }
+      this.importEntry(key, localStorage.getItem(key));
+      movedKeys.push(key);
+    }
+    if (!this.available) return;
+
+    await this.flush();
+    const storedKeys = movedKeys.filter((key) => !this.failedKeys.has(key));
+    storedKeys.forEach((key) => localStorage.removeItem(key));
+    logsModal.log(`Moved ${storedKeys.length} of ${legacyKeys.length} account(s) from localStorage to IndexedDB`);
+  }
+
+  /**
+   * @param {string} key - Account key `${username}_${netid}`
+   * @returns {boolean} True if state is stored for the account
+   */
+  has(key) {
+    return this.records.has(key);
+  }
+
+  /**
+   * @returns {string[]} Keys of all stored accounts
+   */
+  keys() {
+    return [...this.records.keys()];
+  }
+
+  /**
+   * Decrypt and assemble the stored state for an account
+   * @param {string} key - Account key `${username}_${netid}`
+   * @param {string|null} encKey - Lock key, or null when stored unencrypted
+   * @returns {Object|null} The account state or null if nothing is stored
+   */
+  read(key, encKey) {
+    const record = this.records.get(key);
+    if (!record) return null;
+    if (record.legacy) {
+      return parse(decryptData(record.legacy, encKey, true));
+    }
+
+    const account = decryptData(record.account, encKey, true);
+    if (account == null) return null;
+    const data = parse(account);
+    for (const section of Object.keys(ACCOUNT_STATE_SECTIONS)) {
+      if (record[section] !== undefined) {
+        data[section] = parse(decryptData(record[section], encKey, true));
       }
+    }
+    return data;
+  }
 
-      // Save to localStorage (encrypted version uses _ suffix)
-      localStorage.setItem(`${key}`, newData);
+  /**
+   * Serialize account state into sections and queue it for writing
+   * @param {string} key - Account key `${username}_${netid}`
+   * @param {Object} data - The account state (myData)
+   * @param {string|null} encKey - Lock key, or null to store unencrypted
+   */
+  write(key, data, encKey) {
+    const { contacts, chats, wallet, ...rest } = data;
+    const sections = { contacts, chats, wallet };
+    const record = { account: encryptData(stringify(rest), encKey, true) };
+    for (const [section, value] of Object.entries(sections)) {
+      if (value !== undefined) {
+        record[section] = encryptData(stringify(value), encKey, true);
+      }
     }
+    this.records.set(key, record);
+    this.queue(key);
   }
-}
 
-function saveState() {
-  if (myData && myAccount && myAccount.username && myAccount.netid) {
-    let data = stringify(myData)
-    if (localStorage.lock && lockModal.encKey){  // Consider what happens if localStorage.lock was manually deleted
-      data = encryptData(data, lockModal.encKey, true)
+  /**
+   * Store an account blob in the old localStorage format (whole state, encrypted with the lock key if set)
+   * @param {string} key - Account key `${username}_${netid}`
+   * @param {string} blob - Serialized account state
+   */
+  importEntry(key, blob) {
+    this.records.set(key, { legacy: blob });
+    this.queue(key);
+  }
+
+  /**
+   * Export an account as a single blob in the old localStorage format, as used in backups
+   * @param {string} key - Account key `${username}_${netid}`
+   * @param {string|null} encKey - Lock key, or null when stored unencrypted
+   * @returns {string|null}
+   */
+  exportEntry(key, encKey) {
+    const record = this.records.get(key);
+    if (!record) return null;
+    if (record.legacy) return record.legacy;
+    return encryptData(stringify(this.read(key, encKey)), encKey, true);
+  }
+
+  /**
+   * Re-encrypt an account's stored state after the lock password changes
+   * @param {string} key - Account key `${username}_${netid}`
+   * @param {string|null} oldEncKey - Current lock key, or null if unencrypted
+   * @param {string|null} newEncKey - New lock key, or null to store unencrypted
+   * @returns {boolean} True if the account was re-encrypted
+   */
+  reencrypt(key, oldEncKey, newEncKey) {
+    const record = this.records.get(key);
+    if (!record) return false;
+
+    const updated = {};
+    try {
+      for (const [field, value] of Object.entries(record)) {
+        const plain = decryptData(value, oldEncKey, true);
+        if (plain == null) throw new Error(`Failed to decrypt ${field}`);
+        updated[field] = encryptData(plain, newEncKey, true);
+      }
+    } catch (e) {
+      console.error(`Failed to re-encrypt data for ${key}:`, e);
+      return false;
     }
-    localStorage.setItem(`${myAccount.username}_${myAccount.netid}`, data);
+    this.records.set(key, updated);
+    this.queue(key);
+    return true;
   }
-}
 
-function loadState(account, noparse=false){
-  let data = localStorage.getItem(account);
-  if (!data) { return null; }
-  if (localStorage.lock && lockModal.encKey) {
-    data = decryptData(data, lockModal.encKey, true)
+  /**
+   * Remove an account's stored state
+   * @param {string} key - Account key `${username}_${netid}`
+   */
+  remove(key) {
+    this.records.delete(key);
+    this.queue(key);
+  }
+
+  queue(key) {
+    this.dirtyKeys.add(key);
+    this.flush();
+  }
+
+  /**
+   * Write all queued accounts to IndexedDB. Writes are chained so awaiting the returned
+   * promise guarantees everything queued before the call has been attempted.
+   * @param {'default'|'strict'} [durability] - IndexedDB transaction durability for the queued writes
+   * @returns {Promise<boolean>} True if no account is left with a failed write
+   */
+  flush(durability) {
+    if (!this.available) return Promise.resolve(false);
+    this.flushPromise = this.flushPromise.then(() => this.writeQueued(durability));
+    return this.flushPromise;
+  }
+
+  async writeQueued(durability) {
+    while (this.dirtyKeys.size > 0) {
+      const [key] = this.dirtyKeys;
+      this.dirtyKeys.delete(key);
+      try {
+        await writeBatch(this.getWriteOperations(key), durability);
+        this.failedKeys.delete(key);
+      } catch (error) {
+        this.failedKeys.add(key);
+        console.error(`Failed to write account data for ${key}:`, error);
+        showToast('Failed to save account data', 5000, 'error');
+      }
+    }
+    return this.failedKeys.size === 0;
+  }
+
+  getWriteOperations(key) {
+    const record = this.records.get(key);
+    const operations = [];
+    if (!record) {
+      operations.push({ storeName: STORES.ACCOUNTS, delete: key });
+      operations.push({ storeName: STORES.SEARCH, delete: key });
+    } else {
+      operations.push({
+        storeName: STORES.ACCOUNTS,
+        put: addVersionToData({ key, data: record.legacy ?? record.account, legacy: !!record.legacy }),
+      });
+    }
+    for (const [section, storeName] of Object.entries(ACCOUNT_STATE_SECTIONS)) {
+      if (record?.[section] !== undefined) {
+        operations.push({ storeName, put: addVersionToData({ key, data: record[section] }) });
+      } else {
+        operations.push({ storeName, delete: key });
+      }
+    }
+    return operations;
   }
-  if (noparse) return data;
-  return parse(data);
 }
 
+const accountStore = new AccountStore();
+
 function checkFirstTimeTip(tipName) {
   if (!myData?.account) return false;
   if (typeof tipName !== 'string' || !tipName) return false;
@@ -1655,11 +2208,13 @@ class ChatsScreen {
     this.chatList = document.getElementById('chatList');
     this.searchBarContainer = document.getElementById('searchBarContainer');
     this.searchInput = document.getElementById('searchInput');
+    this.outboxBanner = document.getElementById('outboxBanner');
 
     // Handle search input click that's on the chatsScreen
     this.searchInput.addEventListener('click', () => {
       messageSearchModal.open();
     });
+    this.outboxBanner.addEventListener('click', () => outboxModal.open());
   }
 
   open() {
@@ -1674,6 +2229,26 @@ class ChatsScreen {
     return this.screen.classList.contains('active');
   }
 
+  /**
+   * Show how many items are waiting in the outbox, and whether any need attention
+   */
+  updateOutboxBanner() {
+    const items = outbox.items;
+    const scheduled = items.filter((item) => item.status === 'scheduled').length;
+    const waiting = items.length - scheduled;
+    const conflicts = items.filter((item) => item.status === 'conflict').length;
+    this.outboxBanner.style.display = items.length > 0 ? '' : 'none';
+    this.outboxBanner.classList.toggle('outbox-banner--conflict', conflicts > 0);
+    const parts = [];
+    if (conflicts > 0) {
+      parts.push(`${conflicts} of ${waiting} waiting to send need${conflicts === 1 ? 's' : ''} attention`);
+    } else if (waiting > 0) {
+      parts.push(`${waiting} waiting to send`);
+    }
+    if (scheduled > 0) parts.push(`${scheduled} scheduled`);
+    this.outboxBanner.textContent = parts.join(' · ');
+  }
+
   /**
  * Update the chat list by fetching the latest chats from the server
  * @returns {Promise<number>} The number of chats fetched
@@ -1734,6 +2309,17 @@ class ChatsScreen {
       if (isFaucetAddress(chat.address)) {
         continue;
       }
+
+      if (chat.group) {
+        const group = myData.groups?.[chat.address];
+        if (group) chatItems.push({ chat, group });
+        continue;
+      }
+
+      if (chat.dao) {
+        if (myData.daoFeed?.entries.length) chatItems.push({ chat, daoFeed: myData.daoFeed });
+        continue;
+      }
       
       const contact = contacts[chat.address];
       if (!contact) continue;
@@ -1754,11 +2340,22 @@ class ChatsScreen {
     }
 
     const avatarHtmlList = await Promise.all(
-      chatItems.map(({ contact }) => getContactAvatarHtml(contact))
+      chatItems.map(({ contact, group, daoFeed }) => {
+        if (daoFeed) return '';
+        return group ? generateIdenticon(hashBytes(group.groupId)) : getContactAvatarHtml(contact);
+      })
     );
 
-    chatItems.forEach(({ chat, contact, latestActivity }, index) => {
+    chatItems.forEach(({ chat, contact, group, daoFeed, latestActivity }, index) => {
       const avatarHtml = avatarHtmlList[index];
+      if (group) {
+        chatList.appendChild(this.buildGroupChatItem(group, avatarHtml));
+        return;
+      }
+      if (daoFeed) {
+        chatList.appendChild(this.buildDaoFeedChatItem(daoFeed));
+        return;
+      }
       const contactName = getContactDisplayName(contact);
       const reactionPreview = getLatestChatReactionActivity(contact);
       const isShowingReactionPreview = !!reactionPreview && reactionPreview.timestamp > latestActivity.timestamp;
@@ -1805,8 +2402,14 @@ class ChatsScreen {
         previewHTML = `<span><i>Voice message</i></span>`;
       } else if (latestActivity.type === 'location') {
         previewHTML = `<span><i>Shared location</i></span>`;
+      } else if (latestActivity.type === PAYMENT_REQUEST_TYPE && latestActivity.request) {
+        const { amount, asset } = latestActivity.request;
+        const amountDisplay = escapeHtml(`${formatPaymentRequestAmount(amount)} ${asset}`);
+        previewHTML = `<span><i>Payment request</i></span> <span class="payment-preview">${amountDisplay}</span>`;
       } else if (latestActivity.type === 'update_toll_required') {
         previewHTML = truncateMessage(escapeHtml(getUpdateTollRequiredPreviewText(latestActivity, contact)), 50);
+      } else if (latestActivity.type === RETENTION_MESSAGE_TYPE) {
+        previewHTML = `<span><i>${truncateMessage(escapeHtml(getRetentionPreviewText(latestActivity, contact)), 50)}</i></span>`;
       } else if ((!latestActivity.message || String(latestActivity.message).trim() === '') && latestActivity.xattach) {
         previewHTML = `<span><i>Attachment</i></span>`;
       } else if (latestActivity.xattach && latestActivity.message && String(latestActivity.message).trim() !== '') {
@@ -1887,6 +2490,77 @@ class ChatsScreen {
       });
     }
   }
+
+  /**
+   * Builds the chats list item for a group chat
+   * @param {Object} group
+   * @param {string} avatarHtml
+   * @returns {HTMLLIElement}
+   */
+  buildGroupChatItem(group, avatarHtml) {
+    const latestMessage = group.messages[0];
+    let previewHTML = '';
+    if (group.draft && group.draft.trim() !== '') {
+      previewHTML = `< ${truncateMessage(escapeHtml(group.draft), 50)}`;
+    } else if (latestMessage?.type === GROUP_SYSTEM_ENTRY_TYPE) {
+      previewHTML = `<span><i>${truncateMessage(escapeHtml(describeGroupChange(latestMessage)), 50)}</i></span>`;
+    } else if (latestMessage) {
+      const senderLabel = escapeHtml(getGroupMemberDisplayName(latestMessage.sender));
+      const messageText = isDeleted(latestMessage)
+        ? `<i>${DELETED_MESSAGE_FOR_ALL_TEXT}</i>`
+        : truncateMessage(escapeHtml(latestMessage.message), 40);
+      previewHTML = `${senderLabel}: ${messageText}`;
+    }
+    const isFailed = latestMessage?.my && latestMessage.status === 'failed';
+    const unreadHTML = group.unread
+      ? `<span class="chat-unread">${group.unread}</span>`
+      : (group.draft ? `<span class="chat-draft" title="Draft"></span>` : '');
+
+    const li = document.createElement('li');
+    li.classList.add('chat-item', 'group-chat-item');
+    li.innerHTML = `
+        <div class="chat-avatar">${avatarHtml}</div>
+        <div class="chat-content">
+            <div class="chat-header">
+                <div class="chat-name"><span class="group-chat-badge" aria-label="Group"></span>${escapeHtml(group.name)}</div>
+                <div class="chat-time">${formatTime(group.messages[0]?.timestamp || group.timestamp, false)}</div>
+            </div>
+            <div class="chat-message">
+              ${isFailed ? '<span class="chat-failed-indicator" title="Not sent" aria-label="Not sent">!</span>' : ''}${unreadHTML}
+              ${previewHTML}
+            </div>
+        </div>
+    `;
+    li.onclick = () => groupChatModal.open(group.groupId);
+    return li;
+  }
+
+  /**
+   * Builds the chats list item for the DAO activity feed
+   * @param {Object} feed - myData.daoFeed
+   * @returns {HTMLLIElement}
+   */
+  buildDaoFeedChatItem(feed) {
+    const latest = feed.entries[0];
+    const preview = `${formatDaoProposalTitle({ number: latest.proposal, title: latest.title })}: ${describeDaoFeedEntry(latest)}`;
+    const li = document.createElement('li');
+    li.classList.add('chat-item', 'dao-feed-chat-item');
+    li.innerHTML = `
+        <div class="chat-avatar"><span class="dao-feed-avatar" aria-hidden="true"></span></div>
+        <div class="chat-content">
+            <div class="chat-header">
+                <div class="chat-name">DAO</div>
+                <div class="chat-time">${formatTime(latest.timestamp, false)}</div>
+            </div>
+            <div class="chat-message">
+              ${feed.unread ? `<span class="chat-unread">${feed.unread}</span>` : ''}
+              <span><i>${truncateMessage(escapeHtml(preview), 50)}</i></span>
+            </div>
+        </div>
+    `;
+    li.onclick = () => daoFeedModal.open();
+    return li;
+  }
 }
 
 const chatsScreen = new ChatsScreen();
@@ -2038,6 +2712,7 @@ class WalletScreen {
     this.openSendAssetFormModalButton = document.getElementById('openSendAssetFormModal');
     this.openReceiveModalButton = document.getElementById('openReceiveModal');
     this.openHistoryModalButton = document.getElementById('openHistoryModal');
+    this.openBatchTransferModalButton = document.getElementById('openBatchTransferModal');
     this.openBuyButton = document.getElementById('openBuyButton');
     this.openSellButton = document.getElementById('openSellButton');
     this.openFaucetBridgeButton = document.getElementById('openFaucetBridgeButton');
@@ -2051,6 +2726,9 @@ class WalletScreen {
     this.openHistoryModalButton.addEventListener('click', () => {
       historyModal.open();
     });
+    this.openBatchTransferModalButton.addEventListener('click', () => {
+      batchTransferModal.open();
+    });
 
     // dynamic Faucet/Bridge button label and icon based on mainnet status
     const faucetBridgeLabel = this.openFaucetBridgeButton.querySelector('.action-label');
@@ -2348,6 +3026,8 @@ class MenuModal {
     this.helpButton.addEventListener('click', () => helpModal.open());
     this.aboutButton = document.getElementById('openAbout');
     this.aboutButton.addEventListener('click', () => aboutModal.open());
+    this.lockNowButton = document.getElementById('lockNow');
+    this.lockNowButton.addEventListener('click', withButtonCooldown([this.lockNowButton], BUTTON_COOLDOWN_MS, null, async () => await this.handleLock()));
     this.signOutButton = document.getElementById('handleSignOut');
     this.signOutHeaderButton = document.getElementById('signOutMenuHeader');
     const menuWrappedSignOut = withButtonCooldown([this.signOutButton, this.signOutHeaderButton], BUTTON_COOLDOWN_MS, null, async () => await this.handleSignOut());
@@ -2395,7 +3075,23 @@ class MenuModal {
     window.open(url, '_blank');
   }
   
-  async handleSignOut() {
+  /**
+   * Lock the app now: sign out, drop the app lock key from memory and ask for the password again
+   */
+  async handleLock() {
+    if (!localStorage.lock) {
+      showToast('Set an app lock password first', 0, 'info');
+      lockModal.open();
+      return;
+    }
+    await this.handleSignOut({ lock: true });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.lock] - also forget the app lock key and open the unlock modal afterwards
+   */
+  async handleSignOut({ lock = false } = {}) {
     // Check if backup is in progress
     if (backupModal.isUploading) {
       showToast('Please wait for the backup to complete before signing out.', 0, 'warning');
@@ -2414,20 +3110,30 @@ class MenuModal {
       clearInterval(getSystemNoticeIntervalId);
       getSystemNoticeIntervalId = null;
     }
+    chatSocket.stop();
+    outbox.stop();
+    messageRetention.stop();
+    deviceSync.stop();
     callsModal.stopPeriodicCallsRefresh();
     // Stop camera if it's running
     if (typeof qrScanModal !== 'undefined' && qrScanModal.camera.scanInterval) {
       qrScanModal.stopCamera();
     }
 
-    // Save myData to localStorage if it exists
+    // Save myData if it exists
     saveState();
+    await accountStore.flush();
 
     // clear storage
     clearMyData();
 
     // Lock the app
     unlockModal.lock();
+    if (lock) {
+      // Nothing that can decrypt stored accounts stays in memory; picked up by unlockModal.openAfterLock
+      lockModal.encKey = null;
+      sessionStorage.setItem(APP_LOCKED_SESSION_KEY, '1');
+    }
 
     if (isOnline) {
       await reactNativeApp.handleNativeAppSubscribe();
@@ -2465,6 +3171,7 @@ class MenuModal {
 
     // Show welcome screen
     welcomeScreen.open();
+    unlockModal.openAfterLock();
   }
 }
 
@@ -2484,6 +3191,8 @@ const daoProposalVoteTracker = createDaoProposalVoteTracker({
 });
 
 const DAO_PROPOSAL_PAGE_SIZE = 10;
+const DAO_PROPOSAL_DRAFT_SAVE_DELAY_MS = 1000;
+const MAX_DAO_PROPOSAL_DRAFTS = 20;
 const DAO_ALL_FILTER = { key: 'all', label: 'All' };
 const DAO_CLAIMABLE_FILTER = { key: 'claimable', label: 'Claimable' };
 const DAO_FILTER_OPTIONS = [DAO_ALL_FILTER, ...DAO_STATES, DAO_CLAIMABLE_FILTER];
@@ -3072,6 +3781,275 @@ class DaoModal {
 
 const daoModal = new DaoModal();
 
+const DAO_FEED_CHAT_ADDRESS = 'dao-feed';
+const DAO_WATCH_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_DAO_FEED_ENTRIES = 100;
+
+function createDaoFeed() {
+  return {
+    statuses: null, // proposal number -> status at the last refresh; null until the first one
+    entries: [], // newest first
+    unread: 0,
+    reminded: {}, // reminder key -> deadline, so each reminder is posted once
+  };
+}
+
+/**
+ * Background DAO watcher.
+ * While signed in it polls the proposal metadata index and posts an entry to the DAO feed in the chats list
+ * whenever a proposal is created or changes state. For proposals the account voted on it also posts reminders
+ * before voting closes and before an unclaimed reward can no longer be claimed. It has its own fetcher so a
+ * refresh never replaces the proposals DaoModal has loaded.
+ */
+class DaoWatcher {
+  constructor() {
+    this.fetcher = createDaoBackendFetcher(queryNetwork);
+    this.intervalId = null;
+    this.reminderTimers = new Map();
+    this.checking = null;
+  }
+
+  start() {
+    this.stop();
+    this.check();
+    this.intervalId = setInterval(() => this.check(), DAO_WATCH_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.clearReminderTimers();
+  }
+
+  clearReminderTimers() {
+    this.reminderTimers.forEach((timer) => clearTimeout(timer));
+    this.reminderTimers.clear();
+  }
+
+  getFeed() {
+    if (!myData) return null;
+    if (!myData.daoFeed) myData.daoFeed = createDaoFeed();
+    return myData.daoFeed;
+  }
+
+  check() {
+    if (!this.checking) {
+      this.checking = this.refresh()
+        .catch((error) => console.warn('DAO watcher refresh failed:', error))
+        .finally(() => {
+          this.checking = null;
+        });
+    }
+    return this.checking;
+  }
+
+  async refresh() {
+    const accountData = myData;
+    const address = getDaoCurrentAccountAddress();
+    if (!accountData || !address) return;
+
+    const meta = await this.fetcher.fetchMeta();
+    if (accountData !== myData) return;
+    const feed = this.getFeed();
+    const { statuses, changes } = diffDaoProposalStatuses(feed.statuses, meta.proposals);
+
+    // Details give the feed its titles and the reminders their timelines
+    const changedNumbers = new Set(changes.map((change) => change.proposal));
+    const claimNumbers = new Set([
+      ...daoProposalVoteTracker.getPendingClaimProposalNumbers(),
+      ...daoProposalVoteTracker.getOpenClaimProposalNumbers(getTransactionTimestamp()),
+    ]);
+    const entries = meta.proposals.filter((entry) => (
+      changedNumbers.has(entry.proposal)
+      || entry.status === 'voting'
+      || (claimNumbers.has(entry.proposal) && isDaoFinalResultState(entry.status))
+    ));
+    const proposals = Object.values(await this.fetcher.fetchProposals(entries));
+    if (accountData !== myData) return;
+    const titles = new Map(proposals.map((proposal) => [proposal.number, proposal.title]));
+
+    const now = getTransactionTimestamp();
+    feed.statuses = statuses;
+    for (const change of changes) {
+      this.post(feed, {
+        proposal: change.proposal,
+        kind: change.from ? 'status' : 'created',
+        state: change.to,
+        title: titles.get(change.proposal) || '',
+        timestamp: change.timestamp || now,
+      });
+    }
+
+    for (const [key, endsAt] of Object.entries(feed.reminded)) {
+      if (endsAt < now) delete feed.reminded[key];
+    }
+    const reminders = proposals.flatMap((proposal) => getDaoProposalReminders(proposal, address, now));
+    const remindedNow = this.scheduleReminders(feed, reminders, titles, now);
+
+    if (changes.length > 0 || remindedNow) {
+      saveState();
+      this.notify();
+    }
+  }
+
+  /**
+   * Post reminders that are due and set timers for the ones due before the next refresh
+   * @returns {boolean} Whether any reminder was posted
+   */
+  scheduleReminders(feed, reminders, titles, now) {
+    this.clearReminderTimers();
+    let posted = false;
+    for (const reminder of reminders) {
+      if (feed.reminded[reminder.key]) continue;
+      const title = titles.get(reminder.proposal) || '';
+      const delay = reminder.remindAt - now;
+      if (delay <= 0) {
+        this.remind(feed, reminder, title);
+        posted = true;
+      } else if (delay <= DAO_WATCH_INTERVAL_MS) {
+        this.reminderTimers.set(reminder.key, setTimeout(() => {
+          this.reminderTimers.delete(reminder.key);
+          if (this.getFeed() !== feed || feed.reminded[reminder.key]) return;
+          this.remind(feed, reminder, title);
+          saveState();
+          this.notify();
+        }, delay));
+      }
+    }
+    return posted;
+  }
+
+  remind(feed, reminder, title) {
+    feed.reminded[reminder.key] = reminder.endsAt;
+    const entry = {
+      proposal: reminder.proposal,
+      kind: reminder.kind === 'voting' ? 'votingReminder' : 'claimReminder',
+      title,
+      endsAt: reminder.endsAt,
+      timestamp: getTransactionTimestamp(),
+    };
+    this.post(feed, entry);
+    showToast(`${formatDaoProposalTitle({ number: entry.proposal, title })}: ${describeDaoFeedEntry(entry)}`, 5000, 'info');
+  }
+
+  post(feed, entry) {
+    insertSorted(feed.entries, { id: `${entry.proposal}:${entry.kind}:${entry.timestamp}`, ...entry }, 'timestamp');
+    feed.entries.splice(MAX_DAO_FEED_ENTRIES);
+    feed.unread += 1;
+
+    const existingChatIndex = myData.chats.findIndex((chat) => chat.address === DAO_FEED_CHAT_ADDRESS);
+    const chat = existingChatIndex === -1
+      ? { address: DAO_FEED_CHAT_ADDRESS, dao: true }
+      : myData.chats.splice(existingChatIndex, 1)[0];
+    chat.timestamp = feed.entries[0].timestamp;
+    insertSorted(myData.chats, chat, 'timestamp');
+  }
+
+  notify() {
+    if (daoFeedModal.isActive()) {
+      daoFeedModal.markRead();
+      daoFeedModal.render();
+    } else if (!chatsScreen.isActive()) {
+      footer.chatButton.classList.add('has-notification');
+    }
+    if (chatsScreen.isActive()) chatsScreen.updateChatList();
+  }
+}
+
+const daoWatcher = new DaoWatcher();
+
+/**
+ * Text of a DAO feed entry, without the proposal title
+ * @param {Object} entry
+ * @param {number} [now]
+ * @returns {string}
+ */
+function describeDaoFeedEntry(entry, now = getTransactionTimestamp()) {
+  switch (entry.kind) {
+    case 'created':
+      return `New proposal, now in ${getDaoStateLabel(entry.state)}`;
+    case 'votingReminder':
+      return `Voting closes ${formatDaoDayOrTime(entry.endsAt, now)}`;
+    case 'claimReminder':
+      return `Claim your reward by ${formatDaoDayOrTime(entry.endsAt, now)}`;
+    default:
+      return `Moved to ${getDaoStateLabel(entry.state)}`;
+  }
+}
+
+class DaoFeedModal {
+  load() {
+    this.modal = document.getElementById('daoFeedModal');
+    this.closeButton = document.getElementById('closeDaoFeedModal');
+    this.openDaoButton = document.getElementById('daoFeedOpenDao');
+    this.list = document.getElementById('daoFeedList');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.openDaoButton.addEventListener('click', () => daoModal.open());
+    this.list.addEventListener('click', (event) => {
+      const item = event.target.closest('.dao-feed-item');
+      if (item) this.openProposal(Number(item.dataset.proposal));
+    });
+  }
+
+  open() {
+    this.markRead();
+    saveState();
+    this.render();
+    openModal(this.modal);
+    if (chatsScreen.isActive()) chatsScreen.updateChatList();
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
+
+  markRead() {
+    const feed = daoWatcher.getFeed();
+    if (feed) feed.unread = 0;
+  }
+
+  render() {
+    const entries = daoWatcher.getFeed()?.entries || [];
+    if (entries.length === 0) {
+      this.list.innerHTML = '<div class="empty-state">No DAO activity yet</div>';
+      return;
+    }
+    const now = getTransactionTimestamp();
+    this.list.innerHTML = entries.map((entry) => `
+      <button type="button" class="dao-feed-item" data-proposal="${entry.proposal}" data-kind="${escapeHtml(entry.kind)}">
+        <span class="dao-feed-item-header">
+          <span class="dao-feed-item-title">${escapeHtml(formatDaoProposalTitle({ number: entry.proposal, title: entry.title }))}</span>
+          <span class="dao-feed-item-time">${escapeHtml(formatTime(entry.timestamp))}</span>
+        </span>
+        <span class="dao-feed-item-text">${escapeHtml(describeDaoFeedEntry(entry, now))}</span>
+      </button>`).join('');
+  }
+
+  async openProposal(proposalNumber) {
+    try {
+      let proposal = await daoRepo.refreshProposal(proposalNumber);
+      if (!proposal) {
+        // Created after the proposal index was last loaded
+        await daoRepo.refresh({ force: true });
+        proposal = await daoRepo.refreshProposal(proposalNumber);
+      }
+      const proposalId = daoRepo.getProposalsForUi().find((entry) => entry.number === proposalNumber)?.id;
+      if (!proposalId) throw new Error(`Proposal ${proposalNumber} not found`);
+      proposalInfoModal.open(proposalId);
+    } catch (error) {
+      console.warn('Failed to open DAO proposal from the feed:', error);
+      showToast('Could not load the proposal', 2500, 'error');
+    }
+  }
+}
+
+const daoFeedModal = new DaoFeedModal();
+
 function getPathValue(source, path) {
   return String(path || '').split('.').reduce((value, key) => {
     if (value == null || typeof value !== 'object') return undefined;
@@ -3145,6 +4123,15 @@ class AddProposalModal {
     this.gracePeriodHelp = document.getElementById('addProposalGracePeriodHelp');
     this.gracePeriodLimit = document.getElementById('addProposalGracePeriodLimit');
     this.gracePeriodLoadError = false;
+    this.draftSelect = document.getElementById('addProposalDraftSelect');
+    this.saveDraftButton = document.getElementById('addProposalSaveDraft');
+    this.deleteDraftButton = document.getElementById('addProposalDeleteDraft');
+    this.importButton = document.getElementById('addProposalImport');
+    this.importInput = document.getElementById('addProposalImportInput');
+    this.exportButton = document.getElementById('addProposalExport');
+    this.draftId = null;
+    this.draftDirty = false;
+    this.draftSaveTimer = null;
     this.submitButton = this.form?.querySelector('button[type="submit"]');
     if (this.typeSelect) PopupSelect.enhance(this.typeSelect);
     if (this.emergencySelect) PopupSelect.enhance(this.emergencySelect);
@@ -3161,11 +4148,33 @@ class AddProposalModal {
         null,
         () => this.handleCreate()
       ));
-      this.form.addEventListener('input', (event) => this.clearValidationError(event.target));
-      this.form.addEventListener('change', (event) => this.clearValidationError(event.target));
+      this.form.addEventListener('input', (event) => {
+        this.clearValidationError(event.target);
+        if (event.target !== this.draftSelect) this.markDraftDirty();
+      });
+      this.form.addEventListener('change', (event) => {
+        this.clearValidationError(event.target);
+        if (event.target !== this.draftSelect && event.target !== this.importInput) this.markDraftDirty();
+      });
       this.form.addEventListener('click', (event) => this.handleFormHelpClick(event));
     }
 
+    if (this.draftSelect) {
+      PopupSelect.enhance(this.draftSelect);
+      this.draftSelect.addEventListener('change', () => this.handleDraftSelect());
+    }
+    if (this.saveDraftButton) {
+      this.saveDraftButton.addEventListener('click', () => {
+        if (this.saveDraft({ force: true })) showToast('Draft saved', 2000, 'success');
+      });
+    }
+    if (this.deleteDraftButton) this.deleteDraftButton.addEventListener('click', () => this.deleteDraft());
+    if (this.importButton && this.importInput) {
+      this.importButton.addEventListener('click', () => this.importInput.click());
+      this.importInput.addEventListener('change', () => this.handleImport());
+    }
+    if (this.exportButton) this.exportButton.addEventListener('click', () => this.handleExport());
+
     if (this.typeSelect) {
       this.typeSelect.addEventListener('change', () => {
         this.options = this.options.map((proposalOption) => ({ ...proposalOption, changes: [] }));
@@ -3183,7 +4192,12 @@ class AddProposalModal {
     if (this.gracePeriodButton) this.gracePeriodButton.addEventListener('click', () => this.openGracePeriodPicker());
 
     if (this.optionsList) {
-      this.optionsList.addEventListener('click', (event) => this.handleOptionsClick(event));
+      this.optionsList.addEventListener('click', (event) => {
+        this.handleOptionsClick(event);
+        if (event.target.closest('[data-dao-add-parameter-change], [data-dao-remove-option], [data-dao-remove-change]')) {
+          this.markDraftDirty();
+        }
+      });
       this.optionsList.addEventListener('input', (event) => this.handleOptionsInput(event));
       this.optionsList.addEventListener('change', (event) => this.handleOptionsChange(event));
     }
@@ -3196,30 +4210,18 @@ class AddProposalModal {
     this.proposalFeeUsdStr = null;
     this.maxGracePeriodMs = null;
     this.gracePeriodLoadError = false;
-    if (this.titleInput) this.titleInput.value = '';
-    if (this.typeSelect) {
-      this.typeSelect.value = 'governance';
-      PopupSelect.sync(this.typeSelect);
-    }
-    if (this.descriptionInput) this.descriptionInput.value = '';
-    if (this.emergencySelect) {
-      this.emergencySelect.value = 'false';
-      PopupSelect.sync(this.emergencySelect);
-    }
-    this.reviewStartTimeMs = 0;
-    this.gracePeriodMs = 0;
-    this.renderReviewStartTime();
-    this.options = [this.createOption()];
-    this.renderOptions('Loading current DAO config values...');
-    this.renderGracePeriodLimitHint();
+    this.draftId = null;
+    this.draftDirty = false;
+    this.applyFormState(this.createFormState());
+    this.renderDraftSelect();
     this.refreshProposalDefaults();
-    this.refreshSelectedConfigOptions();
     setTimeout(() => {
       this.titleInput?.focus();
     }, 325);
   }
 
   close() {
+    this.saveDraft();
     PopupSelect.hide();
     this.modal.classList.remove('active');
     enterFullscreen();
@@ -3321,6 +4323,195 @@ class AddProposalModal {
     }
   }
 
+  /**
+   * Empty form state, optionally preset from one of DAO_PROPOSAL_TEMPLATES
+   * @param {Object} [template]
+   * @returns {Object}
+   */
+  createFormState(template = null) {
+    return {
+      title: '',
+      description: '',
+      proposalType: template?.proposalType || 'governance',
+      emergency: false,
+      options: [{ changes: (template?.changeKeys || []).map((key) => ({ key, value: '' })) }],
+      reviewStartTimeMs: 0,
+      gracePeriodMs: 0,
+    };
+  }
+
+  getFormState() {
+    return {
+      title: this.titleInput?.value || '',
+      description: this.descriptionInput?.value || '',
+      proposalType: this.typeSelect?.value || 'governance',
+      emergency: this.emergencySelect?.value === 'true',
+      options: this.options.map((proposalOption) => ({
+        changes: proposalOption.changes.map(({ key, value }) => ({ key, value })),
+      })),
+      reviewStartTimeMs: this.reviewStartTimeMs,
+      gracePeriodMs: this.gracePeriodMs,
+    };
+  }
+
+  applyFormState(state) {
+    this.clearValidationErrors();
+    if (this.titleInput) this.titleInput.value = state.title;
+    if (this.descriptionInput) this.descriptionInput.value = state.description;
+    if (this.typeSelect) {
+      this.typeSelect.value = DAO_CONFIG_CHANGE_OPTIONS[state.proposalType] ? state.proposalType : 'governance';
+      PopupSelect.sync(this.typeSelect);
+    }
+    if (this.emergencySelect) {
+      this.emergencySelect.value = String(state.emergency === true);
+      PopupSelect.sync(this.emergencySelect);
+    }
+    this.reviewStartTimeMs = Number.isSafeInteger(state.reviewStartTimeMs) ? state.reviewStartTimeMs : 0;
+    this.gracePeriodMs = Number.isSafeInteger(state.gracePeriodMs) ? state.gracePeriodMs : 0;
+    this.options = state.options.length
+      ? state.options.map((proposalOption) => ({
+        changes: proposalOption.changes.map(({ key, value }) => ({ key, value: String(value ?? '') })),
+      }))
+      : [this.createOption()];
+    this.renderReviewStartTime();
+    this.renderProposalFee();
+    this.renderGracePeriodLimitHint();
+    this.renderOptions('Loading current DAO config values...');
+    this.refreshSelectedConfigOptions();
+  }
+
+  getDrafts() {
+    return Array.isArray(myData?.daoProposalDrafts) ? myData.daoProposalDrafts : [];
+  }
+
+  renderDraftSelect() {
+    if (!this.draftSelect) return;
+    const drafts = this.getDrafts();
+    this.draftSelect.innerHTML = [
+      '<option value="new">New proposal</option>',
+      ...drafts.map((draft) => {
+        const label = `Draft: ${draft.title.trim() || 'Untitled'} (${formatTime(draft.updatedAt)})`;
+        return `<option value="draft:${escapeHtml(draft.id)}">${escapeHtml(label)}</option>`;
+      }),
+      ...DAO_PROPOSAL_TEMPLATES.map((template) => (
+        `<option value="template:${escapeHtml(template.key)}">Template: ${escapeHtml(template.label)}</option>`
+      )),
+    ].join('');
+    this.draftSelect.value = this.draftId ? `draft:${this.draftId}` : 'new';
+    PopupSelect.sync(this.draftSelect);
+    if (this.deleteDraftButton) this.deleteDraftButton.disabled = !this.draftId;
+  }
+
+  handleDraftSelect() {
+    this.saveDraft();
+    const [kind, key] = this.draftSelect.value.split(/:(.*)/);
+    if (kind === 'draft') {
+      const draft = this.getDrafts().find((entry) => entry.id === key);
+      if (!draft) return;
+      this.draftId = draft.id;
+      this.applyFormState(draft);
+    } else {
+      this.draftId = null;
+      this.applyFormState(this.createFormState(DAO_PROPOSAL_TEMPLATES.find((template) => template.key === key)));
+    }
+    this.draftDirty = false;
+    this.renderDraftSelect();
+  }
+
+  markDraftDirty() {
+    this.draftDirty = true;
+    clearTimeout(this.draftSaveTimer);
+    this.draftSaveTimer = setTimeout(() => this.saveDraft(), DAO_PROPOSAL_DRAFT_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Store the form in myData.daoProposalDrafts. Untouched forms are not saved unless forced.
+   * @param {{force?: boolean}} [options]
+   * @returns {boolean} Whether a draft was saved
+   */
+  saveDraft({ force = false } = {}) {
+    clearTimeout(this.draftSaveTimer);
+    this.draftSaveTimer = null;
+    if (!myData || (!force && !this.draftDirty)) return false;
+
+    const state = this.getFormState();
+    const isEmpty = !state.title.trim() && !state.description.trim()
+      && state.options.every((proposalOption) => proposalOption.changes.every((change) => !change.value));
+    if (isEmpty && !this.draftId && !force) return false;
+
+    if (!this.draftId) this.draftId = generateUUIDv4();
+    const drafts = this.getDrafts().filter((draft) => draft.id !== this.draftId);
+    myData.daoProposalDrafts = [
+      { ...state, id: this.draftId, updatedAt: getCorrectedTimestamp() },
+      ...drafts,
+    ].slice(0, MAX_DAO_PROPOSAL_DRAFTS);
+    saveState();
+    this.draftDirty = false;
+    if (this.isActive()) this.renderDraftSelect();
+    return true;
+  }
+
+  deleteDraft() {
+    if (!this.draftId || !myData) return;
+    myData.daoProposalDrafts = this.getDrafts().filter((draft) => draft.id !== this.draftId);
+    saveState();
+    this.draftId = null;
+    this.draftDirty = false;
+    this.applyFormState(this.createFormState());
+    this.renderDraftSelect();
+    showToast('Draft deleted', 2000, 'info');
+  }
+
+  /**
+   * The proposal was submitted; its draft is no longer needed
+   */
+  discardSubmittedDraft() {
+    clearTimeout(this.draftSaveTimer);
+    this.draftSaveTimer = null;
+    this.draftDirty = false;
+    if (!this.draftId || !myData) return;
+    myData.daoProposalDrafts = this.getDrafts().filter((draft) => draft.id !== this.draftId);
+    this.draftId = null;
+    saveState();
+  }
+
+  async handleImport() {
+    const file = this.importInput.files?.[0];
+    this.importInput.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseDaoProposalFile(await file.text());
+      this.saveDraft();
+      this.draftId = null;
+      this.applyFormState({
+        title: imported.displayTitle,
+        description: imported.description,
+        proposalType: imported.proposalType,
+        emergency: imported.emergency,
+        options: imported.changes.map((changeSet) => ({ changes: changeSet })),
+        reviewStartTimeMs: imported.reviewStartTimeMs,
+        gracePeriodMs: imported.gracePeriodMs,
+      });
+      this.saveDraft({ force: true });
+      showToast('Proposal imported as a new draft', 2500, 'success');
+    } catch (error) {
+      console.warn('Failed to import DAO proposal:', error);
+      showToast(error?.message || 'Could not import the proposal file', 3000, 'error');
+    }
+  }
+
+  handleExport() {
+    this.clearValidationErrors();
+    const draft = this.buildDraft();
+    if (!draft) return;
+
+    const json = serializeDaoProposalDraft(draft);
+    const slug = draft.displayTitle.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    const filename = `dao-proposal-${slug || 'draft'}.json`;
+    downloadFile(new Blob([json], { type: 'application/json' }), filename);
+  }
+
   createValidationError(message, target) {
     const error = new Error(message);
     error.validationTarget = target;
@@ -3935,25 +5126,35 @@ class AddProposalModal {
 
   async handleCreate() {
     this.clearValidationErrors();
+    this.saveDraft();
+    const draft = this.buildDraft();
+    if (draft) confirmProposalModal.open(draft);
+  }
+
+  /**
+   * Validate the form and build the proposal draft; shows the first problem and returns null if it is invalid
+   * @returns {Object|null} Result of buildDaoProposalCreateDraft
+   */
+  buildDraft() {
     const title = (this.titleInput?.value || '').trim();
     const proposalType = (this.typeSelect?.value || '').trim();
     const description = (this.descriptionInput?.value || '').trim();
 
     if (!title) {
       this.showValidationError(this.createValidationError('Please enter a title', this.titleInput));
-      return;
+      return null;
     }
     if (title.length > DAO_PROPOSAL_TITLE_MAX_LENGTH) {
       this.showValidationError(this.createValidationError(`Title must be ${DAO_PROPOSAL_TITLE_MAX_LENGTH} characters or less`, this.titleInput));
-      return;
+      return null;
     }
     if (!DAO_CONFIG_CHANGE_OPTIONS[proposalType]) {
       this.showValidationError(this.createValidationError('Please select a DAO proposal type', this.typeSelect));
-      return;
+      return null;
     }
     if (!description) {
       this.showValidationError(this.createValidationError('Please enter a description', this.descriptionInput));
-      return;
+      return null;
     }
 
     try {
@@ -3971,7 +5172,7 @@ class AddProposalModal {
         throw this.createValidationError('Current DAO proposal fee is not loaded yet', this.proposalFeeInput);
       }
 
-      const draft = buildDaoProposalCreateDraft({
+      return buildDaoProposalCreateDraft({
         from: myAccount?.keys?.address ? longAddress(myAccount.keys.address) : '',
         displayTitle: title,
         emergency,
@@ -3984,9 +5185,9 @@ class AddProposalModal {
         gracePeriodMs,
         maxGracePeriodMs: this.maxGracePeriodMs,
       });
-      confirmProposalModal.open(draft);
     } catch (e) {
       this.showValidationError(e);
+      return null;
     }
   }
 }
@@ -4243,6 +5444,7 @@ class ConfirmProposalModal {
       }
       this.setSubmitting(false);
       this.close();
+      addProposalModal.discardSubmittedDraft();
       addProposalModal.close();
       showToast('Proposal submitted—pending confirmation', 4000, 'info');
     } catch (error) {
@@ -6381,6 +7583,9 @@ class SettingsModal {
     this.chatSettingsButton = document.getElementById('openChatSettingsModal');
     this.chatSettingsButton.addEventListener('click', () => chatSettingsModal.open());
 
+    this.gatewaysButton = document.getElementById('openGatewaysModal');
+    this.gatewaysButton.addEventListener('click', () => gatewaysModal.open());
+
     this.profileButton = document.getElementById('openAccountForm');
     this.profileButton.addEventListener('click', () => accountModal.open());
     
@@ -6423,6 +7628,473 @@ class SettingsModal {
 
 const settingsModal = new SettingsModal();
 
+/**
+ * Summary line for one gateway's health, shared by the Gateways and Logs modals
+ * @param {Object} status - entry from gatewayManager.describe()
+ * @returns {string} HTML
+ */
+function renderGatewayHealth(status) {
+  const parts = [status.state === CIRCUIT.OPEN
+    ? `unavailable, retry in ${Math.ceil(status.retryInMs / 1000)}s`
+    : status.state];
+  if (status.latencyMs !== null) parts.push(`${status.latencyMs} ms`);
+  if (status.successes + status.failures > 0) parts.push(`${Math.round(status.errorRate * 100)}% errors`);
+  return `<span class="gateway-state gateway-state--${status.state}"></span>${escapeHtml(parts.join(' · '))}`;
+}
+
+class GatewaysModal {
+  constructor() { }
+
+  load() {
+    this.modal = document.getElementById('gatewaysModal');
+    this.closeButton = document.getElementById('closeGatewaysModal');
+    this.list = document.getElementById('gatewayList');
+    this.form = document.getElementById('addGatewayForm');
+    this.webInput = document.getElementById('gatewayWebUrl');
+    this.wsInput = document.getElementById('gatewayWsUrl');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (event) => this.handleAdd(event));
+    this.list.addEventListener('change', (event) => {
+      if (event.target.name === 'pinnedGateway') this.setPinned(event.target.value || null);
+    });
+    this.list.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.gateway-remove-button');
+      if (removeButton) this.remove(removeButton.dataset.web);
+    });
+  }
+
+  open() {
+    this.form.reset();
+    this.render();
+    openModal(this.modal);
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
+
+  render() {
+    const gateways = getGatewayList();
+    const pinned = getPinnedGateway();
+    const custom = new Set((myData?.network?.customGateways || []).map((gateway) => gateway.web));
+    const rows = gatewayManager.describe(gateways).map((status) => `
+      <div class="gateway-item">
+        <label class="gateway-pin">
+          <input type="radio" name="pinnedGateway" value="${escapeHtml(status.web)}" ${status.web === pinned ? 'checked' : ''} />
+          <span class="gateway-info">
+            <span class="gateway-url">${escapeHtml(status.web)}</span>
+            <span class="gateway-health">${renderGatewayHealth(status)}</span>
+          </span>
+        </label>
+        ${custom.has(status.web)
+          ? `<button type="button" class="btn btn--text gateway-remove-button" data-web="${escapeHtml(status.web)}">Remove</button>`
+          : ''}
+      </div>`);
+    this.list.innerHTML = `
+      <div class="gateway-item">
+        <label class="gateway-pin">
+          <input type="radio" name="pinnedGateway" value="" ${pinned ? '' : 'checked'} />
+          <span class="gateway-info">
+            <span class="gateway-url">Automatic</span>
+            <span class="gateway-health">Use the fastest healthy gateway</span>
+          </span>
+        </label>
+      </div>
+      ${rows.join('')}`;
+  }
+
+  setPinned(web) {
+    if (!myData) return;
+    initializeGatewayConfig();
+    myData.network.pinnedGateway = web;
+    saveState();
+    chatSocket.reconnect();
+    this.render();
+  }
+
+  handleAdd(event) {
+    event.preventDefault();
+    if (!myData) return;
+    const gateway = normalizeGateway({ web: this.webInput.value, ws: this.wsInput.value });
+    if (!gateway) {
+      showToast(
+        'Enter an https:// gateway URL and an optional wss:// WebSocket URL (http:// only for localhost)',
+        0,
+        'error'
+      );
+      return;
+    }
+    initializeGatewayConfig();
+    if (myData.network.gateways.some((existing) => existing.web === gateway.web)) {
+      showToast('That gateway is already in the list', 3000, 'info');
+      return;
+    }
+    myData.network.customGateways.push(gateway);
+    initializeGatewayConfig();
+    saveState();
+    this.form.reset();
+    this.render();
+    showToast('Gateway added', 2000, 'success');
+  }
+
+  remove(web) {
+    if (!myData) return;
+    initializeGatewayConfig();
+    myData.network.customGateways = myData.network.customGateways.filter((gateway) => gateway.web !== web);
+    if (myData.network.pinnedGateway === web) {
+      myData.network.pinnedGateway = null;
+      chatSocket.reconnect();
+    }
+    initializeGatewayConfig();
+    saveState();
+    this.render();
+  }
+}
+
+const gatewaysModal = new GatewaysModal();
+
+const RETENTION_MESSAGE_TYPE = 'retention';
+const RETENTION_SWEEP_INTERVAL_MS = 60 * 1000;
+const RETENTION_OPTIONS = [
+  { ttl: 0, label: 'Off' },
+  { ttl: 60 * 60 * 1000, label: '1 hour' },
+  { ttl: 24 * 60 * 60 * 1000, label: '1 day' },
+  { ttl: 7 * 24 * 60 * 60 * 1000, label: '7 days' },
+  { ttl: 30 * 24 * 60 * 60 * 1000, label: '30 days' },
+];
+
+function isValidRetentionTtl(ttl) {
+  return RETENTION_OPTIONS.some((option) => option.ttl === ttl);
+}
+
+function getRetentionPreviewText(item, contact) {
+  const label = RETENTION_OPTIONS.find((option) => option.ttl === Number(item.ttl))?.label || 'Off';
+  const who = item.my ? 'You' : getContactDisplayName(contact);
+  return Number(item.ttl) > 0
+    ? `${who} set disappearing messages to ${label}`
+    : `${who} turned off disappearing messages`;
+}
+
+/**
+ * Per-chat disappearing messages.
+ * Either side can set a chat's timer with a retention control message; the latest announcement wins. Messages
+ * sent while a timer is on get an expiresAt stamped on the next sweep, so changing the timer later does not
+ * change theirs. Expired messages are removed from the chat along with their cached thumbnails, and both sides
+ * ask the upload server to delete the attachments. Payment records in the wallet history are kept.
+ */
+class MessageRetention {
+  constructor() {
+    this.intervalId = null;
+  }
+
+  start() {
+    this.stop();
+    this.sweep();
+    this.intervalId = setInterval(() => this.sweep(), RETENTION_SWEEP_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  /**
+   * Apply a timer announced by either side
+   * @param {string} address - Chat the timer belongs to
+   * @param {number} ttl - Milliseconds messages live; 0 turns the timer off
+   * @param {number} since - sent_timestamp of the announcement
+   * @returns {boolean} False if a newer announcement was already applied
+   */
+  applyPolicy(address, ttl, since) {
+    const contact = myData.contacts[address];
+    if (!contact || since <= (contact.retention?.since || 0)) return false;
+    // Messages that arrived under the old timer keep it
+    this.stamp(contact);
+    contact.retention = { ttl, since };
+    return true;
+  }
+
+  stamp(contact) {
+    const { ttl = 0, since = 0 } = contact.retention || {};
+    if (!ttl) return;
+    for (const message of contact.messages) {
+      if (message.expiresAt || message.timestamp < since || message.type === RETENTION_MESSAGE_TYPE) continue;
+      // Not sent yet; the timer starts once it is
+      if (message.status === 'queued' || message.status === 'scheduled') continue;
+      message.expiresAt = message.timestamp + ttl;
+    }
+  }
+
+  sweep() {
+    if (!myData?.contacts) return;
+    const now = getCorrectedTimestamp();
+    const changed = [];
+    for (const [address, contact] of Object.entries(myData.contacts)) {
+      if (!Array.isArray(contact.messages)) continue;
+      this.stamp(contact);
+      const expired = contact.messages.filter((message) => message.expiresAt && message.expiresAt <= now);
+      if (expired.length === 0) continue;
+
+      contact.messages = contact.messages.filter((message) => !expired.includes(message));
+      expired.forEach((message) => this.purge(address, contact, message));
+      const incomingCount = contact.messages.filter((message) => !message.my).length;
+      contact.unread = Math.min(contact.unread || 0, incomingCount);
+      syncChatLatestActivityTimestamp(address, contact);
+      messageSearchModal.reindexContact(address);
+      changed.push(address);
+    }
+    if (changed.length === 0) return;
+
+    saveState();
+    if (chatModal.isActive() && changed.includes(chatModal.address)) chatModal.appendChatModal();
+    if (chatsScreen.isActive()) chatsScreen.updateChatList();
+  }
+
+  purge(address, contact, message) {
+    chatModal.purgeThumbnail(message.xattach);
+    chatModal.deleteAttachmentsFromServer(message.xattach);
+    if (message.type === 'vm') chatModal.deleteAttachmentsFromServer(message.url);
+    purgeContactReactionsForTarget(contact, message.txid);
+    purgePendingReactionsForTarget(address, message.txid);
+  }
+}
+
+const messageRetention = new MessageRetention();
+
+const SYNC_MESSAGE_TYPE = 'sync';
+const SYNC_FLUSH_DELAY_MS = 5 * 60 * 1000;
+const SYNC_DEVICE_ID_KEY = 'syncDeviceId';
+// Changed too often to be worth a record of their own; they go out with the next batch or when the app is hidden
+const SYNC_PASSIVE_FIELDS = new Set(['draft', 'read']);
+
+/**
+ * Apply a synced change to a contact; changes for contacts this device does not have yet are dropped
+ * @param {string} address
+ * @param {(contact: Object) => boolean|void} update - Return false if nothing was applied
+ * @returns {boolean}
+ */
+function applySyncedContactChange(address, update) {
+  const contact = myData.contacts[address];
+  if (!contact) return false;
+  return update(contact) !== false;
+}
+
+// How each synced field is applied on the receiving device, keyed by field name
+const DEVICE_SYNC_FIELDS = {
+  name: (address, value) => applySyncedContactChange(address, (contact) => {
+    contact.name = typeof value === 'string' && value ? value : null;
+  }),
+  notes: (address, value) => applySyncedContactChange(address, (contact) => {
+    contact.notes = typeof value === 'string' && value ? value : null;
+  }),
+  draft: (address, value) => applySyncedContactChange(address, (contact) => {
+    // The composer here owns the draft while the chat is open; it is saved again on close
+    if (chatModal.isActive() && chatModal.address === address) return false;
+    contact.draft = typeof value === 'string' ? value : '';
+  }),
+  read: (address, value) => applySyncedContactChange(address, (contact) => {
+    const readTs = Number(value);
+    if (!Number.isFinite(readTs) || readTs <= (contact.lastChatOpenTs || 0)) return false;
+    contact.lastChatOpenTs = readTs;
+    if (!(chatModal.isActive() && chatModal.address === address)) {
+      contact.unread = contact.messages.filter((message) => !message.my && message.timestamp > readTs).length;
+    }
+  }),
+  deleted: (id) => {
+    const [address, txid] = id.split(':');
+    return applySyncedContactChange(address, (contact) => {
+      const message = contact.messages.find((item) => item.txid === txid);
+      if (!message || isDeleted(message)) return false;
+      chatModal.markDeletedForMe(address, message);
+    });
+  },
+  reactionEmojis: (id, value) => {
+    if (!Array.isArray(value) || !myData.account) return false;
+    myData.account[CHAT_REACTION_SHEET_RECENT_ACCOUNT_KEY] = chatModal.normalizeRecentReactionEmojiList(value);
+    return true;
+  },
+};
+
+/**
+ * Multi-device sync of per-account state.
+ * Devices signed in to the same account share contact names and notes, drafts, read markers, messages
+ * deleted for me and recent reaction emojis by sending encrypted messages to their own address. Only the
+ * account's keys can open them: the message key is random and travels in selfKey, like the copy of every
+ * message we send. Each change carries when and on which device it was made; every field keeps its newest
+ * change, ties going to the higher device id, so all devices converge whatever order records arrive in.
+ * Every record is a transaction with a fee, so sync is off until it is switched on in chat settings or a
+ * record from another device shows up, and changes are sent in batches rather than one at a time.
+ */
+class DeviceSync {
+  constructor() {
+    this.flushTimer = null;
+    this.flushing = false;
+  }
+
+  /**
+   * Clocks of the last applied change per field, and changes not yet sent
+   * @returns {{clocks: Object<string, [number, string]>, pending: Object<string, Object>}}
+   */
+  getState() {
+    myData.sync ??= { enabled: false, clocks: {}, pending: {} };
+    return myData.sync;
+  }
+
+  isEnabled() {
+    return Boolean(myData?.sync?.enabled);
+  }
+
+  /**
+   * Switch sync on or off for this account on this device; changes not sent yet are dropped when it is switched off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    const state = this.getState();
+    state.enabled = enabled;
+    if (!enabled) {
+      state.pending = {};
+      this.stop();
+    }
+    saveState();
+  }
+
+  getDeviceId() {
+    let deviceId = localStorage.getItem(SYNC_DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = generateUUIDv4();
+      localStorage.setItem(SYNC_DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Record a change made on this device; it is sent to the other devices with the next batch
+   * @param {string} field - One of DEVICE_SYNC_FIELDS
+   * @param {string} id - What changed, usually a contact address
+   * @param {*} value
+   */
+  record(field, id, value) {
+    if (!this.isEnabled() || !DEVICE_SYNC_FIELDS[field]) return;
+    const change = { field, id, value, ts: getCorrectedTimestamp(), device: this.getDeviceId() };
+    const state = this.getState();
+    state.clocks[`${field}:${id}`] = [change.ts, change.device];
+    state.pending[`${field}:${id}`] = change;
+    // Later changes join the batch instead of pushing it back
+    if (!this.flushTimer && !SYNC_PASSIVE_FIELDS.has(field)) {
+      this.flushTimer = setTimeout(() => this.flush(), SYNC_FLUSH_DELAY_MS);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  /**
+   * Send pending changes as one self-addressed record. Failed sends stay pending until the next
+   * batch, reconnect or sign in.
+   */
+  async flush() {
+    this.stop();
+    if (this.flushing || !isOnline || !this.isEnabled()) return;
+    const changes = Object.values(myData.sync.pending);
+    if (changes.length === 0) return;
+
+    this.flushing = true;
+    try {
+      const keys = myAccount.keys;
+      const cryptoContext = { contact: null, dhkey: generateRandomBytes(32), cipherText: new Uint8Array(0) };
+      const { chatMessageObj, txid } = await chatModal.buildEncryptedStructuredChatTx(
+        keys.address,
+        { type: SYNC_MESSAGE_TYPE, changes },
+        0n,
+        keys,
+        cryptoContext
+      );
+      const response = await injectTx(chatMessageObj, txid);
+      if (!response?.result?.success) {
+        throw new Error(response?.result?.reason || 'Sync record was rejected');
+      }
+      // Changes recorded while this one was being sent stay pending
+      const { pending } = this.getState();
+      for (const change of changes) {
+        const key = `${change.field}:${change.id}`;
+        if (pending[key] === change) delete pending[key];
+      }
+      saveState();
+    } catch (error) {
+      console.warn('Device sync failed:', error);
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Apply sync records found in our own chat, including the ones this device sent
+   * @param {Array<Object>} txs - Message transactions from this account to itself
+   * @param {Object} keys
+   * @returns {boolean} True if anything changed
+   */
+  applyRecords(txs, keys) {
+    let changed = false;
+    const deviceId = this.getDeviceId();
+    for (const tx of txs) {
+      if (tx.type !== 'message' || !tx.xmessage || typeof tx.xmessage !== 'object') continue;
+      const payload = { ...tx.xmessage };
+      decryptMessage(payload, keys, true);
+      let record;
+      try {
+        record = JSON.parse(payload.message);
+      } catch (e) {
+        continue;
+      }
+      if (record?.type !== SYNC_MESSAGE_TYPE || !Array.isArray(record.changes)) continue;
+      // Another device of this account syncs, so this one joins in
+      if (!this.isEnabled() && record.changes.some((change) => change?.device && change.device !== deviceId)) {
+        this.getState().enabled = true;
+        changed = true;
+      }
+      for (const change of record.changes) {
+        changed = this.apply(change) || changed;
+      }
+    }
+    if (!changed) return false;
+
+    saveState();
+    if (chatsScreen.isActive()) chatsScreen.updateChatList();
+    if (contactsScreen.isActive()) contactsScreen.updateContactsList();
+    if (chatModal.isActive() && myData.contacts[chatModal.address]) {
+      chatModal.modalTitle.textContent = getContactDisplayName(myData.contacts[chatModal.address]);
+      chatModal.appendChatModal();
+    }
+    return true;
+  }
+
+  /**
+   * @param {{field: string, id: string, value: *, ts: number, device: string}} change
+   * @returns {boolean} True if the change was newer than what this device has and was applied
+   */
+  apply(change) {
+    const handler = DEVICE_SYNC_FIELDS[change?.field];
+    if (!handler || typeof change.id !== 'string' || !Number.isFinite(change.ts)) return false;
+    const key = `${change.field}:${change.id}`;
+    const device = String(change.device || '');
+    const { clocks } = this.getState();
+    const [clockTs = 0, clockDevice = ''] = clocks[key] || [];
+    if (change.ts < clockTs || (change.ts === clockTs && device <= clockDevice)) return false;
+    if (!handler(change.id, change.value)) return false;
+    clocks[key] = [change.ts, device];
+    return true;
+  }
+}
+
+const deviceSync = new DeviceSync();
+
 class ChatSettingsModal {
   constructor() {
     this.storageKey = 'chat_font_size_px';
@@ -6432,6 +8104,8 @@ class ChatSettingsModal {
     this.savedFontSizePx = this.defaultFontSizePx;
     this.draftFontSizePx = this.defaultFontSizePx;
     this.warningShown = false;
+    // Set when opened from a chat; the disappearing messages timer belongs to that chat
+    this.address = null;
   }
 
   load() {
@@ -6440,10 +8114,20 @@ class ChatSettingsModal {
     this.preview = document.getElementById('chatSettingsFontPreview');
     this.fontSizeSlider = document.getElementById('chatSettingsFontSizeSlider');
     this.saveButton = document.getElementById('saveChatSettingsButton');
+    this.retentionSection = document.getElementById('chatSettingsRetentionSection');
+    this.retentionSelect = document.getElementById('chatSettingsRetention');
+    this.notificationsSection = document.getElementById('chatSettingsNotificationsSection');
+    this.webPushToggle = document.getElementById('chatSettingsWebPush');
+    this.deviceSyncToggle = document.getElementById('chatSettingsDeviceSync');
 
     this.closeButton.addEventListener('click', () => this.close());
+    // Applied right away rather than on save; the permission prompt needs the click
+    this.webPushToggle.addEventListener('change', () => this.handleWebPushToggle());
+    this.deviceSyncToggle.addEventListener('change', () => deviceSync.setEnabled(this.deviceSyncToggle.checked));
     this.fontSizeSlider.addEventListener('input', () => this.handleSliderInput());
-    this.saveButton.addEventListener('click', () => this.save());
+    this.retentionSelect.addEventListener('change', () => { this.warningShown = false; });
+    this.saveButton.addEventListener('click', withButtonCooldown(this.saveButton, BUTTON_COOLDOWN_MS, null, () => this.save()));
+    this.retentionSelect.replaceChildren(...RETENTION_OPTIONS.map(({ ttl, label }) => new Option(label, String(ttl))));
 
     this.savedFontSizePx = this.readSavedFontSize();
     this.draftFontSizePx = this.savedFontSizePx;
@@ -6452,7 +8136,16 @@ class ChatSettingsModal {
     this.applyChatFontSize();
   }
 
-  open() {
+  /**
+   * @param {string|null} [address] - Chat to show the disappearing messages timer for
+   */
+  open(address = null) {
+    this.address = address && myData.contacts[address] ? address : null;
+    this.retentionSection.style.display = this.address ? '' : 'none';
+    this.retentionSelect.value = String(this.getSavedRetentionTtl());
+    this.notificationsSection.style.display = webPush.isSupported() ? '' : 'none';
+    this.webPushToggle.checked = webPush.isEnabled();
+    this.deviceSyncToggle.checked = deviceSync.isEnabled();
     this.draftFontSizePx = this.savedFontSizePx;
     this.warningShown = false;
     this.setSliderValue(this.draftFontSizePx);
@@ -6460,6 +8153,23 @@ class ChatSettingsModal {
     openModal(this.modal);
   }
 
+  async handleWebPushToggle() {
+    this.webPushToggle.disabled = true;
+    try {
+      if (this.webPushToggle.checked) {
+        this.webPushToggle.checked = await webPush.enable();
+      } else {
+        await webPush.disable();
+      }
+    } finally {
+      this.webPushToggle.disabled = false;
+    }
+  }
+
+  getSavedRetentionTtl() {
+    return this.address ? myData.contacts[this.address]?.retention?.ttl || 0 : 0;
+  }
+
   handleSliderInput() {
     this.draftFontSizePx = this.clampFontSize(Number(this.fontSizeSlider.value));
     this.syncSliderPosition(this.draftFontSizePx);
@@ -6467,7 +8177,12 @@ class ChatSettingsModal {
     this.updatePreview();
   }
 
-  save() {
+  async save() {
+    const ttl = Number(this.retentionSelect.value);
+    if (this.address && ttl !== this.getSavedRetentionTtl()) {
+      const sent = await chatModal.sendRetentionMessage(this.address, ttl);
+      if (!sent) return;
+    }
     this.savedFontSizePx = this.draftFontSizePx;
     localStorage.setItem(this.storageKey, String(this.savedFontSizePx));
     this.applyChatFontSize();
@@ -6517,7 +8232,8 @@ class ChatSettingsModal {
   }
 
   hasUnsavedChanges() {
-    return this.draftFontSizePx !== this.savedFontSizePx;
+    return this.draftFontSizePx !== this.savedFontSizePx
+      || (!!this.address && Number(this.retentionSelect.value) !== this.getSavedRetentionTtl());
   }
 
   close() {
@@ -6536,6 +8252,7 @@ class ChatSettingsModal {
     this.warningShown = false;
     this.setSliderValue(this.savedFontSizePx);
     this.updatePreview();
+    this.address = null;
   }
 
   isActive() {
@@ -7602,24 +9319,17 @@ class SignInModal {
     myData = loadState(`${username}_${netid}`);
     assert(myData, `Account data missing for ${username}`);
     myAccount = myData.account;
+    // Accounts created before group chats have no groups map
+    myData.groups ??= {};
     logsModal.log(`SignIn as ${username}_${netid}`)
     this.recordRecentSignInUsername(username);
 
-    // One-time migration: convert legacy friend status to connection
-    if (migrateFriendStatusToConnection(myData)) {
-      saveState();
-    }
-
-
-    // One-time migration: extract attachment encryption keys to encKey field
-    if (await migrateAttachmentKeysToEncKey(myData)) {
+    if (await runAccountDataMigrations(myData)) {
       saveState();
     }
 
-    // One-time migration: split deleted state into local-only vs for-all
-    if (migrateDeletedMessageStates(myData)) {
-      saveState();
-    }
+    // Built in the background; a search before it finishes just sees fewer results
+    messageSearchModal.loadIndex();
 
     // Clear notification address for this account when signing in
     // Notification storage is only for accounts the user is NOT signed in to
@@ -7628,8 +9338,26 @@ class SignInModal {
       reactNativeApp.clearNotificationAddress(addressToClear);
       reactNativeApp.sendClearNotifications(addressToClear);
     }
+    if (webPush.isSupported() && myAccount?.keys?.address) {
+      reactNativeApp.clearNotificationAddress(myAccount.keys.address);
+      webPush.collectNotifications();
+    }
 
     /* requestNotificationPermission(); */
+    chatSocket.start();
+    // Catch up on anything that expired while the app was closed
+    messageRetention.start();
+    // Anything left queued from a previous offline session
+    chatsScreen.updateOutboxBanner();
+    outbox.drain();
+    // Sync changes this device made before it was last closed
+    deviceSync.flush();
+    webPush.subscribe();
+    // Answer dApps that asked to connect while signed out
+    evmProvider.start();
+    evmAssets.watchPendingTransactions();
+    daoWatcher.start();
+    idleLock.start();
     if (useLongPolling) {
       setTimeout(longPoll, 10);
     }
@@ -7674,6 +9402,9 @@ class SignInModal {
     callsModal.refreshCalls();
     header.updateCallsIcon();
     callsModal.startPeriodicCallsRefresh();
+
+    // Notification clicked while signed out
+    webPush.openPending();
   }
 
   /**
@@ -7699,7 +9430,7 @@ class SignInModal {
       const address = netidAccounts.usernames[username].address;
       let availability = await checkUsernameAvailability(username, address);
       // Retry when network says 'available' but local account data still exists (propagation delay).
-      if (availability === 'available' && localStorage.getItem(`${username}_${netid}`)) {
+      if (availability === 'available' && accountStore.has(`${username}_${netid}`)) {
         for (let attempt = 2; attempt <= 3 && availability === 'available'; attempt++) {
           logsModal.log(`[SignInModal] Retry ${attempt}/3 username availability for '${username}' because local data exists but network returned 'available'.`);
           await new Promise((resolve) => setTimeout(resolve, 200));
@@ -7988,6 +9719,9 @@ class ContactInfoModal {
     this.avatarEditButton.setAttribute('aria-label', 'Edit photo');
     this.notesElement = document.getElementById('contactInfoNotes');
     this.notesEditButton = document.getElementById('notesEditButton');
+    this.keyStatusItem = document.getElementById('contactInfoKeysItem');
+    this.keyStatusElement = document.getElementById('contactInfoKeyStatus');
+    this.verifyKeysButton = document.getElementById('contactInfoVerifyKeys');
 
     // Back button
     this.backButton.addEventListener('click', () => this.close());
@@ -8042,6 +9776,24 @@ class ContactInfoModal {
     // Copy address functionality
     this.copyButton.addEventListener('click', () => this.copyAddress());
     this.subtitleDiv.addEventListener('click', () => this.copyAddress());
+
+    this.verifyKeysButton.addEventListener('click', () => {
+      if (this.currentContactAddress) keyVerificationModal.open(this.currentContactAddress);
+    });
+  }
+
+  // Show whether the contact's keys have been verified; hidden until both keys are known
+  updateKeyStatus() {
+    const address = this.currentContactAddress;
+    const contact = address && myData.contacts[address];
+    if (!contact?.public || !contact?.pqPublic) {
+      this.keyStatusItem.style.display = 'none';
+      return;
+    }
+    const status = getContactKeyStatus(address);
+    this.keyStatusItem.style.display = 'flex';
+    this.keyStatusElement.textContent = KEY_VERIFICATION_STATUS_LABELS[status];
+    this.keyStatusElement.dataset.status = status;
   }
 
   // Update contact info values
@@ -8159,8 +9911,21 @@ class ContactInfoModal {
     if (contact) {
       friendModal.updateFriendButton(contact, 'addFriendButtonContactInfo');
     }
+    this.updateKeyStatus();
 
     openModal(this.modal);
+
+    if (contact) void this.checkKeys(displayInfo.address);
+  }
+
+  async checkKeys(address) {
+    try {
+      await ensureContactKeys(address);
+      if (await refreshContactKeys(address)) chatModal.updateKeyChangeWarning();
+    } catch (error) {
+      console.warn('Contact key check failed:', error);
+    }
+    if (this.currentContactAddress === address) this.updateKeyStatus();
   }
 
   // Close the modal
@@ -8187,6 +9952,170 @@ class ContactInfoModal {
 // Create a singleton instance
 const contactInfoModal = new ContactInfoModal();
 
+const KEY_VERIFICATION_STATUS_LABELS = {
+  [KEY_VERIFICATION_STATUS.UNVERIFIED]: 'Not verified',
+  [KEY_VERIFICATION_STATUS.VERIFIED]: 'Verified',
+  [KEY_VERIFICATION_STATUS.CHANGED]: 'Keys changed',
+};
+
+/**
+ * Key Verification Modal
+ * @class
+ * @description Shows the safety number for a contact and a QR code of it. Scanning the contact's code (or
+ * comparing the numbers in person and marking them as verified) stores the contact's key fingerprint.
+ */
+class KeyVerificationModal {
+  constructor() {
+    this.address = null;
+  }
+
+  load() {
+    this.modal = document.getElementById('keyVerificationModal');
+    this.closeButton = document.getElementById('closeKeyVerificationModal');
+    this.statusElement = document.getElementById('keyVerificationStatus');
+    this.qrContainer = document.getElementById('keyVerificationQr');
+    this.numberElement = document.getElementById('keyVerificationNumber');
+    this.hintElement = document.getElementById('keyVerificationHint');
+    this.scanButton = document.getElementById('keyVerificationScan');
+    this.toggleButton = document.getElementById('keyVerificationToggle');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.scanButton.addEventListener('click', () => {
+      qrScanModal.fillFunction = (data) => this.handleScan(data);
+      qrScanModal.open();
+    });
+    this.toggleButton.addEventListener('click', () => this.handleToggle());
+  }
+
+  /**
+   * @param {string} address - contact address
+   */
+  async open(address) {
+    const ok = await ensureContactKeys(address);
+    if (!ok || !getMyKeyFingerprint()) {
+      showToast('Could not get the keys for this contact. Please try again when online.', 0, 'error');
+      return;
+    }
+    this.address = address;
+    this.render();
+    openModal(this.modal);
+  }
+
+  close() {
+    this.address = null;
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  getSafetyNumber() {
+    return getSafetyNumber(
+      { address: myAccount.keys.address, fingerprint: getMyKeyFingerprint() },
+      { address: this.address, fingerprint: getContactKeyFingerprint(this.address) }
+    );
+  }
+
+  render() {
+    const contact = myData.contacts[this.address];
+    const name = getContactDisplayName(contact);
+    const status = getContactKeyStatus(this.address);
+    const safetyNumber = this.getSafetyNumber();
+
+    if (status === KEY_VERIFICATION_STATUS.VERIFIED) {
+      this.statusElement.textContent = `You have verified ${name}'s keys.`;
+    } else if (status === KEY_VERIFICATION_STATUS.CHANGED) {
+      this.statusElement.textContent = `${name}'s keys have changed since you verified them. Verify them again.`;
+    } else {
+      this.statusElement.textContent = `You have not verified ${name}'s keys.`;
+    }
+    this.statusElement.dataset.status = status;
+    this.hintElement.textContent =
+      `Scan the code on ${name}'s device, or compare the numbers above with theirs. ` +
+      'If they match, nobody can read or change your messages in between.';
+    this.toggleButton.textContent =
+      status === KEY_VERIFICATION_STATUS.VERIFIED ? 'Clear Verification' : 'Mark as Verified';
+
+    this.numberElement.innerHTML = formatSafetyNumber(safetyNumber)
+      .map((group) => `<span>${group}</span>`)
+      .join('');
+    this.renderQR(buildVerificationQrPayload(myAccount.keys.address, safetyNumber));
+  }
+
+  renderQR(qrText) {
+    try {
+      this.qrContainer.innerHTML = '';
+      const gifBytes = qr.encodeQR(qrText, 'gif', { scale: 4 });
+      const base64 = btoa(String.fromCharCode.apply(null, new Uint8Array(gifBytes)));
+      const img = document.createElement('img');
+      img.src = 'data:image/gif;base64,' + base64;
+      img.width = 200;
+      img.height = 200;
+      img.alt = 'Safety number QR code';
+      this.qrContainer.appendChild(img);
+    } catch (e) {
+      console.error('Failed to render safety number QR:', e);
+    }
+  }
+
+  handleScan(data) {
+    if (!this.address) return;
+    const scanned = parseVerificationQrPayload(data);
+    if (!scanned) {
+      showToast('This is not a safety number code.', 0, 'error');
+      return;
+    }
+    if (scanned.address !== normalizeAddress(this.address)) {
+      const name = getContactDisplayName(myData.contacts[this.address]);
+      showToast(`This code belongs to another account, not ${name}.`, 0, 'error');
+      return;
+    }
+    if (scanned.safetyNumber !== this.getSafetyNumber()) {
+      showToast('Safety numbers do not match. Your messages with this contact may be intercepted.', 0, 'error');
+      return;
+    }
+    this.setVerified(true);
+    showToast('Safety number verified', 2000, 'success');
+  }
+
+  handleToggle() {
+    const verified = getContactKeyStatus(this.address) === KEY_VERIFICATION_STATUS.VERIFIED;
+    this.setVerified(!verified);
+  }
+
+  setVerified(verified) {
+    const contact = myData.contacts[this.address];
+    if (!contact) return;
+    if (verified) {
+      contact.keyVerification = { fingerprint: getContactKeyFingerprint(this.address), verifiedAt: Date.now() };
+    } else {
+      delete contact.keyVerification;
+    }
+    saveState();
+    this.render();
+    this.updateOtherViews();
+  }
+
+  /**
+   * Keep using a contact's new keys without verifying them: the contact goes back to not verified
+   * @param {string} address
+   */
+  acceptKeyChange(address) {
+    const contact = myData.contacts[address];
+    if (!contact) return;
+    delete contact.keyVerification;
+    saveState();
+    this.updateOtherViews();
+  }
+
+  updateOtherViews() {
+    contactInfoModal.updateKeyStatus();
+    chatModal.updateKeyChangeWarning();
+  }
+}
+const keyVerificationModal = new KeyVerificationModal();
+
 const FRIEND_STATUS_PENDING_STALE_MS = 60 * 1000;
 const FRIEND_STATUS_REFRESH_TIMEOUT_MS = 10 * 1000;
 const VALID_FRIEND_STATUSES = new Set([0, 1, 2]);
@@ -8939,6 +10868,8 @@ class EditContactModal {
     const newNotes = notesValue.trim() || null;
     const contact = myData.contacts[this.currentContactAddress];
     if (contact) {
+      if ((contact.name || null) !== newName) deviceSync.record('name', this.currentContactAddress, newName);
+      if ((contact.notes || null) !== newNotes) deviceSync.record('notes', this.currentContactAddress, newNotes);
       contact.name = newName;
       contact.notes = newNotes;
       contactInfoModal.needsContactListUpdate = true;
@@ -8967,6 +10898,7 @@ const editContactModal = new EditContactModal();
 class HistoryModal {
   constructor() {
     // No DOM dependencies in constructor
+    this.evmHistoryError = null;
   }
 
   load() {
@@ -8985,9 +10917,13 @@ class HistoryModal {
     this.transactionList.addEventListener('click', (event) => this.handleItemClick(event));
   }
 
-  open() {
+  /**
+   * @param {{evmNetworkId?: string}} [options] - Show the transfers of an EVM network instead of Liberdus
+   */
+  open({ evmNetworkId = null } = {}) {
     openModal(this.modal);
     this.populateAssets();
+    if (evmNetworkId) this.assetSelect.value = `evm:${evmNetworkId}`;
     this.updateTransactionHistory();
     
     // Update last viewed timestamp when user opens history modal
@@ -9010,14 +10946,26 @@ class HistoryModal {
       return;
     }
     
+    const evmNetworks = evmAssets.getEvmCatalog();
     this.assetSelect.innerHTML = walletData.assets
       .map((asset, index) => `<option value="${index}">${asset.name} (${asset.symbol})</option>`)
-      .join('');
+      .join('') + (evmNetworks.length > 0
+      ? `<optgroup label="EVM networks">${evmNetworks
+        .map((network) => `<option value="evm:${escapeHtml(network.id)}">${escapeHtml(network.name)}</option>`)
+        .join('')}</optgroup>`
+      : '');
   }
 
-  updateTransactionHistory() {
+  /**
+   * @param {{refreshEvm?: boolean}} [options] - Read new blocks when an EVM network is selected
+   */
+  updateTransactionHistory({ refreshEvm = true } = {}) {
     const walletData = myData.wallet;
     const assetIndex = this.assetSelect.value;
+    if (assetIndex.startsWith('evm:')) {
+      this.updateEvmHistory(assetIndex.slice(4), { refresh: refreshEvm });
+      return;
+    }
     
     if (!walletData.history || walletData.history.length === 0) {
       this.showEmptyState();
@@ -9102,7 +11050,7 @@ class HistoryModal {
               <div class="transaction-address">
                 ${tx.sign === -1 ? 'To:' : 'From:'} ${tx.nominee || contactName}
               </div>
-              <div class="transaction-time">${formatTime(tx.timestamp)}</div>
+              <div class="transaction-time">${tx.scheduledAt ? `Scheduled for ${formatScheduledTime(tx.scheduledAt)}` : formatTime(tx.timestamp)}</div>
             </div>
             ${tx.memo ? `<div class="transaction-memo">${linkifyUrls(tx.memo)}</div>` : ''}
           </div>
@@ -9114,6 +11062,180 @@ class HistoryModal {
     requestAnimationFrame(() => (this.formContainer.scrollTop = 0));
   }
 
+  /**
+   * Transfers of an EVM network: transactions this client sent that are not confirmed yet, then the transfers
+   * read from the chain. New blocks are read in the background and the list is redrawn when they arrive.
+   * @param {string} networkId
+   * @param {{refresh?: boolean}} [options]
+   */
+  updateEvmHistory(networkId, { refresh = true } = {}) {
+    const walletNetwork = evmAssets.getEvmCatalog().find((network) => network.id === networkId);
+    if (!walletNetwork) {
+      this.transactionList.innerHTML = '';
+      return;
+    }
+
+    const tracked = evmAssets.getTrackedTransactions().filter((record) => record.chainId === walletNetwork.chainId);
+    const trackedByHash = new Map(tracked
+      .filter((record) => record.minedHash)
+      .map((record) => [record.minedHash, record]));
+    const rows = [
+      ...tracked
+        .filter((record) => record.status !== 'confirmed')
+        .map((record) => this.renderEvmTransaction(walletNetwork, record)),
+      ...evmAssets.getHistory(networkId).map((transfer) => (
+        this.renderEvmTransfer(walletNetwork, transfer, trackedByHash.get(transfer.transactionHash))
+      )),
+    ];
+
+    let status = rows.length === 0 ? 'No transfers yet' : '';
+    if (refresh) status = 'Checking for new transfers…';
+    else if (this.evmHistoryError) status = `Could not read ${walletNetwork.name}: ${this.evmHistoryError}`;
+    let explorerLink = '';
+    try {
+      const explorerUrl = buildEvmAssetHistoryUrl(walletNetwork, null, myAccount?.keys?.address);
+      if (explorerUrl) {
+        explorerLink = `<a href="${escapeHtml(explorerUrl)}" target="_blank" rel="noopener noreferrer">View all on the explorer</a>`;
+      }
+    } catch {
+      // No explorer link without a valid wallet address
+    }
+
+    this.transactionList.innerHTML = `
+      ${rows.join('')}
+      ${status ? `<div class="evm-history-status">${escapeHtml(status)}</div>` : ''}
+      <div class="evm-history-status">
+        Received ${escapeHtml(walletNetwork.nativeSymbol)} is not listed here.
+        ${explorerLink}
+      </div>
+    `;
+
+    if (!refresh) return;
+    this.evmHistoryError = null;
+    evmAssets.refreshHistory(networkId)
+      .catch((error) => {
+        console.warn('EVM history refresh failed:', error);
+        this.evmHistoryError = error?.message || 'request failed';
+      })
+      .finally(() => {
+        if (this.isActive() && this.assetSelect.value === `evm:${networkId}`) {
+          this.updateEvmHistory(networkId, { refresh: false });
+        }
+      });
+  }
+
+  /**
+   * Replacement chain of a transaction this client sent: the original, speed-ups and cancellation, and which
+   * one was mined
+   * @returns {string} HTML
+   */
+  renderEvmReplacements(record) {
+    if (!record || (record.attempts.length < 2 && record.status === 'confirmed')) return '';
+    const kindLabels = { original: 'Sent', speedup: 'Sped up', cancel: 'Cancel' };
+    return `<ol class="evm-replacements">${record.attempts.map((attempt) => {
+      const hash = attempt.transactionHash;
+      const mined = hash === record.minedHash;
+      const shortHash = `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+      return `
+        <li class="${mined ? 'mined' : ''}">
+          <span>${kindLabels[attempt.kind] || attempt.kind}</span>
+          <span class="evm-replacement-hash" title="${escapeHtml(hash)}">${escapeHtml(shortHash)}</span>
+          ${mined ? '<span>mined</span>' : ''}
+        </li>
+      `;
+    }).join('')}</ol>`;
+  }
+
+  /**
+   * Row for a transaction this client sent that is pending, or that was cancelled, reverted or replaced
+   * @returns {string} HTML
+   */
+  renderEvmTransaction(walletNetwork, record) {
+    const statusLabels = {
+      pending: 'Pending',
+      cancelled: 'Cancelled',
+      failed: 'Reverted',
+      dropped: 'Replaced by another wallet',
+    };
+    const id = escapeHtml(record.id);
+    const actions = record.status === 'pending'
+      ? `
+        <div class="evm-transaction-actions">
+          <button type="button" class="btn btn--secondary" data-evm-action="speedup" data-evm-id="${id}">Speed up</button>
+          <button type="button" class="btn btn--secondary" data-evm-action="cancel" data-evm-id="${id}">Cancel</button>
+        </div>
+      `
+      : '';
+
+    return `
+      <div class="transaction-item evm-transaction" data-evm-status="${record.status}">
+        <div class="transaction-info">
+          <div class="transaction-type send">↑ Sent</div>
+          <div class="transaction-amount">- ${escapeHtml(record.amount)} ${escapeHtml(record.tokenSymbol)}</div>
+        </div>
+        <div class="transaction-details">
+          <div class="transaction-address">To: ${escapeHtml(record.recipientLabel)}</div>
+          <div class="transaction-time">${formatTime(record.submittedAt)}</div>
+        </div>
+        <div class="transaction-memo">${statusLabels[record.status] || record.status}</div>
+        ${this.renderEvmReplacements(record)}
+        ${actions}
+      </div>
+    `;
+  }
+
+  /**
+   * Row for a transfer read from the chain. The other side links to its chat if it is a Liberdus contact.
+   * @returns {string} HTML
+   */
+  renderEvmTransfer(walletNetwork, transfer, record = null) {
+    const asset = walletNetwork.assets.find((entry) => (
+      (entry.contractAddress?.toLowerCase() ?? null) === transfer.contractAddress
+    ));
+    const price = getAssetUsdPrice({ symbol: transfer.tokenSymbol, price: asset?.tokenPriceUsd ?? undefined });
+    const usdValue = price === null ? null : Number(transfer.tokenAmount) * price;
+
+    let liberdusAddress = null;
+    let counterparty = 'Unknown';
+    if (transfer.counterparty) {
+      liberdusAddress = evmAssets.recipients.getLiberdusAddress(transfer.counterparty);
+      const contact = myData.contacts[liberdusAddress];
+      counterparty = contact
+        ? getContactDisplayName(contact)
+        : evmAssets.recipients.findUsername(transfer.counterparty)
+          || `${transfer.counterparty.slice(0, 8)}…${transfer.counterparty.slice(-6)}`;
+      if (!contact) liberdusAddress = null;
+    }
+
+    const sent = transfer.direction !== 'receive';
+    const explorerUrl = buildEvmTransactionUrl(walletNetwork, transfer.transactionHash);
+    const details = [
+      Number.isFinite(usdValue) ? `≈ $${usdValue.toFixed(2)}` : '',
+      explorerUrl
+        ? `<a href="${escapeHtml(explorerUrl)}" target="_blank" rel="noopener noreferrer">View transaction</a>`
+        : '',
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <div class="transaction-item evm-transaction" ${liberdusAddress ? `data-address="${liberdusAddress}"` : ''}>
+        <div class="transaction-info">
+          <div class="transaction-type ${sent ? 'send' : 'receive'}">
+            ${transfer.direction === 'self' ? '↔ To yourself' : sent ? '↑ Sent' : '↓ Received'}
+          </div>
+          <div class="transaction-amount">
+            ${sent ? '-' : '+'} ${escapeHtml(transfer.tokenAmount)} ${escapeHtml(transfer.tokenSymbol)}
+          </div>
+        </div>
+        <div class="transaction-details">
+          <div class="transaction-address">${sent ? 'To:' : 'From:'} ${escapeHtml(counterparty)}</div>
+          <div class="transaction-time">${formatTime(transfer.timestamp)}</div>
+        </div>
+        ${details ? `<div class="transaction-memo">${details}</div>` : ''}
+        ${this.renderEvmReplacements(record)}
+      </div>
+    `;
+  }
+
   showEmptyState() {
     this.transactionList.querySelector('.empty-state').style.display = 'block';
   }
@@ -9122,10 +11244,18 @@ class HistoryModal {
     this.updateTransactionHistory();
   }
 
-  handleItemClick(event) {
+  async handleItemClick(event) {
+    const evmAction = event.target.closest('button[data-evm-action]');
+    if (evmAction) {
+      evmAction.disabled = true;
+      await evmAssets.replaceTransaction(evmAction.dataset.evmId, evmAction.dataset.evmAction);
+      evmAction.disabled = false;
+      return;
+    }
+
     const item = event.target.closest('.transaction-item');
     
-    if (!item) return;
+    if (!item || event.target.closest('a')) return;
     
     // Prevent clicking on deleted transactions
     if (item.classList.contains('deleted-transaction')) {
@@ -9139,6 +11269,11 @@ class HistoryModal {
       }
       return;
     }
+
+    if (item.dataset.status === 'queued' || item.dataset.status === 'scheduled') {
+      outboxModal.open();
+      return;
+    }
     
     const type = item.querySelector('.transaction-type')?.textContent;
     if (type.includes('stake')) {
@@ -9165,7 +11300,7 @@ class HistoryModal {
   // Public method for external updates
   refresh() {
     if (this.isActive()) {
-      this.updateTransactionHistory();
+      this.updateTransactionHistory({ refreshEvm: false });
     }
   }
 
@@ -9356,12 +11491,14 @@ class CallsModal {
             callGroups.set(groupKey, {
               callTime,
               callUrl,
+              callKey: null,
               participants: [],
               participantAddresses: new Set()
             });
           }
 
           const group = callGroups.get(groupKey);
+          group.callKey ||= msg.callKey || null;
           if (!address || group.participantAddresses.has(address)) continue;
 
           group.participantAddresses.add(address);
@@ -9399,7 +11536,7 @@ class CallsModal {
       showToast('Call link not found', 0, 'error');
       return;
     }
-    window.open(callGroup.callUrl+`${callUrlParams}"${myAccount.username}"`, '_blank');
+    openCallWindow(callGroup.callUrl, callGroup.callKey);
   }
 
   /**
@@ -9731,29 +11868,44 @@ async function updateAssetPricesIfNeeded() {
   await getLibUsdPrice();
 }
 
-async function queryNetwork(url, abortSignal = null) {
+/**
+ * Query a gateway, failing over to the next healthy gateway if it does not answer
+ * @param {string} url - Path on the gateway
+ * @param {AbortSignal|null} [abortSignal]
+ * @param {{timeout?: number}} [options] - timeout 0 for requests the gateway holds open, like the long poll
+ * @returns {Promise<any>} Parsed response, or null on failure
+ */
+async function queryNetwork(url, abortSignal = null, { timeout } = {}) {
   //console.log('queryNetwork', url)
   if (!isOnline) {
     console.warn('QueryNetwork: not online');
     return null;
   }
-  const selectedGateway = getGatewayForRequest();
-  if (!selectedGateway) {
+  if (getGatewayList().length === 0) {
     console.error('No gateway available for network query');
     showToast('queryNetwork: no gateway', 0, 'error')
     return null;
   }
 
   try {
-    if (network.name != 'Testnet'){
-//      showToast(`${now} query ${selectedGateway.web}${url}`, 0, 'info')
-    }
-    const response = await fetch(`${selectedGateway.web}${url}`, { signal: abortSignal });
-    const data = parse(await response.text());
+    const { data } = await requestGateway(url, {
+      signal: abortSignal,
+      timeout,
+      read: async (response) => {
+        const text = await response.text();
+        try {
+          return parse(text);
+        } catch (error) {
+          // Error pages for missing data are a valid answer; a garbled success is a broken gateway
+          if (response.ok) throw error;
+          return null;
+        }
+      },
+    });
     return data;
   } catch (error) {
     // Check if error is due to abort
-    if (error.name === 'AbortError') {
+    if (abortSignal?.aborted) {
       console.error('queryNetwork aborted:', url);
       return null;
     }
@@ -9865,6 +12017,69 @@ async function ensureContactKeys(address) {
   }
 }
 
+// Fingerprints take thousands of hashes; keyed by address and both keys so changed keys miss the cache
+const keyFingerprintCache = new Map();
+
+function getCachedKeyFingerprint(address, publicKey, pqPublicKey) {
+  if (!address || !publicKey || !pqPublicKey) return null;
+  const cacheKey = `${address}:${publicKey}:${pqPublicKey}`;
+  if (!keyFingerprintCache.has(cacheKey)) {
+    keyFingerprintCache.set(cacheKey, getKeyFingerprint({ address, publicKey, pqPublicKey }));
+  }
+  return keyFingerprintCache.get(cacheKey);
+}
+
+/**
+ * Fingerprint of the keys stored for a contact
+ * @param {string} address
+ * @returns {string|null} null until both keys are known
+ */
+function getContactKeyFingerprint(address) {
+  const contact = myData?.contacts?.[address];
+  return getCachedKeyFingerprint(address, contact?.public, contact?.pqPublic);
+}
+
+function getMyKeyFingerprint() {
+  const keys = myAccount?.keys;
+  if (!keys?.pqSeed) return null;
+  return getCachedKeyFingerprint(keys.address, keys.public, bin2base64(generatePQKeys(keys.pqSeed).publicKey));
+}
+
+/**
+ * @param {string} address
+ * @returns {string} one of KEY_VERIFICATION_STATUS
+ */
+function getContactKeyStatus(address) {
+  const contact = myData?.contacts?.[address];
+  if (!contact?.keyVerification) return KEY_VERIFICATION_STATUS.UNVERIFIED;
+  return getKeyVerificationStatus(contact, getContactKeyFingerprint(address));
+}
+
+/**
+ * Compare the keys stored for a contact with the ones on the network and take the network's if they differ.
+ * ensureContactKeys only fetches missing keys, so this is what notices a contact registering new keys.
+ * @param {string} address
+ * @returns {Promise<boolean>} true if the stored keys changed
+ */
+async function refreshContactKeys(address) {
+  const contact = myData?.contacts?.[address];
+  if (!contact?.public || !contact?.pqPublic || !isOnline) return false;
+  const accountInfo = await queryNetwork(`/account/${longAddress(address)}`);
+  const netPub = accountInfo?.account?.publicKey;
+  const netPq = accountInfo?.account?.pqPublicKey;
+  if (!netPub || !netPq || (netPub === contact.public && netPq === contact.pqPublic)) return false;
+  // The address is derived from the public key, so a public key for another address is never taken
+  if (bin2hex(generateAddress(hex2bin(netPub))) !== normalizeAddress(address)) {
+    console.error('refreshContactKeys: public key/address mismatch', address);
+    return false;
+  }
+  if (myData?.contacts?.[address] !== contact) return false;
+  contact.public = netPub;
+  contact.pqPublic = netPq;
+  saveState();
+  return true;
+}
+
 /**
  * @typedef {{ sender: string, reactId: string, action: 'remove', timestamp: number, reactionTxId?: string, targetReactionTxId?: string } | { sender: string, reactId: string, action: 'set', emoji: string, timestamp: number, reactionTxId?: string }} ReactionUpdate
  */
@@ -10334,6 +12549,10 @@ function getReactionTargetPreviewText(message) {
     return 'location';
   }
 
+  if (message.type === PAYMENT_REQUEST_TYPE) {
+    return 'payment request';
+  }
+
   const messageText = typeof message.message === 'string' ? message.message.trim() : '';
   if (messageText) {
     return messageText;
@@ -10695,6 +12914,7 @@ function restorePendingMessageEdit(pendingTxid, contactAddress, editPending) {
   } else {
     delete message.edited_timestamp;
   }
+  messageSearchModal.indexMessage(contactAddress, message);
 
   const existingChatIndex = myData.chats.findIndex((chat) => chat.address === contactAddress);
   if (existingChatIndex !== -1 && myData.chats[existingChatIndex].txid === pendingTxid) {
@@ -10866,11 +13086,276 @@ function syncChatTabNotificationBubble() {
       return false;
     }
     return contact.unread > 0;
-  });
+  }) || Object.values(myData?.groups || {}).some((group) => group.unread > 0);
 
   footer.chatButton.classList.toggle('has-notification', hasUnreadChats);
 }
 
+// Grace on top of EDIT_WINDOW_MS for group edits, matching the allowance used for 1:1 edits
+const GROUP_EDIT_ACCEPT_MS = EDIT_WINDOW_MS + (5 * 60 * 1000);
+// How long cached member toll state is trusted before a group send refreshes it
+const GROUP_TOLL_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Decrypts and applies a group event received over a 1:1 chat.
+ * @param {Object} envelope - The structured `group` chat payload
+ * @param {string} from - Transaction sender
+ * @param {number} timestamp - Skew-checked sent timestamp
+ * @returns {{groupId: string, changed: boolean, added: number, created: boolean}|null}
+ */
+function ingestGroupEnvelope(envelope, from, timestamp) {
+  const opened = openGroupEnvelope(envelope);
+  if (!opened) {
+    console.warn('Ignoring undecryptable group event', envelope?.groupId);
+    return null;
+  }
+  myData.groups ??= {};
+  return applyGroupEvent(myData.groups, opened, {
+    sender: from,
+    myAddress: myAccount.keys.address,
+    timestamp,
+    editWindowMs: GROUP_EDIT_ACCEPT_MS,
+  });
+}
+
+/**
+ * Moves the chats list entry for a group to match its latest activity.
+ * @param {Object} group
+ * @returns {void}
+ */
+function syncGroupChatEntry(group) {
+  const latestMessageTimestamp = group.messages[0]?.timestamp || 0;
+  const latestReactionTimestamp = group.reactions.reduce((latest, reaction) => Math.max(latest, reaction.timestamp), 0);
+  const existingChatIndex = myData.chats.findIndex((chat) => chat.address === group.groupId);
+  const chat = existingChatIndex === -1
+    ? { address: group.groupId, group: true }
+    : myData.chats.splice(existingChatIndex, 1)[0];
+  chat.timestamp = Math.max(latestMessageTimestamp, latestReactionTimestamp, group.timestamp || 0);
+  insertSorted(myData.chats, chat, 'timestamp');
+}
+
+/**
+ * Applies unread counts, notifications and view refreshes for groups touched by processChats.
+ * @param {Map<string, {added: number}>} groupUpdates
+ * @returns {void}
+ */
+function refreshGroupsAfterIngest(groupUpdates) {
+  for (const [groupId, update] of groupUpdates) {
+    const group = myData.groups[groupId];
+    if (!group) continue;
+    const inActiveGroup = groupChatModal.isActive() && groupChatModal.groupId === groupId;
+
+    if (update.added > 0) {
+      if (!inActiveGroup) {
+        group.unread = (group.unread || 0) + update.added;
+        if (!chatsScreen.isActive()) {
+          footer.chatButton.classList.add('has-notification');
+        }
+      }
+      if (!inActiveGroup || document.visibilityState === 'hidden') {
+        playChatSound();
+      }
+    }
+
+    syncGroupChatEntry(group);
+    messageSearchModal.reindexGroup(groupId);
+    if (inActiveGroup) {
+      groupChatModal.render(update.added > 0);
+    }
+    if (groupInfoModal.isActive() && groupInfoModal.groupId === groupId) {
+      groupInfoModal.render();
+    }
+  }
+
+  if (chatsScreen.isActive()) {
+    chatsScreen.updateChatList();
+  }
+}
+
+/**
+ * Records the final outcome of one member's copy of a group message.
+ * @param {string} txid - The 1:1 message txid carrying the group event
+ * @param {string} toAddress - Member the copy was sent to
+ * @param {string} status
+ * @returns {void}
+ */
+function markGroupDeliveryStatus(txid, toAddress, status) {
+  for (const group of Object.values(myData?.groups || {})) {
+    const record = group.messages.find((message) => message.my && message.deliveries?.[toAddress]?.txid === txid);
+    if (!record) continue;
+    record.deliveries[toAddress].status = status;
+    record.status = getGroupDeliveryStatus(record.deliveries);
+    if (groupChatModal.isActive() && groupChatModal.groupId === group.groupId) {
+      groupChatModal.render();
+    }
+    return;
+  }
+}
+
+/**
+ * Refreshes cached toll amount and toll-required state for the given members.
+ * @param {string[]} addresses
+ * @returns {Promise<void>}
+ */
+async function refreshGroupMemberTollState(addresses) {
+  await Promise.all(
+    addresses.map(async (address) => {
+      await chatModal.updateTollValue(address);
+      await chatModal.updateTollRequired(address);
+    })
+  );
+}
+
+/**
+ * Seals a group event, applies it locally and sends it as one encrypted 1:1 chat message per member.
+ * Each member's copy pays that member's toll; members who blocked us are skipped and recorded as `blocked`.
+ * @param {Object} group
+ * @param {Object} fields - Op-specific event fields, e.g. { op: GROUP_OPS.MESSAGE, message }
+ * @param {{meta?: Object, recipients?: string[]}} [options] - `meta` replaces the membership snapshot for
+ *   membership changes; `recipients` defaults to the snapshot members
+ * @returns {Promise<string|null>} The group event id, or null if nothing was sent
+ */
+async function publishGroupEvent(group, fields, options = {}) {
+  if (!isOnline) {
+    showToast('You are offline. Please try again when connected.', 3000, 'warning');
+    return null;
+  }
+  const keys = myAccount.keys;
+  const myAddress = normalizeAddress(keys.address);
+  const meta = options.meta || getGroupMeta(group);
+  const recipients = [...new Set((options.recipients || meta.members).map(normalizeAddress))]
+    .filter((address) => address !== myAddress);
+
+  let hasNewContact = false;
+  for (const address of recipients) {
+    if (!myData.contacts[address]) {
+      createNewContact(address, undefined, 1);
+      hasNewContact = true;
+    }
+  }
+  if (hasNewContact || Date.now() - (group.tollCheckedAt || 0) >= GROUP_TOLL_REFRESH_MS) {
+    await refreshGroupMemberTollState(recipients);
+    group.tollCheckedAt = Date.now();
+  }
+
+  const deliveries = {};
+  const plan = [];
+  let totalToll = 0n;
+  for (const address of recipients) {
+    const contact = myData.contacts[address];
+    const tollRequired = Number(contact.tollRequiredToSend);
+    if (tollRequired === 2) {
+      deliveries[address] = { status: 'blocked' };
+      continue;
+    }
+    const toll = tollRequired === 1
+      ? getEffectiveTollLibWei(chatModal.formatTollDisplay(contact.toll, contact.tollUnit).libWei)
+      : 0n;
+    plan.push({ address, toll });
+    totalToll += toll;
+  }
+  if (recipients.length > 0 && plan.length === 0) {
+    showToast('None of the group members can receive messages from you.', 0, 'error');
+    return null;
+  }
+
+  await getNetworkParams();
+  const extraFees = getTransactionFeeWei() * BigInt(Math.max(0, plan.length - 1));
+  const sufficientBalance = await validateBalance(totalToll + extraFees);
+  if (!sufficientBalance) {
+    showToast('Insufficient balance for the tolls and fees of this group. Go to the wallet to add more LIB.', 0, 'error');
+    return null;
+  }
+
+  const event = { ...fields, groupId: group.groupId, meta, sent_timestamp: getCorrectedTimestamp() };
+  const { envelope, eventId } = sealGroupEvent(event);
+  applyGroupEvent(myData.groups, { event, eventId }, {
+    sender: myAddress,
+    myAddress,
+    timestamp: event.sent_timestamp,
+    editWindowMs: GROUP_EDIT_ACCEPT_MS,
+  });
+
+  const localGroup = myData.groups[group.groupId];
+  const record = localGroup?.messages.find((message) => message.txid === eventId && message.my);
+  if (record) {
+    record.deliveries = deliveries;
+    for (const { address } of plan) {
+      deliveries[address] = { status: 'sending' };
+    }
+    record.status = getGroupDeliveryStatus(deliveries);
+  }
+  if (groupChatModal.isActive() && groupChatModal.groupId === group.groupId) {
+    groupChatModal.render(true);
+  }
+
+  for (const { address, toll } of plan) {
+    let txid;
+    let status = 'failed';
+    try {
+      let chatMessageObj;
+      ({ chatMessageObj, txid } = await chatModal.buildEncryptedStructuredChatTx(address, envelope, toll, keys));
+      const response = await injectTx(chatMessageObj, txid);
+      if (response?.result?.success) {
+        status = 'sent';
+        const pendingTx = myData.pending.find((pending) => pending.txid === txid);
+        if (pendingTx) {
+          pendingTx.groupId = group.groupId;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to deliver group event to ${address}:`, error);
+    }
+    deliveries[address] = txid ? { txid, status } : { status };
+  }
+
+  if (record) {
+    record.status = getGroupDeliveryStatus(deliveries);
+  }
+  if (localGroup) {
+    syncGroupChatEntry(localGroup);
+    messageSearchModal.reindexGroup(group.groupId);
+  }
+  saveState();
+  return eventId;
+}
+
+/**
+ * Display name for a group member, falling back to a shortened address.
+ * @param {string} address
+ * @returns {string}
+ */
+function getGroupMemberDisplayName(address) {
+  if (normalizeAddress(address) === normalizeAddress(myAccount.keys.address)) {
+    return 'You';
+  }
+  return getContactDisplayName(myData.contacts[address] || { address });
+}
+
+/**
+ * Text for the system lines that record membership changes in a group thread.
+ * @param {Object} entry - A GROUP_SYSTEM_ENTRY_TYPE record
+ * @returns {string}
+ */
+function describeGroupChange(entry) {
+  const actor = getGroupMemberDisplayName(entry.sender);
+  const targets = (entry.change?.targets || []).map(getGroupMemberDisplayName).join(', ');
+  switch (entry.change?.kind) {
+    case GROUP_CHANGE_KINDS.CREATE:
+      return `${actor} created the group`;
+    case GROUP_CHANGE_KINDS.RENAME:
+      return `${actor} renamed the group to "${entry.change.name || ''}"`;
+    case GROUP_CHANGE_KINDS.ADD:
+      return `${actor} added ${targets}`;
+    case GROUP_CHANGE_KINDS.REMOVE:
+      return `${actor} removed ${targets}`;
+    case GROUP_CHANGE_KINDS.LEAVE:
+      return `${actor} left the group`;
+    default:
+      return `${actor} updated the group`;
+  }
+}
+
 // Actually payments also appear in the chats, so we can add these to
 async function processChats(chats, keys) {
   let newTimestamp = 0;
@@ -10879,12 +13364,19 @@ async function processChats(chats, keys) {
   let hasAnyTransfer = false;
   let needsUpcomingCallsUiRefresh = false;
   const currentUserAddress = normalizeAddress(keys.address);
+  const groupUpdates = new Map(); // groupId -> { added }
 
   for (let sender in chats) {
     // Fetch messages using the adjusted timestamp
     const res = await queryNetwork(`/messages/${chats[sender]}/${messageQueryTimestamp}`);
     if (res && res.messages) {
       const from = normalizeAddress(sender);
+      if (from === currentUserAddress) {
+        // Sync records from this account's devices, not a chat
+        res.messages.forEach((tx) => { newTimestamp = Math.max(newTimestamp, tx.timestamp || 0); });
+        deviceSync.applyRecords(res.messages, keys);
+        continue;
+      }
       if (!myData.contacts[from]) {
         // New inbound chat (not previously in contacts): create as tolled + allow one-time tolled deposit toast
         createNewContact(from, undefined, 1, false);
@@ -11122,6 +13614,7 @@ async function processChats(chats, keys) {
                     reactNativeApp.sendCancelScheduledCall(contact?.username, Number(messageToDelete.callTime));
                   }
                   if (didDeleteMessage) {
+                    messageSearchModal.indexMessage(from, messageToDelete);
                     purgeContactReactionsForTarget(contact, messageToDelete.txid);
                     purgePendingReactionsForTarget(from, messageToDelete.txid);
                     syncChatLatestActivityTimestamp(from, contact);
@@ -11164,6 +13657,7 @@ async function processChats(chats, keys) {
                         messageToEdit.message = newText;
                         messageToEdit.edited = 1;
                         messageToEdit.edited_timestamp = tx.timestamp;
+                        messageSearchModal.indexMessage(from, messageToEdit);
                         syncChatLatestActivityTimestamp(from, contact);
                         // Also update wallet history entry memo if present
                         if (myData?.wallet?.history && Array.isArray(myData.wallet.history)) {
@@ -11189,6 +13683,10 @@ async function processChats(chats, keys) {
                   payload.type = 'call';
                   // Use callTime when present; default to 0 (immediate)
                   payload.callTime = Number(parsedMessage.callTime) || 0;
+                  // Media key for calls on the in-app call page
+                  if (typeof parsedMessage.key === 'string' && /^[0-9a-f]{64}$/.test(parsedMessage.key)) {
+                    payload.callKey = parsedMessage.key;
+                  }
                   if (payload.callTime && reactNativeApp.isReactNativeWebView) {
                     // Send it to the native app to display the scheduled call notification
                     if (!chatModal.isCallExpired(payload.callTime) || chatModal.isFutureCall(payload.callTime)) {
@@ -11233,6 +13731,28 @@ async function processChats(chats, keys) {
                   payload.latitude = latitude;
                   payload.longitude = longitude;
                   payload.accuracy = Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null;
+                } else if (parsedMessage.type === PAYMENT_REQUEST_TYPE) {
+                  const request = parsePaymentRequestMessage(parsedMessage);
+                  if (!request) {
+                    console.warn('Ignoring invalid payment request message', parsedMessage);
+                    continue;
+                  }
+                  payload.message = '';
+                  payload.type = PAYMENT_REQUEST_TYPE;
+                  payload.request = request;
+                } else if (parsedMessage.type === GROUP_MESSAGE_TYPE) {
+                  payload.type = GROUP_MESSAGE_TYPE;
+                  payload.groupEnvelope = parsedMessage;
+                } else if (parsedMessage.type === RETENTION_MESSAGE_TYPE) {
+                  const ttl = Number(parsedMessage.ttl);
+                  if (!isValidRetentionTtl(ttl)) {
+                    console.warn('Ignoring invalid retention message', parsedMessage);
+                    continue;
+                  }
+                  payload.message = '';
+                  payload.type = RETENTION_MESSAGE_TYPE;
+                  payload.ttl = ttl;
+                  messageRetention.applyPolicy(from, ttl, Number(payload.sent_timestamp));
                 } else if (parsedMessage.type === 'message') {
                   const hasReactionFields =
                     typeof parsedMessage.reactId !== 'undefined' ||
@@ -11362,6 +13882,15 @@ async function processChats(chats, keys) {
               continue
             }
           }
+          if (payload.type === GROUP_MESSAGE_TYPE) {
+            // Group events travel over the 1:1 chat with each member but belong to the group thread, not this chat
+            const groupResult = ingestGroupEnvelope(payload.groupEnvelope, tx.from, Number(payload.sent_timestamp));
+            if (groupResult?.changed) {
+              const previous = groupUpdates.get(groupResult.groupId);
+              groupUpdates.set(groupResult.groupId, { added: (previous?.added || 0) + groupResult.added });
+            }
+            continue;
+          }
           //  skip if this tx was processed before and is already in contact.messages;
           //    messages are the same if the messages[x].sent_timestamp is the same as the tx.timestamp,
           //    and messages[x].my is false and messages[x].message == payload.message
@@ -11412,6 +13941,7 @@ async function processChats(chats, keys) {
           }
           
           insertSorted(contact.messages, payload, 'timestamp');
+          messageSearchModal.indexMessage(from, payload);
           if (payload.type === 'call' && shouldRefreshUpcomingCallsUiForCallTime(payload.callTime)) {
             needsUpcomingCallsUiRefresh = true;
           }
@@ -11452,13 +13982,15 @@ async function processChats(chats, keys) {
           decryptMessage(payload, keys, mine); // modifies the payload object
 
           // Process new message format if it's JSON, otherwise keep old format
+          let requestId = '';
           if (typeof payload.message === 'string') {
             try {
               const parsedMessage = JSON.parse(payload.message);
               // Check if it's the new message format with type field
               if (parsedMessage && typeof parsedMessage === 'object' && parsedMessage.type === 'transfer') {
                 // Extract actual message text
-                payload.message = parsedMessage.message;
+                payload.message = parsedMessage.message || '';
+                if (isPaymentRequestId(parsedMessage.requestId)) requestId = parsedMessage.requestId;
               }
             } catch (e) {
               // Not JSON or invalid format - keep using the message as is (backwards compatibility)
@@ -11548,9 +14080,22 @@ async function processChats(chats, keys) {
             amount: parse(stringify(tx.amount)), // Ensure amount is stored as BigInt
             symbol: 'LIB', // TODO: get the symbol from the asset
             txid: txidHex,
+            ...(requestId && { requestId }),
           };
           // Insert the transfer message into the contact's message list, maintaining sort order
           insertSorted(contact.messages, transferMessage, 'timestamp');
+          messageSearchModal.indexMessage(from, transferMessage);
+          const paidRequest = markPaymentRequestPaid(contact, {
+            my: mine,
+            amount: transferMessage.amount,
+            timestamp: transferMessage.timestamp,
+            txid: txidHex,
+            requestId,
+          });
+          if (paidRequest?.paidTxid === txidHex && !mine) {
+            const amountText = `${formatPaymentRequestAmount(transferMessage.amount)} ${PAYMENT_REQUEST_ASSET}`;
+            showToast(`${getContactDisplayName(contact)} paid your request for ${amountText}`, 4000, 'success');
+          }
           // --------------------------------------------------------------
 
           if (!mine){
@@ -11717,6 +14262,10 @@ async function processChats(chats, keys) {
     refreshUpcomingCallsUi();
   }
 
+  if (groupUpdates.size > 0) {
+    refreshGroupsAfterIngest(groupUpdates);
+  }
+
   // Update the global timestamp AFTER processing all senders
   if (newTimestamp > 0) {
     // Update the timestamp
@@ -11767,16 +14316,8 @@ function restoreWalletNotificationDots() {
 async function getUsernameAddress(username) {
   const usernameBytes = utf82bin(normalizeUsername(username));
   const usernameHash = hashBytes(usernameBytes);
-  const selectedGateway = getGatewayForRequest();
-  if (!selectedGateway) {
-    console.error('No gateway available for username check');
-    return null;
-  }
   try {
-    const response = await fetch(
-      `${selectedGateway.web}/address/${usernameHash}`
-    );
-    const data = await response.json();
+    const { data } = await requestGateway(`/address/${usernameHash}`, { read: (response) => response.json() });
     // if address is not present, return null
     if (!data || !data.address) {
       return null;
@@ -11827,7 +14368,7 @@ The main difference between a chat message and an asset transfer is
         * However, this does not gaurantee that the recipient has not already downloaded the message and may read it later
 `;
 
-async function postAssetTransfer(to, amount, memo, keys, assetIndex) {
+async function postAssetTransfer(to, amount, memo, keys, assetIndex, { sendAt = 0 } = {}) {
   assert(Number.isInteger(assetIndex) && assetIndex >= 0, 'Transfer assetIndex must be a non-negative integer');
 
   const toAddr = longAddress(to);
@@ -11849,6 +14390,11 @@ async function postAssetTransfer(to, amount, memo, keys, assetIndex) {
   };
 
   const txid = await signObj(tx, keys);
+  if (sendAt || !isOnline) {
+    // The caller records the payment under this txid; the outbox renames it when the payment goes out
+    outbox.enqueue({ kind: 'transfer', address: normalizeAddress(to), tx, txid, assetIndex, sendAt });
+    return { result: { success: true }, txid, queued: true };
+  }
   const res = await injectTx(tx, txid);
   if (res?.result?.success) {
     const pendingTx = myData.pending.find((pendingTx) => pendingTx.txid === txid);
@@ -11860,6 +14406,258 @@ async function postAssetTransfer(to, amount, memo, keys, assetIndex) {
   return res;
 }
 
+/**
+ * Build the xmemo payload of a LIB transfer. The memo and sender info are encrypted for the recipient when both of
+ * their public keys are known; otherwise only our address is sent so a payment can still go to any account.
+ * @param {string} toAddress
+ * @param {string} memo
+ * @param {Object} keys - sender keys
+ * @param {{ requestId?: string }} [options] - id of the payment request the transfer pays
+ * @returns {Promise<Object>}
+ */
+async function buildTransferPayload(toAddress, memo, keys, { requestId = '' } = {}) {
+  // Ensure recipient keys exist locally; function handles local check and network fetch.
+  await ensureContactKeys(toAddress);
+  const recipientPubKey = myData.contacts[toAddress]?.public;
+  const pqRecPubKey = myData.contacts[toAddress]?.pqPublic;
+  let pqEncSharedKey = '';
+  let dhkey = '';
+  let selfKey = '';
+  let sharedKeyMethod = 'none';  // to support sending just payment to any address
+  if (recipientPubKey && pqRecPubKey) {
+    /*
+    // Generate shared secret using ECDH and take first 32 bytes
+    let dhkey = ecSharedKey(keys.secret, recipientPubKey);
+    const { cipherText, sharedSecret } = pqSharedKey(pqRecPubKey);
+    const combined = new Uint8Array(dhkey.length + sharedSecret.length);
+    combined.set(dhkey);
+    combined.set(sharedSecret, dhkey.length);
+    dhkey = deriveDhKey(combined);
+    */
+    const x = dhkeyCombined(keys.secret, recipientPubKey, pqRecPubKey)
+    dhkey = x.dhkey;
+    const cipherText = x.cipherText;
+    pqEncSharedKey = bin2base64(cipherText);
+    sharedKeyMethod = 'pq';
+    selfKey = encryptData(bin2hex(dhkey), keys.secret+keys.pqSeed, true)  // used to decrypt our own message
+  }
+
+  let encMemo = '';
+  if ((memo || requestId) && sharedKeyMethod !== 'none') {
+    const memoObj = {
+      type: "transfer",
+      message: memo,
+      ...(requestId && { requestId })
+    };
+    // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
+    // Encrypt message using shared secret
+    encMemo = encryptChacha(dhkey, stringify(memoObj));
+  }
+
+  // only include the sender info if the recipient is is a friend and has a pqKey
+  let encSenderInfo = '';
+  let senderInfo = '';
+  if (sharedKeyMethod != 'none'){
+    const friendLevel = Number(myData.contacts[toAddress]?.friend) || 0;
+
+    // Always include username; include additional info only for full friends
+    senderInfo = {
+      username: myAccount.username,
+    };
+
+    if (friendLevel === 2) {
+      senderInfo.name = myData.account.name;
+      senderInfo.linkedin = myData.account.linkedin;
+      senderInfo.x = myData.account.x;
+      // Add avatar info if available
+      if (myData.account.avatarId && myData.account.avatarKey) {
+        senderInfo.avatarId = myData.account.avatarId;
+        senderInfo.avatarKey = myData.account.avatarKey;
+      }
+      // Add timezone if available
+      const tz = getLocalTimeZone();
+      if (tz) {
+        senderInfo.timezone = tz;
+      }
+    }
+
+    encSenderInfo = encryptChacha(dhkey, stringify(senderInfo));
+  } else {
+    senderInfo = { username: myAccount.address };
+    encSenderInfo = stringify(senderInfo);
+  }
+  // Create message payload
+  return {
+    message: encMemo, // we need to call this field message, so we can use decryptMessage()
+    senderInfo: encSenderInfo,
+    encrypted: true,
+    encryptionMethod: 'xchacha20poly1305',
+    pqEncSharedKey: pqEncSharedKey,
+    selfKey: selfKey,
+    sharedKeyMethod: sharedKeyMethod,
+    sent_timestamp: getCorrectedTimestamp(),
+  };
+}
+
+/**
+ * Add a sent transfer to the wallet history and to the recipient's chat
+ * @param {string} toAddress
+ * @param {{ txid: string, amount: bigint, memo: string, status: string, sendAt?: number, requestId?: string }} transfer
+ * @returns {void}
+ */
+function recordSentTransfer(toAddress, { txid, amount, memo, status, sendAt = 0, requestId = '' }) {
+  // Add transaction to history
+  const currentTime = getCorrectedTimestamp();
+
+  const newPayment = {
+    txid: txid,
+    amount: amount,
+    sign: -1,
+    timestamp: currentTime,
+    address: toAddress,
+    memo: memo,
+    status,
+    ...(sendAt && { scheduledAt: sendAt }),
+  };
+  insertSorted(myData.wallet.history, newPayment, 'timestamp');
+
+  // Don't try to update the balance here; the tx might not have gone through; let user refresh the balance from the wallet page
+  // Maybe we can set a timer to check on the status of the tx using txid and update the balance if the txid was processed
+  /*
+      // Update local balance after successful transaction
+      fromAddress.balance -= amount;
+      walletData.balance = walletData.assets.reduce((total, asset) =>
+          total + asset.addresses.reduce((sum, addr) => sum + (bigxnum2num(addr.balance, getAssetUsdPrice(asset)) || 0), 0), 0);
+      // Update wallet view and close modal
+      updateWalletView();
+  */
+
+  // --- Create and Insert Sent Transfer Message into contact.messages ---
+  const transferMessage = {
+    timestamp: currentTime,
+    sent_timestamp: currentTime,
+    my: true, // Sent transfer
+    message: memo, // Use the memo as the message content
+    amount: amount, // Use the BigInt amount
+    symbol: 'LIB', // TODO: Use the asset symbol
+    txid: txid,
+    status,
+    ...(sendAt && { scheduledAt: sendAt }),
+    ...(requestId && { requestId }),
+  };
+  // Insert the transfer message into the contact's message list, maintaining sort order
+  // The request it pays is marked once the transfer is confirmed (see markSentTransferRequestPaid)
+  insertSorted(myData.contacts[toAddress].messages, transferMessage, 'timestamp');
+  // --------------------------------------------------------------
+
+  // --- Update myData.chats to reflect the new message ---
+  const existingChatIndex = myData.chats.findIndex((chat) => chat.address === toAddress);
+  if (existingChatIndex !== -1) {
+    myData.chats.splice(existingChatIndex, 1); // Remove existing entry
+  }
+  // Create the new chat entry
+  const chatUpdate = {
+    address: toAddress,
+    timestamp: currentTime,
+    txid: txid,
+  };
+  // Find insertion point to maintain timestamp order (newest first)
+  insertSorted(myData.chats, chatUpdate, 'timestamp');
+  // --- End Update myData.chats ---
+}
+
+// Requests shown as QR codes from ReceiveModal that are kept to be marked paid
+const MAX_SAVED_PAYMENT_REQUESTS = 50;
+
+/**
+ * Format a payment request amount in wei as LIB without trailing zeros
+ * @param {string|bigint} amount
+ * @returns {string}
+ */
+function formatPaymentRequestAmount(amount) {
+  return big2str(BigInt(amount), 18).replace(/\.?0+$/, '');
+}
+
+/**
+ * Mark the payment request a transfer pays, either one sent in this chat or one shown as a QR code from ReceiveModal.
+ * Only a transfer naming the request and covering its amount marks it paid; one that just has the same amount, or
+ * pays less than was asked, marks it possibly paid and the request can still be paid.
+ * @param {Object} contact
+ * @param {{ my: boolean, amount: bigint, timestamp: number, txid: string, requestId?: string }} transfer
+ * @returns {Object|null} the request that was marked
+ */
+function markPaymentRequestPaid(contact, transfer) {
+  const hasRequestId = isPaymentRequestId(transfer.requestId);
+  let request = findPaymentRequestForTransfer(contact?.messages, transfer)?.request || null;
+  let requestWei = request ? BigInt(request.amount) : null;
+  if (!request && !transfer.my && hasRequestId) {
+    request = myData.wallet.paymentRequests?.find((item) => item.id === transfer.requestId && !item.paidTxid) || null;
+    // QR requests keep the amount as entered; amountWei is missing when it could not be converted to LIB
+    requestWei = request?.amountWei ? BigInt(request.amountWei) : null;
+  }
+  if (!request) return null;
+  if (hasRequestId && requestWei !== null && BigInt(transfer.amount ?? 0) >= requestWei) {
+    request.paidTxid = transfer.txid;
+    request.paidAt = transfer.timestamp;
+    delete request.possiblyPaidTxid;
+  } else {
+    request.possiblyPaidTxid = transfer.txid;
+  }
+  return request;
+}
+
+/**
+ * Mark the request paid by a transfer we sent, once the network has confirmed it.
+ * Our own transfers are not processed again when they arrive, so this is the only place they mark a request.
+ * @param {string} toAddress
+ * @param {string} txid
+ */
+function markSentTransferRequestPaid(toAddress, txid) {
+  const contact = myData.contacts[toAddress];
+  const transfer = contact?.messages.find((message) => message.txid === txid && message.my);
+  if (!transfer) return;
+  markPaymentRequestPaid(contact, {
+    my: true,
+    amount: transfer.amount,
+    timestamp: transfer.timestamp,
+    txid,
+    requestId: transfer.requestId,
+  });
+}
+
+/**
+ * Reopen requests a failed or cancelled transfer of ours had marked paid
+ * @param {string} toAddress
+ * @param {string} txid
+ */
+function clearSentTransferRequestPaid(toAddress, txid) {
+  for (const message of myData.contacts[toAddress]?.messages || []) {
+    const { request } = message;
+    if (message.type !== PAYMENT_REQUEST_TYPE || !request) continue;
+    if (request.paidTxid === txid) {
+      delete request.paidTxid;
+      delete request.paidAt;
+    }
+    if (request.possiblyPaidTxid === txid) delete request.possiblyPaidTxid;
+  }
+}
+
+/**
+ * Whether we have a payment for a request that is not confirmed yet
+ * @param {Object} contact
+ * @param {string} requestId
+ * @returns {boolean}
+ */
+function hasPendingRequestPayment(contact, requestId) {
+  return (contact?.messages || []).some((message) => (
+    message.my &&
+    message.requestId === requestId &&
+    (message.status === 'queued' ||
+      message.status === 'scheduled' ||
+      myData.pending.some((pendingTx) => pendingTx.txid === message.txid))
+  ));
+}
+
 // TODO - backend - when account is being registered, ensure that loserCase(alias)=alias and hash(alias)==aliasHash
 async function postRegisterAlias(alias, keys, isPrivate = false) {
   // no need for sufficient balance check due to `register` transaction
@@ -12052,8 +14850,7 @@ async function injectTx(tx, txid) {
   if (!isOnline) {
     return null;
   }
-  const selectedGateway = getGatewayForRequest();
-  if (!selectedGateway) {
+  if (getGatewayList().length === 0) {
     console.error('No gateway available for transaction injection');
     return null;
   }
@@ -12095,11 +14892,13 @@ async function injectTx(tx, txid) {
       },
       body: stringify({ tx: stringify(tx) }),
     };
-    const response = await fetch(
-      `${selectedGateway.web}/inject`,
-      options
-    );
-    const data = await response.json();
+    // Never retried on another gateway: the first one may have accepted the transaction before failing
+    const { data } = await requestGateway('/inject', {
+      init: options,
+      idempotent: false,
+      timeout: 0,
+      read: (response) => response.json(),
+    });
     data.txid = txid;
 
     // Support both response shapes:
@@ -12244,6 +15043,12 @@ class SearchMessagesModal {
   constructor() {
     // memoized debounced search function
     this._debouncedSearch = null;
+    this.index = new MessageSearchIndex();
+    // account key the index belongs to; null while signed out
+    this.indexKey = null;
+    // messages.length per chat key (address, or GROUP_SEARCH_PREFIX + group id) when that chat was last synced
+    this.indexedCounts = new Map();
+    this.indexSaveTimer = null;
   }
 
   load() {
@@ -12251,12 +15056,22 @@ class SearchMessagesModal {
     this.searchInput = document.getElementById('messageSearch');
     this.closeButton = document.getElementById('closeSearchModal');
     this.searchResults = document.getElementById('searchResults');
+    this.contactFilter = document.getElementById('messageSearchContact');
+    this.fromFilter = document.getElementById('messageSearchFrom');
+    this.toFilter = document.getElementById('messageSearchTo');
+    this.attachmentFilter = document.getElementById('messageSearchAttachment');
+    this.mineFilter = document.getElementById('messageSearchMine');
 
     this.closeButton.addEventListener('click', () => {this.close();});
     this.searchInput.addEventListener('input', (e) => {this.handleMessageSearchInput(e);});
+    [this.contactFilter, this.fromFilter, this.toFilter, this.attachmentFilter, this.mineFilter].forEach((el) => {
+      el.addEventListener('change', () => this.runSearch());
+    });
   }
 
   open() {
+    this.syncIndex();
+    this.populateContactFilter();
     openModal(this.modal);
     // Delay focus to ensure transition completes (modal transition is 300ms)
     setTimeout(() => {
@@ -12268,56 +15083,360 @@ class SearchMessagesModal {
     this.modal.classList.remove('active');
     this.searchInput.value = '';
     this.searchResults.innerHTML = '';
+    this.contactFilter.value = '';
+    this.fromFilter.value = '';
+    this.toFilter.value = '';
+    this.attachmentFilter.checked = false;
+    this.mineFilter.checked = false;
   }
 
   isActive() {
     return this.modal.classList.contains('active');
   }
 
-  searchMessages(searchText) {
-    if (!searchText || !myData?.contacts) return [];
+  populateContactFilter() {
+    const groups = Object.entries(myData?.groups || {})
+      .filter(([, group]) => group?.messages?.length)
+      .map(([groupId, group]) => ({ address: GROUP_SEARCH_PREFIX + groupId, name: group.name }));
+    const contacts = Object.entries(myData?.contacts || {})
+      .filter(([, contact]) => contact?.messages?.length)
+      .map(([address, contact]) => ({ address, name: getContactDisplayName(contact) }))
+      .concat(groups)
+      .sort((a, b) => a.name.localeCompare(b.name));
 
-    const results = [];
-    const searchLower = searchText.toLowerCase();
+    this.contactFilter.innerHTML = '<option value="">All chats</option>';
+    contacts.forEach(({ address, name }) => {
+      this.contactFilter.appendChild(new Option(name, address));
+    });
+  }
 
-    // Search through all contacts and their messages
-    Object.entries(myData.contacts).forEach(([address, contact]) => {
-      if (!contact.messages) return;
-
-      contact.messages.forEach((message) => {
-        if (!message.message) return; // some messages like calls have no message field
-        // Skip deleted messages and call messages
-        if (isDeleted(message)) return;
-        if (message.type === 'call') return;
-        if (message.message.toLowerCase().includes(searchLower)) {
-          // Highlight matching text
-          const messageText = escapeHtml(message.message);
-          // Escape search text for safe regex usage
-          const escapedSearch = escapeRegExp(searchText);
-          const highlightedText = messageText.replace(new RegExp(escapedSearch, 'gi'), (match) => `<mark>${match}</mark>`);
-          
-          const maxDisplayLength = 100;
-          
-          // Adjust maxLength to account for <mark> tags (add 13 chars per highlight)
-          // This ensures truncateMessage gets enough characters to display ~100 chars of actual text
-          const highlightCount = (highlightedText.match(/<mark>/g) || []).length;
-          const adjustedMaxLength = maxDisplayLength + (highlightCount * 13); // <mark> + </mark> = 13 chars
-          
-          const displayedName = getContactDisplayName(contact);
-          results.push({
-            contactAddress: address,
-            username: displayedName,
-            messageId: message.txid,
-            message: message, // Pass the entire message object
-            timestamp: message.timestamp,
-            preview: truncateMessage(highlightedText, adjustedMaxLength),
-            my: message.my, // Include the my property
-          });
-        }
-      });
+  /**
+   * Read the filter controls
+   * @returns {{address: string, from: number, to: number, attachment: boolean, mine: boolean}}
+   */
+  getFilters() {
+    // Date inputs are local calendar days; the range covers the whole of both days
+    const from = this.fromFilter.value ? new Date(`${this.fromFilter.value}T00:00:00`).getTime() : 0;
+    const to = this.toFilter.value ? new Date(`${this.toFilter.value}T23:59:59.999`).getTime() : 0;
+    return {
+      address: this.contactFilter.value,
+      from,
+      to,
+      attachment: this.attachmentFilter.checked,
+      mine: this.mineFilter.checked,
+    };
+  }
+
+  /**
+   * Load the persisted search index for the signed-in account and bring it up to date
+   * @returns {Promise<void>}
+   */
+  async loadIndex() {
+    const key = `${myAccount.username}_${myAccount.netid}`;
+    this.resetIndex();
+    this.indexKey = key;
+
+    let index = null;
+    try {
+      const record = await getData(STORES.SEARCH, key);
+      if (record) {
+        index = MessageSearchIndex.fromJSON(parse(decryptData(record.data, getStateEncKey(), true)));
+      }
+    } catch (error) {
+      // Unreadable after a lock password change on another account, or corrupt; rebuilt below
+      console.warn('Rebuilding message search index:', error);
+    }
+    if (this.indexKey !== key) return; // signed out while loading
+
+    if (index) this.index = index;
+    this.syncIndex(true);
+  }
+
+  /**
+   * Save any pending index changes and forget the index, e.g. on sign out
+   */
+  resetIndex() {
+    if (this.indexSaveTimer) {
+      clearTimeout(this.indexSaveTimer);
+      this.indexSaveTimer = null;
+      this.saveIndex();
+    }
+    this.index = new MessageSearchIndex();
+    this.indexKey = null;
+    this.indexedCounts.clear();
+  }
+
+  scheduleIndexSave() {
+    if (!this.indexKey || this.indexSaveTimer) return;
+    this.indexSaveTimer = setTimeout(() => {
+      this.indexSaveTimer = null;
+      this.saveIndex();
+    }, SEARCH_INDEX_SAVE_DELAY_MS);
+  }
+
+  saveIndex() {
+    if (!this.indexKey) return;
+    const record = {
+      key: this.indexKey,
+      data: encryptData(stringify(this.index.toJSON()), getStateEncKey(), true),
+    };
+    saveData(STORES.SEARCH, addVersionToData(record)).catch((error) => {
+      console.error('Failed to save message search index:', error);
     });
+  }
+
+  /**
+   * Messages of one indexed chat
+   * @param {string} key - Contact address, or GROUP_SEARCH_PREFIX + group id
+   * @returns {Object[]|undefined}
+   */
+  getChatMessages(key) {
+    if (key.startsWith(GROUP_SEARCH_PREFIX)) {
+      return myData?.groups?.[key.slice(GROUP_SEARCH_PREFIX.length)]?.messages;
+    }
+    return myData?.contacts?.[key]?.messages;
+  }
 
-    return results.sort((a, b) => b.timestamp - a.timestamp);
+  /**
+   * Bring the index up to date with myData.contacts and myData.groups. Chats whose message count is unchanged
+   * since the last sync are skipped unless `full` is set; edits and deletes reach the index through
+   * indexMessage and reindexGroup.
+   * @param {boolean} [full]
+   */
+  syncIndex(full = false) {
+    if (!this.indexKey || !myData?.contacts) return;
+
+    const chatKeys = new Set([
+      ...Object.keys(myData.contacts),
+      ...Object.keys(myData.groups || {}).map((groupId) => GROUP_SEARCH_PREFIX + groupId),
+    ]);
+    let changed = false;
+    for (const key of chatKeys) {
+      const count = this.getChatMessages(key)?.length || 0;
+      if (!full && this.indexedCounts.get(key) === count) continue;
+      changed = this.syncContact(key) || changed;
+    }
+    for (const key of this.index.getAddresses()) {
+      if (!chatKeys.has(key)) {
+        changed = this.index.removeAddress(key) || changed;
+        this.indexedCounts.delete(key);
+      }
+    }
+    if (changed) this.scheduleIndexSave();
+  }
+
+  /**
+   * Re-index one chat, re-tokenizing only messages whose content changed
+   * @param {string} address - Contact address, or GROUP_SEARCH_PREFIX + group id
+   * @returns {boolean} True if the index changed
+   */
+  syncContact(address) {
+    const messages = this.getChatMessages(address) || [];
+    const stale = this.index.getDocsForAddress(address);
+    let changed = false;
+
+    for (const message of messages) {
+      if (!message?.txid) continue;
+      const existing = stale.get(message.txid);
+      stale.delete(message.txid);
+      if (existing && existing.sig === this.getMessageSearchSignature(message)) continue;
+      changed = this.applyMessageToIndex(address, message) || changed;
+    }
+    for (const doc of stale.values()) {
+      this.index.remove(doc.id);
+      changed = true;
+    }
+    this.indexedCounts.set(address, messages.length);
+    return changed;
+  }
+
+  /**
+   * Re-index one chat after its messages changed in bulk, e.g. a queued message got its final txid
+   * @param {string} address
+   */
+  reindexContact(address) {
+    if (!this.indexKey) return;
+    if (this.syncContact(address)) {
+      this.scheduleIndexSave();
+    }
+  }
+
+  /**
+   * Re-index a group thread after group events were applied to it
+   * @param {string} groupId
+   */
+  reindexGroup(groupId) {
+    this.reindexContact(GROUP_SEARCH_PREFIX + groupId);
+  }
+
+  /**
+   * Update the index for a message that was just added, edited or deleted
+   * @param {string} address - Chat the message belongs to
+   * @param {Object} message - Message record from contact.messages
+   */
+  indexMessage(address, message) {
+    if (!this.indexKey || !message?.txid) return;
+    if (this.applyMessageToIndex(address, message)) {
+      this.scheduleIndexSave();
+    }
+  }
+
+  applyMessageToIndex(address, message) {
+    const text = this.getMessageSearchText(message);
+    if (!text) {
+      return this.index.remove(getSearchDocId(address, message.txid));
+    }
+    this.index.upsert({
+      address,
+      txid: message.txid,
+      timestamp: message.timestamp,
+      my: message.my,
+      attachment: Array.isArray(message.xattach) && message.xattach.length > 0,
+      kind: message.type || (typeof message.amount === 'bigint' ? 'payment' : 'message'),
+      sig: this.getMessageSearchSignature(message),
+      text,
+    });
+    return true;
+  }
+
+  /**
+   * Cheap fingerprint of the fields that change what a message is indexed as
+   * @param {Object} message
+   * @returns {string}
+   */
+  getMessageSearchSignature(message) {
+    const deleted = getDeletedState(message);
+    const attachments = Array.isArray(message.xattach) ? message.xattach.length : 0;
+    return `${deleted}|${message.edited_timestamp || 0}|${attachments}|${message.type || ''}`;
+  }
+
+  /**
+   * Text a message is searchable by, also used for the result preview
+   * @param {Object} message
+   * @returns {string} Empty if the message should not be indexed
+   */
+  getMessageSearchText(message) {
+    if (
+      isDeleted(message) ||
+      message.type === 'update_toll_required' ||
+      message.type === RETENTION_MESSAGE_TYPE ||
+      message.type === GROUP_SYSTEM_ENTRY_TYPE
+    ) {
+      return '';
+    }
+
+    const parts = [];
+    if (message.type === 'call') {
+      parts.push(Number(message.callTime) > 0 ? 'Scheduled call' : 'Call');
+    } else if (message.type === 'vm') {
+      parts.push('Voice message');
+    } else if (message.type === 'location') {
+      const latitude = Number(message.latitude);
+      const longitude = Number(message.longitude);
+      parts.push('Shared location');
+      if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+        parts.push(`${latitude.toFixed(5)}, ${longitude.toFixed(5)}`);
+      }
+    } else if (message.type === PAYMENT_REQUEST_TYPE && message.request) {
+      parts.push(`Payment request ${formatPaymentRequestAmount(message.request.amount)} ${message.request.asset}`);
+      if (message.request.memo) parts.push(message.request.memo);
+    } else if (typeof message.amount === 'bigint') {
+      parts.push('Payment');
+    }
+    if (message.type !== 'call' && typeof message.message === 'string' && message.message.trim()) {
+      parts.push(message.message.trim());
+    }
+    if (Array.isArray(message.xattach)) {
+      const names = message.xattach.map((attachment) => attachment?.name).filter(Boolean);
+      if (names.length > 0) parts.push(`Attachment: ${names.join(', ')}`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Build a preview around the first match with the query words highlighted
+   * @param {string} text - Raw message text
+   * @param {string} searchText - Raw query
+   * @returns {string} HTML
+   */
+  buildSearchPreview(text, searchText) {
+    const maxDisplayLength = 100;
+    const tokens = searchText.trim().split(/\s+/).filter(Boolean);
+    const pattern = tokens.length > 0 ? new RegExp(`(${tokens.map(escapeRegExp).join('|')})`, 'giu') : null;
+
+    let start = 0;
+    const firstMatch = pattern ? text.search(pattern) : -1;
+    if (firstMatch > maxDisplayLength / 2) {
+      start = firstMatch - 30;
+    }
+    let snippet = text.slice(start, start + maxDisplayLength);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = start + maxDisplayLength < text.length ? '…' : '';
+
+    if (!pattern) return escapeHtml(prefix + snippet + suffix);
+    // Split on the raw text so highlighting never lands inside an HTML entity
+    snippet = snippet
+      .split(pattern)
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+    return prefix + snippet + suffix;
+  }
+
+  /**
+   * Search the index
+   * @param {string} searchText
+   * @param {Object} [filters] - See getFilters()
+   * @returns {{results: Object[], total: number}}
+   */
+  searchMessages(searchText, filters = {}) {
+    if (!myData?.contacts) return { results: [], total: 0 };
+
+    const { docs, total } = this.index.search(searchText, filters);
+    const results = [];
+    for (const doc of docs) {
+      const isGroup = doc.address.startsWith(GROUP_SEARCH_PREFIX);
+      const groupId = isGroup ? doc.address.slice(GROUP_SEARCH_PREFIX.length) : null;
+      const chat = groupId ? myData.groups?.[groupId] : myData.contacts[doc.address];
+      const message = chat?.messages?.find((item) => item.txid === doc.txid);
+      if (!message) continue;
+      let preview = this.buildSearchPreview(this.getMessageSearchText(message), searchText);
+      if (groupId && !message.my) {
+        preview = `${escapeHtml(getGroupMemberDisplayName(message.sender))}: ${preview}`;
+      }
+      results.push({
+        contactAddress: doc.address,
+        groupId,
+        username: escapeHtml(groupId ? chat.name : getContactDisplayName(chat)),
+        messageId: doc.txid,
+        message, // Pass the entire message object
+        timestamp: doc.timestamp,
+        preview,
+        my: doc.my,
+      });
+    }
+    return { results, total };
+  }
+
+  /**
+   * Run the current query and filters and render the results
+   */
+  runSearch() {
+    // Only trim leading whitespace; preserve trailing spaces for exact matches
+    const processedText = (this.searchInput.value || '').trimStart();
+    const filters = this.getFilters();
+
+    // If there is nothing to search for, clear results
+    if (!processedText && !hasActiveSearchFilters(filters)) {
+      this.searchResults.innerHTML = '';
+      return;
+    }
+
+    const { results, total } = this.searchMessages(processedText, filters);
+    if (results.length === 0) {
+      this.displayEmptyState('searchResults', 'No messages found');
+    } else {
+      this.displaySearchResults(results, total);
+    }
   }
 
   // this is also used by contact search 
@@ -12340,6 +15459,14 @@ class SearchMessagesModal {
       // Switch to chats view if not already there
       footer.switchView('chats');
 
+      if (result.groupId) {
+        groupChatModal.open(result.groupId);
+        requestAnimationFrame(() => {
+          groupChatModal.scrollToMessage(result.messageId);
+        });
+        return;
+      }
+
       // Open the chat with this contact, skip auto-scroll since we'll scroll to specific message
       await chatModal.open(result.contactAddress, true);
 
@@ -12353,7 +15480,7 @@ class SearchMessagesModal {
     }
   }
 
-  displaySearchResults(results) {
+  displaySearchResults(results, total = results.length) {
     // Scroll to top before rendering new results
     this.searchResults.closest('.modal-content')?.scrollTo(0, 0);
 
@@ -12365,7 +15492,9 @@ class SearchMessagesModal {
       const resultElement = document.createElement('li');
       resultElement.className = 'chat-item search-result-item';
 
-      const avatarHtml = await getContactAvatarHtml(result.contactAddress);
+      const avatarHtml = result.groupId
+        ? generateIdenticon(hashBytes(result.groupId))
+        : await getContactAvatarHtml(result.contactAddress);
 
       // Format message preview with "<" for user messages and ">" for contact messages
       // make this textContent?
@@ -12399,6 +15528,12 @@ class SearchMessagesModal {
 
     // Clear and append the new list
     this.searchResults.innerHTML = '';
+    if (total > results.length) {
+      const note = document.createElement('div');
+      note.className = 'search-results-note';
+      note.textContent = `Showing the newest ${results.length} of ${total} matches`;
+      this.searchResults.appendChild(note);
+    }
     this.searchResults.appendChild(resultsList);
   }
 
@@ -12407,27 +15542,15 @@ class SearchMessagesModal {
     if (!this._debouncedSearch) {
       this._debouncedSearch = debounce(
         (searchText) => {
-          // Only trim leading whitespace; preserve trailing spaces for exact matches
           const processedText = (searchText || '').trimStart();
 
-          // If input is empty, clear results
-          if (!processedText) {
-            this.searchResults.innerHTML = '';
-            return;
-          }
-
           // Guard against stale callbacks after further typing or modal close
           const currentText = (this.searchInput?.value || '').trimStart();
           if (!this.isActive() || currentText !== processedText) {
             return;
           }
 
-          const results = this.searchMessages(processedText);
-          if (results.length === 0) {
-            this.displayEmptyState('searchResults', 'No messages found');
-          } else {
-            this.displaySearchResults(results);
-          }
+          this.runSearch();
         },
         (searchText) => ((searchText || '').length === 1 ? 600 : 300)
       );
@@ -13901,11 +17024,15 @@ async function handleConnectivityChange() {
     showToast("You're back online!", 3000, 'online');
     // Force update data with reconnection handling
     if (myAccount && myAccount.keys) {
-      // restart long polling
+      // restart long polling; it stops again once the push subscription is confirmed
       if (useLongPolling) {
         stopLongPoll(); // Stop any existing polling first
         setTimeout(longPoll, 10);
       }
+      chatSocket.reconnect();
+      // Send what was composed while offline
+      outbox.drain();
+      deviceSync.flush();
       try {
         // Update chats with reconnection handling
         const gotChats = await chatsScreen.updateChatData();
@@ -13929,6 +17056,7 @@ async function handleConnectivityChange() {
     showToast("You're offline. Some features are unavailable.", 3000, 'offline');
     // Stop long polling when going offline
     stopLongPoll();
+    chatSocket.closeSocket();
   }
 }
 
@@ -13953,7 +17081,6 @@ function markConnectivityDependentElements() {
   // Elements that require network connectivity
   const networkDependentElements = [
     // Chat related
-    '#handleSendMessage',
     '#voiceRecordButton',
     '#newChatForm button[type="submit"]',
 
@@ -13963,8 +17090,6 @@ function markConnectivityDependentElements() {
     '#sendForm button[type="submit"]',
 
     // Send asset related
-    '#sendAssetForm button[type="submit"]',
-    '#sendToAddress',
     '#toggleBalance',
 
     // Add friend related
@@ -14004,8 +17129,8 @@ function markConnectivityDependentElements() {
     '#openCallScheduleDateBtn',
     '#confirmDateTimePicker',
 
-    // Message context menu (disable all except 'Delete for me' and 'Copy' and 'Join')
-    '.message-context-menu .context-menu-option:not([data-action="delete"]):not([data-action="copy"]):not([data-action="join"]):not([data-action="location"])',
+    // Message context menu (disable all except 'Delete for me', 'Copy', 'Join' and the ones the outbox can queue)
+    '.message-context-menu .context-menu-option:not([data-action="delete"]):not([data-action="copy"]):not([data-action="join"]):not([data-action="location"]):not([data-action="reply"]):not([data-action="edit"])',
 
     // bridgeModal
     '#bridgeForm button[type="submit"]',
@@ -14210,19 +17335,23 @@ function initializeGatewayConfig() {
     myData.network.gateways = [];
   }
 
+  // Gateways the user added and the pinned gateway survive the refresh from network.js
+  const customGateways = Array.isArray(myData.network.customGateways) ? myData.network.customGateways : [];
+  const pinnedGateway = myData.network.pinnedGateway || null;
+
   if (network && network.gateways && network.gateways.length > 0){
     myData.network = parse(stringify(network))
   }
-  else if (myData.network.gateway.length <= 0){
+  else if (myData.network.gateways.length <= 0 && customGateways.length <= 0){
     showToast("No gateway server available; edit network.js file", 0, "error")
     return;
   }
 
-  // Ensure defaultGatewayIndex property exists and set to -1 (random selection)
-  if (myData.network.defaultGatewayIndex === undefined) {
-    // TODO ping the gateway servers and pick one that is working
-    myData.network.defaultGatewayIndex = 0; // -1 means use random selection
-  }
+  const systemWebs = new Set(myData.network.gateways.map((gateway) => gateway.web));
+  myData.network.customGateways = customGateways;
+  myData.network.gateways.push(...customGateways.filter((gateway) => !systemWebs.has(gateway.web)));
+  const isKnownGateway = myData.network.gateways.some((gateway) => gateway.web === pinnedGateway);
+  myData.network.pinnedGateway = isKnownGateway ? pinnedGateway : null;
   
   /*
   // If no gateways, initialize with system gateways
@@ -14246,29 +17375,52 @@ function initializeGatewayConfig() {
   */
 }
 
-// Function to get the gateway to use for a request
-function getGatewayForRequest() {
+const gatewayManager = new GatewayManager({
+  onStateChange: (web, state, health) => {
+    const reason = state === CIRCUIT.OPEN && health.lastError ? ` (${health.lastError})` : '';
+    logsModal.log(`Gateway ${web} is ${state}${reason}`);
+    if (logsModal.modal && logsModal.isActive()) logsModal.renderGatewayStatus();
+  },
+});
+
+/**
+ * Gateways available for requests: the account's list when signed in, otherwise network.js
+ * @returns {Array<{web: string, ws?: string}>}
+ */
+function getGatewayList() {
   //TODO: ask Omar if we should just let use edit network.js or keep current logic where when we sign in it uses network.js and when signed in we use myData.network.gateways
   // Check if myData exists
   if (!myData) {
     // Fall back to global network if available
     if (typeof network !== 'undefined' && network?.gateways?.length) {
-      return network.gateways[Math.floor(Math.random() * network.gateways.length)];
+      return network.gateways;
     }
     console.error('No myData or network available');
-    return null;
+    return [];
   }
 
   // Initialize if needed
   initializeGatewayConfig();
+  return myData.network.gateways;
+}
 
-  // If we have a default gateway set, use it
-  if (myData.network.defaultGatewayIndex >= 0 && myData.network.defaultGatewayIndex < myData.network.gateways.length) {
-    return myData.network.gateways[myData.network.defaultGatewayIndex];
-  }
+function getPinnedGateway() {
+  return myData?.network?.pinnedGateway || null;
+}
+
+// Function to get the gateway to use for a request
+function getGatewayForRequest() {
+  return gatewayManager.pick(getGatewayList(), getPinnedGateway());
+}
 
-  // Otherwise use random selection
-  return myData.network.gateways[Math.floor(Math.random() * myData.network.gateways.length)];
+/**
+ * Send a request through gatewayManager using the current gateway list
+ * @param {string} path
+ * @param {Object} [options] - see GatewayManager.request
+ * @returns {Promise<{gateway: Object, data: any}>}
+ */
+function requestGateway(path, options = {}) {
+  return gatewayManager.request(getGatewayList(), path, { ...options, pinned: getPinnedGateway() });
 }
 
 /**
@@ -14420,7 +17572,7 @@ class RemoveAccountModal {
     }
   }
 
-  submit(username = myAccount.username) {
+  async submit(username = myAccount.username) {
     // called when the form is submitted
     // Get network ID from network.js
     const { netid } = network;
@@ -14435,15 +17587,16 @@ class RemoveAccountModal {
       this.removeSignInUsernameOrder(netidAccounts, username);
       localStorage.setItem('accounts', stringify(existingAccounts));
     }
-    // Remove the account data from localStorage
-    localStorage.removeItem(`${username}_${netid}`);
+    // Remove the account data from storage
+    accountStore.remove(`${username}_${netid}`);
 
     // Reload the page to redirect to welcome screen
     clearMyData(); // need to delete this so that the reload does not save the data into localStore again
+    await accountStore.flush();
     window.location.reload();
   }
 
-  removeAccount(username = null) {
+  async removeAccount(username = null) {
     // Username must be provided explicitly - when called from sign-in modal, myAccount is not yet available
     if (!username) {
       // if myAccount is available and removeAccountModal is open, use myAccount.username
@@ -14469,11 +17622,12 @@ class RemoveAccountModal {
       this.removeSignInUsernameOrder(netidAccounts, username);
       localStorage.setItem('accounts', stringify(existingAccounts));
     }
-    // Remove the account data from localStorage
-    localStorage.removeItem(`${username}_${netid}`);
+    // Remove the account data from storage
+    accountStore.remove(`${username}_${netid}`);
 
     // Reload the page to redirect to welcome screen
     clearMyData(); // need to delete this so that the reload does not save the data into localStore again
+    await accountStore.flush();
     window.location.reload();
   }
 
@@ -14566,7 +17720,7 @@ class RemoveAccountsModal {
         const key = `${username}_${netid}`;
         
         // Check if account data exists in storage
-        const hasStorageData = localStorage.getItem(key) !== null;
+        const hasStorageData = accountStore.has(key);
         
         let state = null;
         try {
@@ -14587,9 +17741,7 @@ class RemoveAccountsModal {
     }
 
     // Find any orphaned account files not in accounts object
-    for (let i = 0; i < localStorage.length; i++) {
-      const storageKey = localStorage.key(i);
-      if (!storageKey) continue;
+    for (const storageKey of accountStore.keys()) {
       
       // Use regex to extract username and netid from storage key: username_<64-hex>
       const match = storageKey.match(/^([^_]+)_([0-9a-fA-F]{64})$/);
@@ -14693,7 +17845,7 @@ class RemoveAccountsModal {
     }, { once: true }); // attach once, inside we attach nested listeners via event bubbling
   }
 
-  handleSubmit() {
+  async handleSubmit() {
     const checked = this.listContainer.querySelectorAll('input[type="checkbox"]:checked');
     if (checked.length === 0) return;
     const confirmText = confirm(`Remove ${checked.length} selected account(s) from this device?`);
@@ -14703,7 +17855,7 @@ class RemoveAccountsModal {
       const username = cb.dataset.username;
       const netid = cb.dataset.netid;
       // remove account data file
-      localStorage.removeItem(`${username}_${netid}`);
+      accountStore.remove(`${username}_${netid}`);
       // remove from registry if present
       if (accountsObj.netids[netid] && accountsObj.netids[netid].usernames && accountsObj.netids[netid].usernames[username]) {
         delete accountsObj.netids[netid].usernames[username];
@@ -14711,30 +17863,62 @@ class RemoveAccountsModal {
       }
     });
     localStorage.setItem('accounts', stringify(accountsObj));
+    await accountStore.flush();
     showToast('Selected accounts removed', 3000, 'success');
     this.close();
   }
 
-  handleRemoveAllAccounts() {
+  async handleRemoveAllAccounts() {
     const confirmText = prompt(`WARNING: All accounts and data will be permanently removed from this device.\n\nType "REMOVE ALL" to confirm:`);
     if (confirmText !== "REMOVE ALL") {
       showToast('Remove all cancelled', 2000, 'warning');
       return;
     }
     
-    // Clear all localStorage data
+    // Clear all localStorage data and stored account state
     localStorage.clear();
+    accountStore.keys().forEach((key) => accountStore.remove(key));
     
     // Show success message
     showToast('All data has been removed from this device', 3000, 'success');
     
     // Reload the page to redirect to welcome screen
     clearMyData();
+    await accountStore.flush();
     window.location.reload();
   }
 }
 const removeAccountsModal = new RemoveAccountsModal();
 
+const BACKUP_MANIFEST_VERSION = 1;
+
+/**
+ * Summarize an account blob for the backup manifest
+ * @param {string} blob - Account state as exported by accountStore.exportEntry
+ * @returns {Object} Address, contact count and per-chat message ranges, or { locked: true } if the blob is encrypted
+ */
+function summarizeBackupAccount(blob) {
+  // Accounts stored under the app lock are ciphertext; listing their chats would expose what the lock protects
+  if (!/^\s*\{/.test(blob)) return { locked: true };
+  try {
+    const data = parse(blob);
+    const contacts = data.contacts || {};
+    const chats = (data.chats || []).map(({ address, group }) => {
+      const messages = (group ? data.groups?.[address] : contacts[address])?.messages || [];
+      return {
+        address,
+        group: !!group,
+        messages: messages.length,
+        from: messages.at(-1)?.timestamp || 0,
+        to: messages[0]?.timestamp || 0,
+      };
+    });
+    return { address: data.account?.keys?.address || '', contacts: Object.keys(contacts).length, chats };
+  } catch (e) {
+    return { locked: true };
+  }
+}
+
 class BackupAccountModal {
   constructor() {
     this.GOOGLE_TOKEN_STORAGE_KEY = 'google_drive_token';
@@ -15330,8 +18514,8 @@ class BackupAccountModal {
     const username = myData?.account?.username;
     const netid = myData?.account?.netid;
     const accountKey = `${username}_${netid}`;
-    // get key from localStorage
-    const account = localStorage.getItem(accountKey);
+    // get the account's stored state in backup format
+    const account = accountStore.exportEntry(accountKey, getStateEncKey());
 
     const backupObj = {
       [accountKey]: account,
@@ -15363,6 +18547,7 @@ class BackupAccountModal {
       console.warn('Failed to export thumbnails for backup:', e);
     }
 
+    backupObj._manifest = this.buildManifest(backupObj);
     const jsonData = stringify(backupObj, null, 2);
 
     try {
@@ -15437,6 +18622,7 @@ class BackupAccountModal {
       console.warn('Failed to export thumbnails for backup:', e);
     }
 
+    myLocalStore._manifest = this.buildManifest(myLocalStore);
     const jsonData = stringify(myLocalStore, null, 2);
 
     try {
@@ -15564,12 +18750,38 @@ class BackupAccountModal {
     }
   }
 
+  /**
+   * List the accounts in a backup with a checksum of each, so a restore can show what is in the file
+   * and refuse a damaged one before writing anything
+   * @param {Object} backupObj - Backup contents; account blobs are keyed `${username}_${netid}`
+   * @returns {{version: number, created: number, networks: string[], accounts: Object}}
+   */
+  buildManifest(backupObj) {
+    const accounts = {};
+    for (const [key, blob] of Object.entries(backupObj)) {
+      const parsedKey = importModal.parseBackupAccountKey(key);
+      if (!parsedKey || typeof blob !== 'string') continue;
+      accounts[key] = { ...parsedKey, checksum: hashBytes(blob), ...summarizeBackupAccount(blob) };
+    }
+    return {
+      version: BACKUP_MANIFEST_VERSION,
+      created: getCorrectedTimestamp(),
+      networks: [...new Set(Object.values(accounts).map((account) => account.netid))],
+      accounts,
+    };
+  }
+
   copyLocalStorageToObject() {
     const myLocalStore = {};
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
       myLocalStore[key] = localStorage.getItem(key);
     }
+    // Account state lives in IndexedDB; export it in the same per-account format as before
+    const encKey = getStateEncKey();
+    for (const key of accountStore.keys()) {
+      myLocalStore[key] = accountStore.exportEntry(key, encKey);
+    }
     return myLocalStore;
   }
 
@@ -15637,6 +18849,7 @@ class RestoreAccountModal {
     this.netids = []; // Will be populated from network.js
     this.selectedGoogleDriveFile = null; // Store selected Google Drive file info
     this.googleDriveFileContent = null; // Store downloaded file content
+    this.deselectedAccountKeys = new Set(); // Accounts the user unticked in the account list
   }
 
   load() {
@@ -15652,7 +18865,9 @@ class RestoreAccountModal {
     this.fileInput = document.getElementById('importFile');
     this.passwordInput = document.getElementById('importPassword');
     this.passwordRequired = document.getElementById('importPasswordRequired');
-    this.overwriteAccountsCheckbox = document.getElementById('overwriteAccountsCheckbox');
+    this.existingModeSelect = document.getElementById('restoreExistingMode');
+    this.accountsGroup = document.getElementById('restoreAccountsGroup');
+    this.accountList = document.getElementById('restoreAccountList');
     this.backupAccountLockGroup = document.getElementById('backupAccountLockGroup');
     this.backupAccountLock = document.getElementById('backupAccountLock');
     this.developerOptionsSection = document.getElementById('developerOptionsSection');
@@ -15704,6 +18919,17 @@ class RestoreAccountModal {
     this.clearGoogleDriveFileBtn.addEventListener('click', () => this.clearSelectedGoogleDriveFile());
     this.closePickerBtn.addEventListener('click', () => this.closeGoogleDrivePicker());
 
+    this.accountList.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[type="checkbox"]');
+      if (!checkbox) return;
+      if (checkbox.checked) {
+        this.deselectedAccountKeys.delete(checkbox.value);
+      } else {
+        this.deselectedAccountKeys.add(checkbox.value);
+      }
+      this.updateButtonState();
+    });
+
     // Reset form state
     this.clearForm();
   }
@@ -15783,6 +19009,11 @@ class RestoreAccountModal {
       // Local: require file selection, password optional
       isValid = this.fileInput.files && this.fileInput.files.length > 0;
     }
+
+    const selectedKeys = this.getSelectedAccountKeys();
+    if (selectedKeys && selectedKeys.size === 0) {
+      isValid = false;
+    }
     
     this.submitButton.disabled = !isValid;
   }
@@ -15961,6 +19192,7 @@ class RestoreAccountModal {
       if (!file) {
         this.resetBackupLockPrompt();
         this.removeFileInjectedNetids();
+        this.clearAccountChoices();
         return;
       }
       content = await file.text();
@@ -15975,17 +19207,20 @@ class RestoreAccountModal {
         const password = this.passwordInput.value.trim();
         if (!password) {
           this.resetBackupLockPrompt();
+          this.clearAccountChoices();
           return;
         }
         try {
           content = decryptData(content, password);
         } catch (error) {
           this.resetBackupLockPrompt();
+          this.clearAccountChoices();
           return;
         }
       }
       
-      const data = parse(content);
+      const data = this.normalizeBackupData(parse(content));
+      this.renderAccountChoices(data);
       
       // Check if backup requires password
       const requiresBackupPassword = data.lock && !(localStorage.lock && data.lock === localStorage.lock);
@@ -16025,7 +19260,173 @@ class RestoreAccountModal {
       
     } catch (error) {
       this.resetBackupLockPrompt();
+      this.clearAccountChoices();
+    }
+  }
+
+  /**
+   * Convert the old single account export into the keyed backup format
+   * @param {Object} backupData - Parsed backup file
+   * @returns {Object}
+   */
+  normalizeBackupData(backupData) {
+    if (backupData && typeof backupData === 'object' && 'account' in backupData) {
+      const username = backupData.account.username;
+      const netid = backupData.account.netid;
+      return {
+        [`${username}_${netid}`]: stringify(backupData)
+      };
     }
+    return backupData;
+  }
+
+  /**
+   * List the accounts in the backup with a checkbox each, using the backup manifest for details when present
+   * @param {Object} backupData - Normalized backup file
+   */
+  renderAccountChoices(backupData) {
+    const entries = this.getBackupAccountEntries(backupData, this.parseBackupAccountsRegistry(backupData));
+    if (entries.length === 0) {
+      this.clearAccountChoices();
+      return;
+    }
+    const manifestAccounts = backupData._manifest?.accounts || {};
+
+    this.accountList.innerHTML = entries.map(({ key, username, netid }) => {
+      const summary = manifestAccounts[key];
+      const networkLabel = netid === network.netid ? network.name : `${netid.slice(0, 6)}...`;
+      let details = '';
+      if (summary?.locked) {
+        details = 'Locked; details are shown once restored';
+      } else if (summary) {
+        const chats = summary.chats || [];
+        const from = Math.min(...chats.map((chat) => chat.from).filter(Boolean));
+        const to = Math.max(...chats.map((chat) => chat.to).filter(Boolean));
+        details = `${summary.contacts} contact${summary.contacts === 1 ? '' : 's'}, ${chats.length} chat${chats.length === 1 ? '' : 's'}`;
+        if (Number.isFinite(from) && Number.isFinite(to)) {
+          details += `, ${new Date(from).toLocaleDateString()} - ${new Date(to).toLocaleDateString()}`;
+        }
+      }
+      return `
+        <li>
+          <label class="restore-account-item">
+            <input type="checkbox" value="${escapeHtml(key)}" ${this.deselectedAccountKeys.has(key) ? '' : 'checked'}>
+            <div class="restore-account-info">
+              <div class="restore-account-name">${escapeHtml(username)} <span class="restore-account-details">on ${escapeHtml(networkLabel)}</span></div>
+              ${details ? `<div class="restore-account-details">${escapeHtml(details)}</div>` : ''}
+              ${accountStore.has(key) ? '<div class="restore-account-exists">Already on this device</div>' : ''}
+            </div>
+          </label>
+        </li>
+      `;
+    }).join('');
+    this.accountsGroup.style.display = 'block';
+    this.updateButtonState();
+  }
+
+  clearAccountChoices() {
+    this.accountList.innerHTML = '';
+    this.accountsGroup.style.display = 'none';
+    this.updateButtonState();
+  }
+
+  /**
+   * @returns {Set<string>|null} Keys of the ticked accounts, or null when no list is shown and every account is restored
+   */
+  getSelectedAccountKeys() {
+    if (this.accountsGroup.style.display === 'none') return null;
+    const checkboxes = this.accountList.querySelectorAll('input[type="checkbox"]');
+    return new Set([...checkboxes].filter((checkbox) => checkbox.checked).map((checkbox) => checkbox.value));
+  }
+
+  /**
+   * Compare each account blob against the checksum recorded in the backup manifest
+   * @param {Object} backupData - Normalized backup file
+   * @param {Set<string>|null} selectedKeys - Accounts being restored, or null for all
+   * @returns {string[]} Usernames whose data is missing or does not match; empty if the backup has no manifest
+   */
+  findDamagedAccounts(backupData, selectedKeys) {
+    const manifestAccounts = backupData._manifest?.accounts;
+    if (!manifestAccounts || typeof manifestAccounts !== 'object') return [];
+    return Object.entries(manifestAccounts)
+      .filter(([key]) => !selectedKeys || selectedKeys.has(key))
+      .filter(([key, { checksum }]) => typeof backupData[key] !== 'string' || hashBytes(backupData[key]) !== checksum)
+      .map(([key, { username }]) => username || key);
+  }
+
+  /**
+   * Merge a backed up account into the copy already on this device
+   * @param {string} localKey - Account key `${username}_${netid}`
+   * @param {string} backupAccount - Decrypted account blob from the backup
+   * @returns {string|null} Merged blob encrypted with the local lock, or null if the local copy could not be read
+   */
+  mergeIntoLocalAccount(localKey, backupAccount) {
+    const encKey = getStateEncKey();
+    try {
+      const localData = accountStore.read(localKey, encKey);
+      if (!localData) return null;
+      const merged = this.mergeAccountState(localData, parse(backupAccount));
+      return encryptData(stringify(merged), encKey, true);
+    } catch (e) {
+      console.error(`Failed to merge backup into ${localKey}:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Add contacts, chats, groups and payments from a backup to local account state.
+   * Local values win; messages and payments are only added when their txid is not already present.
+   * @param {Object} local - Account state on this device; modified in place
+   * @param {Object} backup - Account state from the backup
+   * @returns {Object} The merged state
+   */
+  mergeAccountState(local, backup) {
+    const mergeByTxid = (localItems = [], backupItems = []) => {
+      const merged = [...localItems];
+      const txids = new Set(localItems.map((item) => item.txid).filter(Boolean));
+      for (const item of backupItems) {
+        if (item.txid && txids.has(item.txid)) continue;
+        insertSorted(merged, item, 'timestamp');
+        if (item.txid) txids.add(item.txid);
+      }
+      return merged;
+    };
+
+    local.contacts ??= {};
+    for (const [address, backupContact] of Object.entries(backup.contacts || {})) {
+      const contact = local.contacts[address];
+      if (!contact) {
+        local.contacts[address] = backupContact;
+        continue;
+      }
+      for (const [field, value] of Object.entries(backupContact)) {
+        if (contact[field] === undefined) contact[field] = value;
+      }
+      contact.messages = mergeByTxid(contact.messages, backupContact.messages);
+    }
+
+    local.groups ??= {};
+    for (const [groupId, backupGroup] of Object.entries(backup.groups || {})) {
+      const group = local.groups[groupId];
+      if (!group) {
+        local.groups[groupId] = backupGroup;
+      } else {
+        group.messages = mergeByTxid(group.messages, backupGroup.messages);
+      }
+    }
+
+    const chats = new Map();
+    for (const chat of [...(local.chats || []), ...(backup.chats || [])]) {
+      const existing = chats.get(chat.address);
+      if (!existing || existing.timestamp < chat.timestamp) chats.set(chat.address, chat);
+    }
+    local.chats = [...chats.values()].sort((a, b) => b.timestamp - a.timestamp);
+
+    if (local.wallet && backup.wallet) {
+      local.wallet.history = mergeByTxid(local.wallet.history, backup.wallet.history);
+      local.wallet.evmCustom ??= backup.wallet.evmCustom;
+    }
+    return local;
   }
 
   // Clear selected Google Drive file
@@ -16036,6 +19437,7 @@ class RestoreAccountModal {
     this.selectedGoogleDriveFileDisplay.querySelector('.selected-file-name').textContent = '';
     this.removeFileInjectedNetids();
     this.resetBackupLockPrompt();
+    this.clearAccountChoices();
     this.updateButtonState();
   }
 
@@ -16092,11 +19494,14 @@ class RestoreAccountModal {
 
   /**
    * Merge accounts from a parsed backup object into localStorage without removing any existing unrelated keys.
+   * Every selected account is decrypted (and merged, if asked) first; nothing is written unless all of that succeeds.
    * @param {Object} backupData Parsed JSON object produced from the backup file contents.
+   * @param {Set<string>|null} [selectedKeys] Accounts to restore, or null for all of them.
    * @returns {number|false} Number of accounts stored, or false if the merge was aborted.
    */
-  async mergeBackupAccountsToLocal(backupData) {
-    const overwrite = this.overwriteAccountsCheckbox?.checked;
+  async mergeBackupAccountsToLocal(backupData, selectedKeys = null) {
+    const existingMode = this.existingModeSelect.value;
+    const overwrite = existingMode === 'overwrite';
     const locksMatch = !!(backupData.lock && localStorage.lock && backupData.lock === localStorage.lock);
 
     // If backup has a lock, require backup password
@@ -16114,26 +19519,25 @@ class RestoreAccountModal {
       }
     }
 
-    // Iterate over account payloads and copy account entries.
-    const restoredAccountKeys = new Set();
+    // Prepare every account payload before writing any of them
+    const pendingAccounts = [];
     const backupAccountsRegistry = this.parseBackupAccountsRegistry(backupData);
     const backupAccountEntries = this.getBackupAccountEntries(backupData, backupAccountsRegistry);
     for (const { key, username, netid, registryAccount } of backupAccountEntries) {
+      if (selectedKeys && !selectedKeys.has(key)) continue;
 
       const localKey = `${username}_${netid}`;
-      const exists = localStorage.getItem(localKey) !== null;
-      if (exists && !overwrite) {
-        // skip when not overwriting
+      const exists = accountStore.has(localKey);
+      if (exists && existingMode === 'skip') {
         showToast(`Account ${username} on ${netid.slice(0, 6)}... already exists. Not overwriting.`, 3000, 'warning');
         continue;
       }
 
       let value = backupData[key];
       let decryptedAccount = null;
+      let finalValue = value;
 
       if (locksMatch) {
-        localStorage.setItem(localKey, value);
-        restoredAccountKeys.add(localKey);
         decryptedAccount = this.tryDecryptWithLocalLock(value);
       } else {
         // Need to decrypt with backupEncKey if available
@@ -16156,7 +19560,6 @@ class RestoreAccountModal {
         decryptedAccount = decrypted;
 
         // Now re-encrypt with local lock if localStorage.lock exists
-        let finalValue = decrypted;
         if (localStorage.lock) {
           if (!lockModal?.encKey) {
             showToast('Local lock is set but unlock state is missing. Please unlock before importing.', 0, 'error');
@@ -16169,11 +19572,21 @@ class RestoreAccountModal {
             continue;
           }
         }
+      }
 
-        localStorage.setItem(localKey, finalValue);
-        restoredAccountKeys.add(localKey);
+      if (exists && existingMode === 'merge') {
+        finalValue = decryptedAccount ? this.mergeIntoLocalAccount(localKey, decryptedAccount) : null;
+        if (!finalValue) {
+          showToast(`Failed to merge account ${username} on ${netid.slice(0, 6)}... Skipping.`, 0, 'error');
+          continue;
+        }
       }
 
+      pendingAccounts.push({ localKey, username, netid, value: finalValue, decryptedAccount, registryAccount });
+    }
+
+    for (const { localKey, username, netid, value, decryptedAccount, registryAccount } of pendingAccounts) {
+      accountStore.importEntry(localKey, value);
       if (decryptedAccount) {
         this.updateAccountRegistryAddress(netid, username, decryptedAccount);
       } else if (registryAccount?.address) {
@@ -16181,6 +19594,9 @@ class RestoreAccountModal {
       }
     }
 
+    // Make sure restored accounts are written before the page reloads
+    await accountStore.flush();
+
     // Import contact avatars if present in backup
     if (backupData._avatars && typeof backupData._avatars === 'object') {
       try {
@@ -16199,7 +19615,7 @@ class RestoreAccountModal {
       }
     }
 
-    return restoredAccountKeys.size;
+    return pendingAccounts.length;
   }
 
   async handleSubmit(event) {
@@ -16251,28 +19667,38 @@ class RestoreAccountModal {
       }
 
       // We first parse to jsonData so that if the parse does not work we don't destroy myData
-      let backupData = parse(fileContent);
+      // (the old single account export is converted to the keyed format)
+      const backupData = this.normalizeBackupData(parse(fileContent));
+      let selectedKeys = this.getSelectedAccountKeys();
+      if (selectedKeys && substitution) {
+        selectedKeys = new Set([...selectedKeys].map((key) => this.performStringSubstitution(key, substitution)));
+      }
+
+      // A substitution rewrites the account blobs, so their checksums can no longer match
+      if (!substitution) {
+        const damaged = this.findDamagedAccounts(backupData, selectedKeys);
+        if (damaged.length > 0) {
+          showToast(`The backup file is damaged (${damaged.join(', ')}). Nothing was restored.`, 0, 'error');
+          return;
+        }
+      }
 
+      const existingMessages = {
+        skip: 'Accounts already on this device will be skipped.',
+        merge: 'Chats and contacts from the backup will be merged into accounts already on this device.',
+        overwrite: 'Accounts already on this device with the same username and netid will be replaced.',
+      };
       // Instead of clearing localStorage, we'll merge accounts from backup into localStorage
       // Ask for confirmation (previous behavior warned about clearing; keep a similar warning)
-      const confirmed = confirm('⚠️ WARNING: This will import all accounts from the backup file.\n\nExisting local accounts will not be removed. If "Overwrite existing accounts" is checked, accounts with the same username and netid will be replaced.\n\nIt is recommended to backup your current data before proceeding.\n\nDo you want to continue with the restore?');
+      const confirmed = confirm(`⚠️ WARNING: This will import ${selectedKeys ? 'the selected' : 'all'} accounts from the backup file.\n\nExisting local accounts will not be removed. ${existingMessages[this.existingModeSelect.value]}\n\nIt is recommended to backup your current data before proceeding.\n\nDo you want to continue with the restore?`);
 
       if (!confirmed) {
         showToast('Restore cancelled by user', 2000, 'info');
         return;
       }
 
-      // backwards compatibility for old single account export
-      if (typeof backupData === 'object' && 'account' in backupData) {
-        const username = backupData.account.username;
-        const netid = backupData.account.netid;
-        backupData = {
-          [`${username}_${netid}`]: stringify(backupData)
-        };
-      }
-
       // Merge and abort if merge failed
-      const restoredCount = await this.mergeBackupAccountsToLocal(backupData);
+      const restoredCount = await this.mergeBackupAccountsToLocal(backupData, selectedKeys);
       if (restoredCount === false) {
         return; // merge failed — keep modal open and do not proceed to reset/close
       }
@@ -16309,6 +19735,9 @@ class RestoreAccountModal {
   clearForm() {
     this.fileInput.value = '';
     this.passwordInput.value = '';
+    this.existingModeSelect.value = 'skip';
+    this.deselectedAccountKeys.clear();
+    this.clearAccountChoices();
     this.developerOptionsToggle.checked = false;
     this.oldStringCustom.value = '';
     this.newStringCustom.value = '';
@@ -16979,6 +20408,15 @@ class UpdateWarningModal {
     this.closeButton = document.getElementById('closeUpdateWarningModal');
     this.backupFirstBtn = document.getElementById('backupFirstBtn');
     this.proceedToStoreBtn = document.getElementById('proceedToStoreBtn');
+    this.title = document.getElementById('updateWarningTitle');
+    this.message = document.getElementById('updateWarningMessage');
+    // 'store' for the native app, 'shell' for a precached web release
+    this.mode = 'store';
+    this.storeTexts = {
+      title: this.title.textContent,
+      message: this.message.textContent,
+      button: this.proceedToStoreBtn.textContent,
+    };
 
     // Set up event listeners
     this.closeButton.addEventListener('click', () => this.close());
@@ -16987,12 +20425,22 @@ class UpdateWarningModal {
       this.proceedToStoreBtn,
       BUTTON_COOLDOWN_MS,
       null,
-      () => this.proceedToStore()
+      () => (this.mode === 'shell' ? appShell.activate() : this.proceedToStore())
     ));
 
     // Event delegation for dynamically created update toast button
     document.addEventListener('click', (event) => {
       const target = event.target;
+      if (target?.classList?.contains('toast-app-update-button')) {
+        event.preventDefault();
+        event.stopPropagation();
+        const toastElement = target.closest('.toast');
+        if (toastElement && toastElement.id) {
+          hideToast(toastElement.id);
+        }
+        this.openAppUpdate();
+        return;
+      }
       if (target && (target.id === 'updateToastButton' || target.classList.contains('toast-update-button'))) {
         event.preventDefault();
         this.open();
@@ -17011,6 +20459,22 @@ class UpdateWarningModal {
     } else {
       this.storeUrl = 'https://play.google.com/store/apps/details?id=com.jairaj.liberdus';
     }
+    this.mode = 'store';
+    this.title.textContent = this.storeTexts.title;
+    this.message.textContent = this.storeTexts.message;
+    this.proceedToStoreBtn.textContent = this.storeTexts.button;
+    openModal(this.modal);
+  }
+
+  /**
+   * Offer to switch to the web release the service worker has precached
+   */
+  openAppUpdate() {
+    if (!appShell.pendingVersion) return;
+    this.mode = 'shell';
+    this.title.textContent = '⬆️ Update Available';
+    this.message.textContent = `Version ${appShell.pendingVersion} has been downloaded. The app will reload to start it; your data stays on this device.`;
+    this.proceedToStoreBtn.textContent = 'Update Now';
     openModal(this.modal);
   }
 
@@ -17103,6 +20567,7 @@ class LogsModal {
     this.modal = document.getElementById('logsModal');
     this.closeButton = document.getElementById('closeLogsModal');
     this.logsTextarea = document.getElementById('logsTextarea');
+    this.gatewayStatus = document.getElementById('logsGatewayStatus');
     this.clearButton = document.getElementById('clearLogsButton');
 
     this.closeButton.addEventListener('click', () => this.close());
@@ -17127,10 +20592,28 @@ class LogsModal {
 
   open() {
     openModal(this.modal);
+    this.renderGatewayStatus();
     // Fill the textarea with data and position the scroll to the bottom
     this.logsTextarea.value = this.data;
     this.logsTextarea.scrollTop = this.logsTextarea.scrollHeight;
   }
+
+  renderGatewayStatus() {
+    const statuses = gatewayManager.describe(getGatewayList());
+    const pinned = getPinnedGateway();
+    this.gatewayStatus.innerHTML = statuses.map((status) => `
+      <div class="gateway-item">
+        <span class="gateway-info">
+          <span class="gateway-url">${escapeHtml(status.web)}${status.web === pinned ? ' (pinned)' : ''}</span>
+          <span class="gateway-health">${renderGatewayHealth(status)}</span>
+          ${status.lastError ? `<span class="gateway-error">Last error: ${escapeHtml(status.lastError)}</span>` : ''}
+        </span>
+      </div>`).join('');
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
   
   log(...args) {
     const s = args.join(' ');
@@ -17316,6 +20799,7 @@ class ValidatorStakingModal {
     this.stakeButton = document.getElementById('openStakeModal');
     this.unstakeButton = document.getElementById('submitUnstake');
     this.backButton = document.getElementById('closeValidatorModal');
+    this.dashboardButton = document.getElementById('openStakingDashboard');
 
     // UI state elements
     this.detailsElement = document.getElementById('validator-details');
@@ -17360,6 +20844,7 @@ class ValidatorStakingModal {
       () => this.handleUnstake()
     ));
     this.backButton.addEventListener('click', () => this.close());
+    this.dashboardButton.addEventListener('click', () => stakingDashboardModal.open());
     
     // Set up the learn more button click handler
     if (this.learnMoreButton) {
@@ -17832,21 +21317,12 @@ class ValidatorStakingModal {
       console.warn('ValidatorStakingModal: Failed to fetch validator account for stake-lock calc:', e);
     }
 
-    // From reward end (recently inactive/exit)
-    if (stakeLockTime > 0 && rewardEndTimeMs > 0) {
-      const rem = stakeLockTime - (now - rewardEndTimeMs);
-      return { remainingMs: rem, stakeLockTime, remainingReason: 'recent validator deactivation' };
-    }
-
-    // Validator active (immediate blocker; no countdown)
-    if (rewardStartTimeMs > 0 && rewardEndTimeMs === 0) {
-      return { remainingMs: 0, stakeLockTime: 0, remainingReason: 'validator active' };
-    }
-
-    // Certificate delay
-    if (certExp > now) {
-      return { remainingMs: certExp - now, stakeLockTime: 0, remainingReason: 'certificate active' };
-    }
+    const unlock = getStakeUnlock({ now, stakeLockTime, certExp, rewardStartTimeMs, rewardEndTimeMs });
+    if (!unlock) return;
+    // Validator active is an immediate blocker with no countdown
+    const remainingMs = unlock.unlockAt === null ? 0 : unlock.unlockAt - now;
+    const lockTime = unlock.reason === STAKE_LOCK_REASONS.RECENT_DEACTIVATION ? stakeLockTime : 0;
+    return { remainingMs, stakeLockTime: lockTime, remainingReason: unlock.reason };
   }
 
   /**
@@ -17951,6 +21427,217 @@ class ValidatorStakingModal {
 }
 const validatorModal = new ValidatorStakingModal();
 
+class StakingDashboardModal {
+  constructor() {
+    this.positions = [];
+    this.libUsdPrice = null;
+    this.stakeLockTime = 0;
+    // From getStakeUnlock for the active node; undefined until the network has answered
+    this.unlock = undefined;
+    this.accruedReward = null;
+    this.loadToken = 0;
+  }
+
+  load() {
+    this.modal = document.getElementById('stakingDashboardModal');
+    this.closeButton = document.getElementById('closeStakingDashboardModal');
+    this.statusElement = document.getElementById('stakingDashboardStatus');
+    this.summary = document.getElementById('stakingDashboardSummary');
+    this.list = document.getElementById('stakingDashboardList');
+    this.exportButton = document.getElementById('stakingDashboardExport');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.exportButton.addEventListener('click', () => this.handleExport());
+  }
+
+  async open() {
+    // Local history renders right away; network state fills in the active node afterwards
+    this.positions = this.buildPositions();
+    this.unlock = undefined;
+    this.accruedReward = null;
+    this.statusElement.textContent = 'Loading network data...';
+    this.render();
+    openModal(this.modal);
+    await this.refresh();
+  }
+
+  close() {
+    this.loadToken++;
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  async refreshIfOpen() {
+    if (!this.isActive()) return;
+    await this.refresh();
+  }
+
+  /**
+   * @param {{ nominee: string|null, stake: bigint|null }} [networkState] - omitted when the account could not be read
+   * @returns {Array<Object>}
+   */
+  buildPositions(networkState) {
+    return buildStakingPositions(myData?.wallet?.history, {
+      nominee: networkState ? networkState.nominee : undefined,
+      stake: networkState?.stake ?? null,
+      pendingTxids: (myData?.pending || []).map((tx) => tx.txid),
+    });
+  }
+
+  async refresh() {
+    const token = ++this.loadToken;
+    try {
+      const [userAccountData, libUsdPrice] = await Promise.all([
+        queryNetwork(`/account/${longAddress(myData.account.keys.address)}`),
+        getLibUsdPrice(),
+      ]);
+      if (token !== this.loadToken) return;
+      if (!userAccountData?.account) throw new Error('Account not found');
+
+      const operatorInfo = userAccountData.account.operatorAccountInfo;
+      const nominee = operatorInfo?.nominee || null;
+      this.libUsdPrice = libUsdPrice;
+      this.positions = this.buildPositions({ nominee, stake: operatorInfo?.stake ?? null });
+      this.unlock = null;
+      this.accruedReward = null;
+
+      if (nominee) {
+        const nodeData = await queryNetwork(`/account/${nominee}`);
+        if (token !== this.loadToken) return;
+        const node = nodeData?.account;
+        this.accruedReward = node?.reward ?? null;
+        this.stakeLockTime = parameters?.current?.stakeLockTime || 0;
+        this.unlock = getStakeUnlock({
+          now: getCorrectedTimestamp(),
+          stakeLockTime: this.stakeLockTime,
+          certExp: operatorInfo?.certExp || 0,
+          rewardStartTimeMs: (node?.rewardStartTime || 0) * 1000,
+          rewardEndTimeMs: (node?.rewardEndTime || 0) * 1000,
+        });
+      }
+      this.statusElement.textContent = '';
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.warn('Failed to load staking data:', error);
+      this.statusElement.textContent = 'Could not reach the network. Showing the history saved on this device.';
+    }
+    this.render();
+  }
+
+  formatAmount(amount) {
+    const lib = `${Number(formatStakeLib(amount)).toFixed(4)} LIB`;
+    const usd = stakeUsdValue(amount, this.libUsdPrice);
+    return usd === null ? lib : `${lib} ($${usd.toFixed(2)})`;
+  }
+
+  describeUnlock() {
+    if (this.unlock === undefined) return 'N/A';
+    const now = getCorrectedTimestamp();
+    if (this.unlock === null || (this.unlock.unlockAt !== null && this.unlock.unlockAt <= now)) {
+      return 'Unlocked';
+    }
+    if (this.unlock.unlockAt === null) {
+      return `After the node stops validating, plus ${validatorModal.formatDuration(this.stakeLockTime)}`;
+    }
+    const date = new Date(this.unlock.unlockAt).toLocaleString();
+    return `${date} (${validatorModal.formatDuration(this.unlock.unlockAt - now)}, ${this.unlock.reason})`;
+  }
+
+  renderInfoItem(label, value, className = '') {
+    return `
+      <div class="info-item">
+        <span class="info-label">${escapeHtml(label)}</span>
+        <span class="info-value ${className}">${escapeHtml(value)}</span>
+      </div>`;
+  }
+
+  renderEvent(event) {
+    let amount = this.formatAmount(event.amount);
+    if (event.pending && event.type === 'unstake') amount = 'Pending';
+    let net = '';
+    if (event.net !== null && event.net !== 0n) {
+      const kind = event.net > 0n ? 'reward' : 'penalty';
+      const label = kind === 'reward' ? 'Reward' : 'Penalty';
+      net = `<span class="staking-event-net ${kind}">${label}: ${escapeHtml(this.formatAmount(event.net))}</span>`;
+    }
+    return `
+      <div class="staking-event">
+        <span class="staking-event-header">
+          <span>${event.type === 'stake' ? 'Stake' : 'Unstake'}${event.pending ? ' (pending)' : ''}</span>
+          <span class="staking-event-time">${escapeHtml(formatTime(event.timestamp))}</span>
+        </span>
+        <span class="staking-event-amount">${escapeHtml(amount)}</span>
+        ${net}
+      </div>`;
+  }
+
+  renderPosition(position) {
+    let status = 'Withdrawn';
+    if (position.active) status = 'Active';
+    else if (position.events.some((event) => event.pending)) status = 'Pending';
+
+    const items = [
+      this.renderInfoItem('Staked', this.formatAmount(position.staked)),
+      this.renderInfoItem('Rewards Received', this.formatAmount(position.rewards)),
+      this.renderInfoItem('Penalties', this.formatAmount(position.penalties)),
+    ];
+    if (position.active) {
+      if (this.accruedReward != null) {
+        items.push(this.renderInfoItem('Unclaimed Node Rewards', this.formatAmount(this.accruedReward)));
+      }
+      items.push(this.renderInfoItem('Projected Unlock', this.describeUnlock()));
+    }
+    const note = position.incomplete
+      ? '<p class="staking-position-note">The unstake for this node is not in this device\'s history, so its reward is unknown.</p>'
+      : '';
+    const events = [...position.events].reverse().map((event) => this.renderEvent(event)).join('');
+
+    return `
+      <div class="info-section staking-position" data-status="${status.toLowerCase()}">
+        <div class="staking-position-header">
+          <span class="info-value code">${escapeHtml(position.nominee)}</span>
+          <span class="staking-position-status">${status}</span>
+        </div>
+        ${items.join('')}
+        ${note}
+        <div class="staking-position-events">${events}</div>
+      </div>`;
+  }
+
+  render() {
+    const totals = this.positions.reduce((sum, position) => ({
+      staked: sum.staked + position.staked,
+      rewards: sum.rewards + position.rewards,
+      penalties: sum.penalties + position.penalties,
+    }), { staked: 0n, rewards: 0n, penalties: 0n });
+
+    this.summary.innerHTML = [
+      this.renderInfoItem('Nodes', String(this.positions.length)),
+      this.renderInfoItem('Currently Staked', this.formatAmount(totals.staked)),
+      this.renderInfoItem('Total Rewards', this.formatAmount(totals.rewards)),
+      this.renderInfoItem('Total Penalties', this.formatAmount(totals.penalties)),
+      this.renderInfoItem('LIB Price (USD)', this.libUsdPrice != null ? `$${this.libUsdPrice.toFixed(6)}` : 'N/A'),
+    ].join('');
+
+    this.exportButton.disabled = this.positions.length === 0;
+    if (this.positions.length === 0) {
+      this.list.innerHTML = '<div class="empty-state">No staking activity yet</div>';
+      return;
+    }
+    this.list.innerHTML = this.positions.map((position) => this.renderPosition(position)).join('');
+  }
+
+  handleExport() {
+    const csv = buildStakingStatementCsv(this.positions, { libUsdPrice: this.libUsdPrice });
+    const filename = `liberdus-staking-${myAccount?.username || 'account'}-${new Date().toISOString().slice(0, 10)}.csv`;
+    downloadFile(new Blob([csv], { type: 'text/csv' }), filename);
+  }
+}
+const stakingDashboardModal = new StakingDashboardModal();
+
 class StakeValidatorModal {
   constructor() {
     this.stakedAmount = 0n;
@@ -18373,6 +22060,8 @@ class ChatModal {
 
     // file attachments
     this.fileAttachments = [];
+    // Chunked uploads in flight; they can run for a long time, so the idle lock waits for them
+    this.chunkedUploads = 0;
     this.pendingLocation = null;
     this.locationRequestInProgress = false;
     this.locationSendInProgress = false;
@@ -18629,6 +22318,7 @@ class ChatModal {
       this.getRecentReactionSheetEmojis(),
       selectedEmoji
     );
+    deviceSync.record('reactionEmojis', 'account', myData.account[CHAT_REACTION_SHEET_RECENT_ACCOUNT_KEY]);
     saveState();
   }
 
@@ -18859,6 +22549,12 @@ class ChatModal {
     this.replyToMessage = document.getElementById('replyToMessage');
     this.replyOwnerIsMine = document.getElementById('replyOwnerIsMine');
     this.messageByteCounter = document.querySelector('.message-byte-counter');
+    this.keyChangeWarning = document.getElementById('chatKeyChangeWarning');
+    this.keyChangeWarningText = document.getElementById('chatKeyChangeWarningText');
+    this.keyChangeVerifyButton = document.getElementById('chatKeyChangeVerify');
+    this.keyChangeAcceptButton = document.getElementById('chatKeyChangeAccept');
+    this.keyChangeVerifyButton.addEventListener('click', () => keyVerificationModal.open(this.address));
+    this.keyChangeAcceptButton.addEventListener('click', () => keyVerificationModal.acceptKeyChange(this.address));
     this.tollTemplate = document.getElementById('tollInfoMessageTemplate');
     this.messagesContainer = document.querySelector('.messages-container');
     this.addFriendButtonChat = document.getElementById('addFriendButtonChat');
@@ -18934,6 +22630,13 @@ class ChatModal {
         e.stopPropagation();
         return false;
       }
+      // In-app call pages need the call key added when they are opened
+      const record = this.getMessageRecordFromElement(messageEl);
+      if (record?.type === 'call' && getCallRoom(record.message)) {
+        e.preventDefault();
+        openCallWindow(record.message, record.callKey);
+        return false;
+      }
       return true;
     });
     // Close all context menus when messages container scrolls
@@ -19029,6 +22732,7 @@ class ChatModal {
       () => this.revalidateSendButtonState(),
       () => this.handleSendMessage()
     ));
+    addLongPressListener(this.sendButton, () => this.openSendLater());
     this.cancelLocationShareButton?.addEventListener('click', () => this.clearPendingLocation());
     this.sendLocationShareButton?.addEventListener('click', withButtonCooldown(
       this.sendLocationShareButton,
@@ -19205,6 +22909,16 @@ class ChatModal {
       }
     });
 
+    // Payment request Pay button delegation
+    this.messagesList.addEventListener('click', (e) => {
+      const payButton = e.target.closest('.payment-request-pay-button');
+      if (payButton) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.handlePayRequest(payButton.closest('.message')?.dataset.txid);
+      }
+    });
+
     // Reply quote click delegation
     this.messagesList.addEventListener('click', (e) => {
       const replyQuote = e.target.closest('.reply-quote');
@@ -19613,6 +23327,48 @@ class ChatModal {
 
     this.appendChatModal(false, skipAutoScroll); // Call appendChatModal to render messages, ensure highlight=false
     void this.maybePromptReclaimToll(address);
+
+    this.updateKeyChangeWarning();
+    void this.checkContactKeys(address);
+  }
+
+  /**
+   * Look for new keys on the network while the chat is open; a verified contact with new keys blocks the chat
+   * @param {string} address
+   * @returns {Promise<void>}
+   */
+  async checkContactKeys(address) {
+    try {
+      if (!(await refreshContactKeys(address))) return;
+      if (this.isActive() && this.address === address) this.updateKeyChangeWarning();
+    } catch (e) {
+      console.warn('checkContactKeys failed', e);
+    }
+  }
+
+  /**
+   * Show or hide the blocking warning for a contact whose keys changed after they were verified
+   * @returns {void}
+   */
+  updateKeyChangeWarning() {
+    if (!this.keyChangeWarning) return;
+    const blocked = Boolean(this.address) && getContactKeyStatus(this.address) === KEY_VERIFICATION_STATUS.CHANGED;
+    const wasBlocked = this.modal.classList.contains('key-change-blocked');
+    this.modal.classList.toggle('key-change-blocked', blocked);
+    this.keyChangeWarning.style.display = blocked ? 'flex' : 'none';
+    if (blocked) {
+      const name = getContactDisplayName(myData.contacts[this.address]);
+      this.keyChangeWarningText.textContent =
+        `${name}'s security keys have changed since you verified them. This can happen when they reinstall ` +
+        'or restore their account, or it can mean someone is trying to intercept your messages. ' +
+        'Verify their safety number again, or accept the new keys to keep chatting.';
+    } else if (wasBlocked) {
+      this.messagesList.parentElement.scrollTop = this.messagesList.parentElement.scrollHeight;
+    }
+  }
+
+  isKeyChangeBlocked() {
+    return this.modal.classList.contains('key-change-blocked');
   }
 
   /**
@@ -19758,6 +23514,7 @@ class ChatModal {
     // Record the time user last viewed this chat for edit notification purposes
     if (this.address && myData.contacts[this.address]) {
       myData.contacts[this.address].lastChatOpenTs = getCorrectedTimestamp();
+      deviceSync.record('read', this.address, myData.contacts[this.address].lastChatOpenTs);
     }
 
     this.address = null;
@@ -20043,12 +23800,28 @@ class ChatModal {
    * Recipient account exists in myData.contacts; was created when the user submitted the New Chat form
    * @returns {void}
    */
-  async handleSendMessage() {
-    // Check if user is offline - prevent sending messages when offline
-    if (!isOnline) {
-      showToast('You are offline. Please check your internet connection.', 3000, 'error');
+  /**
+   * Long press on send: pick a time to send the composed message
+   */
+  openSendLater() {
+    if (this.sendButton.disabled) return;
+    if (!this.messageInput.value.trim() && !this.fileAttachments?.length) return;
+    if (document.getElementById('editOfTxId')?.value) {
+      showToast('Edits cannot be scheduled', 2000, 'info');
       return;
     }
+    const address = this.address;
+    openSendLaterPicker(address, (sendAt) => {
+      if (sendAt && this.isActive() && this.address === address) this.handleSendMessage({ sendAt });
+    });
+  }
+
+  /**
+   * Send the composed message, or queue it in the outbox when offline or scheduled
+   * @param {{sendAt?: number}} [options] - sendAt schedules the message for that time
+   */
+  async handleSendMessage({ sendAt = 0 } = {}) {
+    // Offline and scheduled sends are signed now and wait in the outbox
 
     // if user is blocked, don't send message, show toast
     if (myData.contacts[this.address].tollRequiredToSend == 2) {
@@ -20056,6 +23829,12 @@ class ChatModal {
       return;
     }
 
+    // keys changed after verification; wait until they are verified again or accepted
+    if (this.isKeyChangeBlocked()) {
+      this.updateKeyChangeWarning();
+      return;
+    }
+
     // Declare edit-related state outside try so catch can access
     let isEdit = false;
     let editMessage = null;
@@ -20235,6 +24014,7 @@ class ChatModal {
         editMessage.message = message;
         editMessage.edited = 1;
         editMessage.edited_timestamp = payload.sent_timestamp;
+        messageSearchModal.indexMessage(currentAddress, editMessage);
 
         if (previousHistory.kind === 'payment') {
           myData.wallet.history[previousHistoryIndex].memo = message;
@@ -20258,6 +24038,7 @@ class ChatModal {
           txid: txid,
           status: 'sent',
           ...(this.fileAttachments && this.fileAttachments.length > 0 && { xattach: this.fileAttachments }), // Only include if there are attachments
+          ...(sendAt && { scheduledAt: sendAt }),
         };
         if (messageObj.replyId) {
           newMessage.replyId = messageObj.replyId;
@@ -20319,6 +24100,17 @@ class ChatModal {
       this.messagesList.parentElement.scrollTop = this.messagesList.parentElement.scrollHeight;
       // --- End Optimistic UI Update ---
 
+      if (sendAt && !isEdit) {
+        updateTransactionStatus(txid, currentAddress, 'scheduled', 'message');
+        outbox.enqueue({ kind: 'message', address: currentAddress, tx: chatMessageObj, txid, sendAt });
+        return;
+      }
+      if (!isOnline) {
+        if (!isEdit) updateTransactionStatus(txid, currentAddress, 'queued', 'message');
+        outbox.enqueue({ kind: isEdit ? 'edit' : 'message', address: currentAddress, tx: chatMessageObj, txid });
+        return;
+      }
+
       //console.log('payload is', payload)
       // Send the message transaction using createChatMessage with default toll of 1
       const response = await injectTx(chatMessageObj, txid);
@@ -20781,6 +24573,234 @@ class ChatModal {
     }
   }
 
+  /**
+   * Sends an encrypted payment request chat message.
+   * @param {{amount: bigint, memo: string, expiresAt: number, retryTxId?: string}} request - amount in wei
+   * @returns {Promise<boolean>} True if the request was handed to the network
+   */
+  async sendPaymentRequest({ amount, memo, expiresAt, retryTxId = '' }) {
+    if (!isOnline) {
+      showToast('You are offline. Please check your internet connection.', 3000, 'error');
+      return false;
+    }
+
+    const currentAddress = this.address;
+    if (!currentAddress) {
+      showToast('Open a chat before requesting a payment.', 3000, 'error');
+      return false;
+    }
+    if (myData.contacts[currentAddress]?.tollRequiredToSend == 2) {
+      showToast('You are blocked by this user', 0, 'error');
+      return false;
+    }
+
+    const keys = myAccount.keys;
+    if (!keys) {
+      showToast('Keys not found for sender address', 0, 'error');
+      return false;
+    }
+
+    let txid = '';
+    try {
+      const tollInLib =
+        myData.contacts[currentAddress].tollRequiredToSend == 0
+          ? 0n
+          : getEffectiveTollLibWei(this.toll);
+      const sufficientBalance = await validateBalance(tollInLib);
+      if (!sufficientBalance) {
+        const msg = `Insufficient balance for fee${tollInLib > 0n ? ' and toll' : ''}. Go to the wallet to add more LIB.`;
+        showToast(msg, 0, 'error');
+        return false;
+      }
+
+      let chatCryptoContext;
+      try {
+        chatCryptoContext = await this.prepareEncryptedChatContext(currentAddress, keys);
+      } catch (error) {
+        if (error?.code === 'CHAT_CRYPTO_PREPARATION') {
+          console.warn(error.message);
+          showToast(error.message || 'Could not prepare encrypted chat. Please try again.', 0, 'error');
+          return false;
+        }
+        throw error;
+      }
+
+      const messageObj = buildPaymentRequestMessage({ amount, memo, expiresAt });
+      const { payload, chatMessageObj, txid: builtTxid } = await this.buildEncryptedStructuredChatTx(
+        currentAddress,
+        messageObj,
+        tollInLib,
+        keys,
+        chatCryptoContext
+      );
+      txid = builtTxid;
+
+      const contact = myData.contacts[currentAddress];
+      if (retryTxId) {
+        removeFailedTx(retryTxId, currentAddress);
+      }
+
+      const newMessage = {
+        message: '',
+        type: PAYMENT_REQUEST_TYPE,
+        request: parsePaymentRequestMessage(messageObj),
+        timestamp: payload.sent_timestamp,
+        sent_timestamp: payload.sent_timestamp,
+        my: true,
+        txid,
+        status: 'sent'
+      };
+
+      insertSorted(contact.messages, newMessage, 'timestamp');
+
+      const chatIndex = myData.chats.findIndex((chat) => chat.address === currentAddress);
+      if (chatIndex !== -1) {
+        myData.chats.splice(chatIndex, 1);
+      }
+      insertSorted(myData.chats, {
+        address: currentAddress,
+        timestamp: newMessage.sent_timestamp,
+        txid
+      }, 'timestamp');
+
+      this.appendChatModal();
+      this.messagesList.parentElement.scrollTop = this.messagesList.parentElement.scrollHeight;
+      saveState();
+      chatsScreen.updateChatList();
+
+      const response = await injectTx(chatMessageObj, txid);
+      if (!response || !response.result || !response.result.success) {
+        console.error('payment request failed to send', response);
+        const reason = response?.result?.reason;
+        if (reason && isRecipientTollStateFailure(reason)) {
+          await this.refreshRecipientTollState(currentAddress);
+        }
+        updateTransactionStatus(txid, currentAddress, 'failed', 'message');
+        this.appendChatModal();
+        saveState();
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Payment request error:', error);
+      showToast('Failed to send payment request. Please try again.', 0, 'error');
+      if (txid) {
+        updateTransactionStatus(txid, currentAddress, 'failed', 'message');
+        this.appendChatModal();
+        saveState();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Opens the send form filled in from a payment request in this chat
+   * @param {string} txid - txid of the request message
+   * @returns {Promise<void>}
+   */
+  async handlePayRequest(txid) {
+    const contact = myData.contacts[this.address];
+    const item = contact?.messages?.find((message) => message.txid === txid);
+    if (!item?.request || item.my) return;
+
+    const status = getPaymentRequestStatus(item.request, getCorrectedTimestamp());
+    if (status === PAYMENT_REQUEST_STATUS.PAID || status === PAYMENT_REQUEST_STATUS.EXPIRED) {
+      const paid = status === PAYMENT_REQUEST_STATUS.PAID;
+      showToast(paid ? 'This request has already been paid.' : 'This request has expired.', 3000, 'info');
+      this.appendChatModal();
+      return;
+    }
+    if (hasPendingRequestPayment(contact, item.request.id)) {
+      showToast('Your payment for this request is still pending.', 3000, 'info');
+      this.appendChatModal();
+      return;
+    }
+    if (!contact.username) {
+      showToast('This contact has no username to pay.', 3000, 'error');
+      return;
+    }
+
+    await sendAssetFormModal.openForRequest({ username: contact.username, ...item.request });
+  }
+
+  /**
+   * Announce a disappearing messages timer for a chat and apply it locally
+   * @param {string} address - Chat the timer is for
+   * @param {number} ttl - One of RETENTION_OPTIONS; 0 turns the timer off
+   * @returns {Promise<boolean>} True if the announcement was sent
+   */
+  async sendRetentionMessage(address, ttl) {
+    assert(isValidRetentionTtl(ttl), `Invalid retention ttl: ${ttl}`);
+    if (!isOnline) {
+      showToast('You are offline. Please check your internet connection.', 3000, 'error');
+      return false;
+    }
+    const contact = myData.contacts[address];
+    if (contact?.tollRequiredToSend == 2) {
+      showToast('You are blocked by this user', 0, 'error');
+      return false;
+    }
+    const keys = myAccount.keys;
+
+    let txid = '';
+    const previousRetention = contact.retention;
+    try {
+      const tollInLib = contact.tollRequiredToSend == 0 ? 0n : getEffectiveTollLibWei(this.toll);
+      const sufficientBalance = await validateBalance(tollInLib);
+      if (!sufficientBalance) {
+        const msg = `Insufficient balance for fee${tollInLib > 0n ? ' and toll' : ''}. Go to the wallet to add more LIB.`;
+        showToast(msg, 0, 'error');
+        return false;
+      }
+
+      const { payload, chatMessageObj, txid: builtTxid } = await this.buildEncryptedStructuredChatTx(
+        address,
+        { type: RETENTION_MESSAGE_TYPE, ttl },
+        tollInLib,
+        keys
+      );
+      txid = builtTxid;
+
+      messageRetention.applyPolicy(address, ttl, payload.sent_timestamp);
+      insertSorted(contact.messages, {
+        message: '',
+        type: RETENTION_MESSAGE_TYPE,
+        ttl,
+        timestamp: payload.sent_timestamp,
+        sent_timestamp: payload.sent_timestamp,
+        my: true,
+        txid,
+        status: 'sent'
+      }, 'timestamp');
+      syncChatLatestActivityTimestamp(address, contact);
+      if (this.isActive() && this.address === address) this.appendChatModal();
+      saveState();
+      chatsScreen.updateChatList();
+
+      const response = await injectTx(chatMessageObj, txid);
+      if (!response?.result?.success) {
+        throw new Error(response?.result?.reason || 'Retention message was rejected');
+      }
+      return true;
+    } catch (error) {
+      console.error('Retention message error:', error);
+      if (error?.code === 'CHAT_CRYPTO_PREPARATION') {
+        showToast(error.message || 'Could not prepare encrypted chat. Please try again.', 0, 'error');
+      } else {
+        showToast('Failed to change disappearing messages. Please try again.', 0, 'error');
+      }
+      if (txid) {
+        contact.messages = contact.messages.filter((message) => message.txid !== txid);
+        contact.retention = previousRetention;
+        syncChatLatestActivityTimestamp(address, contact);
+        if (this.isActive() && this.address === address) this.appendChatModal();
+        saveState();
+        chatsScreen.updateChatList();
+      }
+      return false;
+    }
+  }
+
   /**
    * Cancel editing mode without sending: clears hidden edit txid and restores UI state
    */
@@ -21004,8 +25024,47 @@ class ChatModal {
     return `https://maps.google.com/?q=${query}`;
   }
 
+  /**
+   * Renders the body of a payment request message, with a Pay button for open requests from the contact.
+   * @param {Object} item - chat message with a request object
+   * @param {Object} contact
+   * @returns {string}
+   */
+  renderPaymentRequestHTML(item, contact) {
+    const { amount, asset, memo, expiresAt } = item.request;
+    const status = getPaymentRequestStatus(item.request, getCorrectedTimestamp());
+    const title = item.my ? 'You requested' : `${escapeHtml(getContactDisplayName(contact))} requested`;
+    const paymentPending =
+      !item.my && status !== PAYMENT_REQUEST_STATUS.PAID && hasPendingRequestPayment(contact, item.request.id);
+    let statusText = 'Unpaid';
+    if (status === PAYMENT_REQUEST_STATUS.PAID) {
+      statusText = 'Paid';
+    } else if (paymentPending) {
+      statusText = 'Payment pending';
+    } else if (status === PAYMENT_REQUEST_STATUS.POSSIBLY_PAID) {
+      // A transfer of the same amount arrived without naming this request
+      statusText = 'Possibly paid';
+    } else if (status === PAYMENT_REQUEST_STATUS.EXPIRED) {
+      statusText = 'Expired';
+    } else if (expiresAt) {
+      statusText = `Unpaid · expires ${formatScheduledTime(expiresAt)}`;
+    }
+    const canPay = !item.my && !paymentPending &&
+      (status === PAYMENT_REQUEST_STATUS.OPEN || status === PAYMENT_REQUEST_STATUS.POSSIBLY_PAID);
+    return `
+              <div class="payment-request-message" data-request-status="${status}">
+                <div class="payment-request-title">${title}</div>
+                <div class="payment-request-amount">${escapeHtml(`${formatPaymentRequestAmount(amount)} ${asset}`)}</div>
+                ${memo ? `<div class="payment-request-memo">${linkifyUrls(memo)}</div>` : ''}
+                <div class="payment-request-status">${escapeHtml(statusText)}</div>
+                ${canPay ? '<button type="button" class="payment-request-pay-button">Pay</button>' : ''}
+              </div>`;
+  }
+
   renderChatMessageHTML(item, { contact, lastReadTs }) {
-    const timeString = formatTime(item.timestamp);
+    const timeString = item.scheduledAt
+      ? `Scheduled for ${formatScheduledTime(item.scheduledAt)}`
+      : formatTime(item.timestamp);
     // Use a consistent timestamp attribute for potential future use (e.g., message jumping)
     const timestampAttribute = `data-message-timestamp="${item.timestamp}"`;
     // Add txid attribute if available
@@ -21021,6 +25080,14 @@ class ChatModal {
         `;
     }
 
+    if (item.type === RETENTION_MESSAGE_TYPE) {
+      return `
+          <div class="update-toll-required-divider" ${timestampAttribute} ${txidAttribute} role="status">
+            <span class="update-toll-required-text">${escapeHtml(getRetentionPreviewText(item, contact))}</span>
+          </div>
+        `;
+    }
+
     // Check if it's a payment based on the presence of the amount property (BigInt)
     if (typeof item.amount === 'bigint') {
       // Assuming LIB (18 decimals) for now. TODO: Handle different asset decimals if needed.
@@ -21152,7 +25219,7 @@ class ChatModal {
           // TODO - remove the href and instead have it call a function which will open the URL and at the time of opening it adds the callUrlParam and username
           messageTextHTML = `
                   <div class="call-message">
-                    <a href='${item.message}${callUrlParams}"${myAccount.username}"' target="_blank" rel="noopener noreferrer" class="call-message-phone-button" aria-label="Join Video Call">
+                    <a href='${getCallRoom(item.message) ? item.message : `${item.message}${callUrlParams}"${myAccount.username}"`}' target="_blank" rel="noopener noreferrer" class="call-message-phone-button" aria-label="Join Video Call">
                       <span class="sr-only">Join Video Call</span>
                     </a>
                     <div>
@@ -21211,6 +25278,12 @@ class ChatModal {
         }
         break;
       }
+      case PAYMENT_REQUEST_TYPE: {
+        if (item.request) {
+          messageTextHTML = this.renderPaymentRequestHTML(item, contact);
+        }
+        break;
+      }
       default:
         console.warn(`Unknown chat message type: ${messageType}`);
         if (item.message && item.message.trim()) {
@@ -21509,6 +25582,9 @@ class ChatModal {
     if (this.address && myData.contacts[this.address]) {
       // Sanitize the text before saving
       const sanitizedText = escapeHtml(text);
+      if ((myData.contacts[this.address].draft || '') !== sanitizedText) {
+        deviceSync.record('draft', this.address, sanitizedText);
+      }
       myData.contacts[this.address].draft = sanitizedText;
       
       // Save or clear reply state
@@ -21617,13 +25693,13 @@ class ChatModal {
       } else if (validation.percentage >= 90) {
         this.messageByteCounter.style.color = '#ffa726';
         this.messageByteCounter.textContent = `${validation.remainingBytes} bytes - left`;
-        if (isOnline) this.sendButton.disabled = false;
+        this.sendButton.disabled = false;
       }
       this.messageByteCounter.style.display = 'block';
     } else {
       this.messageByteCounter.style.display = 'none';
-      // Only enable if online
-      if (isOnline) this.sendButton.disabled = false;
+      // Sending works offline too; the message waits in the outbox
+      this.sendButton.disabled = false;
     }
   }
 
@@ -21732,34 +25808,17 @@ class ChatModal {
         
         // Generate random encryption key for this attachment
         const encKey = generateRandomBytes(32);
+        const chunked = shouldChunkAttachment(file.size);
 
-        const worker = new Worker('encryption.worker.js', { type: 'module' });
-        worker.onmessage = async (e) => {
-        this.isEncrypting = false;
-        if (e.data.error) {
-          clearLoadingToast();
-          showToast(
-            `Attachment failed for ${uploadContactName}: ${e.data.error}`,
-            0,
-            'error',
-            false,
-            { dedupe: false }
-          );
-          refreshChatsScreenIfActive();
-          
-          this.revalidateSendButtonState();
-
-          this.addAttachmentButton.disabled = this.isEditingMessage() || this.blockedByRecipient;
-        } else {
-          // Encryption successful
-          // upload to get url here 
-
-          const bytes = new Uint8Array(e.data.cipherBin);
-          const blob = new Blob([bytes], { type: 'application/octet-stream' });
-
+        /**
+         * Upload the encrypted main file, then the thumbnail, and add the attachment to the draft
+         * @param {() => Promise<string>} uploadMainFile - resolves to the main file URL
+         */
+        const completeUpload = async (uploadMainFile) => {
           try {
             // Upload main file
-            const attachmentUrl = await this.uploadEncryptedFile(blob, file.name);
+            const attachmentUrl = await uploadMainFile();
+            this.isEncrypting = false;
             
             // NEW: Encrypt and upload thumbnail ONLY if main file upload succeeded
             let previewUrl = null;
@@ -21772,7 +25831,7 @@ class ChatModal {
               } catch (error) {
                 console.warn('Failed to upload thumbnail:', error);
                 // If thumbnail upload fails, delete the successfully uploaded main file
-                this.deleteAttachmentsFromServer(attachmentUrl);
+                this.deleteAttachmentsFromServer([{ url: attachmentUrl, chunked, encKey: bin2base64(encKey) }]);
                 throw error;  // Re-throw to trigger cleanup
               }
             }
@@ -21785,6 +25844,7 @@ class ChatModal {
               type: normalizedType,
               encKey: bin2base64(encKey)
             };
+            if (chunked) newAttachment.chunked = 1;
 
             const activeChatMatchesUpload = this.isActive() && this.address === uploadContactAddress;
             if (activeChatMatchesUpload) {
@@ -21842,6 +25902,43 @@ class ChatModal {
             this.addAttachmentButton.disabled = this.isEditingMessage() || this.blockedByRecipient;
             reject(fetchError); // Upload failed
           }
+        };
+
+        if (chunked) {
+          // Large files are read, encrypted and uploaded one chunk at a time instead of whole
+          completeUpload(() => this.uploadChunkedFile(file, encKey, (done, total) => {
+            const toast = loadingToastId && document.getElementById(loadingToastId);
+            if (toast) {
+              toast.textContent = `Attaching "${file.name}" to ${uploadContactName}... ${Math.floor((done / total) * 100)}%`;
+            }
+          }));
+          return;
+        }
+
+        const worker = new Worker('encryption.worker.js', { type: 'module' });
+        worker.onmessage = async (e) => {
+        this.isEncrypting = false;
+        if (e.data.error) {
+          clearLoadingToast();
+          showToast(
+            `Attachment failed for ${uploadContactName}: ${e.data.error}`,
+            0,
+            'error',
+            false,
+            { dedupe: false }
+          );
+          refreshChatsScreenIfActive();
+          
+          this.revalidateSendButtonState();
+
+          this.addAttachmentButton.disabled = this.isEditingMessage() || this.blockedByRecipient;
+        } else {
+          // Encryption successful
+          // upload to get url here 
+
+          const bytes = new Uint8Array(e.data.cipherBin);
+          const blob = new Blob([bytes], { type: 'application/octet-stream' });
+          await completeUpload(() => this.uploadEncryptedFile(blob, file.name));
         }
         worker.terminate();
       };
@@ -21930,6 +26027,30 @@ class ChatModal {
     return fileUrl;
   }
 
+  /**
+   * Encrypt and upload a large file one chunk at a time (see attachment-chunks.js)
+   * @param {File} file - The file to upload
+   * @param {Uint8Array} encKey - The attachment key
+   * @param {(done: number, total: number) => void} [onProgress] - Called after each chunk is uploaded
+   * @returns {Promise<string>} URL of the uploaded manifest
+   */
+  async uploadChunkedFile(file, encKey, onProgress) {
+    const encryptor = createChunkEncryptor(encKey);
+    this.chunkedUploads++;
+    try {
+      return await uploadChunkedAttachment(file, file.name, {
+        key: encKey,
+        encrypt: (chunk, index, final) => encryptor.encrypt(chunk, index, final),
+        upload: (blob, name) => this.uploadEncryptedFile(blob, name),
+        discard: (urls) => this.deleteAttachmentsFromServer(urls),
+        onProgress,
+      });
+    } finally {
+      this.chunkedUploads--;
+      encryptor.terminate();
+    }
+  }
+
   /**
    * Shows a preview of the attached file just above the textarea
    * @returns {void}
@@ -22006,7 +26127,16 @@ class ChatModal {
     const urls = Array.isArray(urlsOrAttachments)
       ? urlsOrAttachments.flatMap((item) => {
           if (typeof item === 'string') return [item];
-          if (item && typeof item === 'object') return [item.url, item.pUrl].filter(Boolean);
+          if (item && typeof item === 'object') {
+            if (item.chunked && typeof item.url === 'string' && item.encKey) {
+              // The manifest lists the chunk files, so it is only deleted once they have been looked up
+              getChunkedAttachmentUrls(item.url, base642bin(item.encKey))
+                .then((chunkUrls) => this.deleteAttachmentsFromServer(chunkUrls))
+                .catch((err) => console.warn('Failed to look up attachment chunks for delete:', err));
+              return [item.pUrl].filter(Boolean);
+            }
+            return [item.url, item.pUrl].filter(Boolean);
+          }
           return [];
         })
       : [urlsOrAttachments];
@@ -22300,9 +26430,12 @@ class ChatModal {
    * @param {Object} item - message object from myData.contacts[address].messages[idx]
    * @param {HTMLElement} linkEl - element with data-* fields (attachment row or voice message element)
    * @param {string} [urlOverride] - optional URL to fetch instead of linkEl.dataset.url (used for pUrl thumbnails)
-   * @returns {Promise<Blob>}
+   * @param {Object} [options]
+   * @param {(bytes: Uint8Array) => void} [options.onChunk] - receives each decrypted chunk of a chunked attachment
+   *   instead of the chunks being collected into the Blob
+   * @returns {Promise<Blob|null>} null when the chunks of a chunked attachment went to onChunk
    */
-  async decryptAttachmentToBlob(item, linkEl, urlOverride = null) {
+  async decryptAttachmentToBlob(item, linkEl, urlOverride = null, { onChunk } = {}) {
     if (!item || !linkEl) throw new Error('Missing item or attachment element');
 
     // Use urlOverride if provided, otherwise use the main attachment URL
@@ -22312,6 +26445,7 @@ class ChatModal {
 
     const isVoice = item.type === 'vm';
     let dhkey;
+    let att = null;
     
     // 1) Get encryption key
     if (isVoice) {
@@ -22338,7 +26472,7 @@ class ChatModal {
       }
     } else {
       // Attachment: look up attachment entry by main url
-      const att = Array.isArray(item.xattach) ? item.xattach.find((a) => a?.url === mainUrl) : null;
+      att = Array.isArray(item.xattach) ? item.xattach.find((a) => a?.url === mainUrl) : null;
       if (!att) throw new Error('Attachment entry not found');
       
       // Use encKey if available (new attachments), otherwise fall back to DH-derived keys (migrated/legacy)
@@ -22368,6 +26502,18 @@ class ChatModal {
       }
     }
 
+    // Blob type - use image/jpeg for thumbnails (urlOverride), otherwise use original type
+    const blobType = urlOverride ? 'image/jpeg' : (linkEl.dataset.type || 'application/octet-stream');
+
+    // Chunked attachments are downloaded and decrypted a chunk at a time; their thumbnails are single blobs
+    if (att?.chunked && !urlOverride) {
+      const parts = await fetchChunkedAttachment(mainUrl, dhkey, {
+        signal: this.abortController.signal,
+        onChunk: onChunk && ((bytes) => onChunk(bytes)),
+      });
+      return parts && new Blob(parts, { type: blobType });
+    }
+
     // 2) Download encrypted bytes (use fetchUrl which may be pUrl or main url)
     const res = await fetch(fetchUrl, { signal: this.abortController.signal });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
@@ -22379,8 +26525,7 @@ class ChatModal {
     if (!plainB64) throw new Error('decryptChacha returned null');
     const clearBin = base642bin(plainB64);
 
-    // 4) Blob - use image/jpeg for thumbnails (urlOverride), otherwise use original type
-    const blobType = urlOverride ? 'image/jpeg' : (linkEl.dataset.type || 'application/octet-stream');
+    // 4) Blob
     return new Blob([clearBin], { type: blobType });
   }
 
@@ -22411,9 +26556,27 @@ class ChatModal {
 
   async handleAttachmentDownload(item, linkEl) {
     let loadingToastId;
+    let stream = null;
     try {
       loadingToastId = showToast(`Decrypting attachment...`, 0, 'loading');
-      const blob = await this.decryptAttachmentToBlob(item, linkEl);
+
+      // Chunked audio and video start playing in a new tab while the rest is still downloading
+      const attachment = Array.isArray(item.xattach) ? item.xattach.find((a) => a?.url === linkEl.dataset.url) : null;
+      const mimeType = linkEl.dataset.type || '';
+      if (attachment?.chunked && /^(audio|video)\//.test(mimeType)) {
+        stream = this.openAttachmentStream(mimeType, attachment.size);
+        if (stream) window.open(stream.url, '_blank');
+      }
+
+      const blob = await this.decryptAttachmentToBlob(item, linkEl, null, {
+        onChunk: stream ? (bytes) => stream.push(bytes) : undefined,
+      });
+      if (stream) {
+        // The whole file went to the tab without being held here; it can be saved from there
+        stream.close();
+        hideToast(loadingToastId);
+        return;
+      }
       const blobUrl = URL.createObjectURL(blob);
       const filename = decodeURIComponent(linkEl.dataset.name || 'download');
 
@@ -22463,7 +26626,7 @@ class ChatModal {
         try {
           if (isViewable) {
             // Open in new tab and download
-            const newTab = window.open(blobUrl, '_blank');
+            window.open(blobUrl, '_blank');
             this.triggerFileDownload(blobUrl, filename);
           } else {
             // Non-viewable files: download only
@@ -22477,12 +26640,41 @@ class ChatModal {
 
     } catch (err) {
       console.error('Attachment decrypt failed:', err);
+      stream?.fail(err);
       
       hideToast(loadingToastId);
       this.handleAttachmentError(err, 'Decryption failed.');
     }
   }
 
+  /**
+   * Register a stream with the service worker that serves decrypted bytes as they are pushed, so a new tab can
+   * play a chunked attachment before it has fully downloaded. Not available without a controlling service
+   * worker or inside the React Native app.
+   * @param {string} mimeType - Content type for the tab
+   * @param {number} [size] - Total size in bytes, if known
+   * @returns {{ url: string, push: (bytes: Uint8Array) => void, close: () => void, fail: (error: Error) => void }|null}
+   */
+  openAttachmentStream(mimeType, size) {
+    const controller = navigator.serviceWorker?.controller;
+    if (!controller || window.ReactNativeWebView) return null;
+
+    const id = generateUUIDv4();
+    const channel = new MessageChannel();
+    controller.postMessage({ type: 'ATTACHMENT_STREAM', id, mimeType, size }, [channel.port2]);
+    const port = channel.port1;
+    return {
+      url: `attachment-stream/${id}`,
+      push: (bytes) => {
+        // Nothing else keeps the chunk, so its buffer is handed over unless it is shared with other data
+        const chunk = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength ? bytes : bytes.slice();
+        port.postMessage({ chunk: chunk.buffer }, [chunk.buffer]);
+      },
+      close: () => port.postMessage({ done: true }),
+      fail: (error) => port.postMessage({ error: error?.message || 'Download failed' }),
+    };
+  }
+
   /**
    * Detects if the keyboard is currently open
    * @returns {boolean} True if keyboard is likely open
@@ -22566,6 +26758,7 @@ class ChatModal {
     if (e.target.closest('.voice-message-speed-button')) return;
     if (e.target.closest('.voice-message-seek')) return;
     if (e.target.closest('.reply-quote')) return;
+    if (e.target.closest('.payment-request-pay-button')) return;
 
     // Check if keyboard is open - if so, don't show context menu
     if (this.isKeyboardOpen()) {
@@ -22597,6 +26790,11 @@ class ChatModal {
       return failedMessageMenu.open(e, messageEl);
     }
 
+    if (messageEl.dataset.status === 'queued' || messageEl.dataset.status === 'scheduled') {
+      outboxModal.open();
+      return;
+    }
+
     this.showMessageContextMenu(e, messageEl);
   }
 
@@ -23254,6 +27452,9 @@ class ChatModal {
       case 'info':
         contactInfoModal.open(createDisplayInfo(contact));
         break;
+      case 'disappearing':
+        chatSettingsModal.open(this.address);
+        break;
       case 'pay':
         const payOption = this.headerContextMenu.querySelector('[data-action="pay"]');
         const username = payOption?.dataset.username || contact.username || this.address;
@@ -23510,6 +27711,9 @@ class ChatModal {
       case 'location':
         void this.handleShareLocationAction();
         break;
+      case 'request':
+        paymentRequestModal.open();
+        break;
     }
   }
 
@@ -24220,10 +28424,6 @@ class ChatModal {
    */
   async sendReactionMessage(reaction) {
     assert(reaction.reactId, 'Reaction target txid is required');
-    if (!isOnline) {
-      console.warn('Reaction send skipped while offline', reaction);
-      return false;
-    }
 
     const currentAddress = this.address;
     if (!currentAddress || currentAddress === myAccount.address) {
@@ -24362,6 +28562,11 @@ class ChatModal {
     trackPendingReactionBeforeInject(txid, currentAddress, reactionPendingState);
     syncPendingReactionChainState(currentAddress, reaction.reactId);
 
+    if (!isOnline) {
+      outbox.enqueue({ kind: 'reaction', address: currentAddress, tx: chatMessageObj, txid });
+      return true;
+    }
+
     const response = await injectTx(chatMessageObj, txid);
     if (!response?.result?.success) {
       console.error('reaction message failed to send', response);
@@ -24674,7 +28879,8 @@ class ChatModal {
     const callUrl = recordUrl || anchorHref.split('#')[0];
     if (!callUrl) return '';
 
-    const urlToCopy = callUrl.includes('#') ? callUrl : `${callUrl}${callUrlParams}`;
+    // The call key is never part of a shared link; whoever opens it joins without being able to decrypt
+    const urlToCopy = callUrl.includes('#') || getCallRoom(callUrl) ? callUrl : `${callUrl}${callUrlParams}`;
     return this.removeCallDisplayNameParam(urlToCopy);
   }
 
@@ -24773,7 +28979,8 @@ class ChatModal {
       this.closeContextMenu();
       return;
     }
-    window.open(callUrl+`${callUrlParams}"${myAccount.username}"`, '_blank');
+    const record = this.getMessageRecordFromElement(messageEl);
+    openCallWindow(record?.type === 'call' && getCallRoom(record.message) ? record.message : callUrl, record?.callKey);
     this.closeContextMenu();
   }
 
@@ -24781,6 +28988,41 @@ class ChatModal {
    * Deletes a message locally (and potentially from network if it's a sent message)
    * @param {HTMLElement} messageEl - The message element to delete
    */
+  /**
+   * Delete a message on this device only
+   * @param {string} address - Chat the message is in
+   * @param {Object} message - Message record from contact.messages
+   */
+  markDeletedForMe(address, message) {
+    const contact = myData.contacts[address];
+    // Mark as deleted and clear payment info if present
+    Object.assign(message, {
+      deleted: MESSAGE_DELETED_STATE_LOCAL,
+      message: DELETED_MESSAGE_LOCAL_TEXT
+    });
+    // Remove payment-specific fields if present
+    if (message?.amount) {
+      if (message.payment) delete message.payment;
+      if (message.memo) message.memo = DELETED_MESSAGE_LOCAL_TEXT;
+      if (message.amount) delete message.amount;
+      if (message.symbol) delete message.symbol;
+
+      // Update corresponding transaction in wallet history
+      updateDeletedWalletHistoryEntry(
+        message.txid,
+        MESSAGE_DELETED_STATE_LOCAL,
+        DELETED_MESSAGE_LOCAL_TEXT
+      );
+    }
+    // Remove cached thumbnails for image attachments, then remove attachments
+    this.purgeThumbnail(message.xattach);
+    delete message.xattach;
+    messageSearchModal.indexMessage(address, message);
+    purgeContactReactionsForTarget(contact, message.txid);
+    purgePendingReactionsForTarget(address, message.txid);
+    syncChatLatestActivityTimestamp(address, contact);
+  }
+
   deleteMessage(messageEl) {
     const { txid, messageTimestamp: timestamp } = messageEl.dataset;
     
@@ -24809,31 +29051,10 @@ class ChatModal {
         }
       }
 
-      // Mark as deleted and clear payment info if present
-      Object.assign(message, {
-        deleted: MESSAGE_DELETED_STATE_LOCAL,
-        message: DELETED_MESSAGE_LOCAL_TEXT
-      });
-      // Remove payment-specific fields if present
-      if (message?.amount) {
-        if (message.payment) delete message.payment;
-        if (message.memo) message.memo = DELETED_MESSAGE_LOCAL_TEXT;
-        if (message.amount) delete message.amount;
-        if (message.symbol) delete message.symbol;
-
-        // Update corresponding transaction in wallet history
-        updateDeletedWalletHistoryEntry(
-          message.txid,
-          MESSAGE_DELETED_STATE_LOCAL,
-          DELETED_MESSAGE_LOCAL_TEXT
-        );
+      this.markDeletedForMe(this.address, message);
+      if (message.txid) {
+        deviceSync.record('deleted', `${this.address}:${message.txid}`, MESSAGE_DELETED_STATE_LOCAL);
       }
-      // Remove cached thumbnails for image attachments, then remove attachments
-      this.purgeThumbnail(message.xattach);
-      delete message.xattach;
-      purgeContactReactionsForTarget(contact, message.txid);
-      purgePendingReactionsForTarget(this.address, message.txid);
-      syncChatLatestActivityTimestamp(this.address, contact);
       
       this.appendChatModal();
       if (shouldRefreshCallsUi) {
@@ -25211,6 +29432,7 @@ class ChatModal {
    * @returns {Promise<void>}
    */
   async handleCallUser() {
+    let callWindow = null;
     try {
       // Synchronous eligibility based on cached value fetched on ChatModal open
       const contact = myData.contacts[this.address] || {};
@@ -25245,21 +29467,26 @@ class ChatModal {
       const randomBytes = generateRandomBytes(32); // 32 bytes = 256 bits
       const randomHex = bin2hex(randomBytes).slice(0, 20);
 
-      // Create the Meet URL
-      const callUrl = `https://meet.liberdus.com/${randomHex}`;
+      // Create the call page URL; media is encrypted with a key sent only inside the call message
+      const callUrl = new URL(`${CALL_PAGE_PATH}?room=${randomHex}`, window.location.href).href;
+      // Open the tab while we still have the chooser's click; it is pointed at the call once the message is sent
+      callWindow = chosenCallTime === 0 ? openBlankCallWindow() : null;
       
       // Send a call message to the contact with callTime (0 or future timestamp)
-      const success = await this.sendCallMessage(callUrl, chosenCallTime);
+      const sentMessage = await this.sendCallMessage(callUrl, chosenCallTime);
       
-      if (success) {
+      if (sentMessage) {
         if (chosenCallTime === 0) {
-          window.open(callUrl + `${callUrlParams}"${myAccount.username}"`, '_blank');
+          openCallWindow(callUrl, sentMessage.callKey, callWindow);
         } else {
           showToast(`Call scheduled for ${this.formatLocalDateTime(chosenCallTime)}`, 3000, 'success');
         }
+      } else {
+        callWindow?.close();
       }
       
     } catch (error) {
+      callWindow?.close();
       console.error('Error handling call user:', error);
       showToast('Failed to start call. Please try again.', 0, 'error');
     }
@@ -25268,7 +29495,7 @@ class ChatModal {
   /**
    * Sends a call message with the Meet URL
    * @param {string} meetUrl - The Meet URL to send
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|false>} The call message record, or false if it was not sent
    */
   async sendCallMessage(meetUrl, callTime = 0) {
     // if user is blocked, don't send message, show toast
@@ -25310,11 +29537,15 @@ class ChatModal {
 
       // Convert call message to new JSON format
       const normalizedCallTime = Number(callTime) || 0;
+      const callRoom = getCallRoom(meetUrl);
+      const callKey = callRoom ? deriveCallKey(dhkey, callRoom) : null;
       const callObj = {
         type: 'call',
         url: meetUrl,
         // callTime: 0 for immediate, or an absolute future Unix timestamp in milliseconds
-        callTime: normalizedCallTime
+        callTime: normalizedCallTime,
+        // Key for end-to-end encrypted media on the in-app call page
+        ...(callKey && { key: callKey }),
       };
 
       // Encrypt the JSON message using shared secret
@@ -25376,7 +29607,8 @@ class ChatModal {
         txid: txid,
         status: 'sent',
         type: 'call',
-        callTime: normalizedCallTime
+        callTime: normalizedCallTime,
+        ...(callKey && { callKey }),
       };
       insertSorted(chatsData.contacts[currentAddress].messages, newMessage, 'timestamp');
 
@@ -25410,7 +29642,7 @@ class ChatModal {
         refreshUpcomingCallsUi();
       }
 
-      return true;
+      return newMessage;
       
     } catch (error) {
       console.error('Call message error:', error);
@@ -25936,6 +30168,97 @@ class ChatModal {
 
 const chatModal = new ChatModal();
 
+/**
+ * Payment Request Modal
+ * Asks the contact in the open chat to pay an amount of LIB
+ */
+class PaymentRequestModal {
+  constructor() {
+    this.retryTxId = '';
+  }
+
+  load() {
+    this.modal = document.getElementById('paymentRequestModal');
+    this.closeButton = document.getElementById('closePaymentRequestModal');
+    this.form = document.getElementById('paymentRequestForm');
+    this.recipientElement = document.getElementById('paymentRequestRecipient');
+    this.amountInput = document.getElementById('paymentRequestAmount');
+    this.memoInput = document.getElementById('paymentRequestMemo');
+    this.expirySelect = document.getElementById('paymentRequestExpiry');
+    this.sendButton = document.getElementById('paymentRequestSend');
+
+    this.expirySelect.innerHTML = PAYMENT_REQUEST_EXPIRY_OPTIONS.map(
+      (option) => `<option value="${option.ms}">${option.label}</option>`
+    ).join('');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.amountInput.addEventListener('input', () => {
+      this.amountInput.value = normalizeUnsignedFloat(this.amountInput.value);
+      this.sendButton.disabled = this.getAmount() <= 0n;
+    });
+    this.form.addEventListener('submit', withButtonCooldown(
+      this.sendButton,
+      BUTTON_COOLDOWN_MS,
+      null,
+      (e) => this.handleSubmit(e)
+    ));
+  }
+
+  /**
+   * @param {{ amount?: string, memo?: string, retryTxId?: string }} [request] - prefills a failed request to retry;
+   *   amount in wei
+   */
+  open({ amount = '', memo = '', retryTxId = '' } = {}) {
+    const contact = myData.contacts[chatModal.address];
+    if (!contact) return;
+    this.retryTxId = retryTxId;
+    this.recipientElement.textContent = `From ${getContactDisplayName(contact)}`;
+    this.amountInput.value = amount ? formatPaymentRequestAmount(amount) : '';
+    this.memoInput.value = memo;
+    this.expirySelect.value = String(PAYMENT_REQUEST_EXPIRY_OPTIONS[0].ms);
+    this.sendButton.disabled = this.getAmount() <= 0n;
+    openModal(this.modal);
+  }
+
+  close() {
+    this.retryTxId = '';
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  /**
+   * @returns {bigint} the entered amount in wei, 0n when it is not a number
+   */
+  getAmount() {
+    const value = this.amountInput.value.trim();
+    if (!/^\d*\.?\d+$|^\d+\.$/.test(value)) return 0n;
+    return bigxnum2big(wei, value);
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    const amount = this.getAmount();
+    if (amount <= 0n) {
+      showToast('Enter an amount to request.', 3000, 'error');
+      return;
+    }
+    const expiryMs = Number(this.expirySelect.value) || 0;
+    const request = {
+      amount,
+      memo: this.memoInput.value.trim(),
+      expiresAt: expiryMs ? getCorrectedTimestamp() + expiryMs : 0,
+      retryTxId: this.retryTxId,
+    };
+    this.close();
+    await chatModal.sendPaymentRequest(request);
+  }
+}
+
+const paymentRequestModal = new PaymentRequestModal();
+
 class CallInviteModal {
   constructor() {
     this.messageEl = null;
@@ -26195,6 +30518,8 @@ class CallInviteModal {
     const msgCallLink = anchorHref.split('#')[0];
     if (!msgCallLink) return showToast('Call link not found', 2000, 'error');
     let msgCallTime = Number(this.messageEl.getAttribute('data-call-time')) || 0;
+    // Invitees get the same media key so they can join the encrypted call
+    const msgCallKey = chatModal.getMessageRecordFromElement(this.messageEl)?.callKey || null;
     this.inviteSendButton.textContent = 'Sending...';
 
     try {
@@ -26223,7 +30548,7 @@ class CallInviteModal {
           break;
         }
 
-        const payload = { type: 'call', url: msgCallLink, callTime: msgCallTime };
+        const payload = { type: 'call', url: msgCallLink, callTime: msgCallTime, ...(msgCallKey && { key: msgCallKey }) };
 
         let messagePayload = {}
         const contact = myData.contacts[addr];
@@ -26296,7 +30621,8 @@ class CallInviteModal {
           txid: txid,
           status: 'sent',
           type: 'call',
-          callTime: payload.callTime
+          callTime: payload.callTime,
+          ...(msgCallKey && { callKey: msgCallKey }),
         };
         insertSorted(contact.messages, newMessage, 'timestamp');
 
@@ -28133,6 +32459,41 @@ function formatDateTimeInTimeZone(ms, tz) {
   return formatTimeInTimeZone(ms, tz, true);
 }
 
+/**
+ * How far ahead of UTC the wall clock in `tz` is at the instant `ms`
+ * @param {number} ms
+ * @param {string} tz - IANA time zone
+ * @returns {number} Offset in milliseconds
+ */
+function getTimeZoneOffsetMs(ms, tz) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => { parts[type] = Number(value); });
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - (ms - (ms % 1000));
+}
+
+/**
+ * Timestamp of a wall clock time in `tz`
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wallTime - month is 1-12
+ * @param {string} tz - IANA time zone
+ * @returns {number} NaN if that time is skipped by a daylight saving change in `tz`
+ */
+function zonedTimeToTimestamp({ year, month, day, hour, minute }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let ms = wall - getTimeZoneOffsetMs(wall, tz);
+  ms = wall - getTimeZoneOffsetMs(ms, tz);
+  return ms + getTimeZoneOffsetMs(ms, tz) === wall ? ms : NaN;
+}
+
 /**
  * Call Schedule Choice Modal
  * Presents: Call Now | Schedule | Cancel
@@ -28364,6 +32725,8 @@ class DateTimePickerModal {
     this.hourSelect = null;
     this.minuteSelect = null;
     this.ampmSelect = null;
+    this.zoneRow = null;
+    this.zoneSelect = null;
     this.preview = null;
     this.submitBtn = null;
     this.immediateBtn = null;
@@ -28385,6 +32748,8 @@ class DateTimePickerModal {
     this.hourSelect = document.getElementById('dateTimePickerHour');
     this.minuteSelect = document.getElementById('dateTimePickerMinute');
     this.ampmSelect = document.getElementById('dateTimePickerAmPm');
+    this.zoneRow = document.getElementById('dateTimePickerZoneRow');
+    this.zoneSelect = document.getElementById('dateTimePickerZone');
     this.preview = document.getElementById('dateTimePickerPreview');
     this.submitBtn = document.getElementById('confirmDateTimePicker');
     this.immediateBtn = document.getElementById('clearDateTimePicker');
@@ -28409,6 +32774,7 @@ class DateTimePickerModal {
     maxTimestamp = 0,
     allowImmediate = false,
     selectionFormatter = null,
+    timeZones = [],
     minError = 'Please choose a date and time in the future',
     maxError = 'Selected date and time is too far in the future',
   }) {
@@ -28425,6 +32791,11 @@ class DateTimePickerModal {
 
     if (this.title) this.title.textContent = title;
     if (this.immediateBtn) this.immediateBtn.classList.toggle('hidden', !allowImmediate);
+    // Optional zones the entered time can be read in; '' is this device's zone
+    if (this.zoneSelect) {
+      this.zoneSelect.replaceChildren(...timeZones.map(({ label, timeZone }) => new Option(label, timeZone)));
+      this.zoneRow.classList.toggle('hidden', timeZones.length < 2);
+    }
 
     const currentMinTimestamp = typeof minTimestamp === 'function' ? minTimestamp() : minTimestamp;
     const defaultTimestamp = initialTimestamp > 0
@@ -28498,6 +32869,10 @@ class DateTimePickerModal {
 
     const hour24 = this._convert12To24(hour12, ampmVal);
     const { year, month, day } = parsed;
+    const timeZone = this.zoneSelect?.value;
+    if (timeZone) {
+      return zonedTimeToTimestamp({ year, month, day, hour: hour24, minute }, timeZone);
+    }
     const selectedDate = new Date(year, month - 1, day, hour24, minute, 0, 0);
     if (
       selectedDate.getFullYear() !== year
@@ -28613,6 +32988,48 @@ function openCallScheduleDatePicker(onDone) {
   });
 }
 
+const SEND_LATER_MAX_DAYS = 365;
+
+function formatScheduledTime(ms) {
+  return formatDateTimeInTimeZone(ms, getLocalTimeZone()) || new Date(ms).toLocaleString();
+}
+
+/**
+ * Pick when a message or payment should be sent. The time can be entered in the sender's zone or, if the
+ * recipient has shared theirs, in the recipient's.
+ * @param {string} address - Recipient address
+ * @param {(timestamp: number|null) => void} onDone - Called with the chosen time, or null if cancelled
+ */
+function openSendLaterPicker(address, onDone) {
+  const now = getCorrectedTimestamp();
+  const maximum = new Date(now);
+  maximum.setDate(maximum.getDate() + SEND_LATER_MAX_DAYS);
+  const contact = myData.contacts[address];
+  const localTimeZone = getLocalTimeZone();
+  const recipientTimeZone = typeof contact?.senderInfo?.timezone === 'string' ? contact.senderInfo.timezone : '';
+  const timeZones = [{ label: `My time${localTimeZone ? ` (${localTimeZone})` : ''}`, timeZone: '' }];
+  if (recipientTimeZone && recipientTimeZone !== localTimeZone) {
+    timeZones.push({ label: `${getContactDisplayName(contact)}'s time (${recipientTimeZone})`, timeZone: recipientTimeZone });
+  }
+
+  dateTimePickerModal.open({
+    onDone,
+    title: 'Send Later',
+    initialTimestamp: now + 60 * 60 * 1000,
+    minTimestamp: () => getCorrectedTimestamp() + 60 * 1000,
+    maxTimestamp: maximum.getTime(),
+    timeZones,
+    selectionFormatter: (timestamp) => {
+      const lines = [`Sends ${formatScheduledTime(timestamp)}`];
+      const recipientTime = recipientTimeZone ? formatDateTimeInTimeZone(timestamp, recipientTimeZone) : '';
+      if (recipientTime) lines.push(`Recipient time: ${recipientTime}`);
+      return { preview: lines.join(' · '), submitLabel: 'Schedule' };
+    },
+    minError: 'Please choose a time at least a minute from now',
+    maxError: `Please choose a date within the next ${SEND_LATER_MAX_DAYS} days`,
+  });
+}
+
 /**
  * Failed Message Context Menu Class
  * @class
@@ -28786,6 +33203,11 @@ class FailedMessageMenu {
       return;
     }
 
+    if (message?.type === PAYMENT_REQUEST_TYPE && message.request) {
+      paymentRequestModal.open({ ...message.request, retryTxId: txid });
+      return;
+    }
+
     // Message/attachment retry: prefill text and restore attachments so next send removes failed tx
     const messageContent = typeof message?.message === 'string' ? message.message : '';
     const messageAttachments = Array.isArray(message?.xattach) ? message.xattach : [];
@@ -29441,11 +33863,13 @@ class NewChatModal {
     this.uploadButton = document.getElementById('newChatUploadQRButton');
     this.hiddenFileInput = document.getElementById('newChatQRFileInput');
     this.inviteButton = document.getElementById('newChatInviteButton');
+    this.groupButton = document.getElementById('newChatGroupButton');
 
     this.scanButton.addEventListener('click', () => this.scanUsernameFromQR());
     this.uploadButton.addEventListener('click', () => this.hiddenFileInput.click());
     this.hiddenFileInput.addEventListener('change', (e) => this.handleQRImageUpload(e.target.files?.[0] || null));
     this.inviteButton.addEventListener('click', () => this.handleInviteClick());
+    this.groupButton.addEventListener('click', () => newGroupModal.open());
   }
 
   /**
@@ -29740,6 +34164,889 @@ class NewChatModal {
 
 const newChatModal = new NewChatModal();
 
+class NewGroupModal {
+  constructor() {
+    this.members = []; // [{ address, username }]
+  }
+
+  /**
+   * Loads the new group modal event listeners
+   * @returns {void}
+   */
+  load() {
+    this.modal = document.getElementById('newGroupModal');
+    this.closeButton = document.getElementById('closeNewGroupModal');
+    this.form = document.getElementById('newGroupForm');
+    this.nameInput = document.getElementById('newGroupName');
+    this.memberInput = document.getElementById('newGroupMemberInput');
+    this.memberError = document.getElementById('newGroupMemberError');
+    this.addMemberButton = document.getElementById('newGroupAddMemberButton');
+    this.memberList = document.getElementById('newGroupMemberList');
+    this.createButton = document.getElementById('newGroupCreateButton');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.nameInput.addEventListener('input', () => this.updateCreateButton());
+    this.memberInput.addEventListener('input', () => {
+      this.memberError.style.display = 'none';
+    });
+    this.memberInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.addMemberButton.click();
+      }
+    });
+    this.addMemberButton.addEventListener('click', withButtonCooldown(
+      this.addMemberButton,
+      BUTTON_COOLDOWN_MS,
+      null,
+      () => this.handleAddMember()
+    ));
+    this.memberList.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-remove-address]');
+      if (!removeButton) return;
+      this.members = this.members.filter((member) => member.address !== removeButton.dataset.removeAddress);
+      this.renderMembers();
+    });
+    this.form.addEventListener('submit', withButtonCooldown(
+      this.createButton,
+      BUTTON_COOLDOWN_MS,
+      () => this.updateCreateButton(),
+      (event) => this.handleCreateGroup(event)
+    ));
+  }
+
+  open() {
+    this.members = [];
+    this.form.reset();
+    this.memberError.style.display = 'none';
+    this.renderMembers();
+    openModal(this.modal);
+    setTimeout(() => {
+      this.nameInput.focus();
+    }, 325);
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+    this.members = [];
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  showMemberError(message) {
+    this.memberError.textContent = message;
+    this.memberError.style.display = 'inline';
+  }
+
+  updateCreateButton() {
+    this.createButton.disabled = !normalizeGroupName(this.nameInput.value) || this.members.length === 0;
+  }
+
+  renderMembers() {
+    this.memberList.innerHTML = this.members
+      .map(
+        (member) => `
+          <li class="participant-item">
+            <div class="participant-avatar">${generateIdenticon(member.address)}</div>
+            <div class="participant-info">
+              <div class="participant-name">${escapeHtml(member.username)}</div>
+            </div>
+            <button type="button" class="btn btn--secondary btn--pill group-member-remove" data-remove-address="${member.address}">Remove</button>
+          </li>
+        `
+      )
+      .join('');
+    this.updateCreateButton();
+  }
+
+  /**
+   * Resolves a username to a member address, enforcing the same account-type rule as 1:1 chats.
+   * @param {string} input
+   * @returns {Promise<{address: string, username: string}|{error: string}>}
+   */
+  async resolveMember(input) {
+    const username = normalizeUsername(input.trim());
+    if (username.length < 3) {
+      return { error: 'Username too short' };
+    }
+    if (username === myAccount.username) {
+      return { error: 'You are already in the group' };
+    }
+    const address = await getUsernameAddress(username);
+    if (!address) {
+      return { error: 'Username not found' };
+    }
+    const accountRes = await queryNetwork(`/account/${longAddress(address)}`);
+    if (!accountRes?.account) {
+      return { error: 'Account not found, try again' };
+    }
+    const myIsPrivate = !!myData?.account?.private;
+    if ((accountRes.account.private === true) !== myIsPrivate) {
+      return { error: `Only ${myIsPrivate ? 'private' : 'public'} accounts can join` };
+    }
+    return { address: normalizeAddress(address), username };
+  }
+
+  /**
+   * Makes sure a member is a local contact. New contacts are added as acquaintances, the same way
+   * starting a 1:1 chat does, so they can reply without paying a toll.
+   * @param {string} address
+   * @param {string} username
+   * @returns {Promise<boolean>} False if the contact could not be created
+   */
+  async ensureMemberContact(address, username) {
+    if (myData.contacts[address]) {
+      myData.contacts[address].username ??= username;
+      return true;
+    }
+    try {
+      const res = await friendModal.postUpdateTollRequired(address, 2);
+      if (res?.result?.success !== true) {
+        return false;
+      }
+    } catch (error) {
+      console.error('Error updating toll required for new group member:', error);
+      return false;
+    }
+    createNewContact(address, username, 2);
+    // The pending-tx failure handler reverts `friend` to `friendOld` if the network rejects the update
+    myData.contacts[address].friendOld = 1;
+    return true;
+  }
+
+  async handleAddMember() {
+    const input = this.memberInput.value;
+    if (!input.trim()) return;
+    if (this.members.length + 1 >= GROUP_MAX_MEMBERS) {
+      this.showMemberError(`Groups are limited to ${GROUP_MAX_MEMBERS} members`);
+      return;
+    }
+    const resolved = await this.resolveMember(input);
+    if (resolved.error) {
+      this.showMemberError(resolved.error);
+      return;
+    }
+    if (this.members.some((member) => member.address === resolved.address)) {
+      this.showMemberError('Already added');
+      return;
+    }
+    this.members.push(resolved);
+    this.memberInput.value = '';
+    this.renderMembers();
+  }
+
+  /**
+   * Creates the group locally and announces it to every member
+   * @param {Event} event
+   * @returns {Promise<void>}
+   */
+  async handleCreateGroup(event) {
+    event.preventDefault();
+    const name = normalizeGroupName(this.nameInput.value);
+    if (!name || this.members.length === 0) return;
+
+    for (const member of this.members) {
+      if (!(await this.ensureMemberContact(member.address, member.username))) {
+        showToast(`Could not add ${member.username}. Please try again.`, 0, 'error');
+        return;
+      }
+    }
+
+    const myAddress = normalizeAddress(myAccount.keys.address);
+    const group = createGroupRecord({
+      groupId: generateGroupId(),
+      name,
+      members: [myAddress, ...this.members.map((member) => member.address)],
+      admins: [myAddress],
+      createdBy: myAddress,
+      timestamp: getCorrectedTimestamp(),
+    });
+    const eventId = await publishGroupEvent(group, {
+      op: GROUP_OPS.META,
+      change: { kind: GROUP_CHANGE_KINDS.CREATE, targets: group.members },
+    });
+    if (!eventId) return;
+
+    this.close();
+    newChatModal.close();
+    groupChatModal.open(group.groupId);
+  }
+}
+
+const newGroupModal = new NewGroupModal();
+
+class GroupChatModal {
+  constructor() {
+    this.groupId = null;
+    this.replyTo = null; // { txid, message, sender }
+    this.editingTxid = null;
+    this.currentContextMessage = null;
+    this.isSending = false;
+  }
+
+  /**
+   * Loads the group chat modal event listeners
+   * @returns {void}
+   */
+  load() {
+    this.modal = document.getElementById('groupChatModal');
+    this.closeButton = document.getElementById('closeGroupChatModal');
+    this.headerInfo = document.getElementById('groupChatHeaderInfo');
+    this.modalAvatar = this.modal.querySelector('.modal-avatar');
+    this.modalTitle = this.modal.querySelector('.modal-title');
+    this.subtitle = this.modal.querySelector('.group-chat-subtitle');
+    this.infoButton = document.getElementById('groupChatInfoButton');
+    this.messagesContainer = this.modal.querySelector('.messages-container');
+    this.messagesList = this.modal.querySelector('.messages-list');
+    this.messageByteCounter = this.modal.querySelector('.message-byte-counter');
+    this.messageInput = document.getElementById('groupMessageInput');
+    this.sendButton = document.getElementById('groupSendButton');
+    this.replyPreview = document.getElementById('groupReplyPreview');
+    this.replyPreviewText = this.replyPreview.querySelector('.reply-preview-text');
+    this.replyPreviewClose = document.getElementById('groupReplyPreviewClose');
+    this.cancelEditButton = document.getElementById('groupCancelEditButton');
+    this.tollValue = document.getElementById('groupTollValue');
+    this.leftNotice = document.getElementById('groupLeftNotice');
+    this.inputRow = document.getElementById('groupMessageInputRow');
+    this.contextMenu = document.getElementById('groupMessageContextMenu');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.infoButton.addEventListener('click', () => groupInfoModal.open(this.groupId));
+    this.modalTitle.addEventListener('click', () => groupInfoModal.open(this.groupId));
+    this.sendButton.addEventListener('click', withButtonCooldown(
+      this.sendButton,
+      BUTTON_COOLDOWN_MS,
+      () => this.revalidateSendButtonState(),
+      () => this.handleSendMessage()
+    ));
+    this.sendButton.addEventListener('keydown', ignoreTabKey);
+    this.cancelEditButton.addEventListener('click', () => this.cancelEdit());
+    this.replyPreviewClose.addEventListener('click', () => this.cancelReply());
+
+    this.debouncedSaveDraft = debounce((text) => {
+      const group = this.getGroup();
+      if (group) group.draft = text;
+    }, 500);
+
+    this.messageInput.addEventListener('input', (e) => {
+      this.messageInput.style.height = '48px';
+      this.messageInput.style.height = Math.min(this.messageInput.scrollHeight, 120) + 'px';
+      this.revalidateSendButtonState();
+      if (!this.editingTxid) {
+        this.debouncedSaveDraft(e.target.value);
+      }
+    });
+    // allow ctlr+enter or cmd+enter to send message
+    this.messageInput.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+        e.preventDefault();
+        if (!this.sendButton.disabled) {
+          this.sendButton.click();
+        }
+      }
+    });
+
+    this.messagesList.addEventListener('click', (e) => this.handleMessageClick(e));
+    this.messagesContainer.addEventListener('scroll', () => this.closeContextMenu(), { passive: true });
+    this.contextMenu.addEventListener('click', (e) => {
+      const reactionButton = e.target.closest('.message-context-reaction-button');
+      if (reactionButton) {
+        e.stopPropagation();
+        void this.handleReaction(reactionButton.dataset.emoji);
+        return;
+      }
+      const option = e.target.closest('.context-menu-option');
+      if (!option) return;
+      e.stopPropagation();
+      this.handleContextMenuAction(option.dataset.action);
+    });
+    document.addEventListener('click', (e) => {
+      if (this.contextMenu.style.display === 'block' && !this.contextMenu.contains(e.target)) {
+        this.closeContextMenu();
+      }
+    });
+  }
+
+  /**
+   * Opens the thread for a group
+   * @param {string} groupId
+   * @returns {void}
+   */
+  open(groupId) {
+    const group = myData.groups?.[groupId];
+    if (!group) {
+      showToast('Group not found', 2000, 'error');
+      return;
+    }
+    this.groupId = groupId;
+    this.cancelReply();
+    this.editingTxid = null;
+    this.cancelEditButton.style.display = 'none';
+    this.messageInput.value = group.draft || '';
+    this.messageInput.style.height = '48px';
+    this.messageByteCounter.style.display = 'none';
+
+    group.unread = 0;
+    footer.closeNewChatButton();
+    this.render(true);
+    this.revalidateSendButtonState();
+    openModal(this.modal);
+    syncChatTabNotificationBubble();
+
+    // Refresh member tolls in the background so the toll display and the next send are current
+    refreshGroupMemberTollState(group.members.filter((address) => address !== normalizeAddress(myAccount.keys.address)))
+      .then(() => {
+        group.tollCheckedAt = Date.now();
+        if (this.isActive() && this.groupId === groupId) this.updateTollDisplay(group);
+      })
+      .catch((error) => console.warn('Failed to refresh group member tolls:', error));
+  }
+
+  close() {
+    const group = this.getGroup();
+    if (group && !this.editingTxid) {
+      group.draft = this.messageInput.value;
+    }
+    this.closeContextMenu();
+    this.modal.classList.remove('active');
+    this.groupId = null;
+    this.editingTxid = null;
+    this.replyTo = null;
+    saveState();
+    if (chatsScreen.isActive()) {
+      chatsScreen.updateChatList();
+      footer.openNewChatButton();
+    }
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  getGroup() {
+    return this.groupId ? myData?.groups?.[this.groupId] : null;
+  }
+
+  /**
+   * Re-renders the header, input state and message list
+   * @param {boolean} [scrollToBottom=false]
+   * @returns {void}
+   */
+  render(scrollToBottom = false) {
+    const group = this.getGroup();
+    if (!group) return;
+
+    this.modalAvatar.innerHTML = generateIdenticon(hashBytes(group.groupId), 40);
+    this.modalTitle.textContent = group.name;
+    this.subtitle.textContent = `${group.members.length} member${group.members.length === 1 ? '' : 's'}`;
+    this.leftNotice.style.display = group.left ? 'block' : 'none';
+    this.inputRow.style.display = group.left ? 'none' : '';
+    this.updateTollDisplay(group);
+
+    const myAddress = normalizeAddress(myAccount.keys.address);
+    // Messages are stored newest first; render oldest first like the 1:1 chat
+    this.messagesList.innerHTML = [...group.messages]
+      .reverse()
+      .map((item) => this.renderMessageHTML(group, item, myAddress))
+      .join('');
+
+    if (scrollToBottom) {
+      requestAnimationFrame(() => {
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+      });
+    }
+  }
+
+  /**
+   * Shows the sum of the tolls one message to this group costs
+   * @param {Object} group
+   * @returns {void}
+   */
+  updateTollDisplay(group) {
+    const myAddress = normalizeAddress(myAccount.keys.address);
+    let totalToll = 0n;
+    let blockedCount = 0;
+    for (const address of group.members) {
+      if (address === myAddress) continue;
+      const contact = myData.contacts[address];
+      if (!contact) continue;
+      if (Number(contact.tollRequiredToSend) === 2) {
+        blockedCount += 1;
+      } else if (Number(contact.tollRequiredToSend) === 1) {
+        totalToll += getEffectiveTollLibWei(chatModal.formatTollDisplay(contact.toll, contact.tollUnit).libWei);
+      }
+    }
+    const { text } = chatModal.formatTollDisplay(totalToll, 'LIB');
+    this.tollValue.textContent = blockedCount > 0 ? `${text} (${blockedCount} blocked)` : text;
+    this.tollValue.classList.toggle('toll-cost', totalToll > 0n);
+    this.tollValue.classList.toggle('toll-free', totalToll === 0n);
+  }
+
+  renderDeliveryStatus(item) {
+    switch (item.status) {
+      case 'sending':
+        return ' <span class="group-delivery-status">sending…</span>';
+      case 'partial':
+        return ' <span class="group-delivery-status partial" title="Not delivered to every member">partly sent</span>';
+      case 'failed':
+        return ' <span class="group-delivery-status failed">not sent</span>';
+      default:
+        return '';
+    }
+  }
+
+  renderMessageHTML(group, item, myAddress) {
+    const txidAttribute = `data-txid="${escapeHtml(item.txid)}"`;
+    if (item.type === GROUP_SYSTEM_ENTRY_TYPE) {
+      return `
+          <div class="group-event-divider" ${txidAttribute} role="status">
+            <span class="group-event-text">${escapeHtml(describeGroupChange(item))}</span>
+          </div>
+        `;
+    }
+
+    const messageClass = item.my ? 'sent' : 'received';
+    const timeString = formatTime(item.timestamp);
+    const senderHTML = item.my
+      ? ''
+      : `<div class="group-message-sender">${escapeHtml(getGroupMemberDisplayName(item.sender))}</div>`;
+
+    if (isDeleted(item)) {
+      return `
+          <div class="message ${messageClass} deleted-message" ${txidAttribute}>
+            ${senderHTML}
+            <div class="message-content deleted-content">${item.my ? DELETED_MESSAGE_FOR_ALL_TEXT : DELETED_MESSAGE_BY_SENDER_TEXT}</div>
+            <div class="message-time">${timeString}</div>
+          </div>
+        `;
+    }
+
+    let replyHTML = '';
+    if (item.replyId) {
+      const ownerClass = item.replySender === myAddress ? 'reply-owner-me' : 'reply-owner-contact';
+      const ownerText = item.replySender ? getGroupMemberDisplayName(item.replySender) : 'Member';
+      replyHTML = `
+          <div class="reply-quote ${ownerClass}" data-reply-txid="${escapeHtml(item.replyId)}">
+            <span class="reply-quote-label ${ownerClass}">${escapeHtml(ownerText)}</span>
+            <div class="reply-quote-text">${escapeHtml(item.replyMessage || 'View original message')}</div>
+          </div>
+        `;
+    }
+
+    const reactions = summarizeGroupReactions(group, item.txid, myAddress);
+    const reactionsHTML = reactions.length === 0
+      ? ''
+      : `<div class="message-reactions" aria-label="Reactions">${reactions
+        .map((reaction) => {
+          const chipClass = reaction.mine ? 'message-reaction-chip my-reaction' : 'message-reaction-chip';
+          const countText = reaction.count > 1 ? ` ${reaction.count}` : '';
+          return `<span class="${chipClass}">${escapeHtml(reaction.emoji)}${countText}</span>`;
+        })
+        .join('')}</div>`;
+    const statusAttribute = item.status ? `data-status="${item.status}"` : '';
+
+    return `
+        <div class="message ${messageClass}${reactions.length ? ' has-reactions' : ''}" ${txidAttribute} ${statusAttribute}>
+          ${senderHTML}
+          ${replyHTML}
+          <div class="message-content" style="white-space: pre-wrap;">${linkifyUrls(item.message)}</div>
+          <div class="message-time">${timeString}${item.edited ? ' <span class="message-edited-label">edited</span>' : ''}${item.my ? this.renderDeliveryStatus(item) : ''}</div>
+          ${reactionsHTML}
+        </div>
+      `;
+  }
+
+  revalidateSendButtonState() {
+    if (!this.isActive()) return;
+    const validation = chatModal.validateMessageSize(this.messageInput.value);
+    if (validation.percentage >= 90) {
+      const overLimit = validation.percentage > 100;
+      this.messageByteCounter.style.color = overLimit ? '#dc3545' : '#ffa726';
+      this.messageByteCounter.textContent = overLimit
+        ? `${validation.currentBytes - validation.maxBytes} bytes - over limit`
+        : `${validation.remainingBytes} bytes - left`;
+      this.messageByteCounter.style.display = 'block';
+    } else {
+      this.messageByteCounter.style.display = 'none';
+    }
+    this.sendButton.disabled = !isOnline || !validation.isValid || !this.messageInput.value.trim() || this.isSending;
+  }
+
+  /**
+   * Sends the composer text as a new group message, or as an edit when editing
+   * @returns {Promise<void>}
+   */
+  async handleSendMessage() {
+    const group = this.getGroup();
+    const text = this.messageInput.value.trim();
+    if (!group || group.left || !text || this.isSending) return;
+    if (!chatModal.validateMessageSize(text).isValid) return;
+
+    this.isSending = true;
+    this.sendButton.disabled = true;
+    try {
+      let eventId;
+      if (this.editingTxid) {
+        const target = group.messages.find((message) => message.txid === this.editingTxid);
+        if (!target || Date.now() - Number(target.timestamp || 0) > EDIT_WINDOW_MS) {
+          showToast('Edit window expired', 3000, 'warning');
+          this.cancelEdit();
+          return;
+        }
+        eventId = await publishGroupEvent(group, { op: GROUP_OPS.EDIT, target: this.editingTxid, message: text });
+      } else {
+        const fields = { op: GROUP_OPS.MESSAGE, message: text };
+        if (this.replyTo) {
+          fields.replyId = this.replyTo.txid;
+          fields.replyMessage = truncateMessage(this.replyTo.message, 100);
+          fields.replySender = this.replyTo.sender;
+        }
+        eventId = await publishGroupEvent(group, fields);
+      }
+      if (!eventId) return;
+
+      this.messageInput.value = '';
+      this.messageInput.style.height = '48px';
+      group.draft = '';
+      this.editingTxid = null;
+      this.cancelEditButton.style.display = 'none';
+      this.cancelReply();
+      this.render(true);
+    } finally {
+      this.isSending = false;
+      this.revalidateSendButtonState();
+    }
+  }
+
+  handleMessageClick(e) {
+    if (e.target.tagName === 'A' || e.target.closest('a')) return;
+    const replyQuote = e.target.closest('.reply-quote');
+    if (replyQuote) {
+      this.scrollToMessage(replyQuote.dataset.replyTxid);
+      return;
+    }
+    const messageEl = e.target.closest('.message');
+    if (!messageEl || messageEl.classList.contains('deleted-message')) return;
+    const group = this.getGroup();
+    if (!group || group.left) return;
+    this.showContextMenu(e, messageEl);
+  }
+
+  getRecord(messageEl) {
+    return this.getGroup()?.messages.find((message) => message.txid === messageEl?.dataset?.txid) || null;
+  }
+
+  showContextMenu(e, messageEl) {
+    e.preventDefault();
+    e.stopPropagation();
+    const record = this.getRecord(messageEl);
+    if (!record) return;
+
+    this.currentContextMessage = messageEl;
+    const canEdit = record.my && Date.now() - Number(record.timestamp || 0) < EDIT_WINDOW_MS;
+    this.contextMenu.querySelector('[data-action="edit"]').style.display = canEdit ? 'flex' : 'none';
+    this.contextMenu.querySelector('[data-action="delete-for-all"]').style.display = record.my ? 'flex' : 'none';
+    chatModal.positionContextMenu(this.contextMenu, messageEl);
+    this.contextMenu.style.display = 'block';
+  }
+
+  closeContextMenu() {
+    if (!this.contextMenu) return;
+    this.contextMenu.style.display = 'none';
+    this.currentContextMessage = null;
+  }
+
+  handleContextMenuAction(action) {
+    const record = this.getRecord(this.currentContextMessage);
+    this.closeContextMenu();
+    if (!record) return;
+
+    switch (action) {
+      case 'reply':
+        this.startReply(record);
+        break;
+      case 'copy':
+        navigator.clipboard.writeText(record.message).then(
+          () => showToast('Message copied to clipboard', 2000, 'success'),
+          () => showToast('Failed to copy message', 0, 'error')
+        );
+        break;
+      case 'edit':
+        this.startEdit(record);
+        break;
+      case 'delete-for-all':
+        void this.deleteForAll(record);
+        break;
+    }
+  }
+
+  startReply(record) {
+    this.replyTo = { txid: record.txid, message: record.message, sender: record.sender };
+    this.replyPreviewText.textContent = truncateMessage(record.message, 40);
+    this.replyPreview.style.display = '';
+    this.messageInput.focus();
+  }
+
+  cancelReply() {
+    this.replyTo = null;
+    if (this.replyPreview) this.replyPreview.style.display = 'none';
+  }
+
+  startEdit(record) {
+    this.cancelReply();
+    this.editingTxid = record.txid;
+    this.messageInput.value = record.message;
+    this.cancelEditButton.style.display = '';
+    this.revalidateSendButtonState();
+    this.messageInput.focus();
+  }
+
+  cancelEdit() {
+    this.editingTxid = null;
+    this.cancelEditButton.style.display = 'none';
+    this.messageInput.value = this.getGroup()?.draft || '';
+    this.revalidateSendButtonState();
+  }
+
+  async deleteForAll(record) {
+    const group = this.getGroup();
+    if (!group || !record.my) return;
+    if (!confirm('Delete this message for all group members?')) return;
+    const eventId = await publishGroupEvent(group, { op: GROUP_OPS.DELETE, target: record.txid });
+    if (eventId) this.render();
+  }
+
+  /**
+   * Toggles the user's reaction on the message the context menu was opened for
+   * @param {string} emoji
+   * @returns {Promise<void>}
+   */
+  async handleReaction(emoji) {
+    const group = this.getGroup();
+    const record = this.getRecord(this.currentContextMessage);
+    this.closeContextMenu();
+    if (!group || !record || !emoji) return;
+
+    const myAddress = normalizeAddress(myAccount.keys.address);
+    const current = group.reactions.find(
+      (reaction) => reaction.targetTxid === record.txid && reaction.sender === myAddress
+    );
+    // Picking the emoji you already reacted with removes it
+    const nextEmoji = current?.emoji === emoji ? '' : emoji;
+    const eventId = await publishGroupEvent(group, { op: GROUP_OPS.REACT, target: record.txid, emoji: nextEmoji });
+    if (eventId) this.render();
+  }
+
+  scrollToMessage(txid) {
+    if (!txid) return;
+    const target = this.messagesList.querySelector(`[data-txid="${CSS.escape(txid)}"]`);
+    if (!target) {
+      showToast('Message not found', 2000, 'info');
+      return;
+    }
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('highlighted');
+    setTimeout(() => target.classList.remove('highlighted'), 2000);
+  }
+}
+
+const groupChatModal = new GroupChatModal();
+
+class GroupInfoModal {
+  constructor() {
+    this.groupId = null;
+  }
+
+  /**
+   * Loads the group info modal event listeners
+   * @returns {void}
+   */
+  load() {
+    this.modal = document.getElementById('groupInfoModal');
+    this.closeButton = document.getElementById('closeGroupInfoModal');
+    this.nameInput = document.getElementById('groupInfoName');
+    this.renameButton = document.getElementById('groupInfoRenameButton');
+    this.addMemberGroup = document.getElementById('groupInfoAddMemberGroup');
+    this.memberInput = document.getElementById('groupInfoMemberInput');
+    this.memberError = document.getElementById('groupInfoMemberError');
+    this.addMemberButton = document.getElementById('groupInfoAddMemberButton');
+    this.memberCount = document.getElementById('groupInfoMemberCount');
+    this.memberList = document.getElementById('groupInfoMemberList');
+    this.leaveButton = document.getElementById('groupInfoLeaveButton');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.renameButton.addEventListener('click', withButtonCooldown(
+      this.renameButton,
+      BUTTON_COOLDOWN_MS,
+      null,
+      () => this.handleRename()
+    ));
+    this.memberInput.addEventListener('input', () => {
+      this.memberError.style.display = 'none';
+    });
+    this.addMemberButton.addEventListener('click', withButtonCooldown(
+      this.addMemberButton,
+      BUTTON_COOLDOWN_MS,
+      null,
+      () => this.handleAddMember()
+    ));
+    this.memberList.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-remove-address]');
+      if (removeButton) {
+        void this.handleRemoveMember(removeButton.dataset.removeAddress);
+      }
+    });
+    this.leaveButton.addEventListener('click', withButtonCooldown(
+      this.leaveButton,
+      BUTTON_COOLDOWN_MS,
+      null,
+      () => this.handleLeave()
+    ));
+  }
+
+  open(groupId) {
+    if (!myData.groups?.[groupId]) return;
+    this.groupId = groupId;
+    this.memberInput.value = '';
+    this.memberError.style.display = 'none';
+    this.render();
+    openModal(this.modal);
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+    this.groupId = null;
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  getGroup() {
+    return this.groupId ? myData?.groups?.[this.groupId] : null;
+  }
+
+  render() {
+    const group = this.getGroup();
+    if (!group) return;
+    const myAddress = normalizeAddress(myAccount.keys.address);
+    const amAdmin = !group.left && isGroupAdmin(group, myAddress);
+
+    this.nameInput.value = group.name;
+    this.nameInput.disabled = !amAdmin;
+    this.renameButton.style.display = amAdmin ? '' : 'none';
+    this.addMemberGroup.style.display = amAdmin ? '' : 'none';
+    this.leaveButton.style.display = group.left ? 'none' : '';
+    this.memberCount.textContent = `${group.members.length} member${group.members.length === 1 ? '' : 's'}`;
+    this.memberList.innerHTML = group.members
+      .map((address) => {
+        const role = isGroupAdmin(group, address) ? '<div class="group-member-role">Admin</div>' : '';
+        const removeHTML = amAdmin && address !== myAddress
+          ? `<button type="button" class="btn btn--secondary btn--pill group-member-remove" data-remove-address="${address}">Remove</button>`
+          : '';
+        return `
+          <li class="participant-item">
+            <div class="participant-avatar">${generateIdenticon(address)}</div>
+            <div class="participant-info">
+              <div class="participant-name">${escapeHtml(getGroupMemberDisplayName(address))}</div>
+              ${role}
+            </div>
+            ${removeHTML}
+          </li>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Publishes a membership change signed off by this admin with the next revision
+   * @param {Object} group
+   * @param {Object} nextMeta - The full new membership snapshot
+   * @param {Object} change - { kind, targets, name }
+   * @param {string[]} [extraRecipients] - Addresses that must also learn of the change, e.g. removed members
+   * @returns {Promise<boolean>}
+   */
+  async publishMetaChange(group, nextMeta, change, extraRecipients = []) {
+    const meta = { ...getGroupMeta(group), ...nextMeta, rev: group.rev + 1 };
+    const eventId = await publishGroupEvent(
+      group,
+      { op: GROUP_OPS.META, change },
+      { meta, recipients: [...meta.members, ...extraRecipients] }
+    );
+    if (!eventId) return false;
+    this.render();
+    if (groupChatModal.isActive() && groupChatModal.groupId === group.groupId) {
+      groupChatModal.render(true);
+    }
+    return true;
+  }
+
+  async handleRename() {
+    const group = this.getGroup();
+    const name = normalizeGroupName(this.nameInput.value);
+    if (!group || !name || name === group.name) return;
+    await this.publishMetaChange(group, { name }, { kind: GROUP_CHANGE_KINDS.RENAME, name });
+  }
+
+  async handleAddMember() {
+    const group = this.getGroup();
+    if (!group || !this.memberInput.value.trim()) return;
+    if (group.members.length >= GROUP_MAX_MEMBERS) {
+      this.memberError.textContent = `Groups are limited to ${GROUP_MAX_MEMBERS} members`;
+      this.memberError.style.display = 'inline';
+      return;
+    }
+    const resolved = await newGroupModal.resolveMember(this.memberInput.value);
+    const error = resolved.error || (isGroupMember(group, resolved.address) ? 'Already a member' : '');
+    if (error) {
+      this.memberError.textContent = error;
+      this.memberError.style.display = 'inline';
+      return;
+    }
+    if (!(await newGroupModal.ensureMemberContact(resolved.address, resolved.username))) {
+      showToast(`Could not add ${resolved.username}. Please try again.`, 0, 'error');
+      return;
+    }
+    const added = await this.publishMetaChange(
+      group,
+      { members: [...group.members, resolved.address] },
+      { kind: GROUP_CHANGE_KINDS.ADD, targets: [resolved.address] }
+    );
+    if (added) this.memberInput.value = '';
+  }
+
+  async handleRemoveMember(address) {
+    const group = this.getGroup();
+    if (!group || !isGroupMember(group, address)) return;
+    if (!confirm(`Remove ${getGroupMemberDisplayName(address)} from the group?`)) return;
+    await this.publishMetaChange(
+      group,
+      {
+        members: group.members.filter((member) => member !== address),
+        admins: group.admins.filter((admin) => admin !== address),
+      },
+      { kind: GROUP_CHANGE_KINDS.REMOVE, targets: [address] },
+      [address]
+    );
+  }
+
+  async handleLeave() {
+    const group = this.getGroup();
+    if (!group || group.left) return;
+    if (!confirm('Leave this group? You will stop receiving its messages.')) return;
+    const eventId = await publishGroupEvent(group, { op: GROUP_OPS.LEAVE });
+    if (!eventId) return;
+    this.close();
+    if (groupChatModal.isActive() && groupChatModal.groupId === group.groupId) {
+      groupChatModal.render();
+    }
+  }
+}
+
+const groupInfoModal = new GroupInfoModal();
+
 // Create Account Modal
 class CreateAccountModal {
   constructor() {
@@ -30232,6 +35539,8 @@ class SendAssetFormModal {
     this.needTollInfo = false;
     this.tollInfo = {};
     this.memoValidation = {}
+    // { id, username } of the payment request being paid, if any
+    this.paymentRequest = null;
   }
 
   /**
@@ -30331,6 +35640,7 @@ class SendAssetFormModal {
     this.retryTxIdInput.value = '';
     this.tollMemoSpan.textContent = '';
     this.foundAddressObject.address = null;
+    this.paymentRequest = null;
 
     this.usernameAvailable.style.display = 'none';
     this.submitButton.disabled = true;
@@ -30434,6 +35744,26 @@ class SendAssetFormModal {
     this.modal.classList.remove('active');
     this.sendForm.reset();
     this.username = null;
+    this.paymentRequest = null;
+  }
+
+  /**
+   * Opens the form filled in to pay a payment request
+   * @param {{ username: string, id: string, amount: string, memo?: string }} request - amount in wei
+   * @returns {Promise<void>}
+   */
+  async openForRequest({ username, id, amount, memo = '' }) {
+    this.username = username;
+    await this.open();
+    if (!this.isActive()) return;
+    if (this.balanceSymbol.textContent !== 'LIB') {
+      await this.handleToggleBalance();
+    }
+    this.amountInput.value = formatPaymentRequestAmount(amount);
+    this.memoInput.value = memo;
+    this.paymentRequest = { id, username: normalizeUsername(username) };
+    this.amountInput.dispatchEvent(new Event('input'));
+    this.memoInput.dispatchEvent(new Event('input'));
   }
 
   /**
@@ -30521,7 +35851,16 @@ class SendAssetFormModal {
   }
 
   async validateForm() {
-    if (this.needTollInfo) {
+    if (this.needTollInfo && !isOnline) {
+      // Use what we last saw for this contact; the outbox checks again before sending
+      const contact = myData.contacts[normalizeAddress(this.foundAddressObject.address)];
+      this.tollInfo = {
+        toll: contact?.toll,
+        tollUnit: contact?.tollUnit,
+        required: contact?.tollRequiredToSend ?? 1,
+      };
+      this.needTollInfo = false;
+    } else if (this.needTollInfo) {
       const myAddr = longAddress(myAccount.keys.address);
       const contactAddr = longAddress(this.foundAddressObject.address);
       const sortedAddresses = [myAddr, contactAddr].sort();
@@ -30840,11 +36179,6 @@ class SendAssetFormModal {
     }
 
     // If offline, keep button disabled
-    if (!isOnline) {
-      this.submitButton.disabled = true;
-      return;
-    }
-
     // Address is valid if its error/status message is visible and set to 'found'.
     const isAddressConsideredValid =
       this.usernameAvailable.style.display === 'inline' && this.usernameAvailable.textContent === 'found';
@@ -30993,11 +36327,13 @@ class SendAssetFormModal {
     const tempUsername = this.usernameInput?.value;
     const tempAmount = this.amountInput?.value;
     const tempMemo = this.memoInput?.value;
+    const tempPaymentRequest = this.paymentRequest;
     await this.close();
     this.username = tempUsername;
     await this.open();
     this.amountInput.value = tempAmount;
     this.memoInput.value = tempMemo || '';
+    this.paymentRequest = tempPaymentRequest;
   }
 
   /**
@@ -31152,6 +36488,17 @@ class SendAssetFormModal {
       if (paymentData.m && this.mode !== 'evm') {
         this.memoInput.value = paymentData.m;
       }
+      const request = this.mode !== 'evm' ? readPaymentRequestQrFields(paymentData) : null;
+      if (request && paymentData.u) {
+        if (getPaymentRequestStatus(request, getCorrectedTimestamp()) === PAYMENT_REQUEST_STATUS.EXPIRED) {
+          showToast('This payment request has expired.', 0, 'error');
+          this.usernameInput.value = '';
+          this.amountInput.value = '';
+          this.memoInput.value = '';
+          return;
+        }
+        this.paymentRequest = { id: request.id, username: normalizeUsername(paymentData.u) };
+      }
 
       // Trigger username validation and amount validation
       this.usernameInput.dispatchEvent(new Event('input'));
@@ -31193,6 +36540,12 @@ class SendAssetConfirmModal {
       () => { this.cancelButton.disabled = false; },
       (e) => this.handleSendAsset(e)
     ));
+    addLongPressListener(this.confirmSendButton, () => {
+      if (this.confirmSendButton.disabled) return;
+      openSendLaterPicker(sendAssetFormModal.foundAddressObject.address, (sendAt) => {
+        if (sendAt && this.isActive()) this.handleSendAsset(null, { sendAt });
+      });
+    });
     this.cancelButton.addEventListener('click', this.close.bind(this));
   }
 
@@ -31211,11 +36564,12 @@ class SendAssetConfirmModal {
   // The recipient account may not exist in myData.contacts and might have to be created
   /**
    * Handle the send asset event
-   * @param {Event} event - The event object
+   * @param {Event|null} event - The event object
+   * @param {{sendAt?: number}} [options] - sendAt schedules the payment for that time
    * @returns {Promise<void>}- A promise that resolves when the send asset event is handled
    */
-  async handleSendAsset(event) {
-    event.preventDefault();
+  async handleSendAsset(event, { sendAt = 0 } = {}) {
+    event?.preventDefault();
     const selectedAsset = sendAssetFormModal.getSelectedAsset();
     if (!sendAssetFormModal.isLiberdusSelected() || selectedAsset?.source !== 'liberdus') {
       showToast('EVM sending will be enabled in Phase 2.', 5000, 'info');
@@ -31245,6 +36599,9 @@ class SendAssetConfirmModal {
     const memoIn = sendAssetFormModal.memoInput.value || '';
     const memo = memoIn.trim();
     const keys = myAccount.keys;
+    // Carry the request id back to the requester so they can mark the request paid
+    const requestId =
+      sendAssetFormModal.paymentRequest?.username === username ? sendAssetFormModal.paymentRequest.id : '';
     let toAddress;
 
     // Validate amount including transaction fee
@@ -31264,25 +36621,35 @@ class SendAssetConfirmModal {
       showToast('Username too short', 0, 'error');
       return;
     }
-    try {
-      // Look up username on network
-      const usernameBytes = utf82bin(username);
-      const usernameHash = hashBytes(usernameBytes);
-      /*
-          const selectedGateway = network.gateways[Math.floor(Math.random() * network.gateways.length)];
-          const response = await fetch(`${selectedGateway.protocol}://${selectedGateway.host}:${selectedGateway.port}/address/${usernameHash}`);
-          const data = await response.json();
-  */
-      const data = await queryNetwork(`/address/${usernameHash}`);
-      if (!data || !data.address) {
-        showToast('Username not found', 0, 'error');
+    if (!isOnline) {
+      // Offline payments can only go to known contacts; they wait in the outbox
+      const contact = Object.values(myData.contacts).find((candidate) => candidate.username === username);
+      if (!contact) {
+        showToast('You are offline. Only contacts can be paid until you reconnect.', 0, 'error');
+        return;
+      }
+      toAddress = contact.address;
+    } else {
+      try {
+        // Look up username on network
+        const usernameBytes = utf82bin(username);
+        const usernameHash = hashBytes(usernameBytes);
+        /*
+            const selectedGateway = network.gateways[Math.floor(Math.random() * network.gateways.length)];
+            const response = await fetch(`${selectedGateway.protocol}://${selectedGateway.host}:${selectedGateway.port}/address/${usernameHash}`);
+            const data = await response.json();
+    */
+        const data = await queryNetwork(`/address/${usernameHash}`);
+        if (!data || !data.address) {
+          showToast('Username not found', 0, 'error');
+          return;
+        }
+        toAddress = normalizeAddress(data.address);
+      } catch (error) {
+        console.error('Error looking up username:', error);
+        showToast('Error looking up username', 0, 'error');
         return;
       }
-      toAddress = normalizeAddress(data.address);
-    } catch (error) {
-      console.error('Error looking up username:', error);
-      showToast('Error looking up username', 0, 'error');
-      return;
     }
 
     if (!myData.contacts[toAddress]) {
@@ -31295,90 +36662,11 @@ class SendAssetConfirmModal {
       payment to any address. We might not ever use this feature though.
     */
 
-    // Ensure recipient keys exist locally; function handles local check and network fetch.
-    await ensureContactKeys(toAddress);
-    const recipientPubKey = myData.contacts[toAddress]?.public;
-    const pqRecPubKey = myData.contacts[toAddress]?.pqPublic;
-    let pqEncSharedKey = '';
-    let dhkey = '';
-    let selfKey = '';
-    let sharedKeyMethod = 'none';  // to support sending just payment to any address
-    if (recipientPubKey && pqRecPubKey) {
-      /*
-      // Generate shared secret using ECDH and take first 32 bytes
-      let dhkey = ecSharedKey(keys.secret, recipientPubKey);
-      const { cipherText, sharedSecret } = pqSharedKey(pqRecPubKey);
-      const combined = new Uint8Array(dhkey.length + sharedSecret.length);
-      combined.set(dhkey);
-      combined.set(sharedSecret, dhkey.length);
-      dhkey = deriveDhKey(combined);
-      */
-      const x = dhkeyCombined(keys.secret, recipientPubKey, pqRecPubKey)
-      dhkey = x.dhkey;
-      const cipherText = x.cipherText;
-      pqEncSharedKey = bin2base64(cipherText);
-      sharedKeyMethod = 'pq';
-      selfKey = encryptData(bin2hex(dhkey), keys.secret+keys.pqSeed, true)  // used to decrypt our own message
-    }
-
-    let encMemo = '';
-    if (memo && sharedKeyMethod !== 'none') {
-      const memoObj = {
-        type: "transfer",
-        message: memo
-      };
-      // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
-      // Encrypt message using shared secret
-      encMemo = encryptChacha(dhkey, stringify(memoObj));
-    }
-
-    // only include the sender info if the recipient is is a friend and has a pqKey
-    let encSenderInfo = '';
-    let senderInfo = '';
-    if (sharedKeyMethod != 'none'){
-      const friendLevel = Number(myData.contacts[toAddress]?.friend) || 0;
-
-      // Always include username; include additional info only for full friends
-      senderInfo = {
-        username: myAccount.username,
-      };
-
-      if (friendLevel === 2) {
-        senderInfo.name = myData.account.name;
-        senderInfo.linkedin = myData.account.linkedin;
-        senderInfo.x = myData.account.x;
-        // Add avatar info if available
-        if (myData.account.avatarId && myData.account.avatarKey) {
-          senderInfo.avatarId = myData.account.avatarId;
-          senderInfo.avatarKey = myData.account.avatarKey;
-        }
-        // Add timezone if available
-        const tz = getLocalTimeZone();
-        if (tz) {
-          senderInfo.timezone = tz;
-        }
-      }
-
-      encSenderInfo = encryptChacha(dhkey, stringify(senderInfo));
-    } else {
-      senderInfo = { username: myAccount.address };
-      encSenderInfo = stringify(senderInfo);
-    }
-    // Create message payload
-    const payload = {
-      message: encMemo, // we need to call this field message, so we can use decryptMessage()
-      senderInfo: encSenderInfo,
-      encrypted: true,
-      encryptionMethod: 'xchacha20poly1305',
-      pqEncSharedKey: pqEncSharedKey,
-      selfKey: selfKey,
-      sharedKeyMethod: sharedKeyMethod,
-      sent_timestamp: getCorrectedTimestamp(),
-    };
+    const payload = await buildTransferPayload(toAddress, memo, keys, { requestId });
 
     try {
       // Send the transaction using postAssetTransfer
-      const response = await postAssetTransfer(toAddress, amount, payload, keys, assetIndex);
+      const response = await postAssetTransfer(toAddress, amount, payload, keys, assetIndex, { sendAt });
 
       if (!response || !response.result || !response.result.success) {
         const str = response.result.reason;
@@ -31415,60 +36703,14 @@ class SendAssetConfirmModal {
         // myData.contacts[toAddress].username = normalizeUsername(recipientInput);
       } */
 
-      // Add transaction to history
-      const currentTime = getCorrectedTimestamp();
-
-      const newPayment = {
-        txid: response.txid,
-        amount: amount,
-        sign: -1,
-        timestamp: currentTime,
-        address: toAddress,
-        memo: memo,
-        status: 'sent',
-      };
-      insertSorted(wallet.history, newPayment, 'timestamp');
-
-      // Don't try to update the balance here; the tx might not have gone through; let user refresh the balance from the wallet page
-      // Maybe we can set a timer to check on the status of the tx using txid and update the balance if the txid was processed
-      /*
-          // Update local balance after successful transaction
-          fromAddress.balance -= amount;
-          walletData.balance = walletData.assets.reduce((total, asset) =>
-              total + asset.addresses.reduce((sum, addr) => sum + (bigxnum2num(addr.balance, getAssetUsdPrice(asset)) || 0), 0), 0);
-          // Update wallet view and close modal
-          updateWalletView();
-  */
-
-      // --- Create and Insert Sent Transfer Message into contact.messages ---
-      const transferMessage = {
-        timestamp: currentTime,
-        sent_timestamp: currentTime,
-        my: true, // Sent transfer
-        message: memo, // Use the memo as the message content
-        amount: amount, // Use the BigInt amount
-        symbol: 'LIB', // TODO: Use the asset symbol
-        txid: response.txid,
-        status: 'sent',
-      };
-      // Insert the transfer message into the contact's message list, maintaining sort order
-      insertSorted(myData.contacts[toAddress].messages, transferMessage, 'timestamp');
-      // --------------------------------------------------------------
-
-      // --- Update myData.chats to reflect the new message ---
-      const existingChatIndex = myData.chats.findIndex((chat) => chat.address === toAddress);
-      if (existingChatIndex !== -1) {
-        myData.chats.splice(existingChatIndex, 1); // Remove existing entry
-      }
-      // Create the new chat entry
-      const chatUpdate = {
-        address: toAddress,
-        timestamp: currentTime,
+      recordSentTransfer(toAddress, {
         txid: response.txid,
-      };
-      // Find insertion point to maintain timestamp order (newest first)
-      insertSorted(myData.chats, chatUpdate, 'timestamp');
-      // --- End Update myData.chats ---
+        amount,
+        memo,
+        status: response.queued ? (sendAt ? 'scheduled' : 'queued') : 'sent',
+        sendAt,
+        requestId,
+      });
 
       // Update the chat modal to show the newly sent transfer message
       // Check if the chat modal for this recipient is currently active
@@ -31485,6 +36727,12 @@ class SendAssetConfirmModal {
       sendAssetFormModal.memoInput.value = '';
       sendAssetFormModal.usernameAvailable.style.display = 'none';
 
+      if (sendAt) {
+        showToast(`Payment scheduled for ${formatScheduledTime(sendAt)}`, 3000, 'success');
+      } else if (response.queued) {
+        showToast('You are offline. The payment will be sent when you reconnect.', 3000, 'info');
+      }
+
       // Show history modal after successful transaction
       historyModal.open();
       /*
@@ -31502,9 +36750,539 @@ class SendAssetConfirmModal {
 
 const sendAssetConfirmModal = new SendAssetConfirmModal();
 
+/**
+ * Batch Transfer Modal
+ * @class
+ * @description Sends one asset to many recipients, typed or imported from CSV. The batch is checked and confirmed
+ * once, then sent one transfer at a time with a status per row.
+ */
+class BatchTransferModal {
+  constructor() {
+    this.rows = [];
+    this.asset = null;
+    this.parseErrors = [];
+    this.reviewed = false;
+    this.started = false;
+    this.sending = false;
+    this.stopRequested = false;
+  }
+
+  load() {
+    this.modal = document.getElementById('batchTransferModal');
+    this.closeButton = document.getElementById('closeBatchTransferModal');
+    this.form = document.getElementById('batchTransferForm');
+    this.networkSelect = document.getElementById('batchTransferNetwork');
+    this.assetSelect = document.getElementById('batchTransferAsset');
+    this.input = document.getElementById('batchTransferInput');
+    this.importButton = document.getElementById('batchTransferImport');
+    this.fileInput = document.getElementById('batchTransferFile');
+    this.errorsElement = document.getElementById('batchTransferErrors');
+    this.summary = document.getElementById('batchTransferSummary');
+    this.list = document.getElementById('batchTransferRows');
+    this.reviewButton = document.getElementById('batchTransferReview');
+    this.sendButton = document.getElementById('batchTransferSend');
+    this.stopButton = document.getElementById('batchTransferStop');
+    this.retryFailedButton = document.getElementById('batchTransferRetryFailed');
+    this.exportButton = document.getElementById('batchTransferExport');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.networkSelect.addEventListener('change', () => {
+      evmAssets.populateAssetSelect(this.assetSelect, this.networkSelect.value);
+      this.resetReview();
+    });
+    this.assetSelect.addEventListener('change', () => this.resetReview());
+    this.input.addEventListener('input', () => this.resetReview());
+    this.importButton.addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => this.handleImport());
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.review();
+    });
+    this.sendButton.addEventListener('click', () => this.handleSend());
+    this.stopButton.addEventListener('click', () => {
+      this.stopRequested = true;
+      this.stopButton.disabled = true;
+    });
+    this.retryFailedButton.addEventListener('click', () => this.handleRetryFailed());
+    this.exportButton.addEventListener('click', () => this.handleExport());
+    this.list.addEventListener('click', (event) => {
+      const retryButton = event.target.closest('.batch-transfer-retry');
+      if (retryButton) this.handleRetryRow(Number(retryButton.dataset.index));
+    });
+  }
+
+  open() {
+    if (!openModal(this.modal)) return;
+    // A batch that is still sending keeps going while the modal is closed; show where it is
+    if (this.sending) {
+      this.render();
+      return;
+    }
+    evmAssets.rebuildCatalog();
+    evmAssets.populateNetworkSelect(this.networkSelect, { selectedId: 'liberdus' });
+    evmAssets.populateAssetSelect(this.assetSelect, this.networkSelect.value);
+    this.input.value = '';
+    this.started = false;
+    this.resetReview();
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  /**
+   * @returns {Object|null} the selected asset with what sending needs from it
+   */
+  getSelectedAsset() {
+    const walletNetwork = evmAssets.getNetwork(this.networkSelect.value);
+    const asset = evmAssets.getSelectedAsset(this.networkSelect.value, this.assetSelect);
+    if (!walletNetwork || !asset) return null;
+    return {
+      networkId: walletNetwork.id,
+      networkName: walletNetwork.name,
+      key: asset.key,
+      source: asset.source,
+      symbol: asset.tokenSymbol,
+      decimals: asset.tokenDecimals,
+      assetIndex: asset.source === 'liberdus' ? myData.wallet.assets.indexOf(asset.walletAsset) : -1,
+    };
+  }
+
+  resetReview() {
+    if (this.sending || this.started) return;
+    this.rows = [];
+    this.parseErrors = [];
+    this.reviewed = false;
+    this.render();
+  }
+
+  async handleImport() {
+    const file = this.fileInput.files?.[0];
+    this.fileInput.value = '';
+    if (!file) return;
+    try {
+      this.input.value = await file.text();
+      this.resetReview();
+      await this.review();
+    } catch (error) {
+      console.warn('Failed to import batch file:', error);
+      showToast('Could not read the file', 3000, 'error');
+    }
+  }
+
+  async review() {
+    if (this.sending || this.started) return;
+    const asset = this.getSelectedAsset();
+    if (!asset || (asset.source === 'liberdus' && asset.assetIndex < 0)) {
+      showToast('Select an available asset', 0, 'error');
+      return;
+    }
+    if (!isOnline) {
+      showToast('You are offline. Batch transfers need a connection.', 0, 'error');
+      return;
+    }
+
+    const { rows, errors } = parseBatchTransferText(this.input.value, asset);
+    this.asset = asset;
+    this.rows = rows;
+    this.parseErrors = errors;
+    this.reviewed = false;
+    if (rows.length === 0) {
+      if (errors.length === 0) showToast('Enter at least one recipient and amount', 3000, 'error');
+      this.render();
+      return;
+    }
+
+    this.reviewButton.disabled = true;
+    try {
+      if (asset.source === 'liberdus') {
+        await getNetworkParams();
+      }
+      for (const [index, row] of rows.entries()) {
+        this.summary.textContent = `Checking recipients (${index + 1} of ${rows.length})...`;
+        row.error = asset.source === 'liberdus' ? await this.checkLiberdusRow(row) : await this.checkEvmRow(row);
+        row.status = row.error ? BATCH_TRANSFER_STATUS.INVALID : BATCH_TRANSFER_STATUS.READY;
+      }
+      this.reviewed = true;
+    } catch (error) {
+      console.error('Error checking batch recipients:', error);
+      showToast('Error checking recipients', 0, 'error');
+    } finally {
+      this.reviewButton.disabled = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Same checks as the single send form: recipient exists, account types match, not blocked and the toll is
+   * covered when there is a memo.
+   * @param {Object} row
+   * @returns {Promise<string>} the problem with the row, empty when it can be sent
+   */
+  async checkLiberdusRow(row) {
+    if (isValidEthereumAddress(row.recipient)) return 'Enter a username; addresses are not supported';
+    const username = normalizeUsername(row.recipient);
+    if (username.length < 3) return 'Username too short';
+    if (username === myAccount.username) return 'You cannot send assets to yourself';
+    if (new Blob([row.memo]).size > MAX_MEMO_BYTES) return 'Memo is too long';
+
+    const address = await getUsernameAddress(username);
+    if (!address) return 'Username not found';
+    row.username = username;
+    row.address = normalizeAddress(address);
+
+    const accountData = await queryNetwork(`/account/${longAddress(row.address)}`);
+    if (!accountData?.account) return 'Account not found';
+    const myIsPrivate = !!myData?.account?.private;
+    if ((accountData.account.private === true) !== myIsPrivate) {
+      const accountType = myIsPrivate ? 'private' : 'public';
+      return `${myIsPrivate ? 'Private' : 'Public'} accounts can only send to ${accountType} accounts`;
+    }
+
+    const myAddr = longAddress(myAccount.keys.address);
+    const sortedAddresses = [myAddr, longAddress(row.address)].sort();
+    const tollInfo = await queryNetwork(`/messages/${hashBytes(sortedAddresses.join(''))}/toll`);
+    // assume toll is required if not set
+    const required = tollInfo?.toll?.required?.[1 - sortedAddresses.indexOf(myAddr)] ?? 1;
+    if (required == 2) return 'This recipient is not accepting payments from you';
+    if (required == 1 && row.memo) {
+      const data = accountData.account.data;
+      const toll = getEffectiveTollLibWei(normalizeTollToLibWei(data?.toll, data?.tollUnit));
+      if (row.units < toll) return `Less than the recipient's toll (${big2str(toll, weiDigits)} LIB) for a memo`;
+    }
+    return '';
+  }
+
+  /**
+   * @param {Object} row
+   * @returns {Promise<string>} the problem with the row, empty when it can be sent
+   */
+  async checkEvmRow(row) {
+    try {
+      const recipient = await evmAssets.recipients.resolve(row.recipient);
+      row.username = recipient.username;
+      row.address = recipient.address;
+    } catch (error) {
+      return error?.message || 'Recipient not found';
+    }
+    const validation = evmAssets.validateTransfer({
+      networkId: this.asset.networkId,
+      assetKey: this.asset.key,
+      recipient: row.address,
+      amount: row.amount,
+    });
+    return validation.valid ? '' : validation.message;
+  }
+
+  getReadyRows() {
+    return this.rows.filter((row) => row.status === BATCH_TRANSFER_STATUS.READY);
+  }
+
+  getFailedRows() {
+    return this.rows.filter((row) => row.status === BATCH_TRANSFER_STATUS.FAILED);
+  }
+
+  /**
+   * @param {Array<Object>} rows - rows about to be sent
+   * @returns {string[]} problems that would stop some of the transfers; empty when the balance covers all of them
+   */
+  getBalanceWarnings(rows) {
+    const total = sumBatchAmounts(rows);
+    if (this.asset.source === 'liberdus') {
+      const balance = BigInt(myData.wallet.assets[this.asset.assetIndex]?.balance ?? 0n);
+      const fees = getTransactionFeeWei() * BigInt(rows.length);
+      return balance < total + fees ? ['Insufficient balance for the amounts and fees'] : [];
+    }
+    const validation = evmAssets.validateTransfer({
+      networkId: this.asset.networkId,
+      assetKey: this.asset.key,
+      recipient: rows[0].address,
+      amount: formatBatchAmount(total, this.asset.decimals),
+    });
+    return validation.valid ? [] : [validation.message];
+  }
+
+  /**
+   * @param {Array<Object>} rows - rows about to be sent
+   * @returns {string} the aggregate confirmation text
+   */
+  getConfirmationText(rows) {
+    const { symbol, decimals } = this.asset;
+    const lines = [
+      `Send ${formatBatchAmount(sumBatchAmounts(rows), decimals)} ${symbol} in ${rows.length} ` +
+        `transfer${rows.length === 1 ? '' : 's'}?`,
+    ];
+    if (this.asset.source === 'liberdus') {
+      const fees = getTransactionFeeWei() * BigInt(rows.length);
+      lines.push(`Network fees: ${big2str(fees, weiDigits)} LIB`);
+    } else {
+      lines.push(`Network fees are paid in ${this.asset.networkName}'s native token for each transfer.`);
+    }
+    lines.push(...this.getBalanceWarnings(rows));
+    const skipped = this.rows.length - rows.length;
+    if (skipped > 0) lines.push(`${skipped} other row${skipped === 1 ? '' : 's'} will not be sent.`);
+    return lines.join('\n\n');
+  }
+
+  /**
+   * Liberdus allows one pending transfer at a time, which a batch waits on between rows
+   * @returns {boolean}
+   */
+  canStartSending() {
+    if (!isOnline) {
+      showToast('You are offline. Batch transfers need a connection.', 0, 'error');
+      return false;
+    }
+    const hasPendingTransfer = (myData.pending || []).some((pendingTx) => pendingTx?.type === 'transfer');
+    if (this.asset.source === 'liberdus' && hasPendingTransfer) {
+      showToast(
+        'You already have a pending asset transfer. Wait for it to finish before sending another.',
+        5000,
+        'warning'
+      );
+      return false;
+    }
+    return true;
+  }
+
+  async handleSend() {
+    const rows = this.getReadyRows();
+    if (this.sending || !this.reviewed || rows.length === 0 || !this.canStartSending()) return;
+    if (!window.confirm(this.getConfirmationText(rows))) return;
+    await this.sendRows(rows);
+  }
+
+  async handleRetryFailed() {
+    const rows = this.getFailedRows();
+    if (this.sending || rows.length === 0 || !this.canStartSending()) return;
+    if (!window.confirm(this.getConfirmationText(rows))) return;
+    await this.sendRows(rows);
+  }
+
+  async handleRetryRow(index) {
+    const row = this.rows[index];
+    if (this.sending || row?.status !== BATCH_TRANSFER_STATUS.FAILED || !this.canStartSending()) return;
+    if (!window.confirm(`Send ${row.amount} ${this.asset.symbol} to ${row.recipient} again?`)) return;
+    await this.sendRows([row]);
+  }
+
+  /**
+   * Send rows one after another, waiting for each to settle before the next
+   * @param {Array<Object>} rows
+   * @returns {Promise<void>}
+   */
+  async sendRows(rows) {
+    this.sending = true;
+    this.started = true;
+    this.stopRequested = false;
+    this.stopButton.disabled = false;
+    this.render();
+    try {
+      for (const row of rows) {
+        if (this.stopRequested) break;
+        if (!isOnline) {
+          showToast('You are offline. The rest of the batch was not sent.', 0, 'error');
+          break;
+        }
+        await this.sendRow(row);
+        this.render();
+      }
+    } finally {
+      this.sending = false;
+      this.render();
+    }
+
+    if (this.asset.source === 'liberdus') {
+      await walletScreen.updateWalletBalances();
+    } else {
+      if (rows.some((row) => row.status === BATCH_TRANSFER_STATUS.PENDING)) evmAssets.watchPendingTransactions();
+      await evmAssets.refresh({ force: true });
+    }
+    const sent = rows.filter((row) => row.status === BATCH_TRANSFER_STATUS.SENT).length;
+    showToast(`${sent} of ${rows.length} transfers sent`, 5000, sent === rows.length ? 'success' : 'warning');
+  }
+
+  async sendRow(row) {
+    row.status = BATCH_TRANSFER_STATUS.SENDING;
+    row.error = '';
+    this.render();
+    try {
+      if (this.asset.source === 'liberdus') {
+        await this.sendLiberdusRow(row);
+      } else {
+        await this.sendEvmRow(row);
+      }
+      if (row.status === BATCH_TRANSFER_STATUS.SENDING) row.status = BATCH_TRANSFER_STATUS.SENT;
+    } catch (error) {
+      console.error('Batch transfer failed:', error);
+      // A transfer that was not confirmed in time may still go through, so it is not offered for retry
+      row.status = error?.timedOut ? BATCH_TRANSFER_STATUS.PENDING : BATCH_TRANSFER_STATUS.FAILED;
+      row.error = error?.message || 'Transfer failed';
+    }
+    row.sentAt = getCorrectedTimestamp();
+  }
+
+  async sendLiberdusRow(row) {
+    const keys = myAccount.keys;
+    if (row.txid) {
+      // Replace the failed attempt in history and chat with the retry
+      removeFailedTx(row.txid, row.address);
+      row.txid = null;
+    }
+    if (!myData.contacts[row.address]) {
+      createNewContact(row.address, row.username, 2);
+    }
+    const payload = await buildTransferPayload(row.address, row.memo, keys);
+    const response = await postAssetTransfer(row.address, row.units, payload, keys, this.asset.assetIndex);
+    if (!response?.result?.success) {
+      throw new Error(response?.result?.reason || 'Transaction failed');
+    }
+    row.txid = response.txid;
+    recordSentTransfer(row.address, {
+      txid: response.txid,
+      amount: row.units,
+      memo: row.memo,
+      status: response.queued ? 'queued' : 'sent',
+    });
+    if (response.queued) {
+      // Went offline while sending; the outbox sends it when the connection is back
+      row.status = BATCH_TRANSFER_STATUS.PENDING;
+      row.error = 'Waiting in the outbox';
+      return;
+    }
+    await pendingPromiseService.register(response.txid);
+  }
+
+  async sendEvmRow(row) {
+    const result = await evmAssets.sendBatchTransfer({
+      networkId: this.asset.networkId,
+      assetKey: this.asset.key,
+      recipient: row.address,
+      recipientLabel: row.username || null,
+      amount: row.amount,
+    });
+    row.txid = result.transactionHash;
+    if (result.status === 'pending') {
+      row.status = BATCH_TRANSFER_STATUS.PENDING;
+      row.error = 'Waiting for confirmation';
+    }
+  }
+
+  handleExport() {
+    if (this.rows.length === 0) return;
+    const csv = buildBatchReceiptCsv(this.rows, { symbol: this.asset.symbol, network: this.asset.networkName });
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    downloadFile(new Blob([csv], { type: 'text/csv' }), `liberdus-batch-${timestamp}.csv`);
+  }
+
+  render() {
+    const locked = this.sending || this.started;
+    this.networkSelect.disabled = locked;
+    this.assetSelect.disabled = locked;
+    this.input.readOnly = locked;
+    this.importButton.disabled = locked;
+
+    this.errorsElement.innerHTML = this.parseErrors
+      .map(({ line, message }) => `<div>Line ${line}: ${escapeHtml(message)}</div>`)
+      .join('');
+    this.errorsElement.style.display = this.parseErrors.length > 0 ? 'block' : 'none';
+
+    this.renderSummary();
+    this.list.innerHTML = this.rows.map((row, index) => this.renderRow(row, index)).join('');
+
+    const readyCount = this.getReadyRows().length;
+    const failedCount = this.getFailedRows().length;
+    this.reviewButton.hidden = locked;
+    this.sendButton.hidden = locked || !this.reviewed || readyCount === 0;
+    this.sendButton.textContent = `Send ${readyCount} Transfer${readyCount === 1 ? '' : 's'}`;
+    this.stopButton.hidden = !this.sending;
+    this.retryFailedButton.hidden = this.sending || failedCount === 0;
+    this.retryFailedButton.textContent = `Retry ${failedCount} Failed`;
+    this.exportButton.hidden = this.sending || !this.started;
+  }
+
+  renderSummary() {
+    if (!this.reviewed) {
+      this.summary.innerHTML = '';
+      this.summary.style.display = 'none';
+      return;
+    }
+    const { symbol, decimals } = this.asset;
+    const readyRows = this.getReadyRows();
+    const items = [
+      ['Transfers', `${readyRows.length} of ${this.rows.length}`],
+      ['Total', `${formatBatchAmount(sumBatchAmounts(readyRows), decimals)} ${symbol}`],
+    ];
+    if (this.asset.source === 'liberdus') {
+      items.push(['Fees', `${big2str(getTransactionFeeWei() * BigInt(readyRows.length), weiDigits)} LIB`]);
+    } else {
+      items.push(['Fees', 'Estimated for each transfer']);
+    }
+    if (this.started) {
+      const sentRows = this.rows.filter((row) => row.status === BATCH_TRANSFER_STATUS.SENT);
+      items.push(['Sent', `${formatBatchAmount(sumBatchAmounts(sentRows), decimals)} ${symbol}`]);
+    }
+
+    const warnings = [];
+    if (!this.started && readyRows.length > 0) warnings.push(...this.getBalanceWarnings(readyRows));
+    const invalidCount = this.rows.filter((row) => row.status === BATCH_TRANSFER_STATUS.INVALID).length;
+    if (invalidCount > 0) {
+      warnings.push(`${invalidCount} row${invalidCount === 1 ? ' has' : 's have'} problems and will be skipped`);
+    }
+    const duplicates = findDuplicateRecipients(this.rows);
+    if (duplicates.length > 0) warnings.push(`More than one transfer to ${duplicates.join(', ')}`);
+
+    this.summary.innerHTML = `
+      ${items
+        .map(([label, value]) => `
+          <div class="info-row">
+            <span class="info-label">${label}</span>
+            <span class="info-value">${escapeHtml(value)}</span>
+          </div>`)
+        .join('')}
+      ${warnings.map((warning) => `<div class="batch-transfer-warning">${escapeHtml(warning)}</div>`).join('')}
+    `;
+    this.summary.style.display = 'block';
+  }
+
+  renderRow(row, index) {
+    const statusLabels = {
+      [BATCH_TRANSFER_STATUS.READY]: this.reviewed ? 'Ready' : '',
+      [BATCH_TRANSFER_STATUS.INVALID]: 'Not sent',
+      [BATCH_TRANSFER_STATUS.SENDING]: 'Sending...',
+      [BATCH_TRANSFER_STATUS.SENT]: 'Sent',
+      [BATCH_TRANSFER_STATUS.PENDING]: 'Pending',
+      [BATCH_TRANSFER_STATUS.FAILED]: 'Failed',
+    };
+    const status = [statusLabels[row.status], row.error].filter(Boolean).join(': ');
+    const canRetry = row.status === BATCH_TRANSFER_STATUS.FAILED && !this.sending;
+    return `
+      <div class="batch-transfer-row batch-transfer-row--${row.status}">
+        <div class="batch-transfer-row-main">
+          <span class="batch-transfer-recipient">${escapeHtml(row.recipient)}</span>
+          <span class="batch-transfer-amount">${escapeHtml(row.amount)} ${escapeHtml(this.asset?.symbol || '')}</span>
+        </div>
+        ${row.memo ? `<div class="batch-transfer-memo">${escapeHtml(row.memo)}</div>` : ''}
+        <div class="batch-transfer-row-footer">
+          <span class="batch-transfer-status">${escapeHtml(status)}</span>
+          ${canRetry ? `<button type="button" class="batch-transfer-retry" data-index="${index}">Retry</button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+}
+const batchTransferModal = new BatchTransferModal();
+
 class ReceiveModal {
   constructor() {
     this.mode = 'liberdus';
+    // A QR code with an amount is a payment request; the payer's transfer carries this id back
+    this.requestId = null;
+    this.requestExpiresAt = 0;
   }
 
   load() {
@@ -31522,8 +37300,14 @@ class ReceiveModal {
     this.copyButton = document.getElementById('copyAddress');
     this.toggleReceiveBalanceButton = document.getElementById('toggleReceiveBalance');
     this.receiveBalanceSymbol = document.getElementById('receiveBalanceSymbol');
+    this.expirySelect = document.getElementById('receiveExpiry');
+    this.expiryGroup = document.getElementById('receiveExpiryGroup');
     this.fullAddress = null; // Store full address for copying
 
+    this.expirySelect.innerHTML = PAYMENT_REQUEST_EXPIRY_OPTIONS.map(
+      (option) => `<option value="${option.ms}">${option.label}</option>`
+    ).join('');
+
     // Create debounced function
     this.debouncedUpdateQRCode = debounce(() => this.updateQRCode(), 300);
 
@@ -31540,6 +37324,7 @@ class ReceiveModal {
     this.amountInput.addEventListener('input', () => this.amountInput.value = normalizeUnsignedFloat(this.amountInput.value));
     this.amountInput.addEventListener('input', this.debouncedUpdateQRCode);
     this.memoInput.addEventListener('input', this.debouncedUpdateQRCode);
+    this.expirySelect.addEventListener('change', () => this.handleExpiryChange());
     this.toggleReceiveBalanceButton.addEventListener('click', this.handleToggleBalance.bind(this));
   }
 
@@ -31550,10 +37335,14 @@ class ReceiveModal {
     this.networkGroup.hidden = mode !== 'evm' || hasFixedNetwork;
     this.assetSelect.closest('.form-group').hidden = hasFixedAsset;
     this.memoGroup.hidden = mode === 'evm';
+    this.expiryGroup.hidden = mode === 'evm';
 
     // Clear input fields
     this.amountInput.value = '';
     this.memoInput.value = '';
+    this.expirySelect.value = String(PAYMENT_REQUEST_EXPIRY_OPTIONS[0].ms);
+    this.requestId = createPaymentRequestId();
+    this.requestExpiresAt = 0;
 
     if (this.mode === 'evm') {
       this.prepareEvmContext(networkId, assetKey);
@@ -31590,6 +37379,7 @@ class ReceiveModal {
   }
 
   close() {
+    this.saveRequest();
     this.modal.classList.remove('active');
   }
 
@@ -31601,6 +37391,58 @@ class ReceiveModal {
     return evmAssets.getSelectedAsset(this.networkSelect.value, this.assetSelect);
   }
 
+  isRequest() {
+    return this.mode !== 'evm' && Boolean(this.requestId) && this.amountInput.value.trim() !== '';
+  }
+
+  handleExpiryChange() {
+    const expiryMs = Number(this.expirySelect.value) || 0;
+    this.requestExpiresAt = expiryMs ? getCorrectedTimestamp() + expiryMs : 0;
+    this.updateQRCode();
+  }
+
+  /**
+   * Remember a request that was shown as a QR code, so the transfer that pays it can mark it paid
+   */
+  saveRequest() {
+    if (!this.isRequest() || !myData?.wallet) return;
+    const requests = (myData.wallet.paymentRequests ??= []);
+    if (!requests.some((request) => request.id === this.requestId)) {
+      const amount = this.amountInput.value.trim();
+      const symbol = String(this.receiveBalanceSymbol.textContent || PAYMENT_REQUEST_ASSET).toUpperCase();
+      requests.unshift({
+        id: this.requestId,
+        amount,
+        amountWei: this.getRequestAmountWei(amount, symbol),
+        symbol,
+        memo: this.memoInput.value.trim(),
+        expiresAt: this.requestExpiresAt,
+        createdAt: getCorrectedTimestamp(),
+      });
+      requests.splice(MAX_SAVED_PAYMENT_REQUESTS);
+      saveState();
+    }
+    this.requestId = null;
+  }
+
+  /**
+   * The requested amount in LIB wei, with USD converted at the current stability factor
+   * @param {string} amount - as entered
+   * @param {string} symbol - LIB or USD
+   * @returns {string|null} null if the amount can't be converted
+   */
+  getRequestAmountWei(amount, symbol) {
+    try {
+      if (symbol !== 'USD') return bigxnum2big(wei, amount).toString();
+      const stabilityFactor = parameters?.current?.stabilityFactorStr;
+      if (!stabilityFactor) return null;
+      return EthNum.toWei(EthNum.div(amount, stabilityFactor))?.toString() ?? null;
+    } catch (error) {
+      console.warn('Failed to convert payment request amount:', error);
+      return null;
+    }
+  }
+
   async handleNetworkChange() {
     const walletNetwork = this.getSelectedNetwork();
     evmAssets.populateAssetSelect(this.assetSelect, walletNetwork?.id || 'liberdus');
@@ -31684,6 +37526,10 @@ class ReceiveModal {
       paymentData.m = memo;
     }
 
+    if (this.isRequest()) {
+      Object.assign(paymentData, paymentRequestQrFields({ id: this.requestId, expiresAt: this.requestExpiresAt }));
+    }
+
     return paymentData;
   }
 
@@ -31826,6 +37672,23 @@ evmAssets.configure({
   openSend: (options) => sendAssetFormModal.open(options),
   openReceive: (options) => receiveModal.open(options),
   showToast,
+  loadCustomAssets: () => myData?.wallet?.evmCustom || null,
+  saveCustomAssets: (customAssets) => {
+    myData.wallet.evmCustom = customAssets;
+    saveState();
+  },
+  loadTrackedTransactions: () => myData?.wallet?.evmTransactions || [],
+  saveTrackedTransactions: (records) => {
+    myData.wallet.evmTransactions = records;
+    saveState();
+  },
+  onTransactionsChange: () => historyModal.refresh(),
+  loadHistoryCache: () => myData?.wallet?.evmHistory || null,
+  saveHistoryCache: (cache) => {
+    myData.wallet.evmHistory = cache;
+    saveState();
+  },
+  openHistory: (networkId) => historyModal.open({ evmNetworkId: networkId }),
 });
 
 /**
@@ -32423,10 +38286,10 @@ class MigrateAccountsModal {
     }
   
     // Save to new location
-    localStorage.setItem(username + '_' + newNetId, substitutionResult);
+    accountStore.importEntry(username + '_' + newNetId, substitutionResult);
     
     // Remove old file
-    localStorage.removeItem(username + '_' + netid);
+    accountStore.remove(username + '_' + netid);
   
     // Update accounts registry
     this.updateAccountsRegistry(username, netid, newNetId);
@@ -32475,13 +38338,13 @@ class MigrateAccountsModal {
   }
   
   /**
-   * Check for consistency between accounts registry and actual account data in localStorage
+   * Check for consistency between accounts registry and actual account data in storage
    * @returns {Promise<Object>} An object containing the inconsistencies found
    */
   async checkAccountsInconsistency() {
     const result = {
       missingAccounts: [], // Accounts in accounts object but missing the account entry
-      unregisteredAccounts: [] // Accounts not in accounts object but have entries in localStorage
+      unregisteredAccounts: [] // Accounts not in accounts object but have stored account data
     };
     
     const accountsObj = parse(localStorage.getItem('accounts') || '{"netids":{}}');
@@ -32492,9 +38355,7 @@ class MigrateAccountsModal {
       
       for (const username in usernamesObj) {
         const accountKey = `${username}_${netid}`;
-        const accountFile = localStorage.getItem(accountKey);
-        
-        if (!accountFile) {
+        if (!accountStore.has(accountKey)) {
           // Found an account in registry but the account file is missing
           result.missingAccounts.push({
             username,
@@ -32504,7 +38365,7 @@ class MigrateAccountsModal {
       }
     }
 
-    const allKeys = Object.keys(localStorage);
+    const allKeys = accountStore.keys();
     
     // Filter keys that match the pattern username_<64-hex netid>
     const accountFileKeys = allKeys.filter(key => {
@@ -32620,6 +38481,9 @@ class LockModal {
     this.optionsBox = document.getElementById('lockOptions');
     this.changeButton = document.getElementById('changePasswordButton');
     this.removeButton = document.getElementById('removeLockButton');
+    this.passkeyButton = document.getElementById('lockPasskeyButton');
+    this.passkeyStatus = document.getElementById('lockPasskeyStatus');
+    this.autoLockSelect = document.getElementById('autoLockMinutes');
     this.formBox = document.getElementById('lockFormContainer');
 
     this.openButton.addEventListener('click', () => this.open());
@@ -32641,10 +38505,18 @@ class LockModal {
     this.passwordWarning = this.modal.querySelector('#passwordWarning');
     this.changeButton.addEventListener('click', () => this.pickMode('change'));
     this.removeButton.addEventListener('click', () => this.pickMode('remove'));
+    this.passkeyButton.addEventListener('click', withButtonCooldown(
+      [this.passkeyButton],
+      BUTTON_COOLDOWN_MS,
+      null,
+      () => this.handlePasskeyButton()
+    ));
+    this.autoLockSelect.addEventListener('change', () => this.handleAutoLockChange());
   }
 
   open() {
     const alreadyLocked = Boolean(localStorage?.lock);
+    if (alreadyLocked) this.updateOptions();
 
     // show or hide the option picker
     this.optionsBox.style.display = alreadyLocked ? 'block' : 'none';
@@ -32666,6 +38538,60 @@ class LockModal {
     this.modal.classList.remove('active');
   }
 
+  // passkey and auto-lock settings shown next to the change/remove buttons
+  updateOptions() {
+    const hasPasskey = Boolean(localStorage.lockPasskey);
+    this.passkeyButton.textContent = hasPasskey ? 'Remove Passkey' : 'Set Up Passkey';
+    this.passkeyButton.style.display = hasPasskey || isPasskeyUnlockSupported() ? '' : 'none';
+    this.passkeyStatus.textContent = hasPasskey
+      ? 'A passkey can unlock this app. Your password still works.'
+      : 'Use a passkey (fingerprint, face or device PIN) to unlock instead of typing your password.';
+    this.passkeyStatus.style.display = this.passkeyButton.style.display;
+    this.autoLockSelect.value = String(idleLock.getMinutes());
+  }
+
+  async handlePasskeyButton() {
+    if (localStorage.lockPasskey) {
+      delete localStorage.lockPasskey;
+      showToast('Passkey removed. Use your password to unlock.', 3000, 'success');
+      this.updateOptions();
+      return;
+    }
+    // The data key is only in memory after unlocking with the password in this session
+    if (!this.encKey) {
+      showToast('Sign out and unlock with your password, then set up the passkey.', 0, 'info');
+      return;
+    }
+    try {
+      const record = await createPasskeyUnlock(this.encKey);
+      localStorage.lockPasskey = JSON.stringify(record);
+      showToast('Passkey set up. You can use it to unlock the app.', 3000, 'success');
+    } catch (error) {
+      console.error('Passkey setup failed:', error);
+      if (error?.name !== 'NotAllowedError') {
+        showToast(`Passkey setup failed: ${error?.message || error}`, 0, 'error');
+      }
+    }
+    this.updateOptions();
+  }
+
+  handleAutoLockChange() {
+    const minutes = parseInt(this.autoLockSelect.value, 10);
+    if (minutes > 0) {
+      localStorage.autoLockMinutes = String(minutes);
+    } else {
+      delete localStorage.autoLockMinutes;
+    }
+    idleLock.restart();
+  }
+
+  // the passkey holds the old data key, so it cannot unlock after the password changes
+  forgetPasskey() {
+    if (!localStorage.lockPasskey) return false;
+    delete localStorage.lockPasskey;
+    return true;
+  }
+
   pickMode(mode) {
     this.mode = mode; // 'change' | 'remove'
     this.optionsBox.style.display = 'none';
@@ -32761,9 +38687,11 @@ class LockModal {
         await encryptAllAccounts(oldPassword, newPassword)
         delete localStorage.lock;
         this.encKey = null;
+        const hadPasskey = this.forgetPasskey();
+        idleLock.restart();
         // remove the loading toast
         if (waitingToastId) hideToast(waitingToastId);
-        showToast('Password removed', 2000, 'success');
+        showToast(hadPasskey ? 'Password and passkey removed' : 'Password removed', 2000, 'success');
         this.close();
       } catch (error) {
         console.error('Decryption failed:', error);
@@ -32790,9 +38718,16 @@ class LockModal {
       this.encKey = await passwordToKey(newPassword+"liberdusData")
       await encryptAllAccounts(oldPassword, newPassword)
 
+      const hadPasskey = this.forgetPasskey();
+      idleLock.restart();
+
       // remove the loading toast
       if (waitingToastId) hideToast(waitingToastId);
-      showToast('Password updated', 2000, 'success');
+      if (hadPasskey) {
+        showToast('Password updated. Set up your passkey again to keep using it.', 0, 'info');
+      } else {
+        showToast('Password updated', 2000, 'success');
+      }
 
       // clear the inputs
       this.clearInputs();
@@ -32877,8 +38812,17 @@ class UnlockModal {
     this.unlockForm = document.getElementById('unlockForm');
     this.passwordInput = this.modal.querySelector('#password');
     this.unlockButton = this.modal.querySelector('.btn.btn--primary');
+    this.passkeyButton = document.getElementById('unlockWithPasskey');
 
     this.closeButton.addEventListener('click', () => this.close());
+    this.passkeyButton.addEventListener('click', withButtonCooldown(
+      [this.passkeyButton, this.closeButton],
+      BUTTON_COOLDOWN_MS,
+      () => {
+        this.closeButton.disabled = false;
+      },
+      () => this.handlePasskeyUnlock()
+    ));
     this.unlockForm.addEventListener('submit', withButtonCooldown(
       [this.unlockButton, this.closeButton],
       BUTTON_COOLDOWN_MS,
@@ -32892,6 +38836,7 @@ class UnlockModal {
   }
 
   open() {
+    this.passkeyButton.style.display = this.getPasskeyRecord() && isPasskeyUnlockSupported() ? '' : 'none';
     openModal(this.modal);
     setTimeout(() => this.updateButtonState(), 100);
   }
@@ -32901,6 +38846,56 @@ class UnlockModal {
     this.modal.classList.remove('active');
   }
 
+  /**
+   * Ask for the password again after the app was locked with Lock Now or by the idle timer.
+   * The flag is kept in sessionStorage so it survives the reload that follows signing out online.
+   */
+  openAfterLock() {
+    const lockedByUser = sessionStorage.getItem(APP_LOCKED_SESSION_KEY);
+    sessionStorage.removeItem(APP_LOCKED_SESSION_KEY);
+    if (!lockedByUser || !localStorage.lock || !this.isLocked()) return;
+    this.openButtonElementUsed = welcomeScreen.signInButton;
+    this.open();
+  }
+
+  getPasskeyRecord() {
+    if (!localStorage.lockPasskey) return null;
+    try {
+      return JSON.parse(localStorage.lockPasskey);
+    } catch {
+      return null;
+    }
+  }
+
+  async handlePasskeyUnlock() {
+    const record = this.getPasskeyRecord();
+    if (!record) return;
+    try {
+      const encKey = await unlockWithPasskey(record);
+      this.completeUnlock(encKey);
+    } catch (error) {
+      console.error('Passkey unlock failed:', error);
+      // NotAllowedError is the user cancelling the prompt
+      if (error?.name !== 'NotAllowedError') {
+        showToast('Passkey unlock failed. Please use your password.', 0, 'error');
+      }
+    }
+  }
+
+  completeUnlock(encKey) {
+    lockModal.encKey = encKey;
+    this.unlock();
+    this.close();
+    const targetElement = this.openButtonElementUsed;
+    this.openButtonElementUsed = null;
+    if (targetElement && typeof targetElement.click === 'function' && document.contains(targetElement)) {
+      // Defer click to next tick to ensure unlock modal has fully closed
+      setTimeout(() => targetElement.click(), 0);
+    } else {
+      signInModal.open();
+    }
+  }
+
   async handleSubmit(event) {
     event.preventDefault();
 
@@ -32918,17 +38913,7 @@ class UnlockModal {
       // remove the loading toast
       if (waitingToastId) hideToast(waitingToastId);
 //      showToast('Unlock successful', 2000, 'success');
-      lockModal.encKey = await passwordToKey(password+"liberdusData")
-      this.unlock();
-      this.close();
-      const targetElement = this.openButtonElementUsed;
-      this.openButtonElementUsed = null;
-      if (targetElement && typeof targetElement.click === 'function' && document.contains(targetElement)) {
-        // Defer click to next tick to ensure unlock modal has fully closed
-        setTimeout(() => targetElement.click(), 0);
-      } else {
-        signInModal.open();
-      }
+      this.completeUnlock(await passwordToKey(password+"liberdusData"));
     } else {
       if (waitingToastId) hideToast(waitingToastId);
       showToast('Invalid password. Please try again.', 0, 'error');
@@ -32961,6 +38946,74 @@ class UnlockModal {
 }
 const unlockModal = new UnlockModal();
 
+const APP_LOCKED_SESSION_KEY = 'appLocked';
+const IDLE_LOCK_CHECK_INTERVAL_MS = 15 * 1000;
+const IDLE_LOCK_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+/**
+ * Idle auto-lock.
+ * While signed in with an app lock password set, locks the app (see MenuModal.handleLock) after
+ * localStorage.autoLockMinutes without any input. Activity is compared by timestamp, so time spent in the
+ * background or with the device asleep counts as idle.
+ */
+class IdleLock {
+  constructor() {
+    this.intervalId = null;
+    this.lastActivityAt = 0;
+    this.onActivity = () => {
+      this.lastActivityAt = Date.now();
+    };
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') this.check();
+    };
+  }
+
+  getMinutes() {
+    const minutes = parseInt(localStorage.autoLockMinutes, 10);
+    return minutes > 0 ? minutes : 0;
+  }
+
+  getTimeoutMs() {
+    if (!localStorage.lock) return 0;
+    return this.getMinutes() * 60 * 1000;
+  }
+
+  start() {
+    this.stop();
+    if (!myData || !this.getTimeoutMs()) return;
+    this.lastActivityAt = Date.now();
+    IDLE_LOCK_ACTIVITY_EVENTS.forEach((type) =>
+      document.addEventListener(type, this.onActivity, { capture: true, passive: true })
+    );
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    this.intervalId = setInterval(() => this.check(), IDLE_LOCK_CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (!this.intervalId) return;
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    IDLE_LOCK_ACTIVITY_EVENTS.forEach((type) => document.removeEventListener(type, this.onActivity, { capture: true }));
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  // pick up a changed setting while signed in
+  restart() {
+    if (myData) this.start();
+    else this.stop();
+  }
+
+  check() {
+    const timeoutMs = this.getTimeoutMs();
+    if (!myData || !timeoutMs || Date.now() - this.lastActivityAt < timeoutMs) return;
+    // signing out would interrupt the upload or batch; try again on the next check
+    if (backupModal.isUploading || batchTransferModal.sending || chatModal.chunkedUploads > 0) return;
+    this.stop();
+    menuModal.handleLock();
+  }
+}
+const idleLock = new IdleLock();
+
 class LaunchModal {
   constructor() {
     this.hasShownBackupReminderThisOpen = false;
@@ -33582,16 +39635,8 @@ class ReactNativeApp {
     
     if (deviceToken && expoPushToken) {      
       try {
-        // Get the user's address from localStorage if available
-        const { netid } = network;
-        const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-        const netidAccounts = existingAccounts.netids[netid];
-        
-        let addresses = [];
-        if (netidAccounts?.usernames) {
-          // Get addresses from all stored accounts and convert to long format
-          addresses = (netidAccounts[SIGN_IN_USERNAME_ORDER_KEY]?.public || []).map(username => longAddress(netidAccounts.usernames[username].address));
-        }
+        // Addresses of all stored public accounts in long format
+        const addresses = Object.keys(getPushAccounts());
 
         if (addresses.length < 1) return;
         
@@ -33666,13 +39711,7 @@ class ReactNativeApp {
     const currentUserAddress = longAddress(myAccount.keys.address);
 
     // Get all other stored addresses on this device for the current network.
-    const { netid } = network;
-    const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
-    const netidAccounts = existingAccounts.netids[netid];
-    let allStoredAddresses = [];
-    if (netidAccounts?.usernames) {
-      allStoredAddresses = (netidAccounts[SIGN_IN_USERNAME_ORDER_KEY]?.public || []).map(username => longAddress(netidAccounts.usernames[username].address));
-    }
+    const allStoredAddresses = Object.keys(getPushAccounts());
 
     // Create a list of addresses to keep subscribed, excluding the current user.
     const remainingAddresses = allStoredAddresses.filter(addr => addr !== currentUserAddress);
@@ -33815,6 +39854,270 @@ class ReactNativeApp {
 // Initialize and load the app
 const reactNativeApp = new ReactNativeApp();
 
+const WEB_PUSH_ENABLED_KEY = 'web_push_enabled';
+
+/**
+ * Browser Web Push for plain browser and installed PWA users (the native app has its own push tokens).
+ * The gateway notifier only ever sends who a notification is for and what kind it is; the service worker shows a
+ * generic notification so no message content leaves the encrypted chat. Clicks deep-link into the chat or the
+ * calls list, and shown notifications feed the same per-address notification state ReactNativeApp keeps.
+ */
+class WebPush {
+  constructor() {
+    // Notification clicked before the matching account was signed in
+    this.pendingOpen = null;
+  }
+
+  load() {
+    if (!this.isSupported()) return;
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data?.type === 'NOTIFICATION_CLICK') this.handleOpen(event.data);
+    });
+
+    // A click with no open window starts the app with the target in the query string
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('push_to')) {
+      this.pendingOpen = {
+        kind: params.get('push_kind'),
+        to: normalizeAddress(params.get('push_to')),
+        from: params.get('push_from') ? normalizeAddress(params.get('push_from')) : null,
+      };
+      reactNativeApp.saveNotificationAddress(this.pendingOpen.to);
+      window.history.replaceState(window.history.state, '', window.location.pathname);
+    }
+    this.collectNotifications();
+    // Keep the notifier's address list in step with accounts added or removed since the last visit
+    this.subscribe();
+  }
+
+  isSupported() {
+    return !reactNativeApp.isReactNativeWebView
+      && 'serviceWorker' in navigator
+      && 'PushManager' in window
+      && 'Notification' in window;
+  }
+
+  isEnabled() {
+    return this.isSupported()
+      && Notification.permission === 'granted'
+      && localStorage.getItem(WEB_PUSH_ENABLED_KEY) === 'true';
+  }
+
+  /**
+   * Ask for permission and subscribe every public account on this device. Must run from a user gesture.
+   * @returns {Promise<boolean>}
+   */
+  async enable() {
+    if (!this.isSupported()) return false;
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      showToast('Notifications are blocked for this site. Allow them in your browser settings.', 0, 'warning');
+      return false;
+    }
+    localStorage.setItem(WEB_PUSH_ENABLED_KEY, 'true');
+    const subscribed = await this.subscribe();
+    if (!subscribed) {
+      localStorage.removeItem(WEB_PUSH_ENABLED_KEY);
+      showToast('Could not enable notifications. Please try again later.', 0, 'error');
+      return false;
+    }
+    showToast('Notifications enabled', 3000, 'success');
+    return true;
+  }
+
+  async disable() {
+    localStorage.removeItem(WEB_PUSH_ENABLED_KEY);
+    if (!this.isSupported()) return;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription();
+      if (!subscription) return;
+      await this.postSubscription(subscription, []);
+      await subscription.unsubscribe();
+    } catch (error) {
+      console.error('Error disabling web push:', error);
+    }
+  }
+
+  /**
+   * Send the current push subscription and the device's public account addresses to the notifier
+   * @returns {Promise<boolean>}
+   */
+  async subscribe() {
+    if (!this.isEnabled() || !isOnline) return false;
+    try {
+      const accounts = getPushAccounts();
+      const registration = await navigator.serviceWorker.ready;
+      let subscription = await registration.pushManager.getSubscription();
+      if (!subscription) {
+        const publicKey = await this.fetchPublicKey();
+        if (!publicKey) return false;
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: base64UrlToBytes(publicKey),
+        });
+      }
+      // Usernames let the service worker say which account a notification is for
+      registration.active?.postMessage({ type: 'PUSH_ACCOUNTS', accounts });
+      return await this.postSubscription(subscription, Object.keys(accounts));
+    } catch (error) {
+      console.error('Error subscribing to web push:', error);
+      return false;
+    }
+  }
+
+  async fetchPublicKey() {
+    const { data } = await requestGateway('/notifier/vapid-public-key', {
+      read: async (response) => {
+        if (!response.ok) {
+          console.error('Web push key request failed:', response.status, response.statusText);
+          return null;
+        }
+        return response.json();
+      },
+    });
+    return data?.publicKey || null;
+  }
+
+  async postSubscription(subscription, addresses) {
+    // Subscribing again replaces the addresses, so the request is safe to retry on another gateway
+    const { data: ok } = await requestGateway('/notifier/subscribe', {
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ webPushSubscription: subscription.toJSON(), addresses }),
+      },
+      read: (response) => {
+        if (!response.ok) {
+          console.error('Web push subscription failed:', response.status, response.statusText);
+        }
+        return response.ok;
+      },
+    });
+    return ok;
+  }
+
+  /**
+   * Record notifications still shown by the browser the way the native app's panel notifications are recorded:
+   * accounts other than the signed in one get the sign-in bell and the newest timestamp is kept.
+   * Notifications for the signed in account are dismissed since the app now shows them.
+   */
+  async collectNotifications() {
+    if (!this.isSupported()) return;
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration) return;
+      const notifications = await registration.getNotifications();
+      const { state } = reactNativeApp.getNotificationState();
+      const currentUserAddress = myAccount?.keys?.address ? normalizeAddress(myAccount.keys.address) : null;
+      let highestTimestamp = state.timestamp;
+
+      for (const notification of notifications) {
+        const to = notification.data?.to ? normalizeAddress(notification.data.to) : null;
+        if (!to) continue;
+        if (to === currentUserAddress) {
+          notification.close();
+          continue;
+        }
+        const timestamp = Number(notification.data.timestamp) || 0;
+        if (timestamp && timestamp <= state.timestamp) continue;
+        reactNativeApp.saveNotificationAddress(to);
+        highestTimestamp = Math.max(highestTimestamp, timestamp);
+      }
+
+      if (highestTimestamp > state.timestamp) {
+        reactNativeApp.updateNotificationTimestamp(highestTimestamp);
+      }
+      if (signInModal.isActive()) {
+        signInModal.updateNotificationDisplay();
+      }
+    } catch (error) {
+      logsModal.log('📋 Error collecting web notifications:', error);
+    }
+  }
+
+  /**
+   * Handle a clicked notification
+   * @param {{kind: string, to: string, from?: string}} data
+   */
+  handleOpen(data) {
+    if (!data?.to) return;
+    const target = {
+      kind: data.kind,
+      to: normalizeAddress(data.to),
+      from: data.from ? normalizeAddress(data.from) : null,
+    };
+
+    if (!myData || !myAccount) {
+      this.pendingOpen = target;
+      reactNativeApp.saveNotificationAddress(target.to);
+      if (signInModal.isActive()) {
+        signInModal.updateNotificationDisplay();
+      }
+      return;
+    }
+
+    if (!reactNativeApp.isCurrentAccount(target.to)) {
+      const shouldSignOut = confirm('You received a notification for a different account. Would you like to sign out to switch to that account?');
+      this.pendingOpen = target;
+      reactNativeApp.saveNotificationAddress(target.to);
+      if (shouldSignOut) {
+        menuModal.handleSignOut();
+      }
+      return;
+    }
+
+    this.openTarget(target);
+  }
+
+  /**
+   * Open what a notification clicked before sign-in pointed at, if it was for this account
+   */
+  openPending() {
+    const target = this.pendingOpen;
+    this.pendingOpen = null;
+    if (target && reactNativeApp.isCurrentAccount(target.to)) {
+      this.openTarget(target);
+    }
+  }
+
+  openTarget({ kind, from }) {
+    if (kind === 'call') {
+      callsModal.open();
+      return;
+    }
+    // Payments show up in the chat with the sender too
+    if (from && myData.contacts[from]) {
+      chatModal.open(from);
+    }
+  }
+}
+
+const webPush = new WebPush();
+
+/**
+ * Public accounts stored on this device for the current network, the ones push notifications are sent for
+ * @returns {Object<string, string>} Username by long address
+ */
+function getPushAccounts() {
+  const { netid } = network;
+  const existingAccounts = parse(localStorage.getItem('accounts') || '{"netids":{}}');
+  const netidAccounts = existingAccounts.netids[netid];
+  const accounts = {};
+  if (netidAccounts?.usernames) {
+    (netidAccounts[SIGN_IN_USERNAME_ORDER_KEY]?.public || []).forEach((username) => {
+      accounts[longAddress(netidAccounts.usernames[username].address)] = username;
+    });
+  }
+  return accounts;
+}
+
+// Web Push application server keys are base64url encoded
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return base642bin(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+}
+
 /**
  * Remove a transaction from the pending list by ID.
  * @param {string} txid
@@ -33938,6 +40241,10 @@ async function checkPendingTransactionsOnce() {
     if (reactionPending && reactionPending.status !== 'pending') {
       continue;
     }
+    // Not sent yet; the outbox owns it until it is injected
+    if (outbox.has(txid)) {
+      continue;
+    }
 
     if (submittedts < eightSecondsAgo) {
 
@@ -33964,6 +40271,7 @@ async function checkPendingTransactionsOnce() {
           myData.wallet.history = myData.wallet.history.filter((tx) => tx.txid !== txid);
           showToast('Unstake confirmation timed out. Please try again.', 0, 'warning');
           await validatorModal.refreshIfOpen();
+          await stakingDashboardModal.refreshIfOpen();
         }
 
         if (pendingTxInfo.editPending) {
@@ -33985,6 +40293,10 @@ async function checkPendingTransactionsOnce() {
           chatModal.refreshCurrentView(txid);
           await chatsScreen.updateChatList();
         }
+        if (type === 'transfer') {
+          // It may still go through, so a batch does not offer it for retry
+          pendingPromiseService.reject(txid, Object.assign(new Error('Not confirmed in time'), { timedOut: true }));
+        }
         if (isPendingDaoTransaction) {
           await daoModal.refreshAfterDaoSettlement(pendingTxInfo, 'timeout');
           showToast(getDaoTransactionMessage(type, 'timeout'), 0, 'warning');
@@ -34005,6 +40317,10 @@ async function checkPendingTransactionsOnce() {
             username: pendingTxInfo.username,
             address: pendingTxInfo.address,
           });
+        } else if (type === 'transfer') {
+          markSentTransferRequestPaid(pendingTxInfo.to, txid);
+          // Batch transfers wait for each transfer before sending the next
+          pendingPromiseService.resolve(txid, { txid });
         }
 
         if (res?.transaction?.type === 'withdraw_stake') {
@@ -34025,6 +40341,9 @@ async function checkPendingTransactionsOnce() {
             validatorModal.open();
           }
         }
+        if (type === 'withdraw_stake' || type === 'deposit_stake') {
+          await stakingDashboardModal.refreshIfOpen();
+        }
 
         if (type === 'toll') {
           // log used by e2e tests do not delete
@@ -34074,6 +40393,9 @@ async function checkPendingTransactionsOnce() {
         if (type === 'register') {
           pendingPromiseService.reject(txid, new Error(userFailureReason));
         } else {
+          if (type === 'transfer') {
+            pendingPromiseService.reject(txid, new Error(userFailureReason));
+          }
           // Show toast notification with the failure reason
           if (reactionPending) {
             const outcome = settleAndQueueReactionCleanup(pendingTxInfo, 'failure');
@@ -34156,6 +40478,7 @@ async function checkPendingTransactionsOnce() {
             validatorModal.close();
             validatorModal.open();
           }
+          await stakingDashboardModal.refreshIfOpen();
         }
       } else {
         console.log(`DEBUG: tx ${txid} status unknown, waiting for receipt`);
@@ -34197,6 +40520,7 @@ function updateTransactionStatus(txid, toAddress, status, type) {
     if (txIndex !== -1) {
       myData.wallet.history[txIndex].status = status;
     }
+    if (status === 'failed') clearSentTransferRequestPaid(toAddress, txid);
   }
 
   // now use toAddress to find the contact and change the status of the message
@@ -34207,7 +40531,486 @@ function updateTransactionStatus(txid, toAddress, status, type) {
       contact.messages[msgIndex].status = status;
     }
   }
+  // Group messages go out as one 1:1 message per member; mirror the outcome on the group message
+  if (type === 'message') {
+    markGroupDeliveryStatus(txid, toAddress, status);
+  }
 }
+
+const OUTBOX_KIND_LABELS = {
+  message: 'Message',
+  edit: 'Edit',
+  reaction: 'Reaction',
+  transfer: 'Payment',
+};
+
+const OUTBOX_STATUS_LABELS = {
+  queued: 'Waiting for connection',
+  scheduled: 'Scheduled',
+  sending: 'Sending…',
+};
+
+// Longest single wait for the next scheduled item; setTimeout cannot wait for more than ~24 days
+const OUTBOX_SCHEDULE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Messages, edits, reactions and payments composed while offline or scheduled to be sent later.
+ * Items live in myData.outbox in the order they were composed and are drained in that order once
+ * handleConnectivityChange sees the network again; scheduled items are skipped until their sendAt time, which a
+ * timer watches while the app is open and the drain on sign in catches up on. Each item keeps its signed
+ * transaction so the optimistic UI can reference the txid, but it is re-stamped and re-signed right before
+ * sending since the network rejects stale timestamps; every local reference to the old txid is renamed then.
+ */
+class Outbox {
+  constructor() {
+    this.draining = false;
+    this.scheduleTimeoutId = null;
+  }
+
+  get items() {
+    return myData?.outbox || [];
+  }
+
+  has(txid) {
+    return this.items.some((item) => item.txid === txid);
+  }
+
+  /**
+   * @param {{kind: 'message'|'edit'|'reaction'|'transfer', address: string, tx: Object, txid: string, assetIndex?: number, sendAt?: number}} entry
+   * @returns {Object} The queued item
+   */
+  enqueue({ kind, address, tx, txid, assetIndex, sendAt = 0 }) {
+    myData.outbox ??= [];
+    const item = {
+      id: txid,
+      kind,
+      address,
+      tx,
+      txid,
+      status: sendAt ? 'scheduled' : 'queued',
+      conflict: '',
+      reason: '',
+      createdAt: getCorrectedTimestamp(),
+    };
+    if (assetIndex !== undefined) item.assetIndex = assetIndex;
+    if (sendAt) item.sendAt = sendAt;
+    myData.outbox.push(item);
+    saveState();
+    this.refreshUi(address);
+    if (sendAt) {
+      this.scheduleNext();
+    } else {
+      this.drain();
+    }
+    return item;
+  }
+
+  isDue(item) {
+    return item.status === 'scheduled' && item.sendAt <= getCorrectedTimestamp();
+  }
+
+  /**
+   * Wake up when the next scheduled item is due
+   */
+  scheduleNext() {
+    clearTimeout(this.scheduleTimeoutId);
+    this.scheduleTimeoutId = null;
+    const sendAts = this.items.filter((item) => item.status === 'scheduled').map((item) => item.sendAt);
+    if (sendAts.length === 0 || !myAccount) return;
+    const delay = Math.max(0, Math.min(...sendAts) - getCorrectedTimestamp());
+    this.scheduleTimeoutId = setTimeout(() => {
+      this.scheduleTimeoutId = null;
+      this.drain();
+    }, Math.min(delay, OUTBOX_SCHEDULE_CHECK_MS));
+  }
+
+  stop() {
+    clearTimeout(this.scheduleTimeoutId);
+    this.scheduleTimeoutId = null;
+  }
+
+  remove(item) {
+    myData.outbox = this.items.filter((existing) => existing !== item);
+  }
+
+  /**
+   * Send queued items in order. Items after a conflict for the same recipient wait with it so that chat stays in
+   * the order it was written.
+   */
+  async drain() {
+    if (this.draining || !isOnline || !myAccount?.keys || this.items.length === 0) {
+      this.scheduleNext();
+      return;
+    }
+    this.draining = true;
+    const held = new Set();
+    try {
+      await getNetworkParams();
+      for (const item of [...this.items]) {
+        if (!isOnline) break;
+        if (!this.items.includes(item)) continue;
+        // Scheduled items that are not due yet do not hold back anything written after them
+        if (item.status === 'scheduled' && !this.isDue(item)) continue;
+        if (this.isDue(item)) item.status = 'queued';
+        if (item.status !== 'queued' || held.has(item.address)) {
+          held.add(item.address);
+          continue;
+        }
+        if (await this.detectConflict(item)) {
+          held.add(item.address);
+          this.refreshUi(item.address);
+          continue;
+        }
+        await this.send(item);
+      }
+    } catch (error) {
+      console.error('Outbox drain error:', error);
+    } finally {
+      this.draining = false;
+      saveState();
+      this.refreshUi();
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Refresh the recipient's toll state and mark the item if it can no longer go out as composed.
+   * A lower toll is not a conflict; the item just pays what is required now.
+   * @param {Object} item
+   * @returns {Promise<boolean>} True if the item needs the user's attention
+   */
+  async detectConflict(item) {
+    if (item.kind === 'transfer') return false;
+    const contact = myData.contacts[item.address];
+    if (!contact) {
+      return this.setConflict(item, 'missing', 'This contact no longer exists');
+    }
+
+    try {
+      await chatModal.updateTollRequired(item.address);
+      await chatModal.updateTollValue(item.address);
+    } catch (error) {
+      console.warn('Outbox: could not refresh toll state', error);
+    }
+
+    if (Number(contact.tollRequiredToSend) === 2) {
+      return this.setConflict(item, 'blocked', 'You are blocked by this user');
+    }
+    const toll = getContactTollLibWei(contact);
+    if (item.kind === 'reaction') {
+      return toll > 0n ? this.setConflict(item, 'blocked', 'Recipient now requires a toll for reactions') : false;
+    }
+    if (toll > BigInt(item.tx.amount || 0n)) {
+      return this.setConflict(item, 'toll', `Toll changed to ${big2str(toll, 18).slice(0, -16)} LIB`);
+    }
+    item.tx.amount = toll;
+    return false;
+  }
+
+  setConflict(item, conflict, reason) {
+    item.status = 'conflict';
+    item.conflict = conflict;
+    item.reason = reason;
+    return true;
+  }
+
+  async send(item) {
+    const { tx } = item;
+    const oldTxid = item.txid;
+    const sentTimestamp = getCorrectedTimestamp();
+    delete tx.sign;
+    tx.timestamp = getTransactionTimestamp();
+    tx.fee = getTransactionFeeWei();
+    const payload = tx.type === 'transfer' ? tx.xmemo : tx.xmessage;
+    if (payload?.sent_timestamp) payload.sent_timestamp = sentTimestamp;
+
+    const txid = await signObj(tx, myAccount.keys);
+    renameOutboxTxid(oldTxid, txid, item, sentTimestamp);
+    item.txid = txid;
+    item.status = 'sending';
+    this.refreshUi(item.address);
+
+    let response = null;
+    try {
+      response = await injectTx(tx, txid);
+    } catch (error) {
+      console.error('Outbox send error:', error);
+    }
+    this.remove(item);
+    this.settle(item, !!response?.result?.success);
+  }
+
+  settle(item, success) {
+    switch (item.kind) {
+      case 'message':
+        updateTransactionStatus(item.txid, item.address, success ? 'sent' : 'failed', 'message');
+        break;
+      case 'transfer': {
+        updateTransactionStatus(item.txid, item.address, success ? 'sent' : 'failed', 'transfer');
+        const pendingTx = success && myData.pending.find((pending) => pending.txid === item.txid);
+        if (pendingTx) {
+          pendingTx.amount = item.tx.amount;
+          pendingTx.fee = item.tx.fee;
+          pendingTx.assetIndex = item.assetIndex;
+        }
+        break;
+      }
+      case 'edit':
+        if (!success) this.revert(item);
+        break;
+      case 'reaction':
+        if (success) {
+          finishPendingReactionInject(item.txid);
+        } else {
+          this.revert(item);
+        }
+        break;
+      default:
+        assert(false, `Unknown outbox item kind: ${item.kind}`);
+    }
+  }
+
+  /**
+   * Undo the optimistic local change of an item that will not be sent
+   * @param {Object} item
+   */
+  revert(item) {
+    const contact = myData.contacts[item.address];
+    switch (item.kind) {
+      case 'message':
+      case 'transfer':
+        if (item.kind === 'transfer') clearSentTransferRequestPaid(item.address, item.txid);
+        removeFailedTx(item.txid, item.address);
+        if (contact) syncChatLatestActivityTimestamp(item.address, contact);
+        break;
+      case 'edit': {
+        const pendingTxInfo = myData.pending.find((pendingTx) => pendingTx.txid === item.txid);
+        removePendingTransaction(item.txid);
+        if (pendingTxInfo?.editPending && contact) {
+          restorePendingMessageEdit(item.txid, item.address, pendingTxInfo.editPending);
+        }
+        break;
+      }
+      case 'reaction': {
+        if (!myData.pending.some((pendingTx) => pendingTx.txid === item.txid)) break;
+        const outcome = settlePendingReaction(finishPendingReactionInject(item.txid), 'failure');
+        if (!outcome.hasPending) {
+          cleanupResolvedReactionChain(item.address, outcome.targetTxid);
+        }
+        break;
+      }
+      default:
+        assert(false, `Unknown outbox item kind: ${item.kind}`);
+    }
+  }
+
+  cancel(id) {
+    const item = this.items.find((existing) => existing.id === id);
+    if (!item || item.status === 'sending') return;
+    this.remove(item);
+    this.revert(item);
+    saveState();
+    this.refreshUi(item.address);
+    this.scheduleNext();
+  }
+
+  /**
+   * Send a scheduled item without waiting for its time
+   * @param {string} id
+   */
+  sendNow(id) {
+    const item = this.items.find((existing) => existing.id === id);
+    if (!item || item.status !== 'scheduled') return;
+    item.sendAt = getCorrectedTimestamp();
+    saveState();
+    this.drain();
+  }
+
+  /**
+   * Send a conflicting item anyway, paying the recipient's current toll
+   * @param {string} id
+   */
+  resolve(id) {
+    const item = this.items.find((existing) => existing.id === id);
+    if (!item || item.conflict !== 'toll') return;
+    item.tx.amount = getContactTollLibWei(myData.contacts[item.address]);
+    item.status = 'queued';
+    item.conflict = '';
+    item.reason = '';
+    saveState();
+    this.refreshUi(item.address);
+    this.drain();
+  }
+
+  refreshUi(address = null) {
+    chatsScreen.updateOutboxBanner();
+    if (outboxModal.isActive()) outboxModal.render();
+    if (chatModal.isActive() && (!address || chatModal.address === address)) chatModal.appendChatModal();
+    if (historyModal.isActive()) historyModal.refresh();
+  }
+}
+
+const outbox = new Outbox();
+
+/**
+ * Toll in LIB wei the user currently has to pay to message a contact, from cached contact state
+ * @param {Object} contact
+ * @returns {bigint}
+ */
+function getContactTollLibWei(contact) {
+  if (Number(contact?.tollRequiredToSend) === 0) return 0n;
+  return getEffectiveTollLibWei(normalizeTollToLibWei(contact?.toll, contact?.tollUnit));
+}
+
+/**
+ * Point every local reference to a queued transaction at its re-signed txid. Messages and payments also move to
+ * the time they are actually sent, since that is when the recipient will see them.
+ * @param {string} oldTxid
+ * @param {string} newTxid
+ * @param {Object} item - Outbox item
+ * @param {number} sentTimestamp
+ */
+function renameOutboxTxid(oldTxid, newTxid, item, sentTimestamp) {
+  const { address } = item;
+  const moves = item.kind === 'message' || item.kind === 'transfer';
+  const reactionTargets = new Set();
+
+  for (const pendingTx of myData.pending || []) {
+    if (pendingTx.txid === oldTxid) {
+      pendingTx.txid = newTxid;
+      pendingTx.submittedts = sentTimestamp;
+    }
+    const visibleResult = pendingTx.reactionPending?.visibleResult;
+    if (visibleResult?.reactionTxId === oldTxid) {
+      visibleResult.reactionTxId = newTxid;
+      reactionTargets.add(pendingTx.reactionPending.targetTxid);
+    }
+  }
+
+  const contact = myData.contacts[address];
+  const messageIndex = contact?.messages.findIndex((message) => message.txid === oldTxid) ?? -1;
+  if (messageIndex !== -1) {
+    const message = contact.messages[messageIndex];
+    message.txid = newTxid;
+    if (moves) {
+      contact.messages.splice(messageIndex, 1);
+      message.timestamp = sentTimestamp;
+      message.sent_timestamp = sentTimestamp;
+      delete message.scheduledAt;
+      insertSorted(contact.messages, message, 'timestamp');
+    }
+  }
+
+  const historyItem = myData.wallet.history.find((entry) => entry.txid === oldTxid);
+  if (historyItem) {
+    historyItem.txid = newTxid;
+    if (moves) {
+      myData.wallet.history.splice(myData.wallet.history.indexOf(historyItem), 1);
+      historyItem.timestamp = sentTimestamp;
+      delete historyItem.scheduledAt;
+      insertSorted(myData.wallet.history, historyItem, 'timestamp');
+    }
+  }
+
+  for (const chat of myData.chats) {
+    if (chat.txid === oldTxid) chat.txid = newTxid;
+  }
+  if (moves && contact) syncChatLatestActivityTimestamp(address, contact);
+  reactionTargets.forEach((targetTxid) => syncPendingReactionChainState(address, targetTxid));
+  messageSearchModal.reindexContact(address);
+}
+
+class OutboxModal {
+  constructor() { }
+
+  load() {
+    this.modal = document.getElementById('outboxModal');
+    this.closeButton = document.getElementById('closeOutboxModal');
+    this.list = document.getElementById('outboxList');
+
+    this.closeButton.addEventListener('click', () => this.close());
+    this.list.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      const { id } = button.closest('.outbox-item').dataset;
+      if (button.dataset.action === 'cancel') outbox.cancel(id);
+      if (button.dataset.action === 'send-anyway') outbox.resolve(id);
+      if (button.dataset.action === 'send-now') outbox.sendNow(id);
+    });
+  }
+
+  open() {
+    this.render();
+    openModal(this.modal);
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
+
+  render() {
+    const items = outbox.items;
+    if (items.length === 0) {
+      this.list.innerHTML = '<div class="empty-state">Nothing is waiting to be sent</div>';
+      return;
+    }
+    this.list.innerHTML = items.map((item) => {
+      const contact = myData.contacts[item.address];
+      const actions = [];
+      if (item.conflict === 'toll') {
+        actions.push('<button type="button" class="btn btn--text" data-action="send-anyway">Pay new toll</button>');
+      }
+      if (item.status === 'scheduled') {
+        actions.push('<button type="button" class="btn btn--text" data-action="send-now">Send now</button>');
+      }
+      if (item.status !== 'sending') {
+        actions.push('<button type="button" class="btn btn--text" data-action="cancel">Cancel</button>');
+      }
+      return `
+        <div class="outbox-item" data-id="${escapeHtml(item.id)}" data-status="${item.status}">
+          <div class="outbox-item-header">
+            <span class="outbox-item-title">${OUTBOX_KIND_LABELS[item.kind]} to ${escapeHtml(getContactDisplayName(contact || { address: item.address }))}</span>
+            <span class="outbox-item-time">${escapeHtml(formatTime(item.createdAt))}</span>
+          </div>
+          <div class="outbox-item-preview">${escapeHtml(this.getPreview(item, contact))}</div>
+          <div class="outbox-item-status">${escapeHtml(this.getStatusText(item))}</div>
+          <div class="outbox-item-actions">${actions.join('')}</div>
+        </div>`;
+    }).join('');
+  }
+
+  getStatusText(item) {
+    if (item.status === 'conflict') return item.reason;
+    if (item.status === 'scheduled') return `Scheduled for ${formatScheduledTime(item.sendAt)}`;
+    return OUTBOX_STATUS_LABELS[item.status];
+  }
+
+  getPreview(item, contact) {
+    switch (item.kind) {
+      case 'message':
+        return truncateMessage(contact?.messages.find((message) => message.txid === item.txid)?.message || '', 80);
+      case 'edit': {
+        const targetTxid = myData.pending.find((pendingTx) => pendingTx.txid === item.txid)?.editPending?.targetTxid;
+        return truncateMessage(contact?.messages.find((message) => message.txid === targetTxid)?.message || '', 80);
+      }
+      case 'reaction': {
+        const visibleResult = myData.pending.find((pendingTx) => pendingTx.txid === item.txid)?.reactionPending?.visibleResult;
+        return visibleResult?.emoji || 'Remove reaction';
+      }
+      case 'transfer':
+        return `${big2str(BigInt(item.tx.amount), 18).slice(0, -16)} ${myData.wallet.assets[item.assetIndex]?.symbol || 'LIB'}`;
+      default:
+        return '';
+    }
+  }
+}
+
+const outboxModal = new OutboxModal();
+
 const pendingPromiseService = (() => {
   const pendingPromises = new Map(); // txid -> { resolve, reject }
 
@@ -34474,6 +41277,9 @@ function longPoll() {
   if (!useLongPolling) {
     return;
   }
+  if (chatSocket.isSubscribed()) {
+    return;
+  }
   if (!isOnline) {
     console.log('Poll skipped: Not online');
     return;
@@ -34499,7 +41305,7 @@ function longPoll() {
     longPollAbortController = new AbortController();
 
     // call this with a promise that'll resolve with callback longPollResult function with the data
-    const longPollPromise = queryNetwork(`/collector/api/poll?account=${longAddress(myAccount.keys.address)}&chatTimestamp=${timestamp}`, longPollAbortController.signal);
+    const longPollPromise = queryNetwork(`/collector/api/poll?account=${longAddress(myAccount.keys.address)}&chatTimestamp=${timestamp}`, longPollAbortController.signal, { timeout: 0 });
     
     // Handle both success and error cases properly
     longPollPromise
@@ -34552,6 +41358,262 @@ async function longPollResult(data) {
 }
 longPollResult.timestamp = 0
 
+const CHAT_SOCKET_RECONNECT_BASE_MS = 1000;
+const CHAT_SOCKET_RECONNECT_MAX_MS = 60000;
+const CHAT_SOCKET_PING_INTERVAL_MS = 25000;
+const CHAT_SOCKET_REFRESH_INTERVAL_MS = 1000; // getChats ignores calls closer together than this
+
+/**
+ * Push subscription to the gateway's `ws` endpoint for the signed-in account.
+ * The gateway pushes `chat`, `reaction`, `toll` and `tx` events; each event triggers the same fetch the long poll
+ * would, so message processing stays in one place. The long poll is only stopped once the gateway has acknowledged
+ * the subscription (or pushed an event), and it is restarted whenever the socket closes, so the app never goes
+ * without updates while reconnecting or when a gateway accepts the socket but does not speak the protocol.
+ */
+class ChatSocket {
+  constructor() {
+    this.socket = null;
+    this.subscribed = false;
+    this.address = null;
+    this.attempts = 0;
+    this.reconnectTimeoutId = null;
+    this.pingIntervalId = null;
+    this.lastMessageAt = 0;
+    this.refreshTimeoutId = null;
+    this.refreshPromise = null;
+    this.lastRefresh = 0;
+  }
+
+  /**
+   * Connect for the signed-in account; does nothing if already connected or if the gateway has no ws endpoint
+   * @returns {boolean} True if a socket is open or connecting
+   */
+  start() {
+    const address = myAccount?.keys?.address;
+    if (!address || typeof WebSocket === 'undefined') return false;
+    if (this.socket && this.address === address) return true;
+    this.stop();
+    this.address = address;
+    return this.connect();
+  }
+
+  stop() {
+    this.address = null;
+    this.attempts = 0;
+    clearTimeout(this.reconnectTimeoutId);
+    this.reconnectTimeoutId = null;
+    clearTimeout(this.refreshTimeoutId);
+    this.refreshTimeoutId = null;
+    this.closeSocket();
+  }
+
+  isOpen() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * @returns {boolean} True if the gateway has confirmed the subscription, so the long poll is not needed
+   */
+  isSubscribed() {
+    return this.subscribed && this.isOpen();
+  }
+
+  /**
+   * Drop the current socket and connect again right away, e.g. after coming back online
+   */
+  reconnect() {
+    if (!this.address) return;
+    clearTimeout(this.reconnectTimeoutId);
+    this.reconnectTimeoutId = null;
+    this.attempts = 0;
+    this.closeSocket();
+    this.connect();
+  }
+
+  connect() {
+    if (!isOnline) return false;
+    const url = getGatewayForRequest()?.ws;
+    if (!url) {
+      console.warn('ChatSocket: gateway has no ws endpoint, using long poll');
+      return false;
+    }
+
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      console.error('ChatSocket: failed to open socket', error);
+      this.scheduleReconnect();
+      return false;
+    }
+    this.socket = socket;
+    socket.onopen = () => this.handleOpen(socket);
+    socket.onmessage = (event) => this.handleMessage(socket, event);
+    socket.onclose = () => this.handleClose(socket);
+    socket.onerror = (error) => console.warn('ChatSocket error:', error);
+    return true;
+  }
+
+  closeSocket() {
+    clearInterval(this.pingIntervalId);
+    this.pingIntervalId = null;
+    this.subscribed = false;
+    const socket = this.socket;
+    if (!socket) return;
+    this.socket = null;
+    socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+    if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+      socket.close();
+    }
+  }
+
+  handleOpen(socket) {
+    if (socket !== this.socket || !myAccount) return;
+    this.lastMessageAt = Date.now();
+    socket.send(JSON.stringify({
+      type: 'subscribe',
+      account: longAddress(this.address),
+      chatTimestamp: myAccount.chatTimestamp || 0,
+    }));
+    // The long poll keeps running until the gateway confirms the subscription
+    this.startPing();
+  }
+
+  /**
+   * The gateway speaks the push protocol: hand over from the long poll and reset the backoff
+   */
+  handleSubscribed() {
+    this.subscribed = true;
+    this.attempts = 0;
+    stopLongPoll();
+    // Catch up on anything sent while disconnected
+    this.refreshChats();
+  }
+
+  handleMessage(socket, event) {
+    if (socket !== this.socket) return;
+    this.lastMessageAt = Date.now();
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('ChatSocket: ignoring malformed message', error);
+      return;
+    }
+
+    if (!this.subscribed && ['subscribed', 'chat', 'reaction', 'toll', 'tx'].includes(data?.type)) {
+      this.handleSubscribed();
+    }
+
+    switch (data?.type) {
+      case 'chat':
+      case 'reaction':
+        longPollResult.timestamp = data.chatTimestamp ?? myAccount?.chatTimestamp ?? 0;
+        this.refreshChats();
+        break;
+      case 'toll':
+        this.refreshToll(data.address);
+        break;
+      case 'tx':
+        checkPendingTransactions();
+        break;
+      case 'error':
+        console.warn('ChatSocket: gateway error', data.error);
+        break;
+      default:
+        // subscribed is handled above; pong and unknown event types need no action
+        break;
+    }
+  }
+
+  handleClose(socket) {
+    if (socket !== this.socket) return;
+    this.closeSocket();
+    // Keep receiving messages through the long poll until the socket is back
+    if (useLongPolling) {
+      setTimeout(longPoll, 10);
+    }
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (!this.address || this.reconnectTimeoutId) return;
+    const backoff = Math.min(CHAT_SOCKET_RECONNECT_BASE_MS * 2 ** this.attempts, CHAT_SOCKET_RECONNECT_MAX_MS);
+    const delay = backoff / 2 + Math.random() * (backoff / 2);
+    this.attempts++;
+    this.reconnectTimeoutId = setTimeout(() => {
+      this.reconnectTimeoutId = null;
+      if (this.address) this.connect();
+    }, delay);
+  }
+
+  /**
+   * Ping the gateway so idle connections are not dropped, and close sockets that have silently died so the
+   * reconnect logic can take over
+   */
+  startPing() {
+    clearInterval(this.pingIntervalId);
+    this.pingIntervalId = setInterval(() => {
+      if (!this.isOpen()) return;
+      if (Date.now() - this.lastMessageAt > CHAT_SOCKET_PING_INTERVAL_MS * 2) {
+        console.warn('ChatSocket: no response from gateway, reconnecting');
+        this.handleClose(this.socket);
+        return;
+      }
+      this.socket.send(JSON.stringify({ type: 'ping' }));
+    }, CHAT_SOCKET_PING_INTERVAL_MS);
+  }
+
+  /**
+   * Fetch new chats, coalescing bursts of events into one request
+   */
+  refreshChats() {
+    if (this.refreshTimeoutId) return;
+    if (this.refreshPromise) {
+      this.refreshPromise.finally(() => this.refreshChats());
+      return;
+    }
+    const wait = Math.max(0, this.lastRefresh + CHAT_SOCKET_REFRESH_INTERVAL_MS - Date.now());
+    this.refreshTimeoutId = setTimeout(() => {
+      this.refreshTimeoutId = null;
+      if (!myAccount) return;
+      this.lastRefresh = Date.now();
+      this.refreshPromise = chatsScreen.updateChatData()
+        .then((gotChats) => {
+          if (gotChats > 0) {
+            chatsScreen.updateChatList();
+          }
+        })
+        .catch((error) => console.error('ChatSocket: chat refresh error', error))
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }, wait);
+  }
+
+  /**
+   * A contact changed their toll, or the toll required between us changed
+   * @param {string} address
+   */
+  async refreshToll(address) {
+    let contactAddress;
+    try {
+      contactAddress = normalizeAddress(address);
+    } catch {
+      return;
+    }
+    if (!myData?.contacts?.[contactAddress]) return;
+    try {
+      await chatModal.updateTollValue(contactAddress);
+      await chatModal.updateTollRequired(contactAddress);
+    } catch (error) {
+      console.warn('ChatSocket: toll refresh error', error);
+    }
+  }
+}
+
+const chatSocket = new ChatSocket();
+
 function getContactDisplayName(contact) {
   return contact?.name || 
          contact?.username || 
@@ -35714,6 +42776,37 @@ async function getContactAvatarHtml(contactOrAddress, size = 50) {
   return generateIdenticon('', size);
 }
 
+/**
+ * Save a generated file; the React Native app downloads it itself, browsers use a download link
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - The name to save the file as
+ * @returns {void}
+ */
+function downloadFile(blob, filename) {
+  if (window.ReactNativeWebView?.postMessage) {
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      window.ReactNativeWebView.postMessage(JSON.stringify({
+        type: 'DOWNLOAD_ATTACHMENT',
+        filename,
+        mime: blob.type,
+        dataUrl: reader.result,
+      }));
+    };
+    reader.readAsDataURL(blob);
+    return;
+  }
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+  showToast(`${filename} downloaded`, 3000, 'success');
+}
+
 /**
  * Encrypt a blob using ChaCha20-Poly1305 via Web Worker
  * @param {Blob} blob - The blob to encrypt
@@ -35739,6 +42832,50 @@ async function encryptBlob(blob, key) {
   });
 }
 
+/**
+ * Start a worker that encrypts the chunks of one chunked attachment
+ * @param {Uint8Array} key - The attachment key
+ * @returns {{ encrypt: (chunk: ArrayBuffer, index: number, final: boolean) => Promise<Uint8Array>, terminate: () => void }}
+ */
+function createChunkEncryptor(key) {
+  const worker = new Worker('encryption.worker.js', { type: 'module' });
+  const pending = new Map();
+  let nextId = 0;
+  const failAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  worker.onmessage = (e) => {
+    const request = pending.get(e.data.id);
+    if (!request) return;
+    pending.delete(e.data.id);
+    if (e.data.error) {
+      request.reject(new Error(e.data.error));
+    } else {
+      request.resolve(e.data.sealed);
+    }
+  };
+  worker.onerror = (error) => {
+    failAll(new Error(error.message || 'Encryption worker failed'));
+  };
+
+  return {
+    encrypt(chunk, index, final) {
+      const id = ++nextId;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        // The chunk buffer is transferred, not copied
+        worker.postMessage({ action: 'encryptChunk', id, key, chunk, index, final }, [chunk]);
+      });
+    },
+    terminate() {
+      worker.terminate();
+      failAll(new Error('Encryption worker stopped'));
+    },
+  };
+}
+
 /**
  * Download and decrypt an avatar from the attachment server
  * @param {string} url - The download URL
@@ -35869,17 +43006,21 @@ const modalCloseHandlers = new Map([
     unlockModal, launchModal, updateWarningModal, removeAccountModal,
     removeAccountsModal, secretModal, callsModal, groupCallParticipantsModal,
     callScheduleChoiceModal, dateTimePickerModal, durationPickerModal, callInviteModal, shareAttachmentModal,
-    chatSettingsModal, qrScanModal, backupModal, importModal,
+    chatSettingsModal, gatewaysModal, qrScanModal, backupModal, importModal,
     accountModal, validatorModal, stakeModal, messageSearchModal, contactSearchModal,
-    importContactsModal, shareContactsModal,
+    importContactsModal, shareContactsModal, newGroupModal, groupChatModal, groupInfoModal,
+    outboxModal, batchTransferModal,
   }),
   // Structural exceptions require an id or a controller-specific close method.
   ['assetsModal', () => evmAssets.close('assetsModal')],
+  ['addEvmNetworkModal', () => evmAssets.close('addEvmNetworkModal')],
+  ['importEvmTokenModal', () => evmAssets.close('importEvmTokenModal')],
   ['assetDetailsModal', () => evmAssets.close('assetDetailsModal')],
   ['sendAssetConfirmModal', () => {
     evmAssets.confirmationModal.reset();
     sendAssetConfirmModal.close();
   }],
+  ['evmProviderModal', () => evmProvider.close()],
   ['googleDrivePickerModal', () => importModal.closeGoogleDrivePicker()],
 ]);
 
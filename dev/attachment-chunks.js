@@ -0,0 +1,236 @@
+import { decryptAttachmentChunk, decryptAttachmentManifest, encryptAttachmentManifest } from './crypto.js';
+
+// Chunked attachments.
+// Files larger than one chunk are split into ATTACHMENT_CHUNK_SIZE pieces. Each piece is encrypted on its own (see
+// encryptAttachmentChunk in crypto.js) and uploaded as a separate file through the attachment server's normal
+// /post endpoint, so only one chunk is held in memory and a dropped connection only repeats the chunk in flight.
+// A small manifest listing the chunk ids is sealed with the same key and uploaded last; its URL is the attachment URL
+// and the attachment is marked `chunked: 1`. Smaller files keep the single-blob format so older clients can still
+// open them.
+
+export const ATTACHMENT_CHUNK_SIZE = 4 * 1024 * 1024;
+export const ATTACHMENT_MANIFEST_FORMAT = 'liberdus-chunked-attachment';
+const ATTACHMENT_MANIFEST_VERSION = 1;
+
+const RETRY_DELAYS_MS = [1000, 3000, 10000, 30000];
+const ONLINE_WAIT_MAX_MS = 5 * 60 * 1000;
+const CHUNK_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export function shouldChunkAttachment(size) {
+  return size > ATTACHMENT_CHUNK_SIZE;
+}
+
+export function getAttachmentChunkCount(size) {
+  return Math.max(1, Math.ceil(size / ATTACHMENT_CHUNK_SIZE));
+}
+
+function abortError() {
+  return new DOMException('Aborted', 'AbortError');
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Resolves once the browser reports a connection again, or after ONLINE_WAIT_MAX_MS so the caller can give up
+function waitForOnline(signal) {
+  if (globalThis.navigator?.onLine !== false) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timer);
+      globalThis.removeEventListener('online', onOnline);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onOnline = () => finish();
+    const onAbort = () => finish(abortError());
+    const timer = setTimeout(() => finish(), ONLINE_WAIT_MAX_MS);
+    globalThis.addEventListener('online', onOnline);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function withRetries(task, { signal, isRetryable = () => true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (error?.name === 'AbortError' || attempt >= RETRY_DELAYS_MS.length || !isRetryable(error)) throw error;
+      console.warn(`Attachment chunk request failed, retrying (${attempt + 1}/${RETRY_DELAYS_MS.length}):`, error);
+      await waitForOnline(signal);
+      await delay(RETRY_DELAYS_MS[attempt], signal);
+    }
+  }
+}
+
+/**
+ * @param {{ size: number, chunks: string[] }} manifest - plaintext size and uploaded chunk ids in order
+ * @returns {string}
+ */
+export function buildAttachmentManifest({ size, chunks }) {
+  return JSON.stringify({
+    format: ATTACHMENT_MANIFEST_FORMAT,
+    version: ATTACHMENT_MANIFEST_VERSION,
+    size,
+    chunkSize: ATTACHMENT_CHUNK_SIZE,
+    chunks,
+  });
+}
+
+/**
+ * @param {string} text
+ * @returns {{ size: number, chunkSize: number, chunks: string[] }}
+ */
+export function parseAttachmentManifest(text) {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch {
+    throw new Error('Attachment manifest is not valid JSON');
+  }
+  if (manifest?.format !== ATTACHMENT_MANIFEST_FORMAT) throw new Error('Not a chunked attachment manifest');
+  if (manifest.version !== ATTACHMENT_MANIFEST_VERSION) {
+    throw new Error(`Unsupported attachment manifest version ${manifest.version}`);
+  }
+  const { size, chunkSize, chunks } = manifest;
+  if (!Number.isSafeInteger(size) || size < 0 || !Number.isSafeInteger(chunkSize) || chunkSize <= 0) {
+    throw new Error('Attachment manifest has an invalid size');
+  }
+  if (!Array.isArray(chunks) || chunks.length !== Math.max(1, Math.ceil(size / chunkSize))) {
+    throw new Error('Attachment manifest has the wrong number of chunks');
+  }
+  if (!chunks.every((id) => typeof id === 'string' && CHUNK_ID_PATTERN.test(id))) {
+    throw new Error('Attachment manifest has an invalid chunk id');
+  }
+  return { size, chunkSize, chunks };
+}
+
+// Uploaded files are served from {attachmentServerUrl}/get/{id}; chunks live next to their manifest
+function getUploadId(url) {
+  const id = new URL(url).pathname.split('/').pop();
+  if (!CHUNK_ID_PATTERN.test(id || '')) throw new Error('Unexpected upload URL');
+  return id;
+}
+
+function getChunkUrl(manifestUrl, id) {
+  const url = new URL(manifestUrl);
+  url.pathname = url.pathname.replace(/[^/]*$/, id);
+  url.search = '';
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Encrypt and upload a file chunk by chunk, then upload its manifest.
+ * A chunk that fails to upload is retried with backoff, after waiting for the browser to come back online, so
+ * the upload resumes from that chunk. If it still fails, the chunks already uploaded are handed to `discard`.
+ * @param {Blob} file
+ * @param {string} name - file name sent with every upload
+ * @param {Object} io
+ * @param {Uint8Array} io.key - attachment key; seals the manifest
+ * @param {(chunk: ArrayBuffer, index: number, final: boolean) => Promise<Uint8Array>} io.encrypt
+ * @param {(blob: Blob, name: string) => Promise<string>} io.upload - resolves to the uploaded file URL
+ * @param {(urls: string[]) => void} [io.discard]
+ * @param {(done: number, total: number) => void} [io.onProgress]
+ * @param {AbortSignal} [io.signal]
+ * @returns {Promise<string>} manifest URL
+ */
+export async function uploadChunkedAttachment(file, name, { key, encrypt, upload, discard, onProgress, signal }) {
+  const count = getAttachmentChunkCount(file.size);
+  const uploadedUrls = [];
+  try {
+    for (let index = 0; index < count; index++) {
+      if (signal?.aborted) throw abortError();
+      const start = index * ATTACHMENT_CHUNK_SIZE;
+      const plain = await file.slice(start, start + ATTACHMENT_CHUNK_SIZE).arrayBuffer();
+      const sealed = await encrypt(plain, index, index === count - 1);
+      const blob = new Blob([sealed], { type: 'application/octet-stream' });
+      uploadedUrls.push(await withRetries(() => upload(blob, name), { signal }));
+      onProgress?.(index + 1, count);
+    }
+    const manifest = buildAttachmentManifest({ size: file.size, chunks: uploadedUrls.map(getUploadId) });
+    const manifestBlob = new Blob([encryptAttachmentManifest(key, manifest)], { type: 'application/octet-stream' });
+    return await withRetries(() => upload(manifestBlob, name), { signal });
+  } catch (error) {
+    if (uploadedUrls.length > 0) discard?.(uploadedUrls);
+    throw error;
+  }
+}
+
+function isRetryableDownload(error) {
+  // Expired or deleted files will not come back
+  return !/HTTP (403|404|410)/.test(error?.message || '');
+}
+
+async function fetchBytes(url, signal) {
+  return withRetries(async () => {
+    const res = await fetch(url, { signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return new Uint8Array(await res.arrayBuffer());
+  }, { signal, isRetryable: isRetryableDownload });
+}
+
+async function fetchManifest(manifestUrl, key, signal) {
+  const sealed = await fetchBytes(manifestUrl, signal);
+  let text;
+  try {
+    text = decryptAttachmentManifest(key, sealed);
+  } catch {
+    throw new Error('Attachment manifest failed to decrypt');
+  }
+  return parseAttachmentManifest(text);
+}
+
+/**
+ * List every file URL that makes up a chunked attachment, for deleting it from the server
+ * @param {string} manifestUrl
+ * @param {Uint8Array} key
+ * @returns {Promise<string[]>} chunk URLs followed by the manifest URL
+ */
+export async function getChunkedAttachmentUrls(manifestUrl, key) {
+  const { chunks } = await fetchManifest(manifestUrl, key);
+  return [...chunks.map((id) => getChunkUrl(manifestUrl, id)), manifestUrl];
+}
+
+/**
+ * Download and decrypt a chunked attachment one chunk at a time.
+ * @param {string} manifestUrl
+ * @param {Uint8Array} key
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(bytes: Uint8Array, index: number, count: number) => void} [options.onChunk] - called as each chunk is
+ *   decrypted, so playback can start before the whole file has arrived; the chunks are then not kept
+ * @returns {Promise<Uint8Array[]|null>} decrypted chunks in order, or null when they went to onChunk
+ */
+export async function fetchChunkedAttachment(manifestUrl, key, { signal, onChunk } = {}) {
+  const { size, chunks } = await fetchManifest(manifestUrl, key, signal);
+
+  const parts = onChunk ? null : [];
+  let received = 0;
+  for (let index = 0; index < chunks.length; index++) {
+    const sealed = await fetchBytes(getChunkUrl(manifestUrl, chunks[index]), signal);
+    let bytes;
+    try {
+      bytes = decryptAttachmentChunk(key, sealed, index, index === chunks.length - 1);
+    } catch {
+      throw new Error(`Attachment chunk ${index + 1} of ${chunks.length} failed to decrypt`);
+    }
+    received += bytes.length;
+    if (onChunk) onChunk(bytes, index, chunks.length);
+    else parts.push(bytes);
+  }
+  if (received !== size) throw new Error('Attachment size does not match its manifest');
+  return parts;
+}
@@ -0,0 +1,210 @@
+// Batch transfers.
+// A batch is a list of rows, one per recipient, typed as "recipient, amount, memo" lines or imported from a CSV file
+// with the same columns. Recipients are resolved and checked before anything is sent, the whole batch is confirmed
+// once, and then the rows are sent one at a time so every row has its own status, can be retried if it fails, and
+// ends up in the receipt that can be exported as CSV.
+
+import { csvField } from './lib.js';
+
+export const MAX_BATCH_TRANSFER_ROWS = 100;
+
+export const BATCH_TRANSFER_STATUS = Object.freeze({
+  READY: 'ready',
+  INVALID: 'invalid',
+  SENDING: 'sending',
+  SENT: 'sent',
+  PENDING: 'pending',
+  FAILED: 'failed',
+});
+
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d+))?$/;
+const HEADER_RECIPIENT_PATTERN = /^(recipient|username|user|to|address|name)$/i;
+
+/**
+ * Split CSV text into records. Quoted fields may contain commas, newlines and doubled quotes.
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>} line is where the record starts, counting from 1
+ */
+export function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some((value) => value.trim() !== '')) records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',' || char === '\t') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRecord();
+  return records;
+}
+
+/**
+ * Convert a decimal amount to the asset's smallest unit.
+ * @param {string} value
+ * @param {number} decimals
+ * @returns {bigint|null} null when the amount is not a plain decimal number or has too many decimal places
+ */
+export function parseBatchAmount(value, decimals) {
+  const match = AMOUNT_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [, whole, fraction = ''] = match;
+  const trimmed = fraction.replace(/0+$/, '');
+  if (trimmed.length > decimals) return null;
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(trimmed.padEnd(decimals, '0') || '0');
+}
+
+/**
+ * @param {bigint} units - amount in the asset's smallest unit
+ * @param {number} decimals
+ * @returns {string} decimal amount without trailing zeros
+ */
+export function formatBatchAmount(units, decimals) {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Read batch rows from typed lines or CSV text with the columns recipient, amount and an optional memo.
+ * A first line whose first column is a heading such as "recipient" or "username" is skipped.
+ * @param {string} text
+ * @param {{ decimals: number }} asset
+ * @returns {{ rows: Array<Object>, errors: Array<{ line: number, message: string }> }}
+ */
+export function parseBatchTransferText(text, { decimals }) {
+  const rows = [];
+  const errors = [];
+  const records = parseCsv(text);
+  if (records.length > 0 && HEADER_RECIPIENT_PATTERN.test(records[0].fields[0].trim())) {
+    records.shift();
+  }
+
+  for (const { line, fields } of records) {
+    const [recipientField = '', amountField = '', ...memoParts] = fields;
+    const recipient = recipientField.trim();
+    const amount = amountField.trim();
+    // Memos may contain commas even when they were typed without quotes
+    const memo = memoParts.join(',').trim();
+    if (!recipient) {
+      errors.push({ line, message: 'Missing recipient' });
+      continue;
+    }
+    const units = parseBatchAmount(amount, decimals);
+    if (units === null) {
+      errors.push({ line, message: `Invalid amount "${amount}"` });
+      continue;
+    }
+    if (units === 0n) {
+      errors.push({ line, message: 'Amount must be more than zero' });
+      continue;
+    }
+    rows.push({
+      line,
+      recipient,
+      amount: formatBatchAmount(units, decimals),
+      units,
+      memo,
+      status: BATCH_TRANSFER_STATUS.READY,
+      address: null,
+      txid: null,
+      error: '',
+    });
+  }
+
+  if (rows.length > MAX_BATCH_TRANSFER_ROWS) {
+    errors.push({
+      line: rows[MAX_BATCH_TRANSFER_ROWS].line,
+      message: `A batch can have at most ${MAX_BATCH_TRANSFER_ROWS} transfers`,
+    });
+    rows.length = MAX_BATCH_TRANSFER_ROWS;
+  }
+  return { rows, errors };
+}
+
+/**
+ * Recipients that appear on more than one row; usually a copy and paste mistake.
+ * @param {Array<{ recipient: string }>} rows
+ * @returns {string[]}
+ */
+export function findDuplicateRecipients(rows) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const row of rows) {
+    const key = row.recipient.toLowerCase();
+    if (seen.has(key)) duplicates.add(row.recipient);
+    seen.add(key);
+  }
+  return [...duplicates];
+}
+
+/**
+ * @param {Array<{ units: bigint, status: string }>} rows
+ * @param {string[]} [statuses] - only count rows with one of these statuses
+ * @returns {bigint}
+ */
+export function sumBatchAmounts(rows, statuses = null) {
+  return rows
+    .filter((row) => !statuses || statuses.includes(row.status))
+    .reduce((total, row) => total + row.units, 0n);
+}
+
+/**
+ * Build a CSV receipt with one line per row of the batch.
+ * @param {Array<Object>} rows
+ * @param {{ symbol: string, network: string }} asset
+ * @returns {string}
+ */
+export function buildBatchReceiptCsv(rows, { symbol, network }) {
+  const lines = [['Recipient', 'Address', 'Amount', 'Asset', 'Network', 'Memo', 'Status', 'Transaction', 'Error', 'Time']];
+  for (const row of rows) {
+    lines.push([
+      row.recipient,
+      row.address || '',
+      row.amount,
+      symbol,
+      network,
+      row.memo,
+      row.status,
+      row.txid || '',
+      row.error || '',
+      row.sentAt ? new Date(row.sentAt).toISOString() : '',
+    ]);
+  }
+  return lines.map((line) => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -66,6 +66,56 @@ export function decryptChacha(key, encrypted) {
     }
 }
 
+// Chunked attachments seal every chunk on its own. The chunk index and a last-chunk flag are bound in as associated
+// data, so chunks cannot be reordered or dropped, and a file cannot be cut short, without failing authentication.
+function attachmentChunkAad(index, final) {
+    const aad = new Uint8Array(5);
+    new DataView(aad.buffer).setUint32(0, index);
+    aad[4] = final ? 1 : 0;
+    return aad;
+}
+
+// Returns nonce + ciphertext (with tag) as raw bytes
+export function encryptAttachmentChunk(key, chunk, index, final) {
+    const nonce = globalThis.crypto.getRandomValues(new Uint8Array(24));
+    const cipher = xchacha20poly1305(key, nonce, attachmentChunkAad(index, final));
+    const encrypted = cipher.encrypt(chunk);
+
+    const sealed = new Uint8Array(nonce.length + encrypted.length);
+    sealed.set(nonce);
+    sealed.set(encrypted, nonce.length);
+    return sealed;
+}
+
+// Throws if the chunk was altered or is not the chunk expected at this position
+export function decryptAttachmentChunk(key, sealed, index, final) {
+    const nonce = sealed.subarray(0, 24);
+    const cipher = xchacha20poly1305(key, nonce, attachmentChunkAad(index, final));
+    return cipher.decrypt(sealed.subarray(24));
+}
+
+// The manifest listing the chunks is sealed with the attachment key too, so the server cannot read the file size or
+// chunk layout. Its associated data is longer than a chunk's, so a manifest can never pass for a chunk or the reverse.
+const ATTACHMENT_MANIFEST_AAD = utf82bin('liberdus-chunked-attachment-manifest');
+
+export function encryptAttachmentManifest(key, manifest) {
+    const nonce = globalThis.crypto.getRandomValues(new Uint8Array(24));
+    const cipher = xchacha20poly1305(key, nonce, ATTACHMENT_MANIFEST_AAD);
+    const encrypted = cipher.encrypt(utf82bin(manifest));
+
+    const sealed = new Uint8Array(nonce.length + encrypted.length);
+    sealed.set(nonce);
+    sealed.set(encrypted, nonce.length);
+    return sealed;
+}
+
+// Throws if the manifest was altered or was not sealed with this key
+export function decryptAttachmentManifest(key, sealed) {
+    const nonce = sealed.subarray(0, 24);
+    const cipher = xchacha20poly1305(key, nonce, ATTACHMENT_MANIFEST_AAD);
+    return bin2utf8(cipher.decrypt(sealed.subarray(24)));
+}
+
 // We purposely do not encrypt/decrypt using browser native crypto functions; all crypto functions must be readable
 // Encrypt data using ChaCha20-Poly1305
 export function encryptData(data, password, nostretch) {
@@ -99,6 +99,60 @@ const DAO_PROPOSAL_MAX_DATE_MS = 100_000_000 * DAO_PROPOSAL_DAY_MS; // ECMAScrip
 const DAO_PROPOSALS_META_ID_STRING = 'dao proposals meta';
 export const DAO_PROPOSAL_TITLE_MAX_LENGTH = 100;
 export const DAO_PROPOSAL_CREATE_TYPE = 'dao_proposal_create';
+export const DAO_PROPOSAL_FILE_FORMAT = 'liberdus-dao-proposal';
+const DAO_PROPOSAL_FILE_VERSION = 1;
+
+// Starting points for proposals that change common parameter sets. Option 1 of a proposal created from a
+// template selects these parameters; values are left for the author.
+export const DAO_PROPOSAL_TEMPLATES = [
+  {
+    key: 'proposalFee',
+    label: 'Proposal fee',
+    proposalType: 'governance',
+    changeKeys: ['proposalFeeUsdStr'],
+  },
+  {
+    key: 'proposalSchedule',
+    label: 'Review, voting and claim durations',
+    proposalType: 'governance',
+    changeKeys: ['reviewDuration', 'votingDuration', 'claimDuration'],
+  },
+  {
+    key: 'voteThresholds',
+    label: 'Vote threshold and minimum spend',
+    proposalType: 'governance',
+    changeKeys: ['voteThresholdUsdStr', 'minimumSpendUsdStr'],
+  },
+  {
+    key: 'messageLimits',
+    label: 'Message length and retention',
+    proposalType: 'economic',
+    changeKeys: ['messageMaxLength', 'messageRetentionDays'],
+  },
+  {
+    key: 'tolls',
+    label: 'Toll timeout and network tax',
+    proposalType: 'economic',
+    changeKeys: ['tollTimeout', 'tollNetworkTaxPercent'],
+  },
+  {
+    key: 'nodeSlashing',
+    label: 'Node slashing',
+    proposalType: 'economic',
+    changeKeys: [
+      'enableNodeSlashing',
+      'enableLeftNetworkEarlySlashing',
+      'enableNodeRefutedSlashing',
+      'enableSyncTimeoutSlashing',
+    ],
+  },
+  {
+    key: 'networkSize',
+    label: 'Network size',
+    proposalType: 'protocol',
+    changeKeys: ['minNodes', 'maxNodes', 'baselineNodes'],
+  },
+];
 
 export const DAO_ACTION_TYPES = Object.freeze({
   COMMITTEE_VOTE: 'dao_committee_vote',
@@ -377,6 +431,77 @@ export function buildDaoProposalCreateDraft({
   };
 }
 
+/**
+ * Proposal file for review by others. It holds the fields of a draft that do not depend on the author or the
+ * current network, and parseDaoProposalFile turns it back into buildDaoProposalCreateDraft input.
+ * @param {Object} draft - Result of buildDaoProposalCreateDraft
+ * @returns {string} JSON
+ */
+export function serializeDaoProposalDraft(draft) {
+  const transaction = draft?.transaction;
+  if (!transaction || typeof transaction !== 'object') {
+    throw new Error('DAO proposal draft is required');
+  }
+  return JSON.stringify({
+    format: DAO_PROPOSAL_FILE_FORMAT,
+    version: DAO_PROPOSAL_FILE_VERSION,
+    proposalType: transaction.proposalType,
+    emergency: transaction.emergency,
+    title: transaction.title,
+    description: transaction.description,
+    options: transaction.options,
+    changes: transaction[transaction.proposalType].changes,
+    gracePeriodMs: transaction.gracePeriod,
+    reviewStartTimeMs: draft.reviewStartTimeMs,
+  }, null, 2);
+}
+
+/**
+ * Read a proposal file written by serializeDaoProposalDraft
+ * @param {string} text
+ * @returns {{displayTitle: string, emergency: boolean, proposalType: string, description: string,
+ *   options: string[], changes: Array<Array<{key: string, value: string, current: string}>>,
+ *   gracePeriodMs: number, reviewStartTimeMs: number}}
+ */
+export function parseDaoProposalFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('The proposal file is not valid JSON');
+  }
+  if (file?.format !== DAO_PROPOSAL_FILE_FORMAT) {
+    throw new Error('This is not a DAO proposal file');
+  }
+  if (file.version !== DAO_PROPOSAL_FILE_VERSION) {
+    throw new Error('This DAO proposal file was written by a newer version of the app');
+  }
+
+  const proposalType = requireDaoDraftString(file.proposalType, 'DAO proposal type');
+  if (!DAO_CONFIG_CHANGE_OPTIONS[proposalType]) {
+    throw new Error('DAO proposal type is not supported');
+  }
+  const emergency = file.emergency === true;
+  const options = normalizeDaoDraftOptions(file.options, emergency);
+  const changes = normalizeDaoDraftChanges(file.changes, options.length - 1);
+  const knownKeys = new Set(DAO_CONFIG_CHANGE_OPTIONS[proposalType].map((option) => option.key));
+  const unknownKey = changes[0].find((change) => !knownKeys.has(change.key));
+  if (unknownKey) {
+    throw new Error(`${unknownKey.key} is not a ${proposalType} parameter`);
+  }
+
+  return {
+    displayTitle: requireDaoDraftString(file.title, 'DAO proposal title', DAO_PROPOSAL_TITLE_MAX_LENGTH),
+    emergency,
+    proposalType,
+    description: requireDaoDraftString(file.description, 'DAO proposal description'),
+    options,
+    changes,
+    gracePeriodMs: normalizeDaoDraftInteger(file.gracePeriodMs ?? 0, 'DAO proposal grace period', 'milliseconds'),
+    reviewStartTimeMs: normalizeDaoDraftReviewStartTime(file.reviewStartTimeMs ?? 0),
+  };
+}
+
 export function buildDaoProposalCreateTransaction({
   draft,
   timestamp,
@@ -1010,6 +1135,69 @@ export function getDaoRewardClaimStatus(proposal, currentAddress, now = Date.now
   return 'Claimable';
 }
 
+export const DAO_REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compare the statuses in the proposal metadata index with the ones seen on the previous refresh
+ * @param {Object<string, string>|null} previousStatuses - Proposal number -> status; null on the first refresh
+ * @param {Array<Object>} entries - Metadata index entries
+ * @returns {{statuses: Object<string, string>, changes: Array<{proposal: number, from: string, to: string, timestamp: number}>}}
+ *   The first refresh only records statuses, so an account does not get an entry for every existing proposal.
+ */
+export function diffDaoProposalStatuses(previousStatuses, entries) {
+  const statuses = {};
+  const changes = [];
+  for (const entry of normalizeDaoProposalIndexEntries(entries)) {
+    statuses[entry.proposal] = entry.status;
+    const from = previousStatuses?.[entry.proposal] || '';
+    if (previousStatuses && from !== entry.status) {
+      changes.push({ proposal: entry.proposal, from, to: entry.status, timestamp: entry.timestamp });
+    }
+  }
+  return { statuses, changes };
+}
+
+/**
+ * Reminders for a proposal the account voted on: before voting closes, and before the claim window of an
+ * unclaimed reward ends. Each is due `leadMs` before its deadline, or when its window opens if that is later.
+ * @param {Object} proposal - Proposal with details
+ * @param {string} currentAddress
+ * @param {number} [now]
+ * @param {number} [leadMs]
+ * @returns {Array<{key: string, kind: string, proposal: number, remindAt: number, endsAt: number}>}
+ */
+export function getDaoProposalReminders(proposal, currentAddress, now = Date.now(), leadMs = DAO_REMINDER_LEAD_MS) {
+  const address = normalizeDaoAddress(currentAddress);
+  const number = normalizeDaoPositiveInteger(proposal?.number);
+  const timeline = getDaoProposalTimeline(proposal);
+  if (!address || !number || !timeline) return [];
+
+  const voterList = Array.isArray(proposal.voterList) ? proposal.voterList : [];
+  if (!voterList.some((voter) => normalizeDaoAddress(voter?.address) === address)) return [];
+
+  const reminders = [];
+  if (getEffectiveDaoState(proposal) === 'voting' && now <= timeline.votingEnd) {
+    reminders.push({
+      key: `${number}:voting`,
+      kind: 'voting',
+      proposal: number,
+      remindAt: Math.max(timeline.votingStart, timeline.votingEnd - leadMs),
+      endsAt: timeline.votingEnd,
+    });
+  }
+  const claimStatus = getDaoRewardClaimStatus(proposal, address, now);
+  if (claimStatus === 'Claimable' || claimStatus === 'Claim window not open') {
+    reminders.push({
+      key: `${number}:claim`,
+      kind: 'claim',
+      proposal: number,
+      remindAt: Math.max(timeline.claimStart, timeline.claimEnd - leadMs),
+      endsAt: timeline.claimEnd,
+    });
+  }
+  return reminders;
+}
+
 function normalizeDaoProposalMetadataEntry(entry) {
   if (!entry || typeof entry !== 'object') return null;
 
@@ -1,6 +1,6 @@
 // Database configuration
 const DB_NAME = 'liberdus';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 
 // Connection management configuration
 const CONNECTION_CONFIG = {
@@ -11,43 +11,76 @@ const CONNECTION_CONFIG = {
 };
 
 // Store names
+// Every store is keyed by the account key (`${username}_${netid}`) so one
+// account's state can be written or removed in a single transaction.
 const STORES = {
+    ACCOUNTS: 'accounts',
     CHATS: 'chats',
     CONTACTS: 'contacts',
-    WALLET: 'wallet'
+    WALLET: 'wallet',
+    SEARCH: 'search'
+};
+
+// Serialized (and optionally encrypted) section of an account's state
+const ACCOUNT_RECORD_SCHEMA = {
+    required: ['key', 'data'],
+    types: {
+        key: 'string',
+        data: 'string',
+        version: 'number',
+        lastUpdated: 'number'
+    }
 };
 
 // Data validation schemas
 const SCHEMAS = {
-    [STORES.CHATS]: {
-        required: ['chatId', 'chats', 'contacts'],
-        types: { 
-            chatId: 'string', 
-            chats: 'object',
-            contacts: 'object',
-            version: 'number',
-            lastUpdated: 'number'
+    [STORES.ACCOUNTS]: {
+        required: ACCOUNT_RECORD_SCHEMA.required,
+        types: {
+            ...ACCOUNT_RECORD_SCHEMA.types,
+            legacy: 'boolean'
+        }
+    },
+    [STORES.CHATS]: ACCOUNT_RECORD_SCHEMA,
+    [STORES.CONTACTS]: ACCOUNT_RECORD_SCHEMA,
+    [STORES.WALLET]: ACCOUNT_RECORD_SCHEMA,
+    [STORES.SEARCH]: ACCOUNT_RECORD_SCHEMA
+};
+
+// Schema migrations, applied in order from the version found on disk up to DB_VERSION.
+// Append a new entry and bump DB_VERSION to change the layout; never edit a shipped step.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            db.createObjectStore('chats', { keyPath: 'chatId' });
+            db.createObjectStore('contacts', { keyPath: 'address' });
+            db.createObjectStore('wallet', { keyPath: 'assetId' });
         }
     },
-    [STORES.CONTACTS]: {
-        required: ['address', 'contacts'],
-        types: { 
-            address: 'string', 
-            contacts: 'object',
-            version: 'number',
-            lastUpdated: 'number'
+    {
+        version: 2,
+        upgrade(db) {
+            // Version 1 stores were never written by the app; recreate them keyed by account key
+            for (const storeName of ['chats', 'contacts', 'wallet']) {
+                if (db.objectStoreNames.contains(storeName)) {
+                    db.deleteObjectStore(storeName);
+                }
+            }
+            db.createObjectStore(STORES.ACCOUNTS, { keyPath: 'key' });
+            db.createObjectStore(STORES.CHATS, { keyPath: 'key' });
+            db.createObjectStore(STORES.CONTACTS, { keyPath: 'key' });
+            db.createObjectStore(STORES.WALLET, { keyPath: 'key' });
         }
     },
-    [STORES.WALLET]: {
-        required: ['assetId', 'wallet'],
-        types: { 
-            assetId: 'string', 
-            wallet: 'object',
-            version: 'number',
-            lastUpdated: 'number'
+    {
+        version: 3,
+        upgrade(db) {
+            // Serialized message search index, one record per account
+            db.createObjectStore(STORES.SEARCH, { keyPath: 'key' });
         }
     }
-};
+];
 
 // Custom error classes
 class DBError extends Error {
@@ -159,6 +192,8 @@ async function initDB() {
 
             request.onsuccess = () => {
                 const db = request.result;
+                // Let a newer version in another tab upgrade the schema
+                db.onversionchange = () => db.close();
                 console.log('Database opened successfully');
                 resolve(db);
             };
@@ -167,15 +202,10 @@ async function initDB() {
                 const db = event.target.result;
 
                 try {
-                    // Create stores if they don't exist
-                    if (!db.objectStoreNames.contains(STORES.CHATS)) {
-                        db.createObjectStore(STORES.CHATS, { keyPath: 'chatId' });
-                    }
-                    if (!db.objectStoreNames.contains(STORES.CONTACTS)) {
-                        db.createObjectStore(STORES.CONTACTS, { keyPath: 'address' });
-                    }
-                    if (!db.objectStoreNames.contains(STORES.WALLET)) {
-                        db.createObjectStore(STORES.WALLET, { keyPath: 'assetId' });
+                    for (const migration of SCHEMA_MIGRATIONS) {
+                        if (migration.version > event.oldVersion && migration.version <= DB_VERSION) {
+                            migration.upgrade(db);
+                        }
                     }
                 } catch (error) {
                     logError(error, { event: 'onupgradeneeded' });
@@ -387,7 +417,7 @@ async function getData(storeName, key) {
     });
 }
 
-/* async function getAllData(storeName) {
+async function getAllData(storeName) {
     return retryOperation(async () => {
         try {
             return await withConnection(async (db) => {
@@ -427,7 +457,65 @@ async function getData(storeName, key) {
             throw error;
         }
     });
-} */
+}
+
+// Apply puts and deletes across several stores in one transaction.
+// Each operation is either { storeName, put: record } or { storeName, delete: key }.
+// Pass durability 'strict' to resolve only once the data has been flushed to disk.
+async function writeBatch(operations, durability = 'default') {
+    const storeNames = [...new Set(operations.map(op => op.storeName))];
+    if (storeNames.length === 0) return;
+
+    return retryOperation(async () => {
+        try {
+            for (const op of operations) {
+                if (op.put !== undefined) validateData(op.storeName, op.put);
+            }
+
+            return await withConnection(async (db) => {
+                return new Promise((resolve, reject) => {
+                    const transaction = db.transaction(storeNames, 'readwrite', { durability });
+
+                    transaction.oncomplete = () => {
+                        resolve();
+                    };
+
+                    transaction.onerror = () => {
+                        const error = new TransactionError(
+                            'Transaction failed',
+                            storeNames.join(','),
+                            'batch'
+                        );
+                        logError(error, { operations: operations.length });
+                        reject(error);
+                    };
+
+                    transaction.onabort = () => {
+                        const error = new TransactionError(
+                            'Transaction aborted',
+                            storeNames.join(','),
+                            'batch'
+                        );
+                        logError(error, { reason: transaction.error });
+                        reject(error);
+                    };
+
+                    for (const op of operations) {
+                        const store = transaction.objectStore(op.storeName);
+                        if (op.put !== undefined) {
+                            store.put(op.put);
+                        } else {
+                            store.delete(op.delete);
+                        }
+                    }
+                });
+            });
+        } catch (error) {
+            logError(error, { storeNames });
+            throw error;
+        }
+    });
+}
 
 /* // Connection monitoring
 function getConnectionStats() {
@@ -486,5 +574,7 @@ export {
     addVersionToData,
     saveData,
     getData,
+    getAllData,
+    writeBatch,
     closeAllConnections
 }; 
\ No newline at end of file
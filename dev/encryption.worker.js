@@ -1,9 +1,9 @@
-import { encryptChacha } from './crypto.js?';
+import { encryptAttachmentChunk, encryptChacha } from './crypto.js?';
 import { bin2base64, base642bin } from './lib.js?';
 
 
 self.onmessage = async (event) => {
-  const { action, fileBuffer, dhkey, blob, key } = event.data;
+  const { action, fileBuffer, dhkey, blob, key, id, chunk, index, final } = event.data;
 
   try {
     if (action === 'encryptBlob') {
@@ -21,6 +21,11 @@ self.onmessage = async (event) => {
       const encryptedBlob = new Blob([cipherBin], { type: 'application/octet-stream' });
       self.postMessage({ blob: encryptedBlob });
 
+    } else if (action === 'encryptChunk') {
+      // One chunk of a chunked attachment; raw bytes in and out, replies are matched by id
+      const sealed = encryptAttachmentChunk(key, new Uint8Array(chunk), index, final);
+      self.postMessage({ id, sealed }, [sealed.buffer]);
+
     } else {
       // Legacy file buffer encryption
       const bytes = new Uint8Array(fileBuffer);
@@ -38,6 +43,6 @@ self.onmessage = async (event) => {
     }
 
   } catch (error) {
-    self.postMessage({ error: `Encryption failed: ${error.message}` });
+    self.postMessage({ id, error: `Encryption failed: ${error.message}` });
   }
 };
\ No newline at end of file
@@ -13,9 +13,33 @@ const DEFAULT_WALLET_PROBE_BASE_URL = 'https://163.245.216.178';
 const EVM_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
 const EVM_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
 const ERC20_TRANSFER_SELECTOR = 'a9059cbb';
+const ERC20_BALANCE_OF_SELECTOR = '70a08231';
+const ERC20_SYMBOL_SELECTOR = '95d89b41';
+const ERC20_NAME_SELECTOR = '06fdde03';
+const ERC20_DECIMALS_SELECTOR = '313ce567';
+// keccak256('Transfer(address,address,uint256)')
+const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const MAX_CUSTOM_RPC_URLS = 5;
+const MAX_TOKEN_DECIMALS = 36;
+const PERSONAL_MESSAGE_PREFIX = '\x19Ethereum Signed Message:\n';
+const TYPED_DATA_DOMAIN_TYPE = 'EIP712Domain';
+const TYPED_DATA_DOMAIN_FIELDS = Object.freeze([
+  Object.freeze({ name: 'name', type: 'string' }),
+  Object.freeze({ name: 'version', type: 'string' }),
+  Object.freeze({ name: 'chainId', type: 'uint256' }),
+  Object.freeze({ name: 'verifyingContract', type: 'address' }),
+  Object.freeze({ name: 'salt', type: 'bytes32' }),
+]);
 const EVM_REQUEST_TIMEOUT_MS = 20_000;
 const EVM_RECEIPT_TIMEOUT_MS = 60_000;
 const EVM_RECEIPT_POLL_MS = 2_000;
+const EVM_PENDING_POLL_MS = 15_000;
+const MAX_TRACKED_EVM_TRANSACTIONS = 50;
+const EVM_HISTORY_LOOKBACK_BLOCKS = 50_000;
+const EVM_LOG_CHUNK_BLOCKS = 5_000;
+const EVM_LOG_MIN_CHUNK_BLOCKS = 500;
+const MAX_EVM_HISTORY_TRANSFERS = 200;
+const EVM_TRANSFER_GAS_LIMIT = 21_000n;
 const LIBERDUS_USERNAME_LOOKUP_DELAY_MS = 1_000;
 const LIBERDUS_USERNAME_LOOKUP_TIMEOUT_MS = 15_000;
 const DEFAULT_EVM_RPC_URLS = Object.freeze({
@@ -247,6 +271,171 @@ export async function signEvmTransaction(transaction, privateKeyValue) {
   throw new EvmTransferError('The selected network uses an unsupported fee mode', 'UNSUPPORTED_FEE_MODE');
 }
 
+function signatureToHex(signature) {
+  const r = signature.r.toString(16).padStart(64, '0');
+  const s = signature.s.toString(16).padStart(64, '0');
+  const v = (27 + signature.recovery).toString(16);
+  return `0x${r}${s}${v}`;
+}
+
+/**
+ * personal_sign: sign a message with the Ethereum signed message prefix.
+ * Hex input is signed as raw bytes, anything else as UTF-8 text.
+ * @param {string} message
+ * @param {string} privateKeyValue
+ * @returns {Promise<string>} 65 byte r||s||v signature as 0x hex
+ */
+export async function signEvmPersonalMessage(message, privateKeyValue) {
+  const privateKey = normalizePrivateKey(privateKeyValue);
+  const bytes = /^0x(?:[0-9a-fA-F]{2})*$/.test(message || '')
+    ? hexToBytes(message, 'message')
+    : utf82bin(String(message ?? ''));
+  const digest = keccak256(concatBytes(utf82bin(`${PERSONAL_MESSAGE_PREFIX}${bytes.length}`), bytes));
+  return signatureToHex(await signMessage(digest, hexToBytes(privateKey)));
+}
+
+function padTypedDataWord(bytes, { right = false } = {}) {
+  if (bytes.length > 32) {
+    throw new EvmTransferError('Typed data value does not fit in 32 bytes', 'INVALID_TYPED_DATA');
+  }
+  const word = new Uint8Array(32);
+  word.set(bytes, right ? 0 : 32 - bytes.length);
+  return word;
+}
+
+function typedDataBaseType(type) {
+  return String(type).replace(/(\[\d*\])+$/, '');
+}
+
+function collectTypedDataDependencies(types, type, found = new Set()) {
+  const baseType = typedDataBaseType(type);
+  if (found.has(baseType) || !types[baseType]) return found;
+  found.add(baseType);
+  for (const field of types[baseType]) {
+    collectTypedDataDependencies(types, field.type, found);
+  }
+  return found;
+}
+
+function encodeTypedDataType(types, primaryType) {
+  const [primary, ...dependencies] = collectTypedDataDependencies(types, primaryType);
+  return [primary, ...dependencies.sort()]
+    .map((name) => `${name}(${types[name].map((field) => `${field.type} ${field.name}`).join(',')})`)
+    .join('');
+}
+
+function encodeTypedDataValue(types, type, value) {
+  if (types[type]) {
+    return value === undefined || value === null
+      ? new Uint8Array(32)
+      : hashTypedDataStruct(types, type, value);
+  }
+  const array = /^(.*)\[(\d*)\]$/.exec(type);
+  if (array) {
+    if (!Array.isArray(value) || (array[2] && value.length !== Number(array[2]))) {
+      throw new EvmTransferError(`Typed data value for ${type} must be an array`, 'INVALID_TYPED_DATA');
+    }
+    return keccak256(concatBytes(...value.map((item) => encodeTypedDataValue(types, array[1], item))));
+  }
+  if (value === undefined || value === null) {
+    throw new EvmTransferError(`Typed data is missing a ${type} value`, 'INVALID_TYPED_DATA');
+  }
+  if (type === 'string') return keccak256(utf82bin(String(value)));
+  if (type === 'bytes') return keccak256(hexToBytes(value, 'typed data bytes'));
+  if (type === 'bool') {
+    return padTypedDataWord(bigIntToBytes(value === true || value === 'true' || value === 1 ? 1n : 0n));
+  }
+  if (type === 'address') {
+    return padTypedDataWord(hexToBytes(normalizeEvmAddress(value, 'typed data address')));
+  }
+  const integer = /^(u?)int(\d*)$/.exec(type);
+  if (integer) {
+    const bits = BigInt(integer[2] || 256);
+    let amount;
+    try {
+      amount = BigInt(value);
+    } catch (error) {
+      throw new EvmTransferError(`Typed data value for ${type} is not an integer`, 'INVALID_TYPED_DATA', { cause: error });
+    }
+    const unsigned = integer[1] === 'u';
+    const min = unsigned ? 0n : -(1n << (bits - 1n));
+    const max = unsigned ? (1n << bits) - 1n : (1n << (bits - 1n)) - 1n;
+    if (amount < min || amount > max) {
+      throw new EvmTransferError(`Typed data value is out of range for ${type}`, 'INVALID_TYPED_DATA');
+    }
+    return padTypedDataWord(bigIntToBytes(amount < 0n ? (1n << 256n) + amount : amount));
+  }
+  const fixedBytes = /^bytes(\d+)$/.exec(type);
+  if (fixedBytes) {
+    const bytes = hexToBytes(value, `typed data ${type}`);
+    if (bytes.length > Number(fixedBytes[1])) {
+      throw new EvmTransferError(`Typed data value is too long for ${type}`, 'INVALID_TYPED_DATA');
+    }
+    return padTypedDataWord(bytes, { right: true });
+  }
+  throw new EvmTransferError(`Unsupported typed data type ${type}`, 'INVALID_TYPED_DATA');
+}
+
+function hashTypedDataStruct(types, type, data) {
+  return keccak256(concatBytes(
+    keccak256(utf82bin(encodeTypedDataType(types, type))),
+    ...types[type].map((field) => encodeTypedDataValue(types, field.type, data?.[field.name])),
+  ));
+}
+
+/**
+ * Parse eth_signTypedData_v4 input into its parts
+ * @param {string|Object} typedData - JSON string or object
+ * @returns {{types: Object, primaryType: string, domain: Object, message: Object}}
+ */
+export function parseTypedData(typedData) {
+  let data = typedData;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      throw new EvmTransferError('Typed data is not valid JSON', 'INVALID_TYPED_DATA', { cause: error });
+    }
+  }
+  const { types, primaryType, domain = {}, message = {} } = data || {};
+  if (!types || typeof types !== 'object' || typeof primaryType !== 'string') {
+    throw new EvmTransferError('Typed data must include types and a primary type', 'INVALID_TYPED_DATA');
+  }
+  const domainTypes = Array.isArray(types[TYPED_DATA_DOMAIN_TYPE])
+    ? types[TYPED_DATA_DOMAIN_TYPE]
+    : TYPED_DATA_DOMAIN_FIELDS.filter((field) => domain[field.name] !== undefined);
+  const allTypes = { ...types, [TYPED_DATA_DOMAIN_TYPE]: domainTypes };
+  if (!Array.isArray(allTypes[primaryType])) {
+    throw new EvmTransferError(`Typed data does not define ${primaryType}`, 'INVALID_TYPED_DATA');
+  }
+  return { types: allTypes, primaryType, domain, message };
+}
+
+/**
+ * EIP-712 digest of eth_signTypedData_v4 input
+ * @param {string|Object} typedData
+ * @returns {Uint8Array}
+ */
+export function hashTypedData(typedData) {
+  const { types, primaryType, domain, message } = parseTypedData(typedData);
+  const parts = [Uint8Array.of(0x19, 0x01), hashTypedDataStruct(types, TYPED_DATA_DOMAIN_TYPE, domain)];
+  if (primaryType !== TYPED_DATA_DOMAIN_TYPE) {
+    parts.push(hashTypedDataStruct(types, primaryType, message));
+  }
+  return keccak256(concatBytes(...parts));
+}
+
+/**
+ * eth_signTypedData_v4
+ * @param {string|Object} typedData
+ * @param {string} privateKeyValue
+ * @returns {Promise<string>} 65 byte r||s||v signature as 0x hex
+ */
+export async function signEvmTypedData(typedData, privateKeyValue) {
+  const privateKey = normalizePrivateKey(privateKeyValue);
+  return signatureToHex(await signMessage(hashTypedData(typedData), hexToBytes(privateKey)));
+}
+
 const REQUIRED_NETWORKS = Object.freeze([
   Object.freeze({
     id: 'liberdus',
@@ -304,7 +493,7 @@ function decimalIsPositive(value) {
   }
 }
 
-function formatUnits(value, decimals = 18) {
+export function formatUnits(value, decimals = 18) {
   const amount = typeof value === 'bigint' ? value : BigInt(value || 0);
   const divisor = 10n ** BigInt(decimals);
   const whole = amount / divisor;
@@ -315,6 +504,28 @@ function formatUnits(value, decimals = 18) {
   return `${whole}${fraction ? `.${fraction}` : ''}`;
 }
 
+function decodeAbiUint(result, name) {
+  const bytes = hexToBytes(result, name);
+  if (bytes.length < 32) {
+    throw new EvmTransferError(`${name} is not a valid ABI value`, 'INVALID_RPC_RESPONSE');
+  }
+  return BigInt(bytesToHex(bytes.slice(0, 32)));
+}
+
+// ABI encoded string, or bytes32 for older tokens that return their symbol that way
+function decodeAbiText(result) {
+  const bytes = hexToBytes(result, 'token metadata');
+  if (bytes.length === 32) {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/\0+$/, '');
+  }
+  const offset = Number(decodeAbiUint(result, 'string offset'));
+  const length = Number(decodeAbiUint(bytesToHex(bytes.slice(offset, offset + 32)), 'string length'));
+  if (offset + 32 + length > bytes.length) {
+    throw new EvmTransferError('Token metadata is truncated', 'INVALID_RPC_RESPONSE');
+  }
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes.slice(offset + 32, offset + 32 + length));
+}
+
 function normalizeLiberdusAsset(asset) {
   const tokenAmount = formatUnits(asset?.balance ?? 0n, 18);
   const price = Number(asset?.price);
@@ -360,6 +571,7 @@ function normalizeEvmToken(token, network) {
     rawAmount: typeof token?.rawAmount === 'string' ? token.rawAmount : null,
     logoUrl: token?.logoUrl || (!contractAddress ? network.logoUrl : null),
     source: 'evm',
+    custom: token?.custom === true,
     walletAsset: null,
   });
 }
@@ -388,7 +600,108 @@ function makeNetwork(definition, tokens, connected) {
   });
 }
 
-function extraNetworkDefinitions(portfolio, tokens) {
+function customBalanceKey(chainId, contractAddress = null) {
+  return `${chainId}:${contractAddress ? contractAddress.toLowerCase() : 'native'}`;
+}
+
+function isLocalRpcUrl(url) {
+  return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+/**
+ * Validate a network the user wants to add
+ * @param {{name: string, chainId: string|number, rpcUrls: string|string[], nativeSymbol: string, explorerUrl?: string}} input
+ * @returns {{id: string, name: string, chainId: number, nativeSymbol: string, rpcUrls: string[], explorerUrl: string|null}}
+ */
+export function normalizeCustomNetwork(input) {
+  const name = String(input?.name || '').trim();
+  if (!name || name.length > 40) {
+    throw new EvmTransferError('Enter a network name of up to 40 characters', 'INVALID_NETWORK');
+  }
+  const chainId = Number(String(input?.chainId ?? '').trim());
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+    throw new EvmTransferError('Chain ID must be a positive whole number', 'INVALID_NETWORK');
+  }
+  const nativeSymbol = String(input?.nativeSymbol || '').trim().toUpperCase();
+  if (!/^[A-Z0-9.-]{1,11}$/.test(nativeSymbol)) {
+    throw new EvmTransferError('Enter the native currency symbol, e.g. ETH', 'INVALID_NETWORK');
+  }
+  const rawUrls = Array.isArray(input?.rpcUrls)
+    ? input.rpcUrls
+    : String(input?.rpcUrls || '').split(/[\s,]+/);
+  const rpcUrls = [...new Set(rawUrls.map((value) => String(value).trim()).filter(Boolean))];
+  if (rpcUrls.length === 0 || rpcUrls.length > MAX_CUSTOM_RPC_URLS) {
+    throw new EvmTransferError(`Enter between 1 and ${MAX_CUSTOM_RPC_URLS} RPC URLs`, 'INVALID_NETWORK');
+  }
+  for (const value of rpcUrls) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new EvmTransferError(`${value} is not a valid URL`, 'INVALID_NETWORK');
+    }
+    if ((url.protocol !== 'https:' && !isLocalRpcUrl(url)) || url.username || url.password) {
+      throw new EvmTransferError('RPC URLs must use https', 'INVALID_NETWORK');
+    }
+  }
+  let explorerUrl = null;
+  if (String(input?.explorerUrl || '').trim()) {
+    explorerUrl = normalizeExplorerBaseUrl(input.explorerUrl)?.toString() || null;
+    if (!explorerUrl) {
+      throw new EvmTransferError('The block explorer URL must use https', 'INVALID_NETWORK');
+    }
+  }
+  return { id: `custom-${chainId}`, name, chainId, nativeSymbol, rpcUrls, explorerUrl };
+}
+
+function customNetworkDefinition(network) {
+  return Object.freeze({
+    id: network.id,
+    name: network.name,
+    shortName: network.nativeSymbol,
+    chainId: network.chainId,
+    nativeSymbol: network.nativeSymbol,
+    explorerUrl: network.explorerUrl || null,
+    source: 'evm',
+    custom: true,
+    rpcUrls: Object.freeze([...network.rpcUrls]),
+  });
+}
+
+function customTokenEntry(token, definition, rawAmount) {
+  return {
+    networkId: definition.id,
+    chainId: definition.chainId,
+    contractAddress: token.contractAddress,
+    tokenType: 'erc20',
+    tokenName: token.tokenName,
+    tokenSymbol: token.tokenSymbol,
+    tokenDecimals: token.tokenDecimals,
+    tokenAmount: rawAmount === undefined ? '0' : formatUnits(BigInt(rawAmount), token.tokenDecimals),
+    rawAmount: rawAmount ?? null,
+    tokenPriceUsd: null,
+    tokenValueUsd: null,
+    custom: true,
+  };
+}
+
+function customNativeEntry(definition, rawAmount) {
+  return {
+    networkId: definition.id,
+    chainId: definition.chainId,
+    contractAddress: null,
+    tokenType: 'native',
+    tokenName: definition.nativeSymbol,
+    tokenSymbol: definition.nativeSymbol,
+    tokenDecimals: 18,
+    tokenAmount: rawAmount === undefined ? '0' : formatUnits(BigInt(rawAmount), 18),
+    rawAmount: rawAmount ?? null,
+    tokenPriceUsd: null,
+    tokenValueUsd: null,
+  };
+}
+
+function extraNetworkDefinitions(portfolio, tokens, customNetworks = []) {
   const chainsById = new Map(
     (portfolio?.chains || []).map((chain) => [chain.networkId, chain]),
   );
@@ -398,34 +711,55 @@ function extraNetworkDefinitions(portfolio, tokens) {
       .map((token) => token.networkId),
   );
 
-  return [...positiveNetworkIds]
+  const portfolioDefinitions = [...positiveNetworkIds]
     .filter((networkId) => networkId && !REQUIRED_NETWORK_IDS.has(networkId))
     .map((networkId) => {
       const chain = chainsById.get(networkId);
       const networkTokens = tokens.filter((token) => token.networkId === networkId);
       const nativeToken = networkTokens.find((token) => !token.contractAddress);
+      const chainId = chain?.chainId || networkTokens[0]?.chainId || null;
+      // RPC URLs the user added for the same chain are tried before the defaults
+      const customNetwork = customNetworks.find((network) => network.chainId === chainId);
       return Object.freeze({
         id: networkId,
         name: chain?.chain || networkTokens[0]?.chain || networkId,
         shortName: nativeToken?.tokenSymbol || networkId.toUpperCase(),
-        chainId: chain?.chainId || networkTokens[0]?.chainId || null,
+        chainId,
         nativeSymbol: nativeToken?.tokenSymbol || networkId.toUpperCase(),
         source: 'evm',
-        rpcUrls: DEFAULT_EVM_RPC_URLS[networkId] || Object.freeze([]),
-        explorerUrl: chain?.explorerUrl || null,
+        rpcUrls: Object.freeze([
+          ...(customNetwork?.rpcUrls || []),
+          ...(DEFAULT_EVM_RPC_URLS[networkId] || []),
+        ]),
+        explorerUrl: chain?.explorerUrl || customNetwork?.explorerUrl || null,
       });
-    })
-    .sort((left, right) => left.name.localeCompare(right.name));
+    });
+
+  const knownChainIds = new Set(
+    [...REQUIRED_NETWORKS, ...portfolioDefinitions].map((definition) => definition.chainId),
+  );
+  return [
+    ...portfolioDefinitions,
+    ...customNetworks
+      .filter((network) => !knownChainIds.has(network.chainId))
+      .map((network) => customNetworkDefinition(network)),
+  ].sort((left, right) => left.name.localeCompare(right.name));
 }
 
-function createWalletNetworkCatalog({ liberdusAsset = null, portfolio = null } = {}) {
+function createWalletNetworkCatalog({
+  liberdusAsset = null,
+  portfolio = null,
+  custom = null,
+  customBalances = new Map(),
+} = {}) {
   const portfolioTokens = Array.isArray(portfolio?.tokens) ? portfolio.tokens : [];
   const portfolioChainIds = new Set(
     (portfolio?.chains || []).map((chain) => chain.networkId),
   );
+  const customTokens = custom?.tokens || [];
   const definitions = [
     ...REQUIRED_NETWORKS,
-    ...extraNetworkDefinitions(portfolio, portfolioTokens),
+    ...extraNetworkDefinitions(portfolio, portfolioTokens, custom?.networks || []),
   ];
 
   return Object.freeze(definitions.map((definition) => {
@@ -439,10 +773,25 @@ function createWalletNetworkCatalog({ liberdusAsset = null, portfolio = null } =
       });
     }
 
-    const assets = portfolioTokens
-      .filter((token) => token.networkId === definition.id)
+    const networkTokens = portfolioTokens.filter((token) => token.networkId === definition.id);
+    const portfolioContracts = new Set(networkTokens
+      .map((token) => token.contractAddress?.toLowerCase())
+      .filter(Boolean));
+    // Imported tokens the probe service does not know, with balances read from the chain's RPC
+    const importedTokens = customTokens
+      .filter((token) => token.chainId === definition.chainId && !portfolioContracts.has(token.contractAddress))
+      .map((token) => customTokenEntry(
+        token,
+        definition,
+        customBalances.get(customBalanceKey(definition.chainId, token.contractAddress)),
+      ));
+    const nativeBalance = customBalances.get(customBalanceKey(definition.chainId));
+    const nativeTokens = definition.custom ? [customNativeEntry(definition, nativeBalance)] : [];
+    const assets = [...nativeTokens, ...networkTokens, ...importedTokens]
       .map((token) => normalizeEvmToken(token, definition));
-    return makeNetwork(definition, assets, portfolioChainIds.has(definition.id));
+    const connected = portfolioChainIds.has(definition.id)
+      || (definition.custom === true && nativeBalance !== undefined);
+    return makeNetwork(definition, assets, connected);
   }));
 }
 
@@ -511,6 +860,16 @@ function buildEvmTokenExplorerUrl(walletNetwork, contractAddress) {
   }
 }
 
+/**
+ * Explorer page of a transaction, or null if the network has no explorer
+ * @returns {string|null}
+ */
+export function buildEvmTransactionUrl(walletNetwork, transactionHash) {
+  const explorerBaseUrl = normalizeExplorerBaseUrl(walletNetwork?.explorerUrl);
+  if (!explorerBaseUrl || !EVM_HASH_PATTERN.test(transactionHash || '')) return null;
+  return new URL(`tx/${transactionHash.toLowerCase()}`, explorerBaseUrl).toString();
+}
+
 export function buildEvmAssetHistoryUrl(walletNetwork, asset, walletAddress) {
   const address = walletProbeAddress(walletAddress);
   let url;
@@ -569,6 +928,28 @@ export class LiberdusEvmRecipientResolver {
     this.associations.clear();
   }
 
+  /**
+   * Liberdus account that uses the same key as an EVM address
+   * @param {string} evmAddress
+   * @returns {string} 64 hex characters, without 0x
+   */
+  getLiberdusAddress(evmAddress) {
+    return `${stripHexPrefix(walletProbeAddress(evmAddress))}${'0'.repeat(24)}`;
+  }
+
+  /**
+   * Username an EVM address was resolved from in this session, if any
+   * @param {string} evmAddress
+   * @returns {string|null}
+   */
+  findUsername(evmAddress) {
+    const address = String(evmAddress || '').toLowerCase();
+    for (const association of this.associations.values()) {
+      if (association.address === address) return association.username;
+    }
+    return null;
+  }
+
   normalizeRecipientInput(value) {
     const input = String(value || '').trim();
     if (EVM_ADDRESS_PATTERN.test(input)) {
@@ -668,6 +1049,8 @@ class WalletDiscoveryService {
   constructor({
     getAccount = () => null,
     getLiberdusAsset = () => null,
+    getCustomAssets = () => null,
+    readBalance = async () => { throw new Error('No RPC reader configured'); },
     cacheTtlMs = 5000,
     requestTimeoutMs = 15000,
   } = {}) {
@@ -676,6 +1059,8 @@ class WalletDiscoveryService {
     }
     this.getAccount = getAccount;
     this.getLiberdusAsset = getLiberdusAsset;
+    this.getCustomAssets = getCustomAssets;
+    this.readBalance = readBalance;
     this.cacheTtlMs = cacheTtlMs;
     this.requestTimeoutMs = requestTimeoutMs;
     this.requestController = null;
@@ -685,6 +1070,7 @@ class WalletDiscoveryService {
   reset() {
     this.requestController?.abort();
     this.portfolio = null;
+    this.customBalances = new Map();
     this.catalog = createWalletNetworkCatalog();
     this.status = 'idle';
     this.updatedAt = 0;
@@ -697,6 +1083,8 @@ class WalletDiscoveryService {
     this.catalog = createWalletNetworkCatalog({
       liberdusAsset: this.getLiberdusAsset(),
       portfolio: this.portfolio,
+      custom: this.getCustomAssets(),
+      customBalances: this.customBalances,
     });
     return this.catalog;
   }
@@ -757,6 +1145,7 @@ class WalletDiscoveryService {
     if (this.address === address) return;
     this.requestController?.abort();
     this.portfolio = null;
+    this.customBalances = new Map();
     this.catalog = createWalletNetworkCatalog();
     this.status = 'idle';
     this.updatedAt = 0;
@@ -785,7 +1174,8 @@ class WalletDiscoveryService {
     this.status = 'loading';
     const controller = new AbortController();
     this.requestController = controller;
-    const request = this.fetchPortfolio(address, controller);
+    const request = this.fetchPortfolio(address, controller)
+      .then(() => this.fetchCustomBalances(address));
     this.pendingRequest = request;
 
     try {
@@ -838,6 +1228,44 @@ class WalletDiscoveryService {
     }
   }
 
+  /**
+   * Read balances the probe service does not report straight from each chain's RPC: the native balance on
+   * user-added networks and imported tokens the portfolio does not include
+   */
+  async fetchCustomBalances(address) {
+    const custom = this.getCustomAssets();
+    const portfolioTokens = this.portfolio?.tokens || [];
+    const reads = [];
+    for (const walletNetwork of getEvmWalletNetworks(this.rebuildCatalog())) {
+      if (walletNetwork.custom) reads.push({ walletNetwork, contractAddress: null });
+      const portfolioContracts = new Set(portfolioTokens
+        .filter((token) => token.networkId === walletNetwork.id)
+        .map((token) => token.contractAddress?.toLowerCase())
+        .filter(Boolean));
+      for (const token of custom?.tokens || []) {
+        if (token.chainId === walletNetwork.chainId && !portfolioContracts.has(token.contractAddress)) {
+          reads.push({ walletNetwork, contractAddress: token.contractAddress });
+        }
+      }
+    }
+
+    const balances = new Map();
+    await Promise.all(reads.map(async ({ walletNetwork, contractAddress }) => {
+      try {
+        balances.set(
+          customBalanceKey(walletNetwork.chainId, contractAddress),
+          await this.readBalance(walletNetwork, address, contractAddress),
+        );
+      } catch (error) {
+        console.warn(`Balance read failed on ${walletNetwork.name}:`, error);
+      }
+    }));
+    if (this.address === address) {
+      this.customBalances = balances;
+    }
+    return this.rebuildCatalog();
+  }
+
   populateNetworkSelect(select, { includeAll = false, selectedId = null, evmOnly = false } = {}) {
     if (!select) return;
 
@@ -898,6 +1326,99 @@ class WalletDiscoveryService {
   }
 }
 
+// Nodes only accept a replacement at the same nonce if it raises the fees by at least 10%
+function bumpReplacementFee(value) {
+  return (value * 9n + 7n) / 8n;
+}
+
+function maxBigInt(...values) {
+  return values.reduce((largest, value) => (value > largest ? value : largest));
+}
+
+/**
+ * EVM transactions this account submitted, one record per network and nonce. Each record keeps every
+ * transaction signed for its nonce (the original, speed-ups and cancellations) until one of them is mined.
+ */
+class EvmTransactionTracker {
+  constructor({ load, save }) {
+    this.load = load;
+    this.save = save;
+  }
+
+  getRecords() {
+    const records = this.load();
+    return Array.isArray(records) ? records : [];
+  }
+
+  /**
+   * @param {string} from - 0x address
+   * @returns {Object[]} Newest first
+   */
+  list(from) {
+    return this.getRecords()
+      .filter((record) => record.from === from)
+      .sort((left, right) => right.submittedAt - left.submittedAt);
+  }
+
+  get(id) {
+    return this.getRecords().find((record) => record.id === id) || null;
+  }
+
+  /**
+   * Start tracking a submitted transaction
+   * @param {{network: Object, transaction: Object, transactionHash: string, summary: Object}} params
+   * @returns {Object} The record
+   */
+  track({ network, transaction, transactionHash, summary }) {
+    const nonce = Number(parseHexQuantity(transaction.nonce, 'nonce'));
+    const submittedAt = Date.now();
+    const record = {
+      id: `${network.chainId}:${transaction.from}:${nonce}`,
+      networkId: network.id,
+      chainId: network.chainId,
+      from: transaction.from,
+      nonce,
+      recipientLabel: summary.recipientLabel || transaction.to,
+      amount: summary.amount,
+      tokenSymbol: summary.tokenSymbol,
+      contractAddress: summary.contractAddress || null,
+      status: 'pending',
+      minedHash: null,
+      submittedAt,
+      attempts: [{ kind: 'original', transactionHash, submittedAt, transaction: { ...transaction } }],
+    };
+    const others = this.getRecords().filter((entry) => entry.id !== record.id);
+    // Settled records beyond the limit are dropped, oldest first; pending ones are always kept
+    const settled = others
+      .filter((entry) => entry.status !== 'pending')
+      .sort((left, right) => right.submittedAt - left.submittedAt)
+      .slice(0, MAX_TRACKED_EVM_TRANSACTIONS - 1);
+    this.save([record, ...others.filter((entry) => entry.status === 'pending'), ...settled]);
+    return record;
+  }
+
+  update(id, changes) {
+    let updated = null;
+    this.save(this.getRecords().map((record) => {
+      if (record.id !== id) return record;
+      updated = { ...record, ...changes };
+      return updated;
+    }));
+    return updated;
+  }
+
+  addAttempt(id, kind, transactionHash, transaction) {
+    const record = this.get(id);
+    if (!record) return null;
+    return this.update(id, {
+      attempts: [
+        ...record.attempts,
+        { kind, transactionHash, submittedAt: Date.now(), transaction: { ...transaction } },
+      ],
+    });
+  }
+}
+
 export class EvmTransactionService {
   constructor({
     getAccount,
@@ -905,9 +1426,11 @@ export class EvmTransactionService {
     showToast,
     confirmTransfer,
     getManagedRpcUrl = () => null,
+    tracker = null,
     fetchFn = (...args) => fetch(...args),
   }) {
     this.getAccount = getAccount;
+    this.tracker = tracker;
     this.refreshAssets = refreshAssets;
     this.showToast = showToast;
     this.confirmTransfer = confirmTransfer;
@@ -926,18 +1449,7 @@ export class EvmTransactionService {
         throw new EvmTransferError('Select an available EVM asset', 'INVALID_ASSET');
       }
       this.getRpcUrls(network);
-      const account = this.getAccount();
-      const privateKey = normalizePrivateKey(account?.keys?.secret);
-      const from = normalizeEvmAddress(
-        walletProbeAddress(account?.keys?.address),
-        'active account address',
-      );
-      if (deriveAddress(privateKey) !== from) {
-        throw new EvmTransferError(
-          'The active account key does not match its EVM address',
-          'ACCOUNT_KEY_MISMATCH',
-        );
-      }
+      const { account, privateKey, from } = this.getSigner();
       const normalizedRecipient = normalizeEvmAddress(recipient, 'recipient');
       const amountRaw = parseEvmTokenAmount(amount, asset.tokenDecimals);
       const availableRaw = typeof asset.rawAmount === 'string'
@@ -965,6 +1477,22 @@ export class EvmTransactionService {
     }
   }
 
+  getSigner() {
+    const account = this.getAccount();
+    const privateKey = normalizePrivateKey(account?.keys?.secret);
+    const from = normalizeEvmAddress(
+      walletProbeAddress(account?.keys?.address),
+      'active account address',
+    );
+    if (deriveAddress(privateKey) !== from) {
+      throw new EvmTransferError(
+        'The active account key does not match its EVM address',
+        'ACCOUNT_KEY_MISMATCH',
+      );
+    }
+    return { account, privateKey, from };
+  }
+
   getRpcUrls(network) {
     const runtimeUrls = globalThis.window?.LIBERDUS_EVM_RPC_URLS?.[network.id];
     const managedRpcUrl = this.getManagedRpcUrl(network);
@@ -1089,51 +1617,196 @@ export class EvmTransactionService {
       nativeBalance: toHexQuantity(parseHexQuantity(nativeBalanceValue, 'native balance')),
       gasLimit: toHexQuantity(gasLimit),
     };
-    if (typeof latestBlock?.baseFeePerGas === 'string') {
+    await this.applyFees(network, prepared, latestBlock);
+    const maximumFee = this.checkNativeBalance(
+      network,
+      prepared,
+      isToken ? 'network fees' : 'the transfer and network fees',
+    );
+
+    return {
+      network,
+      asset,
+      validation,
+      maximumFee,
+      displayAmount: String(amount),
+      transaction: prepared,
+    };
+  }
+
+  /**
+   * Fill in the fee fields of a prepared transaction. EIP-1559 is used when the latest block has a base fee;
+   * fees a dApp asked for are kept if they fit the chain's fee mode.
+   */
+  async applyFees(network, prepared, latestBlock, requested = {}) {
+    if (typeof latestBlock?.baseFeePerGas === 'string' && !requested.gasPrice) {
       const baseFee = parseHexQuantity(latestBlock.baseFeePerGas, 'base fee');
       let priorityFee = 1_500_000_000n;
-      try {
-        priorityFee = parseHexQuantity(
-          await this.request(network, 'eth_maxPriorityFeePerGas'),
-          'priority fee',
-        );
-      } catch {
-        // A conservative priority fee fallback supports RPCs without this optional method.
+      if (requested.maxPriorityFeePerGas) {
+        priorityFee = parseHexQuantity(requested.maxPriorityFeePerGas, 'maxPriorityFeePerGas');
+      } else {
+        try {
+          priorityFee = parseHexQuantity(
+            await this.request(network, 'eth_maxPriorityFeePerGas'),
+            'priority fee',
+          );
+        } catch {
+          // A conservative priority fee fallback supports RPCs without this optional method.
+        }
       }
       prepared.feeMode = 'eip1559';
       prepared.maxPriorityFeePerGas = toHexQuantity(priorityFee);
-      prepared.maxFeePerGas = toHexQuantity((baseFee * 2n) + priorityFee);
+      prepared.maxFeePerGas = requested.maxFeePerGas
+        ? toHexQuantity(parseHexQuantity(requested.maxFeePerGas, 'maxFeePerGas'))
+        : toHexQuantity((baseFee * 2n) + priorityFee);
     } else {
       prepared.feeMode = 'legacy';
       prepared.gasPrice = toHexQuantity(parseHexQuantity(
-        await this.request(network, 'eth_gasPrice'),
+        requested.gasPrice || await this.request(network, 'eth_gasPrice'),
         'gas price',
       ));
     }
+  }
 
+  /**
+   * @returns {bigint} Maximum network fee of the prepared transaction
+   */
+  checkNativeBalance(network, prepared, requirement) {
     const preparedGasLimit = parseHexQuantity(prepared.gasLimit, 'gasLimit');
     const feePerGas = prepared.feeMode === 'eip1559'
       ? parseHexQuantity(prepared.maxFeePerGas, 'maxFeePerGas')
       : parseHexQuantity(prepared.gasPrice, 'gasPrice');
     const maximumFee = preparedGasLimit * feePerGas;
     const nativeBalance = parseHexQuantity(prepared.nativeBalance, 'nativeBalance');
-    const requiredNative = maximumFee + value;
-    if (nativeBalance < requiredNative) {
-      const requirement = isToken ? 'network fees' : 'the transfer and network fees';
+    const value = parseHexQuantity(prepared.value, 'value');
+    if (nativeBalance < maximumFee + value) {
       throw new EvmTransferError(
         `Insufficient ${network.nativeSymbol} for ${requirement}`,
         'INSUFFICIENT_GAS',
       );
     }
+    return maximumFee;
+  }
+
+  /**
+   * Prepare an eth_sendTransaction request from a dApp. Nonce, gas and fees are filled in from the RPC
+   * unless the dApp supplied them.
+   * @param {Object} network
+   * @param {{from?: string, to: string, value?: string, data?: string, input?: string, gas?: string}} request
+   */
+  async prepareRequest(network, request) {
+    const signer = this.getSigner();
+    if (request?.from && normalizeEvmAddress(request.from, 'from') !== signer.from) {
+      throw new EvmTransferError('The transaction is not from the connected account', 'INVALID_SENDER');
+    }
+    if (!request?.to) {
+      throw new EvmTransferError('Contract deployment is not supported', 'UNSUPPORTED_TRANSACTION');
+    }
+    const transactionRequest = {
+      from: signer.from,
+      to: normalizeEvmAddress(request.to, 'transaction recipient'),
+      value: toHexQuantity(request.value ? parseHexQuantity(request.value, 'value') : 0n),
+      data: bytesToHex(hexToBytes(request.data || request.input || '0x', 'transaction data')),
+    };
+    const [nonceValue, nativeBalanceValue, gasEstimateValue, latestBlock] = await Promise.all([
+      this.request(network, 'eth_getTransactionCount', [signer.from, 'pending']),
+      this.request(network, 'eth_getBalance', [signer.from, 'pending']),
+      request.gas || request.gasLimit || this.request(network, 'eth_estimateGas', [transactionRequest]),
+      this.request(network, 'eth_getBlockByNumber', ['latest', false]),
+    ]);
+    const gasEstimate = parseHexQuantity(gasEstimateValue, 'gas estimate');
+    const prepared = {
+      networkId: network.id,
+      chainId: network.chainId,
+      ...transactionRequest,
+      nonce: toHexQuantity(parseHexQuantity(nonceValue, 'nonce')),
+      nativeBalance: toHexQuantity(parseHexQuantity(nativeBalanceValue, 'native balance')),
+      gasLimit: toHexQuantity(request.gas || request.gasLimit
+        ? gasEstimate
+        : gasEstimate + ((gasEstimate * 20n + 99n) / 100n)),
+    };
+    await this.applyFees(network, prepared, latestBlock, request);
+    const maximumFee = this.checkNativeBalance(network, prepared, 'this transaction and network fees');
+    return { network, validation: signer, maximumFee, transaction: prepared };
+  }
+
+  /**
+   * @returns {Promise<string>} Raw balance as a decimal string
+   */
+  async readBalance(network, address, contractAddress = null) {
+    const owner = normalizeEvmAddress(walletProbeAddress(address), 'wallet address');
+    if (!contractAddress) {
+      return parseHexQuantity(
+        await this.request(network, 'eth_getBalance', [owner, 'latest']),
+        'balance',
+      ).toString();
+    }
+    const result = await this.request(network, 'eth_call', [{
+      to: normalizeEvmAddress(contractAddress, 'token contract'),
+      data: `0x${ERC20_BALANCE_OF_SELECTOR}${stripHexPrefix(owner).padStart(64, '0')}`,
+    }, 'latest']);
+    return decodeAbiUint(result, 'token balance').toString();
+  }
+
+  /**
+   * Read and check the symbol, name and decimals of an ERC-20 contract
+   * @returns {Promise<{contractAddress: string, tokenSymbol: string, tokenName: string, tokenDecimals: number}>}
+   */
+  async readTokenMetadata(network, contractAddress) {
+    const to = normalizeEvmAddress(contractAddress, 'token contract');
+    const code = await this.request(network, 'eth_getCode', [to, 'latest']);
+    if (!stripHexPrefix(code)) {
+      throw new EvmTransferError(`No contract found at this address on ${network.name}`, 'TOKEN_NOT_FOUND');
+    }
+    const call = (selector) => this.request(network, 'eth_call', [{ to, data: `0x${selector}` }, 'latest']);
+    let tokenSymbol;
+    let tokenDecimals;
+    try {
+      const [symbolResult, decimalsResult] = await Promise.all([
+        call(ERC20_SYMBOL_SELECTOR),
+        call(ERC20_DECIMALS_SELECTOR),
+      ]);
+      tokenSymbol = decodeAbiText(symbolResult);
+      tokenDecimals = Number(decodeAbiUint(decimalsResult, 'decimals'));
+    } catch (error) {
+      throw new EvmTransferError(
+        'This contract does not look like an ERC-20 token',
+        'INVALID_TOKEN',
+        { cause: error },
+      );
+    }
+    if (!/^[\p{L}\p{N}$._+-]{1,16}$/u.test(tokenSymbol)) {
+      throw new EvmTransferError('The token reports an invalid symbol', 'INVALID_TOKEN');
+    }
+    if (!Number.isInteger(tokenDecimals) || tokenDecimals > MAX_TOKEN_DECIMALS) {
+      throw new EvmTransferError('The token reports invalid decimals', 'INVALID_TOKEN');
+    }
+    let tokenName = tokenSymbol;
+    try {
+      // name() is optional in ERC-20
+      const name = decodeAbiText(await call(ERC20_NAME_SELECTOR)).trim();
+      if (name && name.length <= 64 && !/\p{Cc}/u.test(name)) tokenName = name;
+    } catch {
+      // Fall back to the symbol
+    }
+    return { contractAddress: to, tokenSymbol, tokenName, tokenDecimals };
+  }
 
-    return {
+  /**
+   * Sign a prepared transaction and submit it
+   * @returns {Promise<string>} Transaction hash
+   */
+  async broadcast(network, transaction, privateKey) {
+    const rawTransaction = await signEvmTransaction(transaction, privateKey);
+    const broadcast = await this.request(
       network,
-      asset,
-      validation,
-      maximumFee,
-      displayAmount: String(amount),
-      transaction: prepared,
-    };
+      'eth_sendRawTransaction',
+      [rawTransaction],
+    );
+    if (!EVM_HASH_PATTERN.test(broadcast || '')) {
+      throw new EvmTransferError('RPC returned an invalid transaction hash', 'INVALID_TX_HASH');
+    }
+    return broadcast.toLowerCase();
   }
 
   confirmationText(prepared, amount, recipientLabel = null) {
@@ -1170,28 +1843,40 @@ export class EvmTransactionService {
       prepared,
     );
     if (!confirmed) return { status: 'cancelled', transactionHash: null };
-
-    const rawTransaction = await signEvmTransaction(
+    return this.submit(prepared, amount);
+  }
+
+  /**
+   * Broadcast a prepared transfer and wait for its receipt
+   * @param {Object} prepared - from prepare, with recipientLabel set
+   * @param {string} amount - display amount
+   * @param {{quiet?: boolean}} [options] - quiet skips the toasts and the balance refresh, for batches that
+   *   report progress themselves and refresh once at the end
+   */
+  async submit(prepared, amount, { quiet = false } = {}) {
+    const { network, asset } = prepared;
+    const transactionHash = await this.broadcast(
+      network,
       prepared.transaction,
       prepared.validation.privateKey,
     );
-    const broadcast = await this.request(
-      network,
-      'eth_sendRawTransaction',
-      [rawTransaction],
-    );
-    if (!EVM_HASH_PATTERN.test(broadcast || '')) {
-      throw new EvmTransferError('RPC returned an invalid transaction hash', 'INVALID_TX_HASH');
-    }
-
-    const transactionHash = broadcast.toLowerCase();
-    this.showToast(`EVM transaction submitted: ${transactionHash}`, 5000, 'info');
+    const record = this.track(network, prepared.transaction, transactionHash, {
+      recipientLabel: prepared.recipientLabel,
+      amount: String(amount),
+      tokenSymbol: asset.tokenSymbol,
+      contractAddress: asset.contractAddress,
+    });
+    if (!quiet) this.showToast(`EVM transaction submitted: ${transactionHash}`, 5000, 'info');
     const receipt = await this.waitForReceipt(network, transactionHash);
     if (!receipt) {
-      this.showToast('Transaction is pending. Balances will update after confirmation.', 5000, 'info');
+      if (!quiet) this.showToast('Transaction is pending. Balances will update after confirmation.', 5000, 'info');
       return { status: 'pending', transactionHash, receipt: null };
     }
-    if (parseHexQuantity(receipt.status, 'receipt status') !== 1n) {
+    const succeeded = parseHexQuantity(receipt.status, 'receipt status') === 1n;
+    if (record) {
+      this.tracker.update(record.id, { status: succeeded ? 'confirmed' : 'failed', minedHash: transactionHash });
+    }
+    if (!succeeded) {
       throw new EvmTransferError(
         'The EVM transaction reverted',
         'TRANSACTION_REVERTED',
@@ -1199,10 +1884,330 @@ export class EvmTransactionService {
       );
     }
 
+    if (quiet) return { status: 'confirmed', transactionHash, receipt };
     await this.refreshAssets({ force: true });
     this.showToast(`Transaction confirmed: ${transactionHash}`, 5000, 'success');
     return { status: 'confirmed', transactionHash, receipt };
   }
+
+  /**
+   * Record a submitted transaction so it can be sped up or cancelled while it is pending
+   * @param {{recipientLabel?: string, amount: string, tokenSymbol: string, contractAddress?: string}} summary
+   *   What the history shows
+   */
+  track(network, transaction, transactionHash, summary) {
+    return this.tracker?.track({ network, transaction, transactionHash, summary }) || null;
+  }
+
+  /**
+   * Find out which transaction signed for a tracked nonce was mined, if any
+   * @returns {Promise<Object>} The record, updated if it settled
+   */
+  async checkTracked(network, record) {
+    if (record.status !== 'pending') return record;
+    // Newest first: a replacement is the likeliest to be mined
+    for (const attempt of [...record.attempts].reverse()) {
+      const receipt = await this.request(network, 'eth_getTransactionReceipt', [attempt.transactionHash]);
+      if (!receipt) continue;
+      const succeeded = parseHexQuantity(receipt.status, 'receipt status') === 1n;
+      let status = 'failed';
+      if (succeeded) status = attempt.kind === 'cancel' ? 'cancelled' : 'confirmed';
+      return this.tracker.update(record.id, { status, minedHash: attempt.transactionHash });
+    }
+    const minedNonce = parseHexQuantity(
+      await this.request(network, 'eth_getTransactionCount', [record.from, 'latest']),
+      'nonce',
+    );
+    if (minedNonce > BigInt(record.nonce)) {
+      // The nonce was used by a transaction signed elsewhere, e.g. another wallet holding the same key
+      return this.tracker.update(record.id, { status: 'dropped' });
+    }
+    return record;
+  }
+
+  /**
+   * Sign and submit a replacement for a pending transaction at the same nonce with higher fees.
+   * A speed-up resends the latest transaction; a cancel sends nothing to the account itself.
+   * @param {Object} network
+   * @param {Object} record - Tracked transaction
+   * @param {'speedup'|'cancel'} kind
+   * @returns {Promise<{status: string, transactionHash: string|null}>}
+   */
+  async replace(network, record, kind) {
+    const signer = this.getSigner();
+    if (signer.from !== record.from) {
+      throw new EvmTransferError('This transaction was sent from another account', 'INVALID_SENDER');
+    }
+    const current = await this.checkTracked(network, record);
+    if (current.status !== 'pending') {
+      throw new EvmTransferError('This transaction is no longer pending', 'TRANSACTION_SETTLED');
+    }
+
+    const previous = current.attempts.at(-1).transaction;
+    const replacement = {
+      networkId: network.id,
+      chainId: network.chainId,
+      from: signer.from,
+      ...(kind === 'cancel'
+        ? { to: signer.from, value: '0x0', data: '0x', gasLimit: toHexQuantity(EVM_TRANSFER_GAS_LIMIT) }
+        : { to: previous.to, value: previous.value, data: previous.data, gasLimit: previous.gasLimit }),
+      nonce: toHexQuantity(BigInt(current.nonce)),
+    };
+    const [nativeBalanceValue, latestBlock] = await Promise.all([
+      this.request(network, 'eth_getBalance', [signer.from, 'latest']),
+      this.request(network, 'eth_getBlockByNumber', ['latest', false]),
+    ]);
+    replacement.nativeBalance = toHexQuantity(parseHexQuantity(nativeBalanceValue, 'native balance'));
+
+    // Pay whichever is higher: the bumped previous fees or what the network asks for now
+    const market = {};
+    await this.applyFees(network, market, latestBlock);
+    const marketFee = (field) => (market[field] ? parseHexQuantity(market[field], field) : 0n);
+    if (previous.feeMode === 'eip1559') {
+      const priorityFee = maxBigInt(
+        bumpReplacementFee(parseHexQuantity(previous.maxPriorityFeePerGas, 'maxPriorityFeePerGas')),
+        marketFee('maxPriorityFeePerGas'),
+      );
+      replacement.feeMode = 'eip1559';
+      replacement.maxPriorityFeePerGas = toHexQuantity(priorityFee);
+      replacement.maxFeePerGas = toHexQuantity(maxBigInt(
+        bumpReplacementFee(parseHexQuantity(previous.maxFeePerGas, 'maxFeePerGas')),
+        marketFee('maxFeePerGas'),
+        priorityFee,
+      ));
+    } else {
+      replacement.feeMode = 'legacy';
+      replacement.gasPrice = toHexQuantity(maxBigInt(
+        bumpReplacementFee(parseHexQuantity(previous.gasPrice, 'gasPrice')),
+        marketFee('gasPrice'),
+      ));
+    }
+    const maximumFee = this.checkNativeBalance(
+      network,
+      replacement,
+      kind === 'cancel' ? 'the cancellation fee' : 'the transfer and higher network fees',
+    );
+
+    const isCancel = kind === 'cancel';
+    const amount = isCancel ? '0' : current.amount;
+    const tokenSymbol = isCancel ? network.nativeSymbol : current.tokenSymbol;
+    const recipientLabel = isCancel ? 'Your own address (cancels the transfer)' : current.recipientLabel;
+    const confirmed = await this.confirmTransfer(
+      [
+        isCancel
+          ? `Cancel sending ${current.amount} ${current.tokenSymbol}?`
+          : `Speed up sending ${amount} ${tokenSymbol}?`,
+        `Network: ${network.name}`,
+        `Maximum network fee: ${formatUnits(maximumFee, 18)} ${network.nativeSymbol}`,
+        '',
+        'The replacement will be signed locally with this account.',
+      ].join('\n'),
+      {
+        network,
+        asset: { tokenSymbol, tokenName: tokenSymbol, tokenPriceUsd: null },
+        validation: { recipient: replacement.to },
+        maximumFee,
+        displayAmount: amount,
+        recipientLabel,
+        transaction: replacement,
+      },
+    );
+    if (!confirmed) return { status: 'cancelled', transactionHash: null };
+
+    const transactionHash = await this.broadcast(network, replacement, signer.privateKey);
+    this.tracker.addAttempt(current.id, kind, transactionHash, replacement);
+    return { status: 'pending', transactionHash };
+  }
+}
+
+function topicToAddress(topic) {
+  return `0x${stripHexPrefix(topic).slice(-40).toLowerCase()}`;
+}
+
+function addressToTopic(address) {
+  return `0x${stripHexPrefix(address).padStart(64, '0')}`;
+}
+
+/**
+ * In-app transfer history for EVM networks, read from the chain's RPC.
+ * ERC-20 transfers come from Transfer logs of the tokens in the wallet, scanned in block chunks. The last block
+ * scanned for each token and the transfers found are cached per network and address, so each refresh only reads
+ * the blocks added since, and a token imported later is scanned back over the same lookback window. RPCs cannot list incoming native transfers without reading every block, so native
+ * transfers are the ones this client sent (see EvmTransactionTracker).
+ */
+class EvmHistoryService {
+  constructor({ request, tracker, load, save }) {
+    this.request = request;
+    this.tracker = tracker;
+    this.load = load;
+    this.save = save;
+    this.pending = new Map();
+  }
+
+  reset() {
+    this.pending.clear();
+  }
+
+  cacheKey(walletNetwork, address) {
+    return `${walletNetwork.chainId}:${address}`;
+  }
+
+  getCache(walletNetwork, address) {
+    const cache = this.load()?.[this.cacheKey(walletNetwork, address)];
+    return cache && Array.isArray(cache.transfers) && cache.scanned && typeof cache.scanned === 'object'
+      ? cache
+      : { scanned: {}, transfers: [] };
+  }
+
+  saveCache(walletNetwork, address, cache) {
+    this.save({ ...(this.load() || {}), [this.cacheKey(walletNetwork, address)]: cache });
+  }
+
+  /**
+   * Read the transfers in blocks not scanned yet. Concurrent calls for the same network share one scan.
+   */
+  refresh(walletNetwork, address) {
+    const key = this.cacheKey(walletNetwork, address);
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.scan(walletNetwork, address).finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  async scan(walletNetwork, address) {
+    const tokens = new Map(walletNetwork.assets
+      .filter((asset) => asset.contractAddress)
+      .map((asset) => [asset.contractAddress.toLowerCase(), asset]));
+    const latest = Number(parseHexQuantity(
+      await this.request(walletNetwork, 'eth_blockNumber'),
+      'block number',
+    ));
+    const cache = this.getCache(walletNetwork, address);
+    const lookbackStart = Math.max(0, latest - EVM_HISTORY_LOOKBACK_BLOCKS + 1);
+    // Last block scanned per token contract; tokens not scanned yet start at the lookback window
+    const scanned = { ...cache.scanned };
+    const nextBlock = (contract) => (scanned[contract] ?? lookbackStart - 1) + 1;
+    let chunk = EVM_LOG_CHUNK_BLOCKS;
+    let { transfers } = cache;
+
+    const tokensBehind = () => [...tokens.keys()].filter((contract) => nextBlock(contract) <= latest);
+
+    while (tokensBehind().length > 0) {
+      const behind = tokensBehind();
+      // Tokens furthest behind catch up first and are read together with the rest once they reach them
+      const fromBlock = Math.min(...behind.map(nextBlock));
+      const contracts = behind.filter((contract) => nextBlock(contract) === fromBlock);
+      const ahead = behind.map(nextBlock).filter((block) => block > fromBlock);
+      const toBlock = Math.min(latest, fromBlock + chunk - 1, ...ahead.map((block) => block - 1));
+      let logs;
+      try {
+        logs = await this.readTransferLogs(walletNetwork, address, contracts, fromBlock, toBlock);
+      } catch (error) {
+        // Public RPCs limit the block range of eth_getLogs; retry with smaller chunks
+        if (chunk <= EVM_LOG_MIN_CHUNK_BLOCKS) throw error;
+        chunk = Math.max(EVM_LOG_MIN_CHUNK_BLOCKS, Math.floor(chunk / 2));
+        continue;
+      }
+      const found = await this.decodeTransfers(walletNetwork, address, tokens, logs);
+      const known = new Set(found.map((transfer) => transfer.id));
+      transfers = [...found, ...transfers.filter((transfer) => !known.has(transfer.id))]
+        .sort((left, right) => right.blockNumber - left.blockNumber || right.logIndex - left.logIndex)
+        .slice(0, MAX_EVM_HISTORY_TRANSFERS);
+      for (const contract of contracts) scanned[contract] = toBlock;
+      // Saved per chunk so a failed refresh keeps what it already read
+      this.saveCache(walletNetwork, address, { scanned, transfers });
+    }
+    return this.list(walletNetwork, address);
+  }
+
+  async readTransferLogs(walletNetwork, address, contracts, fromBlock, toBlock) {
+    const range = {
+      address: contracts,
+      fromBlock: toHexQuantity(BigInt(fromBlock)),
+      toBlock: toHexQuantity(BigInt(toBlock)),
+    };
+    const topic = addressToTopic(address);
+    const [sent, received] = await Promise.all([
+      this.request(walletNetwork, 'eth_getLogs', [{ ...range, topics: [ERC20_TRANSFER_TOPIC, topic] }]),
+      this.request(walletNetwork, 'eth_getLogs', [{ ...range, topics: [ERC20_TRANSFER_TOPIC, null, topic] }]),
+    ]);
+    return [...(sent || []), ...(received || [])];
+  }
+
+  async decodeTransfers(walletNetwork, address, tokens, logs) {
+    const transfers = new Map();
+    for (const log of logs) {
+      const token = tokens.get(String(log.address || '').toLowerCase());
+      // ERC-721 Transfer logs share the topic but carry the token id as a fourth topic
+      if (!token || log.removed || !Array.isArray(log.topics) || log.topics.length !== 3) continue;
+      const from = topicToAddress(log.topics[1]);
+      const to = topicToAddress(log.topics[2]);
+      const id = `${log.transactionHash.toLowerCase()}:${Number(parseHexQuantity(log.logIndex, 'log index'))}`;
+      let direction = 'receive';
+      if (from === address) direction = to === address ? 'self' : 'send';
+      transfers.set(id, {
+        id,
+        transactionHash: log.transactionHash.toLowerCase(),
+        blockNumber: Number(parseHexQuantity(log.blockNumber, 'block number')),
+        logIndex: Number(parseHexQuantity(log.logIndex, 'log index')),
+        timestamp: log.blockTimestamp
+          ? Number(parseHexQuantity(log.blockTimestamp, 'block timestamp')) * 1000
+          : null,
+        direction,
+        counterparty: direction === 'send' ? to : from,
+        contractAddress: token.contractAddress.toLowerCase(),
+        tokenSymbol: token.tokenSymbol,
+        tokenAmount: formatUnits(decodeAbiUint(log.data, 'transfer amount'), token.tokenDecimals),
+      });
+    }
+
+    // Logs from most RPCs carry no timestamp; read it once per block
+    const blocks = [...new Set([...transfers.values()]
+      .filter((transfer) => transfer.timestamp === null)
+      .map((transfer) => transfer.blockNumber))];
+    const timestamps = new Map(await Promise.all(blocks.map(async (blockNumber) => {
+      const block = await this.request(
+        walletNetwork,
+        'eth_getBlockByNumber',
+        [toHexQuantity(BigInt(blockNumber)), false],
+      );
+      return [blockNumber, Number(parseHexQuantity(block?.timestamp, 'block timestamp')) * 1000];
+    })));
+    return [...transfers.values()].map((transfer) => (
+      transfer.timestamp === null ? { ...transfer, timestamp: timestamps.get(transfer.blockNumber) } : transfer
+    ));
+  }
+
+  /**
+   * Cached transfers of a network plus the native transfers this client sent, newest first
+   * @returns {Object[]}
+   */
+  list(walletNetwork, address) {
+    const nativeTransfers = this.tracker.list(address)
+      .filter((record) => (
+        record.chainId === walletNetwork.chainId
+        && record.status === 'confirmed'
+        && !record.contractAddress
+        && Number(record.amount) > 0
+      ))
+      .map((record) => {
+        const mined = record.attempts.find((attempt) => attempt.transactionHash === record.minedHash);
+        return {
+          id: record.minedHash,
+          transactionHash: record.minedHash,
+          blockNumber: null,
+          logIndex: 0,
+          timestamp: mined?.submittedAt ?? record.submittedAt,
+          direction: 'send',
+          counterparty: mined?.transaction.to ?? null,
+          contractAddress: null,
+          tokenSymbol: record.tokenSymbol,
+          tokenAmount: record.amount,
+        };
+      });
+    return [...this.getCache(walletNetwork, address).transfers, ...nativeTransfers]
+      .sort((left, right) => right.timestamp - left.timestamp);
+  }
 }
 
 function formatConnectedTokenAmount(value) {
@@ -1270,6 +2275,13 @@ class AssetsModal {
     this.assetsList = document.getElementById('connectedAssetsList');
 
     document.getElementById('closeAssetsModal').addEventListener('click', () => this.close());
+    document.getElementById('assetsAddNetwork').addEventListener('click', () => {
+      this.controller.addNetworkModal.open();
+    });
+    document.getElementById('assetsImportToken').addEventListener('click', () => {
+      const networkId = this.networkSelect.value;
+      this.controller.importTokenModal.open(networkId === 'all' ? null : networkId);
+    });
     this.networkSelect.addEventListener('change', () => this.render());
     this.assetsList.addEventListener('click', (event) => {
       const assetButton = event.target.closest('.connected-asset-button');
@@ -1400,6 +2412,7 @@ class AssetDetailsModal {
     this.contract = document.getElementById('assetDetailsContract');
     this.marketPrice = document.getElementById('assetDetailsMarketPrice');
     this.holdingValue = document.getElementById('assetDetailsHoldingValue');
+    this.removeActions = document.getElementById('assetDetailsRemoveActions');
 
     document.getElementById('closeAssetDetailsModal').addEventListener('click', () => this.close());
     document.getElementById('assetDetailsSend').addEventListener('click', () => {
@@ -1417,6 +2430,7 @@ class AssetDetailsModal {
       });
     });
     document.getElementById('assetDetailsHistory').addEventListener('click', () => this.openHistory());
+    document.getElementById('assetDetailsRemove').addEventListener('click', () => this.removeToken());
   }
 
   getSelection() {
@@ -1471,6 +2485,18 @@ class AssetDetailsModal {
     this.marketPrice.textContent = priceText;
     this.marketPrice.style.color = this.price.style.color;
     this.holdingValue.textContent = valueText;
+    this.removeActions.hidden = !(asset.custom && asset.contractAddress);
+  }
+
+  async removeToken() {
+    const { walletNetwork, asset } = this.getSelection();
+    if (!walletNetwork || !asset?.custom) return;
+    if (!globalThis.confirm?.(`Remove ${asset.tokenSymbol} from ${walletNetwork.name}? You can import it again later.`)) {
+      return;
+    }
+    this.controller.removeToken(walletNetwork.chainId, asset.contractAddress);
+    this.close();
+    this.controller.showToast(`${asset.tokenSymbol} removed`, 3000, 'success');
   }
 
   openHistory() {
@@ -1484,6 +2510,11 @@ class AssetDetailsModal {
       return;
     }
 
+    if (this.controller.openHistoryView) {
+      this.controller.openHistoryView(walletNetwork.id);
+      return;
+    }
+
     let historyUrl;
     try {
       historyUrl = buildEvmAssetHistoryUrl(
@@ -1521,6 +2552,194 @@ class AssetDetailsModal {
   }
 }
 
+class AddNetworkModal {
+  constructor(controller) {
+    this.controller = controller;
+  }
+
+  load() {
+    this.modal = document.getElementById('addEvmNetworkModal');
+    this.form = document.getElementById('addEvmNetworkForm');
+    this.nameInput = document.getElementById('evmNetworkName');
+    this.chainIdInput = document.getElementById('evmNetworkChainId');
+    this.rpcUrlsInput = document.getElementById('evmNetworkRpcUrls');
+    this.symbolInput = document.getElementById('evmNetworkSymbol');
+    this.explorerInput = document.getElementById('evmNetworkExplorer');
+    this.status = document.getElementById('addEvmNetworkStatus');
+    this.submitButton = document.getElementById('addEvmNetworkSubmit');
+    this.list = document.getElementById('customEvmNetworksList');
+
+    document.getElementById('closeAddEvmNetworkModal').addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (event) => this.handleSubmit(event));
+    this.list.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-network-id]');
+      if (!button) return;
+      const network = this.controller.getCustomAssets().networks
+        .find((entry) => entry.id === button.dataset.networkId);
+      if (!network || !globalThis.confirm?.(`Remove ${network.name} and its imported tokens?`)) return;
+      this.controller.removeNetwork(network.id);
+      this.renderList();
+    });
+  }
+
+  open() {
+    this.form.reset();
+    this.setStatus('');
+    this.renderList();
+    openModal(this.modal);
+  }
+
+  close() {
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
+
+  setStatus(message, status = 'unavailable') {
+    this.status.textContent = message;
+    this.status.dataset.status = status;
+    this.status.hidden = !message;
+  }
+
+  renderList() {
+    const { networks } = this.controller.getCustomAssets();
+    if (networks.length === 0) {
+      this.list.innerHTML = '<div class="empty-state">No networks added yet</div>';
+      return;
+    }
+    this.list.innerHTML = networks.map((network) => `
+      <div class="custom-evm-item">
+        <div class="custom-evm-info">
+          <span class="custom-evm-name">${escapeHtml(network.name)} (${escapeHtml(network.nativeSymbol)})</span>
+          <span class="custom-evm-meta">Chain ID ${escapeHtml(String(network.chainId))} · ${escapeHtml(network.rpcUrls.join(', '))}</span>
+        </div>
+        <button type="button" class="btn btn--text" data-network-id="${escapeHtml(network.id)}">Remove</button>
+      </div>
+    `).join('');
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    this.submitButton.disabled = true;
+    this.setStatus('Checking RPC…', 'loading');
+    try {
+      const network = await this.controller.addNetwork({
+        name: this.nameInput.value,
+        chainId: this.chainIdInput.value,
+        rpcUrls: this.rpcUrlsInput.value,
+        nativeSymbol: this.symbolInput.value,
+        explorerUrl: this.explorerInput.value,
+      });
+      this.form.reset();
+      this.setStatus('');
+      this.renderList();
+      this.controller.showToast(`${network.name} added`, 3000, 'success');
+    } catch (error) {
+      this.setStatus(error?.message || 'This network could not be added');
+    } finally {
+      this.submitButton.disabled = false;
+    }
+  }
+}
+
+class ImportTokenModal {
+  constructor(controller) {
+    this.controller = controller;
+    this.preview = null;
+  }
+
+  load() {
+    this.modal = document.getElementById('importEvmTokenModal');
+    this.form = document.getElementById('importEvmTokenForm');
+    this.networkSelect = document.getElementById('importEvmTokenNetwork');
+    this.addressInput = document.getElementById('importEvmTokenAddress');
+    this.status = document.getElementById('importEvmTokenStatus');
+    this.previewList = document.getElementById('importEvmTokenPreview');
+    this.previewName = document.getElementById('importEvmTokenName');
+    this.previewSymbol = document.getElementById('importEvmTokenSymbol');
+    this.previewDecimals = document.getElementById('importEvmTokenDecimals');
+    this.lookupButton = document.getElementById('importEvmTokenLookup');
+    this.confirmButton = document.getElementById('importEvmTokenConfirm');
+
+    document.getElementById('closeImportEvmTokenModal').addEventListener('click', () => this.close());
+    this.form.addEventListener('submit', (event) => this.handleLookup(event));
+    this.confirmButton.addEventListener('click', () => this.handleImport());
+    this.networkSelect.addEventListener('change', () => this.clearPreview());
+    this.addressInput.addEventListener('input', () => this.clearPreview());
+  }
+
+  open(networkId = null) {
+    this.form.reset();
+    this.controller.populateNetworkSelect(this.networkSelect, { evmOnly: true, selectedId: networkId });
+    this.clearPreview();
+    openModal(this.modal);
+  }
+
+  close() {
+    this.clearPreview();
+    this.modal.classList.remove('active');
+  }
+
+  isActive() {
+    return this.modal.classList.contains('active');
+  }
+
+  setStatus(message, status = 'unavailable') {
+    this.status.textContent = message;
+    this.status.dataset.status = status;
+    this.status.hidden = !message;
+  }
+
+  clearPreview() {
+    this.preview = null;
+    this.previewList.hidden = true;
+    this.confirmButton.hidden = true;
+    this.lookupButton.hidden = false;
+    this.setStatus('');
+  }
+
+  async handleLookup(event) {
+    event.preventDefault();
+    this.lookupButton.disabled = true;
+    this.setStatus('Reading token contract…', 'loading');
+    try {
+      const { walletNetwork, metadata } = await this.controller.lookupToken(
+        this.networkSelect.value,
+        this.addressInput.value.trim(),
+      );
+      this.preview = { walletNetwork, metadata };
+      this.previewName.textContent = metadata.tokenName;
+      this.previewSymbol.textContent = metadata.tokenSymbol;
+      this.previewDecimals.textContent = String(metadata.tokenDecimals);
+      this.previewList.hidden = false;
+      this.lookupButton.hidden = true;
+      this.confirmButton.hidden = false;
+      this.setStatus(`Verified on ${walletNetwork.name}`, 'connected');
+    } catch (error) {
+      this.setStatus(error?.message || 'This token could not be read');
+    } finally {
+      this.lookupButton.disabled = false;
+    }
+  }
+
+  async handleImport() {
+    if (!this.preview) return;
+    const { walletNetwork, metadata } = this.preview;
+    this.confirmButton.disabled = true;
+    try {
+      await this.controller.importToken(walletNetwork, metadata);
+      this.close();
+      this.controller.showToast(`${metadata.tokenSymbol} imported`, 3000, 'success');
+    } catch (error) {
+      this.setStatus(error?.message || 'This token could not be imported');
+    } finally {
+      this.confirmButton.disabled = false;
+    }
+  }
+}
+
 export class EvmSendConfirmationModal {
   constructor() {
     this.loaded = false;
@@ -1889,12 +3108,25 @@ class EvmAssetsController {
     this.openSend = () => {};
     this.openReceive = () => {};
     this.showToast = () => {};
+    this.loadCustomAssets = () => null;
+    this.saveCustomAssets = () => {};
+    this.loadTrackedTransactions = () => [];
+    this.saveTrackedTransactions = () => {};
+    this.onTransactionsChange = () => {};
+    this.loadHistoryCache = () => null;
+    this.saveHistoryCache = () => {};
+    this.openHistoryView = null;
+    this.pendingPollTimer = null;
     this.confirmationModal = new EvmSendConfirmationModal();
     this.confirmTransfer = (...args) => this.confirmationModal.confirm(...args);
     this.loaded = false;
     this.discovery = new WalletDiscoveryService({
       getAccount: () => this.getAccount(),
       getLiberdusAsset: () => this.getLiberdusAsset(),
+      getCustomAssets: () => this.getCustomAssets(),
+      readBalance: (network, address, contractAddress) => (
+        this.transactions.readBalance(network, address, contractAddress)
+      ),
     });
     this.recipients = new LiberdusEvmRecipientResolver({
       getAccount: () => this.getAccount(),
@@ -1904,10 +3136,26 @@ class EvmAssetsController {
       refreshAssets: (options) => this.refresh(options),
       showToast: (...args) => this.showToast(...args),
       confirmTransfer: (...args) => this.confirmTransfer(...args),
-      getManagedRpcUrl: (network) => this.discovery.getRpcUrl(network.id),
+      // The probe service only relays chains it knows
+      getManagedRpcUrl: (network) => (network.custom ? null : this.discovery.getRpcUrl(network.id)),
+      tracker: new EvmTransactionTracker({
+        load: () => this.loadTrackedTransactions(),
+        save: (records) => {
+          this.saveTrackedTransactions(records);
+          this.onTransactionsChange();
+        },
+      }),
+    });
+    this.history = new EvmHistoryService({
+      request: (network, method, params) => this.transactions.request(network, method, params),
+      tracker: this.transactions.tracker,
+      load: () => this.loadHistoryCache(),
+      save: (cache) => this.saveHistoryCache(cache),
     });
     this.assetsModal = new AssetsModal(this);
     this.assetDetailsModal = new AssetDetailsModal(this);
+    this.addNetworkModal = new AddNetworkModal(this);
+    this.importTokenModal = new ImportTokenModal(this);
     this.sendFormAdapter = new EvmSendFormAdapter(this);
   }
 
@@ -1918,6 +3166,14 @@ class EvmAssetsController {
     openReceive,
     showToast,
     confirmTransfer,
+    loadCustomAssets,
+    saveCustomAssets,
+    loadTrackedTransactions,
+    saveTrackedTransactions,
+    onTransactionsChange,
+    loadHistoryCache,
+    saveHistoryCache,
+    openHistory,
   } = {}) {
     if (typeof getAccount === 'function') this.getAccount = getAccount;
     if (typeof getLiberdusAsset === 'function') this.getLiberdusAsset = getLiberdusAsset;
@@ -1925,12 +3181,22 @@ class EvmAssetsController {
     if (typeof openReceive === 'function') this.openReceive = openReceive;
     if (typeof showToast === 'function') this.showToast = showToast;
     if (typeof confirmTransfer === 'function') this.confirmTransfer = confirmTransfer;
+    if (typeof loadCustomAssets === 'function') this.loadCustomAssets = loadCustomAssets;
+    if (typeof saveCustomAssets === 'function') this.saveCustomAssets = saveCustomAssets;
+    if (typeof loadTrackedTransactions === 'function') this.loadTrackedTransactions = loadTrackedTransactions;
+    if (typeof saveTrackedTransactions === 'function') this.saveTrackedTransactions = saveTrackedTransactions;
+    if (typeof onTransactionsChange === 'function') this.onTransactionsChange = onTransactionsChange;
+    if (typeof loadHistoryCache === 'function') this.loadHistoryCache = loadHistoryCache;
+    if (typeof saveHistoryCache === 'function') this.saveHistoryCache = saveHistoryCache;
+    if (typeof openHistory === 'function') this.openHistoryView = openHistory;
   }
 
   load() {
     if (this.loaded) return;
     this.assetsModal.load();
     this.assetDetailsModal.load();
+    this.addNetworkModal.load();
+    this.importTokenModal.load();
     this.confirmationModal.load();
     this.sendFormAdapter.load();
     document.getElementById('openAssets').addEventListener('click', () => this.assetsModal.open());
@@ -1938,7 +3204,10 @@ class EvmAssetsController {
   }
 
   reset() {
+    clearTimeout(this.pendingPollTimer);
+    this.pendingPollTimer = null;
     this.discovery.reset();
+    this.history.reset();
     this.recipients.reset();
     this.confirmationModal.reset();
   }
@@ -1952,10 +3221,212 @@ class EvmAssetsController {
       this.assetDetailsModal.close();
       return true;
     }
+    if (modalId === 'addEvmNetworkModal') {
+      this.addNetworkModal.close();
+      return true;
+    }
+    if (modalId === 'importEvmTokenModal') {
+      this.importTokenModal.close();
+      return true;
+    }
     return false;
   }
 
   refresh(options) { return this.discovery.refresh(options); }
+
+  getEvmAddress() {
+    try {
+      return normalizeEvmAddress(walletProbeAddress(this.getAccount()?.keys?.address), 'account address');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * EVM transactions the active account submitted from this client, newest first
+   * @returns {Object[]}
+   */
+  getTrackedTransactions() {
+    const from = this.getEvmAddress();
+    return from ? this.transactions.tracker.list(from) : [];
+  }
+
+  /**
+   * Transfers of the active account on an EVM network as far as they were read, newest first
+   * @param {string} networkId
+   * @returns {Object[]}
+   */
+  getHistory(networkId) {
+    const walletNetwork = this.getEvmCatalog().find((network) => network.id === networkId);
+    const address = this.getEvmAddress();
+    return walletNetwork && address ? this.history.list(walletNetwork, address) : [];
+  }
+
+  /**
+   * Read transfers from blocks added since the last refresh of this network
+   * @param {string} networkId
+   * @returns {Promise<Object[]>}
+   */
+  async refreshHistory(networkId) {
+    const walletNetwork = this.getEvmCatalog().find((network) => network.id === networkId);
+    const address = this.getEvmAddress();
+    if (!walletNetwork || !address) return [];
+    return this.history.refresh(walletNetwork, address);
+  }
+
+  /**
+   * Poll pending EVM transactions until each is mined or replaced. Call after sign-in and after submitting.
+   */
+  watchPendingTransactions() {
+    if (this.pendingPollTimer) return;
+    if (!this.getTrackedTransactions().some((record) => record.status === 'pending')) return;
+    this.pendingPollTimer = setTimeout(async () => {
+      try {
+        await this.checkPendingTransactions();
+      } finally {
+        this.pendingPollTimer = null;
+        this.watchPendingTransactions();
+      }
+    }, EVM_PENDING_POLL_MS);
+  }
+
+  async checkPendingTransactions() {
+    let settled = false;
+    for (const record of this.getTrackedTransactions()) {
+      if (record.status !== 'pending') continue;
+      const network = this.getNetworkByChainId(record.chainId);
+      if (!network) continue;
+      try {
+        const checked = await this.transactions.checkTracked(network, record);
+        if (checked.status === 'pending') continue;
+        settled = true;
+        if (checked.status === 'confirmed') {
+          this.showToast(`Transaction confirmed: ${checked.minedHash}`, 5000, 'success');
+        } else if (checked.status === 'cancelled') {
+          this.showToast(`Transfer of ${record.amount} ${record.tokenSymbol} was cancelled`, 5000, 'success');
+        } else if (checked.status === 'failed') {
+          this.showToast(`Transfer of ${record.amount} ${record.tokenSymbol} reverted`, 5000, 'error');
+        }
+      } catch (error) {
+        console.warn('EVM pending transaction check failed:', error);
+      }
+    }
+    if (settled) await this.refresh({ force: true });
+  }
+
+  /**
+   * @param {string} id - Tracked transaction id
+   * @param {'speedup'|'cancel'} kind
+   */
+  async replaceTransaction(id, kind) {
+    const record = this.getTrackedTransactions().find((entry) => entry.id === id);
+    const network = record && this.getNetworkByChainId(record.chainId);
+    try {
+      if (!network) {
+        throw new EvmTransferError('This transaction\'s network is no longer in your wallet', 'INVALID_NETWORK');
+      }
+      const result = await this.transactions.replace(network, record, kind);
+      if (result.transactionHash) {
+        this.showToast(
+          `${kind === 'cancel' ? 'Cancellation' : 'Speed-up'} submitted: ${result.transactionHash}`,
+          5000,
+          'info',
+        );
+        this.watchPendingTransactions();
+      }
+      return result;
+    } catch (error) {
+      console.error('EVM replacement failed:', error);
+      this.showToast(error?.message || 'The transaction could not be replaced', 5000, 'error');
+      return { status: 'failed', error };
+    }
+  }
+
+  /**
+   * Networks and tokens the user added, as stored with the account
+   * @returns {{networks: Object[], tokens: Object[]}}
+   */
+  getCustomAssets() {
+    const stored = this.loadCustomAssets();
+    return {
+      networks: Array.isArray(stored?.networks) ? stored.networks : [],
+      tokens: Array.isArray(stored?.tokens) ? stored.tokens : [],
+    };
+  }
+
+  async afterCustomAssetsChange() {
+    await this.refresh({ force: true });
+    if (this.assetsModal.isActive()) await this.assetsModal.update();
+  }
+
+  async addNetwork(input) {
+    const network = normalizeCustomNetwork(input);
+    const custom = this.getCustomAssets();
+    if (
+      REQUIRED_NETWORKS.some((entry) => entry.chainId === network.chainId)
+      || custom.networks.some((entry) => entry.chainId === network.chainId)
+    ) {
+      throw new EvmTransferError(`Chain ID ${network.chainId} is already in your wallet`, 'DUPLICATE_NETWORK');
+    }
+    // request() only uses an RPC after it reports the expected chain ID
+    await this.transactions.request(customNetworkDefinition(network), 'eth_blockNumber');
+    this.saveCustomAssets({ ...custom, networks: [...custom.networks, network] });
+    await this.afterCustomAssetsChange();
+    return network;
+  }
+
+  removeNetwork(networkId) {
+    const custom = this.getCustomAssets();
+    const network = custom.networks.find((entry) => entry.id === networkId);
+    if (!network) return;
+    this.saveCustomAssets({
+      networks: custom.networks.filter((entry) => entry.id !== networkId),
+      tokens: custom.tokens.filter((token) => token.chainId !== network.chainId),
+    });
+    this.afterCustomAssetsChange();
+  }
+
+  async lookupToken(networkId, contractAddress) {
+    const walletNetwork = this.getEvmCatalog().find((network) => network.id === networkId);
+    if (!walletNetwork) {
+      throw new EvmTransferError('Select a supported EVM network', 'INVALID_NETWORK');
+    }
+    const contract = normalizeEvmAddress(contractAddress, 'token contract');
+    if (walletNetwork.assets.some((asset) => asset.contractAddress?.toLowerCase() === contract)) {
+      throw new EvmTransferError(`This token is already in your ${walletNetwork.name} assets`, 'DUPLICATE_TOKEN');
+    }
+    const metadata = await this.transactions.readTokenMetadata(walletNetwork, contract);
+    return { walletNetwork, metadata };
+  }
+
+  async importToken(walletNetwork, metadata) {
+    const custom = this.getCustomAssets();
+    const token = { chainId: walletNetwork.chainId, ...metadata };
+    this.saveCustomAssets({
+      ...custom,
+      tokens: [
+        ...custom.tokens.filter((entry) => !(
+          entry.chainId === token.chainId && entry.contractAddress === token.contractAddress
+        )),
+        token,
+      ],
+    });
+    await this.afterCustomAssetsChange();
+    return token;
+  }
+
+  removeToken(chainId, contractAddress) {
+    const custom = this.getCustomAssets();
+    const contract = String(contractAddress || '').toLowerCase();
+    this.saveCustomAssets({
+      ...custom,
+      tokens: custom.tokens.filter((token) => !(
+        token.chainId === chainId && token.contractAddress === contract
+      )),
+    });
+    this.afterCustomAssetsChange();
+  }
+
   rebuildCatalog() { return this.discovery.rebuildCatalog(); }
   getCatalog() { return this.discovery.getCatalog(); }
   getEvmCatalog() { return this.discovery.getEvmCatalog(); }
@@ -1963,6 +3434,9 @@ class EvmAssetsController {
   getStatus() { return this.discovery.getStatus(); }
   getUpdatedAt() { return this.discovery.getUpdatedAt(); }
   getNetwork(networkId) { return this.discovery.getNetwork(networkId); }
+  getNetworkByChainId(chainId) {
+    return this.getEvmCatalog().find((network) => BigInt(network.chainId || 0) === BigInt(chainId)) || null;
+  }
   getSelectedAsset(networkId, select) {
     return this.discovery.getSelectedAsset(networkId, select);
   }
@@ -1994,6 +3468,16 @@ class EvmAssetsController {
       amount,
     });
   }
+  /**
+   * Send one transfer of a batch the user has already confirmed as a whole, so there is no confirmation per
+   * transfer. Waits for the receipt, which keeps the next transfer's nonce in order.
+   */
+  async sendBatchTransfer({ networkId, assetKey, recipient, recipientLabel = null, amount }) {
+    const { walletNetwork, asset } = this.findAsset(networkId, assetKey, { evmOnly: true });
+    const prepared = await this.transactions.prepare({ network: walletNetwork, asset, recipient, amount });
+    prepared.recipientLabel = recipientLabel || prepared.validation.recipient;
+    return this.transactions.submit(prepared, amount, { quiet: true });
+  }
   openContextualSend(options) {
     const opening = this.openSend(options);
     this.sendFormAdapter.applyContext();
@@ -2047,6 +3531,7 @@ class EvmAssetsController {
         recipientLabel: resolution.username || resolution.display,
         amount: form.amountInput.value.trim(),
       });
+      if (result.status === 'pending') this.watchPendingTransactions();
       if (result.status === 'confirmed' || result.status === 'pending') {
         await form.close();
       }
@@ -0,0 +1,516 @@
+// EIP-1193 wallet for Liberdus dApps, backed by the account key of this client.
+// dApps on the same origin include liberdus-provider.js, which announces a "Liberdus" wallet through EIP-6963 and
+// relays requests over a BroadcastChannel to an open client tab. This side answers them: sites have to be
+// connected by the user before they see the address, every transaction and signature is shown in a confirmation
+// modal, and the key never leaves this tab. Connections last until sign-out.
+
+import { escapeHtml, openModal } from './lib.js';
+import {
+  EvmTransferError,
+  evmAssets,
+  formatUnits,
+  parseTypedData,
+  signEvmPersonalMessage,
+  signEvmTypedData,
+} from './evm-assets.js';
+
+export const EVM_PROVIDER_CHANNEL = 'liberdus-eip1193';
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_DATA_PREVIEW_LENGTH = 202;
+// Same as how long liberdus-provider.js waits for a client tab to open
+const SIGN_IN_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Answered by the RPC of the site's network without asking the user
+const READ_ONLY_METHODS = new Set([
+  'eth_blockNumber',
+  'eth_call',
+  'eth_estimateGas',
+  'eth_feeHistory',
+  'eth_gasPrice',
+  'eth_getBalance',
+  'eth_getBlockByHash',
+  'eth_getBlockByNumber',
+  'eth_getCode',
+  'eth_getLogs',
+  'eth_getStorageAt',
+  'eth_getTransactionByHash',
+  'eth_getTransactionCount',
+  'eth_getTransactionReceipt',
+  'eth_maxPriorityFeePerGas',
+]);
+
+// Functions shown by name in the confirmation modal; anything else is shown as raw calldata
+const KNOWN_FUNCTIONS = Object.freeze({
+  'a9059cbb': { name: 'transfer', inputs: [['to', 'address'], ['amount', 'uint256']] },
+  '095ea7b3': { name: 'approve', inputs: [['spender', 'address'], ['amount', 'uint256']] },
+  '23b872dd': { name: 'transferFrom', inputs: [['from', 'address'], ['to', 'address'], ['amount', 'uint256']] },
+  '39509351': { name: 'increaseAllowance', inputs: [['spender', 'address'], ['amount', 'uint256']] },
+  'a22cb465': { name: 'setApprovalForAll', inputs: [['operator', 'address'], ['approved', 'bool']] },
+  '42842e0e': { name: 'safeTransferFrom', inputs: [['from', 'address'], ['to', 'address'], ['tokenId', 'uint256']] },
+  'd0e30db0': { name: 'deposit', inputs: [] },
+  '2e1a7d4d': { name: 'withdraw', inputs: [['amount', 'uint256']] },
+});
+
+const APPROVAL_FUNCTIONS = new Set(['approve', 'increaseAllowance', 'setApprovalForAll']);
+
+export class ProviderRpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProviderRpcError';
+    this.code = code;
+  }
+}
+
+function userRejected() {
+  return new ProviderRpcError(4001, 'The request was rejected in Liberdus');
+}
+
+/**
+ * Decode calldata of well-known token functions
+ * @param {string} data - 0x hex
+ * @returns {{selector: string, name: string|null, args: Array<{name: string, type: string, value: string|bigint|boolean}>}|null}
+ *   Null for plain transfers without calldata
+ */
+export function decodeCalldata(data) {
+  const hex = String(data || '').replace(/^0x/i, '').toLowerCase();
+  if (hex.length < 8) return null;
+  const selector = hex.slice(0, 8);
+  const known = KNOWN_FUNCTIONS[selector];
+  const words = hex.slice(8).match(/.{64}/g) || [];
+  if (!known || words.length < known.inputs.length) {
+    return { selector, name: null, args: [] };
+  }
+  const args = known.inputs.map(([name, type], index) => {
+    const word = words[index];
+    if (type === 'address') return { name, type, value: `0x${word.slice(24)}` };
+    if (type === 'bool') return { name, type, value: BigInt(`0x${word}`) !== 0n };
+    return { name, type, value: BigInt(`0x${word}`) };
+  });
+  return { selector, name: known.name, args };
+}
+
+function formatChainId(chainId) {
+  return `0x${BigInt(chainId).toString(16)}`;
+}
+
+function describeMessage(message) {
+  const hex = /^0x(?:[0-9a-fA-F]{2})*$/.test(message || '') ? message.slice(2) : null;
+  if (hex === null) return String(message ?? '');
+  try {
+    const bytes = Uint8Array.from(hex.match(/.{2}/g) || [], (byte) => Number.parseInt(byte, 16));
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    // Control characters other than tab and line breaks mean binary data; show the hex
+    const isBinary = [...text].some((char) => {
+      const code = char.codePointAt(0);
+      return code <= 0x08 || (code >= 0x0e && code <= 0x1f);
+    });
+    return isBinary ? message : text;
+  } catch {
+    return message;
+  }
+}
+
+/**
+ * Confirmation modal for connect, transaction and signature requests from dApps
+ */
+class EvmProviderRequestModal {
+  constructor() {
+    this.pending = null;
+  }
+
+  load() {
+    this.modal = document.getElementById('evmProviderModal');
+    this.title = document.getElementById('evmProviderTitle');
+    this.site = document.getElementById('evmProviderSite');
+    this.details = document.getElementById('evmProviderDetails');
+    this.notice = document.getElementById('evmProviderNotice');
+    this.approveButton = document.getElementById('evmProviderApprove');
+    this.rejectButton = document.getElementById('evmProviderReject');
+
+    this.approveButton.addEventListener('click', () => this.settle(true));
+    this.rejectButton.addEventListener('click', () => this.settle(false));
+    document.getElementById('closeEvmProviderModal').addEventListener('click', () => this.settle(false));
+  }
+
+  isActive() {
+    return this.modal?.classList.contains('active') || false;
+  }
+
+  /**
+   * @param {Object} request
+   * @returns {Promise<boolean>} True if the user approved
+   */
+  confirm(request) {
+    if (!this.modal) return Promise.resolve(false);
+    if (this.pending) this.settle(false);
+    this.render(request);
+    openModal(this.modal);
+    window.focus();
+    return new Promise((resolve) => {
+      this.pending = { resolve };
+    });
+  }
+
+  settle(approved) {
+    const pending = this.pending;
+    this.pending = null;
+    this.modal?.classList.remove('active');
+    pending?.resolve(approved);
+  }
+
+  reset() {
+    this.settle(false);
+  }
+
+  render(request) {
+    const { kind, site, network, account } = request;
+    const rows = [
+      ['Account', account, true],
+      ['Network', `${network.name} (Chain ID ${network.chainId})`],
+    ];
+    let notice = '';
+
+    if (kind === 'connect') {
+      this.title.textContent = 'Connect Site';
+      this.approveButton.textContent = 'Connect';
+      notice = 'The site will see your wallet address. Every transaction and signature still needs your approval here.';
+    } else if (kind === 'transaction') {
+      this.title.textContent = 'Confirm Transaction';
+      this.approveButton.textContent = 'Confirm';
+      notice = this.renderTransaction(request, rows);
+    } else if (kind === 'message') {
+      this.title.textContent = 'Sign Message';
+      this.approveButton.textContent = 'Sign';
+      rows.push(['Message', describeMessage(request.message), true]);
+      notice = 'Only sign messages from sites you trust.';
+    } else if (kind === 'typedData') {
+      const { domain, primaryType, message } = request.typedData;
+      this.title.textContent = 'Sign Typed Data';
+      this.approveButton.textContent = 'Sign';
+      if (domain.name) rows.push(['Application', `${domain.name}${domain.version ? ` v${domain.version}` : ''}`]);
+      if (domain.verifyingContract) rows.push(['Contract', domain.verifyingContract, true]);
+      rows.push(['Type', primaryType]);
+      rows.push(['Data', JSON.stringify(message, null, 2), true]);
+      notice = 'Typed data signatures can authorize transfers and approvals. Only sign for sites you trust.';
+    }
+
+    this.site.textContent = site;
+    this.details.innerHTML = rows.map(([label, value, mono]) => `
+      <div class="form-group">
+        <label>${escapeHtml(label)}</label>
+        <div class="confirm-value${mono ? ' evm-provider-value-mono' : ''}">${escapeHtml(String(value))}</div>
+      </div>`).join('');
+    this.notice.textContent = notice;
+    this.notice.hidden = !notice;
+  }
+
+  renderTransaction({ network, prepared, call }, rows) {
+    const { transaction, maximumFee } = prepared;
+    const token = network.assets?.find((asset) => asset.contractAddress?.toLowerCase() === transaction.to) || null;
+    rows.push(['To', token ? `${transaction.to} (${token.tokenSymbol})` : transaction.to, true]);
+    rows.push(['Value', `${formatUnits(BigInt(transaction.value), 18)} ${network.nativeSymbol}`]);
+
+    if (call) {
+      rows.push(['Function', call.name ? `${call.name}` : `Unknown function 0x${call.selector}`]);
+      for (const arg of call.args) {
+        let value = String(arg.value);
+        if (arg.type === 'uint256' && arg.name === 'amount') {
+          if (arg.value === MAX_UINT256) {
+            value = 'Unlimited';
+          } else if (token) {
+            value = `${formatUnits(arg.value, token.tokenDecimals)} ${token.tokenSymbol}`;
+          }
+        }
+        rows.push([arg.name, value, arg.type === 'address']);
+      }
+      const data = transaction.data.length > MAX_DATA_PREVIEW_LENGTH
+        ? `${transaction.data.slice(0, MAX_DATA_PREVIEW_LENGTH)}… (${(transaction.data.length - 2) / 2} bytes)`
+        : transaction.data;
+      rows.push(['Data', data, true]);
+    }
+    rows.push(['Maximum network fee', `${formatUnits(maximumFee, 18)} ${network.nativeSymbol}`]);
+
+    if (call && APPROVAL_FUNCTIONS.has(call.name)) {
+      return 'This gives the spender permission to move your tokens. Only approve contracts you trust.';
+    }
+    if (call && !call.name) {
+      return 'Liberdus cannot decode this contract call. Only confirm it if you trust the site.';
+    }
+    return 'Signed locally with this account.';
+  }
+}
+
+/**
+ * Answers EIP-1193 requests that liberdus-provider.js relays from dApp pages
+ */
+class EvmProviderBridge {
+  constructor() {
+    this.clientId = globalThis.crypto?.randomUUID?.() || String(Math.random());
+    this.channel = null;
+    // pageId -> site of every dApp page that talked to this client
+    this.pages = new Map();
+    this.connectedSites = new Set();
+    // site -> network id chosen with wallet_switchEthereumChain
+    this.siteNetworks = new Map();
+    // eth_requestAccounts received while signed out, answered after sign-in
+    this.waitingForSignIn = [];
+    this.confirmations = Promise.resolve();
+    this.modal = new EvmProviderRequestModal();
+  }
+
+  load() {
+    if (this.channel || !globalThis.BroadcastChannel) return;
+    this.modal.load();
+    this.channel = new BroadcastChannel(EVM_PROVIDER_CHANNEL);
+    this.channel.addEventListener('message', (event) => this.handleMessage(event.data));
+    window.addEventListener('pagehide', () => this.post({ type: 'closed', clientId: this.clientId }));
+    this.post({ type: 'ready', clientId: this.clientId });
+  }
+
+  /**
+   * Called after sign-in: answer connect requests that came in while signed out
+   */
+  start() {
+    const waiting = this.waitingForSignIn.splice(0);
+    for (const { site, resolve, reject, timeoutId } of waiting) {
+      clearTimeout(timeoutId);
+      this.connect(site).then(resolve, reject);
+    }
+    this.broadcastState();
+  }
+
+  /**
+   * Called on sign-out: disconnect every site
+   */
+  reset() {
+    this.connectedSites.clear();
+    this.siteNetworks.clear();
+    this.modal.reset();
+    this.broadcastState();
+  }
+
+  close() {
+    this.modal.reset();
+  }
+
+  post(message) {
+    this.channel?.postMessage(message);
+  }
+
+  getAddress() {
+    try {
+      return evmAssets.transactions.getSigner().from;
+    } catch {
+      return null;
+    }
+  }
+
+  getNetwork(site) {
+    const networks = evmAssets.getEvmCatalog();
+    return networks.find((network) => network.id === this.siteNetworks.get(site)) || networks[0];
+  }
+
+  getAccounts(site) {
+    const address = this.getAddress();
+    return address && this.connectedSites.has(site) ? [address] : [];
+  }
+
+  sendState(pageId) {
+    const site = this.pages.get(pageId);
+    this.post({
+      type: 'state',
+      clientId: this.clientId,
+      pageId,
+      chainId: formatChainId(this.getNetwork(site).chainId),
+      accounts: this.getAccounts(site),
+    });
+  }
+
+  broadcastState(site = null) {
+    for (const [pageId, pageSite] of this.pages) {
+      if (!site || pageSite === site) this.sendState(pageId);
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || typeof message.pageId !== 'string') return;
+    if (message.type === 'hello' && typeof message.site === 'string') {
+      this.pages.set(message.pageId, message.site);
+      this.sendState(message.pageId);
+    } else if (message.type === 'leave') {
+      this.pages.delete(message.pageId);
+    } else if (message.type === 'request' && message.clientId === this.clientId) {
+      if (typeof message.site !== 'string') return;
+      this.pages.set(message.pageId, message.site);
+      this.handleRequest(message);
+    }
+  }
+
+  async handleRequest({ pageId, site, id, method, params }) {
+    try {
+      const result = await this.dispatch(site, method, Array.isArray(params) ? params : []);
+      this.post({ type: 'response', pageId, id, result });
+    } catch (error) {
+      if (!(error instanceof ProviderRpcError)) console.warn(`Liberdus provider ${method} failed:`, error);
+      this.post({
+        type: 'response',
+        pageId,
+        id,
+        error: {
+          code: error instanceof ProviderRpcError ? error.code : -32603,
+          message: error?.message || 'The request failed',
+        },
+      });
+    }
+  }
+
+  async dispatch(site, method, params) {
+    switch (method) {
+      case 'eth_chainId':
+        return formatChainId(this.getNetwork(site).chainId);
+      case 'net_version':
+        return String(this.getNetwork(site).chainId);
+      case 'eth_accounts':
+        return this.getAccounts(site);
+      case 'eth_requestAccounts':
+        return this.connect(site);
+      case 'wallet_switchEthereumChain':
+      case 'wallet_addEthereumChain':
+        return this.switchChain(site, params[0]?.chainId);
+      case 'eth_sendTransaction':
+        return this.sendTransaction(site, params[0]);
+      case 'personal_sign':
+        return this.personalSign(site, params);
+      case 'eth_signTypedData_v4':
+        return this.signTypedData(site, params);
+      default:
+        if (READ_ONLY_METHODS.has(method)) {
+          return evmAssets.transactions.request(this.getNetwork(site), method, params);
+        }
+        throw new ProviderRpcError(4200, `${method} is not supported by Liberdus`);
+    }
+  }
+
+  /**
+   * One confirmation at a time; later requests wait for the open one
+   */
+  confirm(request) {
+    const result = this.confirmations.then(() => this.modal.confirm({
+      ...request,
+      network: this.getNetwork(request.site),
+      account: this.getAddress(),
+    }));
+    this.confirmations = result.catch(() => {});
+    return result;
+  }
+
+  requireAccount(site, address = null) {
+    const [account] = this.getAccounts(site);
+    if (!account) {
+      throw new ProviderRpcError(4100, 'Connect this site to Liberdus first');
+    }
+    if (address !== null && String(address).toLowerCase() !== account) {
+      throw new ProviderRpcError(4100, 'The request is not for the connected account');
+    }
+    return account;
+  }
+
+  async connect(site) {
+    const address = this.getAddress();
+    if (!address) {
+      evmAssets.showToast(`Sign in to connect ${site}`, 5000, 'info');
+      return new Promise((resolve, reject) => {
+        const entry = { site, resolve, reject, timeoutId: null };
+        // Don't leave the dApp waiting forever if nobody signs in
+        entry.timeoutId = setTimeout(() => {
+          this.waitingForSignIn = this.waitingForSignIn.filter((item) => item !== entry);
+          reject(new ProviderRpcError(4001, 'Nobody signed in to Liberdus to approve the connection'));
+        }, SIGN_IN_TIMEOUT_MS);
+        this.waitingForSignIn.push(entry);
+      });
+    }
+    if (this.connectedSites.has(site)) return [address];
+    if (!await this.confirm({ kind: 'connect', site })) throw userRejected();
+    this.connectedSites.add(site);
+    this.broadcastState(site);
+    return this.getAccounts(site);
+  }
+
+  switchChain(site, chainId) {
+    let network;
+    try {
+      network = evmAssets.getNetworkByChainId(chainId);
+    } catch {
+      throw new ProviderRpcError(-32602, 'Invalid chain ID');
+    }
+    if (!network) {
+      throw new ProviderRpcError(4902, `Chain ${chainId} is not available in Liberdus`);
+    }
+    if (this.getNetwork(site).id !== network.id) {
+      this.siteNetworks.set(site, network.id);
+      this.broadcastState(site);
+    }
+    return null;
+  }
+
+  async sendTransaction(site, request) {
+    this.requireAccount(site, request?.from ?? null);
+    const network = this.getNetwork(site);
+    if (request?.chainId !== undefined && BigInt(request.chainId) !== BigInt(network.chainId)) {
+      throw new ProviderRpcError(-32602, `The transaction is not for ${network.name}`);
+    }
+    let prepared;
+    try {
+      prepared = await evmAssets.transactions.prepareRequest(network, request);
+    } catch (error) {
+      if (error instanceof EvmTransferError) throw new ProviderRpcError(-32602, error.message);
+      throw error;
+    }
+    const call = decodeCalldata(prepared.transaction.data);
+    if (!await this.confirm({ kind: 'transaction', site, prepared, call })) throw userRejected();
+
+    const transactionHash = await evmAssets.transactions.broadcast(
+      network,
+      prepared.transaction,
+      prepared.validation.privateKey,
+    );
+    const { transaction } = prepared;
+    evmAssets.transactions.track(network, transaction, transactionHash, {
+      recipientLabel: call?.name ? `${call.name} on ${site}` : site,
+      amount: formatUnits(BigInt(transaction.value), 18),
+      tokenSymbol: network.nativeSymbol,
+    });
+    evmAssets.watchPendingTransactions();
+    evmAssets.showToast(`EVM transaction submitted: ${transactionHash}`, 5000, 'info');
+    return transactionHash;
+  }
+
+  async personalSign(site, params) {
+    // Some dApps send [address, message] instead of [message, address]
+    const [first, second] = params;
+    const swapped = /^0x[0-9a-fA-F]{40}$/.test(first || '') && !/^0x[0-9a-fA-F]{40}$/.test(second || '');
+    const message = swapped ? second : first;
+    this.requireAccount(site, swapped ? first : second ?? null);
+    if (!await this.confirm({ kind: 'message', site, message })) throw userRejected();
+    return signEvmPersonalMessage(message, evmAssets.transactions.getSigner().privateKey);
+  }
+
+  async signTypedData(site, [address, typedData]) {
+    this.requireAccount(site, address);
+    let parsed;
+    try {
+      parsed = parseTypedData(typedData);
+    } catch (error) {
+      throw new ProviderRpcError(-32602, error.message);
+    }
+    const network = this.getNetwork(site);
+    if (parsed.domain.chainId !== undefined && BigInt(parsed.domain.chainId) !== BigInt(network.chainId)) {
+      throw new ProviderRpcError(-32602, `The typed data is for chain ${parsed.domain.chainId}, not ${network.name}`);
+    }
+    if (!await this.confirm({ kind: 'typedData', site, typedData: parsed })) throw userRejected();
+    return signEvmTypedData(parsed, evmAssets.transactions.getSigner().privateKey);
+  }
+}
+
+export const evmProvider = new EvmProviderBridge();
@@ -0,0 +1,269 @@
+// Gateway health tracking and failover.
+// Every request through a gateway feeds its latency and outcome back here. Gateways that keep failing get their
+// circuit opened and are skipped until a cooldown passes, after which one trial request decides whether they
+// come back. Idempotent requests are retried on the next best gateway; injected transactions never are.
+
+export const GATEWAY_REQUEST_TIMEOUT_MS = 15000;
+export const GATEWAY_MAX_ATTEMPTS = 3;
+
+const FAILURES_TO_OPEN = 3;
+const OPEN_BASE_MS = 15000;
+const OPEN_MAX_MS = 5 * 60 * 1000;
+const DEFAULT_LATENCY_MS = 500;
+const LATENCY_WEIGHT = 0.3;
+const ERROR_RATE_WEIGHT = 0.2;
+
+export const CIRCUIT = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+});
+
+export class GatewayRequestError extends Error {
+  constructor(message, code, gateway = null) {
+    super(message);
+    this.name = 'GatewayRequestError';
+    this.code = code;
+    this.gateway = gateway;
+  }
+}
+
+// Signed transactions and queries go through the gateway, so plain http/ws is only accepted for a local node
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Normalize a user entered gateway; returns null if the URLs are not usable
+ * @param {{web: string, ws?: string}} gateway
+ * @returns {{web: string, ws: string}|null}
+ */
+export function normalizeGateway(gateway) {
+  const web = parseGatewayUrl(gateway?.web, 'https:', 'http:');
+  if (!web) return null;
+  const ws = gateway?.ws ? parseGatewayUrl(gateway.ws, 'wss:', 'ws:') : '';
+  if (ws === null) return null;
+  return { web, ws };
+}
+
+function parseGatewayUrl(value, secureProtocol, localProtocol) {
+  try {
+    const url = new URL(String(value || '').trim());
+    const allowed =
+      url.protocol === secureProtocol || (url.protocol === localProtocol && LOCAL_HOSTNAMES.has(url.hostname));
+    if (!allowed || url.search || url.hash) return null;
+    return url.origin + url.pathname.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+export class GatewayManager {
+  /**
+   * @param {{fetchFn?: Function, now?: () => number, onStateChange?: (web: string, state: string, health: Object) => void}} [options]
+   */
+  constructor({ fetchFn = (...args) => globalThis.fetch(...args), now = () => Date.now(), onStateChange = null } = {}) {
+    this.fetchFn = fetchFn;
+    this.now = now;
+    this.onStateChange = onStateChange;
+    this.health = new Map();
+  }
+
+  getHealth(web) {
+    let health = this.health.get(web);
+    if (!health) {
+      health = {
+        state: CIRCUIT.CLOSED,
+        latencyMs: null,
+        errorRate: 0,
+        consecutiveFailures: 0,
+        openCount: 0,
+        openUntil: 0,
+        successes: 0,
+        failures: 0,
+        lastError: '',
+        lastUsed: 0,
+      };
+      this.health.set(web, health);
+    }
+    return health;
+  }
+
+  setState(web, health, state) {
+    if (health.state === state) return;
+    health.state = state;
+    this.onStateChange?.(web, state, health);
+  }
+
+  recordSuccess(web, latencyMs = null) {
+    const health = this.getHealth(web);
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.openCount = 0;
+    health.errorRate *= 1 - ERROR_RATE_WEIGHT;
+    if (Number.isFinite(latencyMs)) {
+      health.latencyMs = health.latencyMs === null
+        ? latencyMs
+        : health.latencyMs + (latencyMs - health.latencyMs) * LATENCY_WEIGHT;
+    }
+    this.setState(web, health, CIRCUIT.CLOSED);
+  }
+
+  recordFailure(web, reason = '') {
+    const health = this.getHealth(web);
+    health.failures++;
+    health.consecutiveFailures++;
+    health.errorRate += (1 - health.errorRate) * ERROR_RATE_WEIGHT;
+    health.lastError = String(reason || 'request failed');
+    if (health.state === CIRCUIT.HALF_OPEN || health.consecutiveFailures >= FAILURES_TO_OPEN) {
+      health.openUntil = this.now() + Math.min(OPEN_BASE_MS * 2 ** health.openCount, OPEN_MAX_MS);
+      health.openCount++;
+      this.setState(web, health, CIRCUIT.OPEN);
+    }
+  }
+
+  score(health) {
+    return (health.latencyMs ?? DEFAULT_LATENCY_MS) * (1 + 4 * health.errorRate);
+  }
+
+  /**
+   * Gateways in the order they should be tried: healthy ones by score, then ones whose cooldown has passed.
+   * A pinned gateway goes first unless its circuit is open. If every circuit is open, all gateways are returned
+   * ordered by when their cooldown ends so the client keeps trying rather than giving up.
+   * @param {Array<{web: string, ws?: string}>} gateways
+   * @param {string|null} [pinnedWeb]
+   * @returns {Array<{web: string, ws?: string}>}
+   */
+  orderGateways(gateways, pinnedWeb = null) {
+    const now = this.now();
+    const entries = (gateways || [])
+      .filter((gateway) => gateway?.web)
+      .map((gateway) => ({ gateway, health: this.getHealth(gateway.web) }));
+
+    const closed = entries
+      .filter(({ health }) => health.state === CIRCUIT.CLOSED)
+      .sort((a, b) => this.score(a.health) - this.score(b.health));
+    const recovering = entries
+      .filter(({ health }) => health.state === CIRCUIT.OPEN && health.openUntil <= now);
+    let ordered = [...closed, ...recovering];
+
+    if (ordered.length === 0) {
+      ordered = [...entries].sort((a, b) => a.health.openUntil - b.health.openUntil);
+    }
+
+    const pinnedIndex = ordered.findIndex(({ gateway }) => gateway.web === pinnedWeb);
+    if (pinnedIndex > 0) {
+      ordered.unshift(...ordered.splice(pinnedIndex, 1));
+    }
+    return ordered.map(({ gateway }) => gateway);
+  }
+
+  /**
+   * @param {Array<{web: string, ws?: string}>} gateways
+   * @param {string|null} [pinnedWeb]
+   * @returns {{web: string, ws?: string}|null}
+   */
+  pick(gateways, pinnedWeb = null) {
+    return this.orderGateways(gateways, pinnedWeb)[0] || null;
+  }
+
+  /**
+   * Send a request to the best gateway, failing over to the next ones for idempotent requests.
+   * Network errors, timeouts, 5xx responses and unreadable bodies count against the gateway; an abort through
+   * `signal` does not and is rethrown as is.
+   * @param {Array<{web: string, ws?: string}>} gateways
+   * @param {string} path - Path appended to the gateway's web URL
+   * @param {Object} [options]
+   * @param {string|null} [options.pinned] - Web URL of the gateway to prefer
+   * @param {RequestInit} [options.init] - fetch options
+   * @param {AbortSignal|null} [options.signal]
+   * @param {number} [options.timeout] - Per attempt timeout; 0 disables it and the latency sample, for long polls
+   * @param {boolean} [options.idempotent] - Retry on other gateways when one fails
+   * @param {(response: Response) => Promise<any>} [options.read] - Reads the body; a throw counts as a failure
+   * @returns {Promise<{gateway: Object, data: any}>}
+   */
+  async request(gateways, path, {
+    pinned = null,
+    init = {},
+    signal = null,
+    timeout = GATEWAY_REQUEST_TIMEOUT_MS,
+    idempotent = true,
+    read = (response) => response.text(),
+  } = {}) {
+    const candidates = this.orderGateways(gateways, pinned).slice(0, idempotent ? GATEWAY_MAX_ATTEMPTS : 1);
+    if (candidates.length === 0) {
+      throw new GatewayRequestError('No gateway available', 'NO_GATEWAY');
+    }
+
+    let lastError = null;
+    for (const gateway of candidates) {
+      try {
+        const data = await this.requestOne(gateway, path, { init, signal, timeout, read });
+        return { gateway, data };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async requestOne(gateway, path, { init, signal, timeout, read }) {
+    const health = this.getHealth(gateway.web);
+    if (health.state === CIRCUIT.OPEN) {
+      this.setState(gateway.web, health, CIRCUIT.HALF_OPEN);
+    }
+    health.lastUsed = this.now();
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    const timeoutId = timeout > 0 ? setTimeout(abort, timeout) : null;
+    const start = this.now();
+
+    try {
+      const response = await this.fetchFn(`${gateway.web}${path}`, { ...init, signal: controller.signal });
+      if (response.status >= 500) {
+        throw new GatewayRequestError(`Gateway returned HTTP ${response.status}`, 'HTTP_ERROR', gateway);
+      }
+      const data = await read(response);
+      this.recordSuccess(gateway.web, timeout > 0 ? this.now() - start : null);
+      return data;
+    } catch (error) {
+      if (signal?.aborted) {
+        // Caller gave up; leave the gateway's health as it was
+        if (health.state === CIRCUIT.HALF_OPEN) this.setState(gateway.web, health, CIRCUIT.OPEN);
+        throw error;
+      }
+      const reason = controller.signal.aborted ? 'timed out' : error?.message || String(error);
+      this.recordFailure(gateway.web, reason);
+      throw error instanceof GatewayRequestError
+        ? error
+        : new GatewayRequestError(`Gateway request ${reason}`, controller.signal.aborted ? 'TIMEOUT' : 'UNAVAILABLE', gateway);
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Health of each gateway, for display
+   * @param {Array<{web: string, ws?: string}>} gateways
+   * @returns {Array<Object>}
+   */
+  describe(gateways) {
+    const now = this.now();
+    return (gateways || []).filter((gateway) => gateway?.web).map((gateway) => {
+      const health = this.getHealth(gateway.web);
+      return {
+        web: gateway.web,
+        ws: gateway.ws || '',
+        state: health.state,
+        latencyMs: health.latencyMs === null ? null : Math.round(health.latencyMs),
+        errorRate: health.errorRate,
+        successes: health.successes,
+        failures: health.failures,
+        lastError: health.lastError,
+        retryInMs: health.state === CIRCUIT.OPEN ? Math.max(0, health.openUntil - now) : 0,
+      };
+    });
+  }
+}
@@ -0,0 +1,374 @@
+import { decryptChacha, encryptChacha, generateRandomBytes, hashBytes } from './crypto.js';
+import { base642bin, bin2base64, bin2hex, normalizeAddress } from './lib.js';
+import { parse, stringify } from './external/stringify-shardus.js';
+
+// Group chat protocol helpers.
+// A group event is encrypted once with a random per-event key. That key is then sent to every member inside an
+// ordinary 1:1 chat message, so each copy is wrapped by the existing ECDH + ML-KEM chat envelope and the network
+// only ever sees regular message transactions.
+
+export const GROUP_MESSAGE_TYPE = 'group';
+export const GROUP_PROTOCOL_VERSION = 1;
+export const GROUP_MAX_MEMBERS = 20;
+export const GROUP_NAME_MAX_LENGTH = 50;
+export const GROUP_REACTION_MAX_LENGTH = 16;
+
+export const GROUP_OPS = Object.freeze({
+  META: 'meta',
+  MESSAGE: 'message',
+  EDIT: 'edit',
+  DELETE: 'delete',
+  REACT: 'react',
+  LEAVE: 'leave',
+});
+
+// Kinds of membership change carried by META events; used for the system lines in the group thread.
+export const GROUP_CHANGE_KINDS = Object.freeze({
+  CREATE: 'create',
+  RENAME: 'rename',
+  ADD: 'add',
+  REMOVE: 'remove',
+  LEAVE: 'leave',
+});
+
+export const GROUP_SYSTEM_ENTRY_TYPE = 'group_event';
+export const GROUP_MESSAGE_DELETED_STATE = 2;
+
+const GROUP_ID_PATTERN = /^g[0-9a-f]{32}$/;
+
+export function generateGroupId() {
+  return `g${bin2hex(generateRandomBytes(16))}`;
+}
+
+export function isGroupId(value) {
+  return typeof value === 'string' && GROUP_ID_PATTERN.test(value);
+}
+
+export function normalizeGroupName(name) {
+  return String(name ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, GROUP_NAME_MAX_LENGTH);
+}
+
+function normalizeAddressList(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  for (const entry of list) {
+    if (typeof entry !== 'string') continue;
+    const address = normalizeAddress(entry);
+    if (address) seen.add(address);
+  }
+  return [...seen];
+}
+
+/**
+ * Validates a membership snapshot received from the network.
+ * @param {Object} meta
+ * @returns {{name: string, members: string[], admins: string[], createdBy: string, rev: number}|null}
+ */
+export function sanitizeGroupMeta(meta) {
+  if (!meta || typeof meta !== 'object') return null;
+  const rev = Number(meta.rev);
+  if (!Number.isInteger(rev) || rev < 1) return null;
+
+  const members = normalizeAddressList(meta.members);
+  if (members.length === 0 || members.length > GROUP_MAX_MEMBERS) return null;
+  const admins = normalizeAddressList(meta.admins).filter((address) => members.includes(address));
+  if (admins.length === 0) return null;
+
+  const name = normalizeGroupName(meta.name);
+  if (!name) return null;
+
+  return {
+    name,
+    members,
+    admins,
+    createdBy: typeof meta.createdBy === 'string' ? normalizeAddress(meta.createdBy) : admins[0],
+    rev,
+  };
+}
+
+export function createGroupRecord({ groupId, name, members, admins, createdBy, rev = 1, timestamp = 0 }) {
+  return {
+    groupId,
+    name: normalizeGroupName(name),
+    members: normalizeAddressList(members),
+    admins: normalizeAddressList(admins),
+    createdBy: normalizeAddress(createdBy),
+    rev,
+    timestamp,
+    messages: [],
+    reactions: [],
+    unread: 0,
+    draft: '',
+    left: false,
+  };
+}
+
+/**
+ * Snapshot of the membership fields that travels with every event.
+ * @param {Object} group
+ * @returns {{name: string, members: string[], admins: string[], createdBy: string, rev: number}}
+ */
+export function getGroupMeta(group) {
+  return {
+    name: group.name,
+    members: [...group.members],
+    admins: [...group.admins],
+    createdBy: group.createdBy,
+    rev: group.rev,
+  };
+}
+
+export function isGroupAdmin(group, address) {
+  return !!group && group.admins.includes(normalizeAddress(address));
+}
+
+export function isGroupMember(group, address) {
+  return !!group && group.members.includes(normalizeAddress(address));
+}
+
+export function getGroupEventId(gcipher) {
+  return hashBytes(gcipher);
+}
+
+/**
+ * Encrypts a group event with a fresh key.
+ * The returned envelope is what goes inside each member's 1:1 chat message.
+ * @param {Object} event
+ * @returns {{envelope: Object, eventId: string}}
+ */
+export function sealGroupEvent(event) {
+  const key = generateRandomBytes(32);
+  const gcipher = encryptChacha(key, stringify(event));
+  return {
+    envelope: {
+      type: GROUP_MESSAGE_TYPE,
+      v: GROUP_PROTOCOL_VERSION,
+      groupId: event.groupId,
+      gkey: bin2base64(key),
+      gcipher,
+    },
+    eventId: getGroupEventId(gcipher),
+  };
+}
+
+/**
+ * Decrypts an envelope produced by sealGroupEvent.
+ * @param {Object} envelope
+ * @returns {{event: Object, eventId: string}|null}
+ */
+export function openGroupEnvelope(envelope) {
+  if (!envelope || envelope.type !== GROUP_MESSAGE_TYPE || envelope.v !== GROUP_PROTOCOL_VERSION) return null;
+  if (!isGroupId(envelope.groupId)) return null;
+  if (typeof envelope.gkey !== 'string' || typeof envelope.gcipher !== 'string') return null;
+
+  const plain = decryptChacha(base642bin(envelope.gkey), envelope.gcipher);
+  if (!plain) return null;
+
+  let event;
+  try {
+    event = parse(plain);
+  } catch (error) {
+    return null;
+  }
+  if (!event || typeof event !== 'object' || event.groupId !== envelope.groupId) return null;
+  if (!Object.values(GROUP_OPS).includes(event.op)) return null;
+
+  return { event, eventId: getGroupEventId(envelope.gcipher) };
+}
+
+function insertNewestFirst(list, item) {
+  const index = list.findIndex((entry) => entry.timestamp < item.timestamp);
+  if (index === -1) {
+    list.push(item);
+  } else {
+    list.splice(index, 0, item);
+  }
+}
+
+function addSystemEntry(group, eventId, sender, mine, timestamp, change) {
+  if (group.messages.some((entry) => entry.txid === eventId)) return false;
+  insertNewestFirst(group.messages, {
+    txid: eventId,
+    type: GROUP_SYSTEM_ENTRY_TYPE,
+    sender,
+    my: mine,
+    timestamp,
+    change: {
+      kind: change?.kind,
+      targets: normalizeAddressList(change?.targets),
+      name: typeof change?.name === 'string' ? normalizeGroupName(change.name) : undefined,
+    },
+  });
+  return true;
+}
+
+function replaceGroupMeta(group, meta, myAddress) {
+  group.name = meta.name;
+  group.members = meta.members;
+  group.admins = meta.admins;
+  group.createdBy = meta.createdBy;
+  group.rev = meta.rev;
+  group.left = !meta.members.includes(myAddress);
+}
+
+function removeGroupMember(group, address, myAddress) {
+  group.members = group.members.filter((member) => member !== address);
+  group.admins = group.admins.filter((admin) => admin !== address);
+  // Every device promotes the same member when the last admin leaves, so the group stays manageable.
+  if (group.admins.length === 0 && group.members.length > 0) {
+    group.admins = [group.members[0]];
+  }
+  if (address === myAddress) {
+    group.left = true;
+  }
+}
+
+/**
+ * Applies one decrypted group event to the local group map.
+ *
+ * Membership changes are only accepted from admins and only when they carry a newer revision. The first event seen
+ * for an unknown group is trusted when both the sender and the local user are listed in its snapshot. Concurrent
+ * changes with the same revision resolve to whichever arrives first.
+ *
+ * @param {Object<string, Object>} groups - myData.groups
+ * @param {{event: Object, eventId: string}} opened - Output of openGroupEnvelope or sealGroupEvent
+ * @param {{sender: string, myAddress: string, timestamp: number, editWindowMs: number}} context
+ * @returns {{groupId: string, changed: boolean, added: number, created: boolean}}
+ */
+export function applyGroupEvent(groups, opened, context) {
+  const { event, eventId } = opened;
+  const sender = normalizeAddress(context.sender);
+  const myAddress = normalizeAddress(context.myAddress);
+  const mine = sender === myAddress;
+  const timestamp = Number(context.timestamp) || 0;
+  const result = { groupId: event.groupId, changed: false, added: 0, created: false };
+  const meta = sanitizeGroupMeta(event.meta);
+
+  let group = groups[event.groupId];
+  if (!group) {
+    if (!meta || !meta.members.includes(sender) || !meta.members.includes(myAddress)) return result;
+    group = createGroupRecord({ groupId: event.groupId, ...meta, timestamp });
+    groups[event.groupId] = group;
+    result.changed = true;
+    result.created = true;
+  } else if (event.op === GROUP_OPS.META && meta && meta.rev > group.rev && group.admins.includes(sender)) {
+    replaceGroupMeta(group, meta, myAddress);
+    result.changed = true;
+  }
+
+  if (event.op === GROUP_OPS.META) {
+    if (result.changed && addSystemEntry(group, eventId, sender, mine, timestamp, event.change)) {
+      group.timestamp = Math.max(group.timestamp || 0, timestamp);
+      if (!mine) result.added += 1;
+    }
+    return result;
+  }
+
+  if (event.op === GROUP_OPS.LEAVE) {
+    if (!group.members.includes(sender)) return result;
+    removeGroupMember(group, sender, myAddress);
+    addSystemEntry(group, eventId, sender, mine, timestamp, { kind: GROUP_CHANGE_KINDS.LEAVE, targets: [sender] });
+    result.changed = true;
+    return result;
+  }
+
+  // Everything below is content; only current members may post it.
+  if (!group.members.includes(sender)) return result;
+
+  if (event.op === GROUP_OPS.MESSAGE) {
+    if (group.messages.some((entry) => entry.txid === eventId)) return result;
+    const message = typeof event.message === 'string' ? event.message : '';
+    if (!message.trim()) return result;
+    const record = { txid: eventId, sender, my: mine, message, timestamp };
+    if (typeof event.replyId === 'string' && event.replyId) {
+      record.replyId = event.replyId;
+      record.replyMessage = typeof event.replyMessage === 'string' ? event.replyMessage : '';
+      record.replySender = typeof event.replySender === 'string' ? normalizeAddress(event.replySender) : '';
+    }
+    insertNewestFirst(group.messages, record);
+    group.timestamp = Math.max(group.timestamp || 0, timestamp);
+    result.changed = true;
+    if (!mine) result.added += 1;
+    return result;
+  }
+
+  const target = group.messages.find((entry) => entry.txid === event.target);
+  if (!target || target.type === GROUP_SYSTEM_ENTRY_TYPE) return result;
+
+  if (event.op === GROUP_OPS.EDIT) {
+    if (target.sender !== sender || target.deleted) return result;
+    if (timestamp - Number(target.timestamp || 0) > context.editWindowMs) return result;
+    const text = typeof event.message === 'string' ? event.message : '';
+    if (!text.trim() || (target.edited_timestamp && target.edited_timestamp >= timestamp)) return result;
+    target.message = text;
+    target.edited = 1;
+    target.edited_timestamp = timestamp;
+    result.changed = true;
+    return result;
+  }
+
+  if (event.op === GROUP_OPS.DELETE) {
+    if (target.sender !== sender || target.deleted === GROUP_MESSAGE_DELETED_STATE) return result;
+    target.deleted = GROUP_MESSAGE_DELETED_STATE;
+    target.message = '';
+    delete target.replyMessage;
+    group.reactions = group.reactions.filter((reaction) => reaction.targetTxid !== target.txid);
+    result.changed = true;
+    return result;
+  }
+
+  if (event.op === GROUP_OPS.REACT) {
+    if (target.deleted) return result;
+    const emoji = typeof event.emoji === 'string' ? event.emoji.trim().slice(0, GROUP_REACTION_MAX_LENGTH) : '';
+    const existingIndex = group.reactions.findIndex(
+      (reaction) => reaction.targetTxid === target.txid && reaction.sender === sender
+    );
+    const existing = existingIndex === -1 ? null : group.reactions[existingIndex];
+    if (existing && existing.timestamp >= timestamp) return result;
+    if (existing) group.reactions.splice(existingIndex, 1);
+    if (emoji) {
+      group.reactions.push({ targetTxid: target.txid, sender, emoji, timestamp, reactionTxId: eventId });
+    }
+    result.changed = !!existing || !!emoji;
+    return result;
+  }
+
+  return result;
+}
+
+/**
+ * Groups the reactions on one message by emoji for rendering.
+ * @param {Object} group
+ * @param {string} targetTxid
+ * @param {string} myAddress
+ * @returns {Array<{emoji: string, count: number, mine: boolean}>}
+ */
+export function summarizeGroupReactions(group, targetTxid, myAddress) {
+  const me = normalizeAddress(myAddress);
+  const byEmoji = new Map();
+  for (const reaction of group.reactions || []) {
+    if (reaction.targetTxid !== targetTxid) continue;
+    const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, mine: false };
+    entry.count += 1;
+    entry.mine = entry.mine || reaction.sender === me;
+    byEmoji.set(reaction.emoji, entry);
+  }
+  return [...byEmoji.values()];
+}
+
+/**
+ * Derives the overall delivery status of an outgoing group message from its per-member deliveries.
+ * @param {Object<string, {txid?: string, status: string}>} deliveries
+ * @returns {'sending'|'sent'|'partial'|'failed'}
+ */
+export function getGroupDeliveryStatus(deliveries) {
+  const statuses = Object.values(deliveries || {}).map((delivery) => delivery.status);
+  if (statuses.length === 0) return 'sent';
+  if (statuses.includes('sending')) return 'sending';
+  const failed = statuses.filter((status) => status === 'failed' || status === 'blocked').length;
+  if (failed === 0) return 'sent';
+  return failed === statuses.length ? 'failed' : 'partial';
+}
@@ -0,0 +1,119 @@
+import { hashBytes } from './crypto.js';
+import { base642bin, bin2hex, hex2bin, normalizeAddress, utf82bin } from './lib.js';
+
+// Contact key verification.
+// A contact's public and post-quantum keys are fetched from the network, so a safety number lets two people check
+// in person that each of them holds the other's real keys. Every party gets a 30 digit fingerprint of their address
+// and both keys; the safety number is the two fingerprints side by side, lower address first, so both phones show
+// the same 60 digits. Verifying stores the contact's fingerprint; if the contact's keys later change, the stored
+// fingerprint no longer matches and the contact shows as changed until it is verified again or accepted.
+
+const SAFETY_NUMBER_VERSION = 1;
+// Slows down searching for a key pair whose fingerprint collides with someone else's
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_GROUPS = 6;
+const SAFETY_NUMBER_DIGITS = FINGERPRINT_GROUPS * 5 * 2;
+const VERIFICATION_QR_PREFIX = 'liberdus-verify:';
+
+export const KEY_VERIFICATION_STATUS = Object.freeze({
+  UNVERIFIED: 'unverified',
+  VERIFIED: 'verified',
+  CHANGED: 'changed',
+});
+
+function concatBytes(...parts) {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * Fingerprint of one party's keys.
+ * @param {{ address: string, publicKey: string, pqPublicKey: string }} keys - address and public key in hex,
+ *   post-quantum public key in base64 as registered on the network
+ * @returns {string} hex
+ */
+export function getKeyFingerprint({ address, publicKey, pqPublicKey }) {
+  const keyBytes = concatBytes(
+    hex2bin(normalizeAddress(address)),
+    hex2bin(publicKey.replace(/^0x/, '')),
+    hex2bin(hashBytes(base642bin(pqPublicKey)))
+  );
+  let hash = hex2bin(hashBytes(concatBytes(utf82bin(`liberdus-safety-number-v${SAFETY_NUMBER_VERSION}`), keyBytes)));
+  for (let i = 1; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = hex2bin(hashBytes(concatBytes(hash, keyBytes)));
+  }
+  return bin2hex(hash);
+}
+
+// 5 digits from every 5 bytes, as in Signal's safety numbers
+function fingerprintDigits(fingerprint) {
+  const bytes = hex2bin(fingerprint);
+  let digits = '';
+  for (let group = 0; group < FINGERPRINT_GROUPS; group++) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) value = value * 256 + bytes[group * 5 + i];
+    digits += String(value % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Safety number for a conversation; both parties compute the same digits.
+ * @param {{ address: string, fingerprint: string }} mine
+ * @param {{ address: string, fingerprint: string }} theirs
+ * @returns {string} 60 digits
+ */
+export function getSafetyNumber(mine, theirs) {
+  const parties = [mine, theirs]
+    .map(({ address, fingerprint }) => ({ address: normalizeAddress(address), digits: fingerprintDigits(fingerprint) }))
+    .sort((a, b) => (a.address < b.address ? -1 : 1));
+  return parties.map((party) => party.digits).join('');
+}
+
+/**
+ * Split a safety number into groups of five for display.
+ * @param {string} safetyNumber
+ * @returns {string[]}
+ */
+export function formatSafetyNumber(safetyNumber) {
+  return safetyNumber.match(/\d{5}/g) || [];
+}
+
+/**
+ * Text for the verification QR code: the address of the person showing it and the safety number they see.
+ * @param {string} address
+ * @param {string} safetyNumber
+ * @returns {string}
+ */
+export function buildVerificationQrPayload(address, safetyNumber) {
+  return `${VERIFICATION_QR_PREFIX}${SAFETY_NUMBER_VERSION}:${normalizeAddress(address)}:${safetyNumber}`;
+}
+
+/**
+ * @param {string} text - scanned QR text
+ * @returns {{ address: string, safetyNumber: string }|null} null when the text is not a verification code
+ */
+export function parseVerificationQrPayload(text) {
+  if (typeof text !== 'string' || !text.startsWith(VERIFICATION_QR_PREFIX)) return null;
+  const [version, address, safetyNumber] = text.slice(VERIFICATION_QR_PREFIX.length).split(':');
+  if (Number(version) !== SAFETY_NUMBER_VERSION) return null;
+  if (!/^[0-9a-f]{40}$/.test(address || '')) return null;
+  if (!new RegExp(`^\\d{${SAFETY_NUMBER_DIGITS}}$`).test(safetyNumber || '')) return null;
+  return { address, safetyNumber };
+}
+
+/**
+ * @param {Object} contact - with public, pqPublic and keyVerification ({ fingerprint, verifiedAt })
+ * @param {string|null} fingerprint - fingerprint of the keys currently stored for the contact
+ * @returns {string} one of KEY_VERIFICATION_STATUS
+ */
+export function getKeyVerificationStatus(contact, fingerprint) {
+  const verified = contact?.keyVerification?.fingerprint;
+  if (!verified) return KEY_VERIFICATION_STATUS.UNVERIFIED;
+  return verified === fingerprint ? KEY_VERIFICATION_STATUS.VERIFIED : KEY_VERIFICATION_STATUS.CHANGED;
+}
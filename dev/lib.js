@@ -270,8 +270,17 @@ export function escapeHtml(str) {
     return div.innerHTML;
 }
 
+// Quote a value for a CSV file. Text a spreadsheet would run as a formula gets a leading quote, since
+// usernames and memos come from other people; plain numbers such as negative amounts are left alone.
+export function csvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 export const BUTTON_COOLDOWN_MS = 2000;
 export const FAUCET_COOLDOWN_MS = 5000;
+export const LONG_PRESS_MS = 500;
 
 const MODAL_TRANSITION_FALLBACK_MS = 1000;
 let openingModal = null;
@@ -370,6 +379,55 @@ export function withButtonCooldown(buttons, ms, revalidateFn, handler) {
     };
 }
 
+/**
+ * Calls onLongPress when the element is held down, and swallows the click that follows the release.
+ * A right click counts as a long press so the action can also be reached with a mouse.
+ * @param {HTMLElement} element - Element to listen on
+ * @param {(event: Event) => void} onLongPress - Called once per press
+ * @param {number} [ms] - How long the press has to last
+ */
+export function addLongPressListener(element, onLongPress, ms = LONG_PRESS_MS) {
+    let timeoutId = null;
+    let pressed = false;
+    let fired = false;
+
+    function cancel() {
+        pressed = false;
+        clearTimeout(timeoutId);
+        timeoutId = null;
+    }
+
+    element.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0) return;
+        cancel();
+        pressed = true;
+        fired = false;
+        timeoutId = setTimeout(() => {
+            timeoutId = null;
+            fired = true;
+            onLongPress(event);
+        }, ms);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => element.addEventListener(type, cancel));
+
+    // Touch browsers may raise contextmenu for the same press; only run the handler once
+    element.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        if (fired) return;
+        if (pressed) fired = true;
+        cancel();
+        onLongPress(event);
+    });
+
+    // Capture phase so it runs before the element's own click handlers
+    element.addEventListener('click', (event) => {
+        if (!fired) return;
+        fired = false;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }, true);
+}
+
 export function debounce(func, waitFn) {
     let timeout;
     return function executedFunction(...args) {
@@ -0,0 +1,181 @@
+// Liberdus wallet for dApps: an EIP-1193 provider announced through EIP-6963.
+// Include it on a page served from the same origin as the messaging client, from that client's directory:
+//   <script src="/<client>/liberdus-provider.js"></script>
+// The dApps mirrored in this site (otc, farm, lock, token, bsc-bridge) load it as ../dev/liberdus-provider.js; their
+// update-*.sh scripts add the tag back to index.html after each sync.
+// Wallet pickers (liberdus-wallet-module's createWalletDiscovery) then list "Liberdus" next to injected wallets.
+// Requests are relayed over a BroadcastChannel to an open Liberdus tab, which asks the user to approve them and
+// signs with the account key (see evm-provider.js); no key material ever reaches this page. If no Liberdus tab is
+// open, eth_requestAccounts opens one.
+(() => {
+  const CHANNEL_NAME = 'liberdus-eip1193';
+  const HELLO_TIMEOUT_MS = 1500;
+  const CLIENT_OPEN_TIMEOUT_MS = 2 * 60 * 1000;
+  const CHAIN_ID_KEY = 'liberdus-provider-chain-id';
+
+  if (!window.BroadcastChannel || window.liberdusProvider) return;
+
+  const scriptUrl = document.currentScript?.src || location.href;
+  const clientUrl = new URL('./', scriptUrl).href;
+  const site = `${location.origin}${location.pathname.replace(/[^/]*$/, '')}`;
+  const pageId = crypto.randomUUID();
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  const listeners = new Map();
+  const pending = new Map();
+  let clientWaiters = [];
+  let clientId = null;
+  let chainId = sessionStorage.getItem(CHAIN_ID_KEY) || '0x1';
+  let accounts = [];
+  let nextId = 0;
+
+  function providerError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  function emit(event, value) {
+    for (const listener of listeners.get(event) || []) {
+      try {
+        listener(value);
+      } catch (error) {
+        console.error(`Liberdus provider ${event} listener failed:`, error);
+      }
+    }
+  }
+
+  function applyState(state) {
+    if (typeof state.chainId === 'string' && state.chainId !== chainId) {
+      chainId = state.chainId;
+      sessionStorage.setItem(CHAIN_ID_KEY, chainId);
+      emit('chainChanged', chainId);
+    }
+    const nextAccounts = Array.isArray(state.accounts) ? state.accounts : [];
+    if (nextAccounts.join() !== accounts.join()) {
+      accounts = nextAccounts;
+      emit('accountsChanged', accounts);
+    }
+  }
+
+  function hello() {
+    channel.postMessage({ type: 'hello', pageId, site });
+  }
+
+  function disconnect() {
+    clientId = null;
+    const error = providerError(4900, 'Liberdus was closed');
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+    applyState({ chainId, accounts: [] });
+    emit('disconnect', error);
+    // Another Liberdus tab may still be open
+    hello();
+  }
+
+  function waitForClient(timeout) {
+    if (clientId) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const waiter = (connected) => {
+        clearTimeout(timer);
+        resolve(connected);
+      };
+      const timer = setTimeout(() => {
+        clientWaiters = clientWaiters.filter((entry) => entry !== waiter);
+        resolve(false);
+      }, timeout);
+      clientWaiters.push(waiter);
+    });
+  }
+
+  channel.addEventListener('message', ({ data }) => {
+    if (!data) return;
+    if (data.type === 'state' && data.pageId === pageId) {
+      if (!clientId) {
+        // Bind to the first Liberdus tab that answers; requests are only sent to it
+        clientId = data.clientId;
+        emit('connect', { chainId: data.chainId });
+        clientWaiters.splice(0).forEach((waiter) => waiter(true));
+      }
+      if (data.clientId === clientId) applyState(data);
+    } else if (data.type === 'response' && data.pageId === pageId) {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) {
+        request.reject(providerError(data.error.code, data.error.message));
+      } else {
+        request.resolve(data.result);
+      }
+    } else if (data.type === 'closed' && data.clientId === clientId) {
+      disconnect();
+    } else if (data.type === 'ready' && !clientId) {
+      hello();
+    }
+  });
+
+  async function request({ method, params } = {}) {
+    if (typeof method !== 'string') throw providerError(-32602, 'Invalid request');
+    // Answered locally so wallet discovery can probe the provider without waiting on the client
+    if (method === 'eth_chainId') return chainId;
+
+    if (!clientId) {
+      hello();
+      let connected = await waitForClient(HELLO_TIMEOUT_MS);
+      if (!connected && method === 'eth_requestAccounts') {
+        window.open(clientUrl, 'liberdus');
+        connected = await waitForClient(CLIENT_OPEN_TIMEOUT_MS);
+      }
+      if (!connected) {
+        if (method === 'eth_accounts') return [];
+        throw providerError(4900, 'Open Liberdus to use this wallet');
+      }
+    }
+
+    let clonedParams;
+    try {
+      clonedParams = params === undefined ? [] : JSON.parse(JSON.stringify(params));
+    } catch {
+      throw providerError(-32602, 'Request parameters must be JSON');
+    }
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      channel.postMessage({ type: 'request', clientId, pageId, site, id, method, params: clonedParams });
+    });
+  }
+
+  const provider = Object.freeze({
+    isLiberdus: true,
+    request,
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return provider;
+    },
+    removeListener(event, listener) {
+      listeners.get(event)?.delete(listener);
+      return provider;
+    },
+  });
+
+  const info = Object.freeze({
+    uuid: crypto.randomUUID(),
+    name: 'Liberdus',
+    icon: new URL('media/liberdus_logo_192.png', clientUrl).href,
+    rdns: 'com.liberdus',
+  });
+
+  function announce() {
+    window.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+      detail: Object.freeze({ info, provider }),
+    }));
+  }
+
+  window.liberdusProvider = provider;
+  window.addEventListener('eip6963:requestProvider', announce);
+  window.addEventListener('pagehide', () => {
+    if (clientId) channel.postMessage({ type: 'leave', pageId });
+  });
+  announce();
+  hello();
+})();
@@ -0,0 +1,204 @@
+// End-to-end security for Liberdus video calls.
+// The room key is derived by the chat client from the shared secret of the call message and only ever travels
+// inside that encrypted message and the URL fragment of the call page, so neither the signaling server nor
+// anyone holding the bare call link can read the media. Each participant also brings a ticket: a statement
+// signed with their Liberdus key naming the room and a per-call ephemeral key. The ephemeral key signs the DTLS
+// fingerprints of every peer connection, which ties the connection to the address and defeats a signaling MITM.
+
+import {
+  decryptChacha,
+  encryptChacha,
+  ethHashMessage,
+  generateAddress,
+  generateRandomPrivateKey,
+  getPublicKey,
+  hashBytes,
+  signMessage,
+} from '../crypto.js';
+import { Signature, verify } from '../external/noble-secp256k1.js';
+import { bin2hex, hex2bin, normalizeAddress, utf82bin } from '../lib.js';
+
+export const CALL_TICKET_TTL_MS = 24 * 60 * 60 * 1000;
+
+const CALL_KEY_CONTEXT = 'liberdus-call-key:';
+const CALL_MEDIA_KEY_CONTEXT = 'liberdus-call-media';
+const CALL_CHAT_KEY_CONTEXT = 'liberdus-call-chat';
+const CALL_TICKET_CONTEXT = 'liberdus-call-ticket';
+const CALL_BINDING_CONTEXT = 'liberdus-call-binding';
+
+/**
+ * Room of an in-app call page URL (meet/index.html?room=...)
+ * @param {string} callUrl
+ * @returns {string|null}
+ */
+export function getCallRoom(callUrl) {
+  try {
+    const url = new URL(callUrl);
+    return url.pathname.endsWith('/meet/index.html') || url.pathname.endsWith('/meet/')
+      ? url.searchParams.get('room')
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Room key for a call, derived from the shared secret of the chat message announcing it
+ * @param {Uint8Array} dhkey
+ * @param {string} room
+ * @returns {string} 32 byte key as hex
+ */
+export function deriveCallKey(dhkey, room) {
+  const context = utf82bin(CALL_KEY_CONTEXT + room);
+  const combined = new Uint8Array(dhkey.length + context.length);
+  combined.set(dhkey);
+  combined.set(context, dhkey.length);
+  return hashBytes(combined);
+}
+
+/**
+ * Key the media frames are encrypted with; separate from the room key so the two uses never share a key
+ * @param {string} callKey - hex
+ * @returns {Uint8Array}
+ */
+export function deriveMediaKey(callKey) {
+  return hex2bin(hashBytes(utf82bin(`${CALL_MEDIA_KEY_CONTEXT}:${callKey}`)));
+}
+
+/**
+ * Encrypt an in-call chat message so the signaling server only relays ciphertext
+ * @param {string} callKey - hex
+ * @param {string} text
+ * @returns {string}
+ */
+export function sealCallChat(callKey, text) {
+  return encryptChacha(hex2bin(hashBytes(utf82bin(`${CALL_CHAT_KEY_CONTEXT}:${callKey}`))), text);
+}
+
+/**
+ * @param {string} callKey - hex
+ * @param {string} sealed
+ * @returns {string|null} Null if the message was not encrypted with this call's key
+ */
+export function openCallChat(callKey, sealed) {
+  if (typeof sealed !== 'string') return null;
+  return decryptChacha(hex2bin(hashBytes(utf82bin(`${CALL_CHAT_KEY_CONTEXT}:${callKey}`))), sealed);
+}
+
+function ticketStatement({ room, address, username, pub, exp }) {
+  return [CALL_TICKET_CONTEXT, room, address, username, pub, exp].join('|');
+}
+
+async function signStatement(statement, secretHex) {
+  const sig = await signMessage(hex2bin(ethHashMessage(statement)), hex2bin(secretHex));
+  const r = sig.r.toString(16).padStart(64, '0');
+  const s = sig.s.toString(16).padStart(64, '0');
+  const v = (27 + sig.recovery).toString(16).padStart(2, '0');
+  return `${r}${s}${v}`;
+}
+
+function recoverStatementAddress(statement, sigHex) {
+  const sig = hex2bin(sigHex);
+  const publicKey = Signature.fromCompact(sig.slice(0, 64))
+    .addRecoveryBit(sig[64] - 27)
+    .recoverPublicKey(hex2bin(ethHashMessage(statement)))
+    .toRawBytes(false);
+  return bin2hex(generateAddress(publicKey));
+}
+
+/**
+ * Create the ticket a participant presents to the others, plus the ephemeral secret the call page signs with
+ * @param {{room: string, address: string, username: string, secret: string, now: number}} params
+ * @returns {Promise<{ticket: Object, ephemeralSecret: string}>}
+ */
+export async function createCallTicket({ room, address, username, secret, now }) {
+  const ephemeralSecret = bin2hex(generateRandomPrivateKey());
+  const ticket = {
+    room,
+    address: normalizeAddress(address),
+    username: String(username || ''),
+    pub: bin2hex(getPublicKey(hex2bin(ephemeralSecret))),
+    exp: now + CALL_TICKET_TTL_MS,
+  };
+  ticket.sig = await signStatement(ticketStatement(ticket), secret);
+  return { ticket, ephemeralSecret };
+}
+
+/**
+ * Check that a ticket is for this room, still valid and signed by the address it names
+ * @param {Object} ticket
+ * @param {string} room
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function verifyCallTicket(ticket, room, now) {
+  try {
+    if (!ticket || ticket.room !== room || !(Number(ticket.exp) > now)) return false;
+    return recoverStatementAddress(ticketStatement(ticket), ticket.sig) === normalizeAddress(ticket.address);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * DTLS fingerprint of a session description
+ * @param {string} sdp
+ * @returns {string|null}
+ */
+export function getSdpFingerprint(sdp) {
+  const match = /^a=fingerprint:(\S+ \S+)/m.exec(sdp || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+function bindingStatement(room, fromFingerprint, toFingerprint) {
+  return [CALL_BINDING_CONTEXT, room, fromFingerprint, toFingerprint].join('|');
+}
+
+/**
+ * Sign the pair of DTLS fingerprints of one peer connection with the ephemeral key
+ * @returns {Promise<string>} Compact signature as hex
+ */
+export async function signConnectionBinding(ephemeralSecret, room, localFingerprint, remoteFingerprint) {
+  const hash = hex2bin(hashBytes(utf82bin(bindingStatement(room, localFingerprint, remoteFingerprint))));
+  const sig = await signMessage(hash, hex2bin(ephemeralSecret));
+  return sig.r.toString(16).padStart(64, '0') + sig.s.toString(16).padStart(64, '0');
+}
+
+/**
+ * Check a peer's binding: it must sign our fingerprint and theirs, in their order, with their ticket's key
+ * @returns {boolean}
+ */
+export function verifyConnectionBinding(ticket, sigHex, room, localFingerprint, remoteFingerprint) {
+  try {
+    const hash = hex2bin(hashBytes(utf82bin(bindingStatement(room, remoteFingerprint, localFingerprint))));
+    return verify(hex2bin(sigHex), hash, hex2bin(ticket.pub));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Secrets the chat client hands to the call page in the URL fragment
+ * @param {{key: string, ticket: Object, ephemeralSecret: string}} secrets
+ * @returns {string} Fragment without the leading '#'
+ */
+export function encodeCallFragment({ key, ticket, ephemeralSecret }) {
+  const params = new URLSearchParams({ key, ticket: JSON.stringify(ticket), eph: ephemeralSecret });
+  return params.toString();
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {{key: string, ticket: Object, ephemeralSecret: string}|null}
+ */
+export function decodeCallFragment(hash) {
+  try {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const key = params.get('key');
+    const ephemeralSecret = params.get('eph');
+    if (!/^[0-9a-f]{64}$/.test(key || '') || !/^[0-9a-f]{64}$/.test(ephemeralSecret || '')) return null;
+    return { key, ticket: JSON.parse(params.get('ticket')), ephemeralSecret };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,93 @@
+// Encrypts and decrypts call media frames for WebRTC encoded transforms (see call-security.js).
+// Frames are sealed with xchacha20poly1305 under the call's media key and a random nonce appended to the frame.
+// The first bytes of each frame carry the codec header the packetizer needs (VP8 key/delta frame header, Opus TOC
+// byte); they stay readable but are authenticated as associated data. Frames that fail to open are dropped, and
+// frames are never sent unencrypted.
+import { xchacha20poly1305 } from '../external/noble-ciphers.js';
+
+const NONCE_LENGTH = 24;
+const TAG_LENGTH = 16;
+const VIDEO_CLEAR_BYTES = { key: 10, delta: 3 };
+const AUDIO_CLEAR_BYTES = 1;
+
+let mediaKey = null;
+// Last reported decrypt state per participant, so the page only hears about changes
+const lastStatus = new Map();
+
+function getClearBytes(frame, length) {
+  const clear = frame.type === undefined ? AUDIO_CLEAR_BYTES : VIDEO_CLEAR_BYTES[frame.type] || 0;
+  return Math.min(clear, length);
+}
+
+function reportStatus(id, ok) {
+  if (lastStatus.get(id) === ok) return;
+  lastStatus.set(id, ok);
+  self.postMessage({ type: 'status', id, ok });
+}
+
+function encryptFrame(frame, controller) {
+  if (!mediaKey) return;
+  const data = new Uint8Array(frame.data);
+  const clear = getClearBytes(frame, data.length);
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_LENGTH));
+  const sealed = xchacha20poly1305(mediaKey, nonce, data.subarray(0, clear)).encrypt(data.subarray(clear));
+
+  const output = new Uint8Array(clear + sealed.length + NONCE_LENGTH);
+  output.set(data.subarray(0, clear));
+  output.set(sealed, clear);
+  output.set(nonce, clear + sealed.length);
+  frame.data = output.buffer;
+  controller.enqueue(frame);
+}
+
+function decryptFrame(frame, controller, id) {
+  if (!mediaKey) return;
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) return;
+  const clear = getClearBytes(frame, data.length);
+  if (data.length < clear + TAG_LENGTH + NONCE_LENGTH) {
+    reportStatus(id, false);
+    return;
+  }
+
+  try {
+    const nonce = data.subarray(data.length - NONCE_LENGTH);
+    const opened = xchacha20poly1305(mediaKey, nonce, data.subarray(0, clear))
+      .decrypt(data.subarray(clear, data.length - NONCE_LENGTH));
+    const output = new Uint8Array(clear + opened.length);
+    output.set(data.subarray(0, clear));
+    output.set(opened, clear);
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+    reportStatus(id, true);
+  } catch {
+    reportStatus(id, false);
+  }
+}
+
+function pipeFrames({ operation, id, readable, writable }) {
+  const transform = operation === 'encrypt'
+    ? (frame, controller) => encryptFrame(frame, controller)
+    : (frame, controller) => decryptFrame(frame, controller, id);
+  readable
+    .pipeThrough(new TransformStream({ transform }))
+    .pipeTo(writable)
+    .catch((error) => console.warn('[call e2ee] transform stopped:', error));
+}
+
+// RTCRtpScriptTransform (Safari, Firefox, newer Chrome)
+self.addEventListener('rtctransform', (event) => {
+  const { transformer } = event;
+  pipeFrames({ ...transformer.options, readable: transformer.readable, writable: transformer.writable });
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  if (type === 'key') {
+    mediaKey = event.data.key;
+    lastStatus.clear();
+  } else if (type === 'streams') {
+    // createEncodedStreams (older Chrome) hands the streams over directly
+    pipeFrames(event.data);
+  }
+});
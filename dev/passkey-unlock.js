@@ -0,0 +1,119 @@
+import { decryptChacha, encryptChacha, generateRandomBytes, hashBytes } from './crypto.js';
+import { base642bin, bin2base64, utf82bin } from './lib.js';
+
+// Passkey unlock for the app lock.
+// The app lock password is stretched into a data key that encrypts every stored account (see LockModal in app.js).
+// A passkey can hold on to that data key so the password does not have to be typed: with the PRF extension the
+// authenticator derives a secret that wraps the key, and authenticators without PRF can keep the key in their
+// largeBlob storage instead. Only a record describing the passkey is kept in localStorage; the password always
+// keeps working as the fallback.
+
+const PASSKEY_RECORD_VERSION = 1;
+const PRF_SALT_BYTES = 32;
+
+export const PASSKEY_METHODS = Object.freeze({
+  PRF: 'prf',
+  LARGE_BLOB: 'largeBlob',
+});
+
+export function isPasskeyUnlockSupported() {
+  return Boolean(globalThis.isSecureContext && globalThis.PublicKeyCredential && navigator.credentials?.create);
+}
+
+function keyCheck(dataKey) {
+  return hashBytes(utf82bin(dataKey));
+}
+
+async function getExtensionResults(credentialId, extensions) {
+  const assertion = await navigator.credentials.get({
+    publicKey: {
+      challenge: generateRandomBytes(32),
+      allowCredentials: [{ type: 'public-key', id: credentialId }],
+      userVerification: 'required',
+      extensions,
+    },
+  });
+  if (!assertion) throw new Error('Passkey request was cancelled');
+  return assertion.getClientExtensionResults();
+}
+
+async function evaluatePrf(credentialId, salt) {
+  const results = await getExtensionResults(credentialId, { prf: { eval: { first: salt } } });
+  const output = results.prf?.results?.first;
+  if (!output) throw new Error('This passkey did not return a PRF secret');
+  return new Uint8Array(output).slice(0, 32);
+}
+
+/**
+ * Create a passkey that can unlock the app and store the data key with it
+ * @param {string} dataKey - the app lock data key (hex)
+ * @returns {Promise<Object>} record to keep in localStorage; holds no secret on its own
+ */
+export async function createPasskeyUnlock(dataKey) {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      rp: { name: 'Liberdus' },
+      user: { id: generateRandomBytes(16), name: 'Liberdus app lock', displayName: 'Liberdus app lock' },
+      challenge: generateRandomBytes(32),
+      pubKeyCredParams: [
+        { type: 'public-key', alg: -7 },
+        { type: 'public-key', alg: -257 },
+      ],
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      extensions: { prf: {}, largeBlob: { support: 'preferred' } },
+    },
+  });
+  if (!credential) throw new Error('Passkey creation was cancelled');
+
+  const credentialId = new Uint8Array(credential.rawId);
+  const created = credential.getClientExtensionResults();
+  const record = {
+    version: PASSKEY_RECORD_VERSION,
+    credentialId: bin2base64(credentialId),
+    keyCheck: keyCheck(dataKey),
+  };
+
+  if (created.prf?.enabled) {
+    const salt = generateRandomBytes(PRF_SALT_BYTES);
+    const secret = await evaluatePrf(credentialId, salt);
+    return {
+      ...record,
+      method: PASSKEY_METHODS.PRF,
+      salt: bin2base64(salt),
+      wrappedKey: encryptChacha(secret, dataKey),
+    };
+  }
+
+  if (created.largeBlob?.supported) {
+    const results = await getExtensionResults(credentialId, { largeBlob: { write: utf82bin(dataKey) } });
+    if (!results.largeBlob?.written) throw new Error('This passkey could not store the unlock key');
+    return { ...record, method: PASSKEY_METHODS.LARGE_BLOB };
+  }
+
+  throw new Error('This passkey cannot unlock the app (no PRF or largeBlob support)');
+}
+
+/**
+ * Ask for the passkey and recover the data key it holds
+ * @param {Object} record - from createPasskeyUnlock
+ * @returns {Promise<string>} the app lock data key (hex)
+ */
+export async function unlockWithPasskey(record) {
+  if (record?.version !== PASSKEY_RECORD_VERSION) throw new Error('Unsupported passkey record');
+  const credentialId = base642bin(record.credentialId);
+
+  let dataKey = null;
+  if (record.method === PASSKEY_METHODS.PRF) {
+    const secret = await evaluatePrf(credentialId, base642bin(record.salt));
+    dataKey = decryptChacha(secret, record.wrappedKey);
+  } else if (record.method === PASSKEY_METHODS.LARGE_BLOB) {
+    const results = await getExtensionResults(credentialId, { largeBlob: { read: true } });
+    const blob = results.largeBlob?.blob;
+    dataKey = blob ? new TextDecoder().decode(blob) : null;
+  } else {
+    throw new Error('Unsupported passkey record');
+  }
+
+  if (!dataKey || keyCheck(dataKey) !== record.keyCheck) throw new Error('This passkey does not unlock this app');
+  return dataKey;
+}
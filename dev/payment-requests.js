@@ -0,0 +1,145 @@
+import { bin2hex } from './lib.js';
+
+// Payment requests.
+// A request is sent as an encrypted chat message of type 'request' with the amount in wei, the asset symbol, a memo
+// and an optional expiry. The payer's transfer memo carries the request id back, so the requester can mark the
+// request paid when a transfer of at least the requested amount arrives; a smaller one leaves it possibly paid.
+// Transfers from clients that do not send the id are matched by amount, but since any transfer of that amount
+// would match, the request is only shown as possibly paid.
+// The same request can be shown in person as a liberdus:// payment QR code with the id and expiry added (q and x).
+
+export const PAYMENT_REQUEST_TYPE = 'request';
+export const PAYMENT_REQUEST_ASSET = 'LIB';
+const REQUEST_ID_PATTERN = /^[0-9a-f]{32}$/;
+const WEI_PATTERN = /^[1-9][0-9]{0,77}$/;
+const MAX_REQUEST_MEMO_LENGTH = 500;
+
+export const PAYMENT_REQUEST_STATUS = Object.freeze({
+  OPEN: 'open',
+  PAID: 'paid',
+  POSSIBLY_PAID: 'possibly-paid',
+  EXPIRED: 'expired',
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const PAYMENT_REQUEST_EXPIRY_OPTIONS = [
+  { ms: 0, label: 'Never' },
+  { ms: HOUR_MS, label: '1 hour' },
+  { ms: DAY_MS, label: '1 day' },
+  { ms: 7 * DAY_MS, label: '7 days' },
+  { ms: 30 * DAY_MS, label: '30 days' },
+];
+
+export function createPaymentRequestId() {
+  return bin2hex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+}
+
+export function isPaymentRequestId(id) {
+  return typeof id === 'string' && REQUEST_ID_PATTERN.test(id);
+}
+
+/**
+ * Build the chat message object for a new request.
+ * @param {Object} request
+ * @param {bigint} request.amount - in wei
+ * @param {string} [request.memo]
+ * @param {number} [request.expiresAt] - timestamp in ms, 0 for no expiry
+ * @param {string} [request.id]
+ * @returns {Object}
+ */
+export function buildPaymentRequestMessage({ amount, memo = '', expiresAt = 0, id = createPaymentRequestId() }) {
+  return {
+    type: PAYMENT_REQUEST_TYPE,
+    id,
+    amount: BigInt(amount).toString(),
+    asset: PAYMENT_REQUEST_ASSET,
+    memo: String(memo).slice(0, MAX_REQUEST_MEMO_LENGTH),
+    expiresAt: Number(expiresAt) || 0,
+  };
+}
+
+/**
+ * Validate a received request message.
+ * @param {Object} message - parsed chat message
+ * @returns {{ id: string, amount: string, asset: string, memo: string, expiresAt: number }|null}
+ */
+export function parsePaymentRequestMessage(message) {
+  if (message?.type !== PAYMENT_REQUEST_TYPE || !isPaymentRequestId(message.id)) return null;
+  if (typeof message.amount !== 'string' || !WEI_PATTERN.test(message.amount)) return null;
+  if (message.asset !== PAYMENT_REQUEST_ASSET) return null;
+  const expiresAt = Number(message.expiresAt) || 0;
+  if (!Number.isSafeInteger(expiresAt) || expiresAt < 0) return null;
+  return {
+    id: message.id,
+    amount: message.amount,
+    asset: message.asset,
+    memo: typeof message.memo === 'string' ? message.memo.slice(0, MAX_REQUEST_MEMO_LENGTH) : '',
+    expiresAt,
+  };
+}
+
+/**
+ * @param {{ expiresAt: number, paidTxid?: string, possiblyPaidTxid?: string }} request
+ * @param {number} now
+ * @returns {string} one of PAYMENT_REQUEST_STATUS
+ */
+export function getPaymentRequestStatus(request, now) {
+  if (request?.paidTxid) return PAYMENT_REQUEST_STATUS.PAID;
+  if (request?.expiresAt && now > request.expiresAt) return PAYMENT_REQUEST_STATUS.EXPIRED;
+  if (request?.possiblyPaidTxid) return PAYMENT_REQUEST_STATUS.POSSIBLY_PAID;
+  return PAYMENT_REQUEST_STATUS.OPEN;
+}
+
+/**
+ * Find the request a transfer pays.
+ * With a request id only that request matches; without one the oldest open request for the same amount that was
+ * made before the transfer does, which may be a coincidence (see isPaymentRequestId for telling the two apart).
+ * @param {Array<Object>} messages - chat messages; requests have type 'request' and a request object
+ * @param {Object} transfer
+ * @param {boolean} transfer.my - true when this account sent the transfer
+ * @param {bigint} transfer.amount - in wei
+ * @param {number} transfer.timestamp
+ * @param {string} [transfer.requestId]
+ * @returns {Object|null} the request message
+ */
+export function findPaymentRequestForTransfer(messages, { my, amount, timestamp, requestId }) {
+  // A transfer pays a request from the other side of the chat
+  const candidates = (Array.isArray(messages) ? messages : []).filter(
+    (message) => message?.type === PAYMENT_REQUEST_TYPE && message.request && Boolean(message.my) === !my
+  );
+  if (isPaymentRequestId(requestId)) {
+    return candidates.find((message) => message.request.id === requestId && !message.request.paidTxid) || null;
+  }
+  const wei = BigInt(amount ?? 0);
+  return (
+    candidates
+      .filter((message) => (
+        getPaymentRequestStatus(message.request, timestamp) === PAYMENT_REQUEST_STATUS.OPEN &&
+        BigInt(message.request.amount) === wei &&
+        message.timestamp <= timestamp
+      ))
+      .sort((a, b) => a.timestamp - b.timestamp)[0] || null
+  );
+}
+
+/**
+ * Fields added to the liberdus:// payment QR payload so it carries the request
+ * @param {{ id: string, expiresAt: number }} request
+ * @returns {{ q: string, x?: number }}
+ */
+export function paymentRequestQrFields({ id, expiresAt }) {
+  return expiresAt ? { q: id, x: expiresAt } : { q: id };
+}
+
+/**
+ * Read the request fields from a scanned payment QR payload.
+ * @param {Object} paymentData - decoded liberdus:// payload
+ * @returns {{ id: string, expiresAt: number }|null} null when the QR code is not a request
+ */
+export function readPaymentRequestQrFields(paymentData) {
+  if (!isPaymentRequestId(paymentData?.q)) return null;
+  const expiresAt = Number(paymentData.x) || 0;
+  return { id: paymentData.q, expiresAt: Number.isSafeInteger(expiresAt) && expiresAt > 0 ? expiresAt : 0 };
+}
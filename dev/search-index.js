@@ -0,0 +1,244 @@
+// Local full-text index for chat messages.
+// Maps normalized word tokens to the messages that contain them so a search only touches matching messages
+// instead of scanning every chat. The index is built and stored on this device only; app.js persists the
+// serialized form next to the account state, encrypted with the same lock key.
+
+export const SEARCH_INDEX_VERSION = 1;
+export const SEARCH_RESULT_LIMIT = 200;
+
+const MAX_TOKEN_LENGTH = 32;
+const MAX_DOC_TOKENS = 300;
+
+// Scripts written without spaces between words are indexed one character at a time
+const UNSPACED_CHAR = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}]';
+const TOKEN_PATTERN = new RegExp(`${UNSPACED_CHAR}|(?:(?!${UNSPACED_CHAR})[\\p{L}\\p{N}])+`, 'gu');
+
+/**
+ * Lowercase text and strip diacritics so "Café" matches "cafe"
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into unique search tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeSearchText(text) {
+  const tokens = new Set();
+  for (const [token] of normalizeSearchText(text).matchAll(TOKEN_PATTERN)) {
+    tokens.add(token.slice(0, MAX_TOKEN_LENGTH));
+    if (tokens.size >= MAX_DOC_TOKENS) break;
+  }
+  return [...tokens];
+}
+
+export function getSearchDocId(address, txid) {
+  return `${address}:${txid}`;
+}
+
+/**
+ * Inverted index of chat messages.
+ * A document is { id, address, txid, timestamp, my, attachment, kind, sig, tokens } where `sig` is a caller
+ * supplied signature of the indexed content, used to skip re-tokenizing unchanged messages.
+ */
+export class MessageSearchIndex {
+  constructor() {
+    this.docs = new Map();
+    this.postings = new Map();
+    this.idsByAddress = new Map();
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  getDoc(id) {
+    return this.docs.get(id) || null;
+  }
+
+  /**
+   * Add or replace a message
+   * @param {{address: string, txid: string, timestamp: number, my: boolean, attachment: boolean, kind: string, sig: string, text: string}} entry
+   */
+  upsert(entry) {
+    const id = getSearchDocId(entry.address, entry.txid);
+    this.remove(id);
+
+    const doc = {
+      id,
+      address: entry.address,
+      txid: entry.txid,
+      timestamp: Number(entry.timestamp) || 0,
+      my: !!entry.my,
+      attachment: !!entry.attachment,
+      kind: entry.kind || 'message',
+      sig: entry.sig || '',
+      tokens: entry.tokens || tokenizeSearchText(entry.text),
+    };
+    this.docs.set(id, doc);
+    if (!this.idsByAddress.has(doc.address)) this.idsByAddress.set(doc.address, new Set());
+    this.idsByAddress.get(doc.address).add(id);
+    for (const token of doc.tokens) {
+      let ids = this.postings.get(token);
+      if (!ids) {
+        ids = new Set();
+        this.postings.set(token, ids);
+      }
+      ids.add(id);
+    }
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+    for (const token of doc.tokens) {
+      const ids = this.postings.get(token);
+      if (!ids) continue;
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(token);
+    }
+    const addressIds = this.idsByAddress.get(doc.address);
+    addressIds.delete(id);
+    if (addressIds.size === 0) this.idsByAddress.delete(doc.address);
+    this.docs.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove every message of one chat
+   * @param {string} address
+   * @returns {boolean} True if anything was removed
+   */
+  removeAddress(address) {
+    const ids = [...(this.idsByAddress.get(address) || [])];
+    ids.forEach((id) => this.remove(id));
+    return ids.length > 0;
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Map<string, Object>} Indexed documents of one chat keyed by txid
+   */
+  getDocsForAddress(address) {
+    const docs = new Map();
+    for (const id of this.idsByAddress.get(address) || []) {
+      const doc = this.docs.get(id);
+      docs.set(doc.txid, doc);
+    }
+    return docs;
+  }
+
+  /**
+   * @returns {Set<string>} Addresses that have at least one indexed message
+   */
+  getAddresses() {
+    return new Set(this.idsByAddress.keys());
+  }
+
+  /**
+   * Ids of documents containing a token starting with `prefix`
+   * @param {string} prefix
+   * @returns {Set<string>}
+   */
+  matchPrefix(prefix) {
+    const exact = this.postings.get(prefix);
+    const ids = new Set(exact || []);
+    for (const [token, tokenIds] of this.postings) {
+      if (token !== prefix && token.startsWith(prefix)) {
+        tokenIds.forEach((id) => ids.add(id));
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Find messages containing every query word (each word may be a prefix), newest first
+   * @param {string} query
+   * @param {{address?: string, from?: number, to?: number, attachment?: boolean, mine?: boolean}} [filters]
+   * @param {number} [limit]
+   * @returns {{docs: Object[], total: number}}
+   */
+  search(query, filters = {}, limit = SEARCH_RESULT_LIMIT) {
+    const tokens = tokenizeSearchText(query);
+    let candidates = null;
+
+    if (tokens.length > 0) {
+      for (const token of tokens) {
+        const ids = this.matchPrefix(token);
+        candidates = candidates ? new Set([...candidates].filter((id) => ids.has(id))) : ids;
+        if (candidates.size === 0) break;
+      }
+    } else if (hasActiveSearchFilters(filters)) {
+      candidates = new Set(this.docs.keys());
+    } else {
+      return { docs: [], total: 0 };
+    }
+
+    const docs = [];
+    for (const id of candidates) {
+      const doc = this.docs.get(id);
+      if (doc && matchesSearchFilters(doc, filters)) docs.push(doc);
+    }
+    docs.sort((a, b) => b.timestamp - a.timestamp);
+    return { docs: docs.slice(0, limit), total: docs.length };
+  }
+
+  toJSON() {
+    return {
+      v: SEARCH_INDEX_VERSION,
+      docs: [...this.docs.values()].map((doc) => [
+        doc.address,
+        doc.txid,
+        doc.timestamp,
+        doc.my ? 1 : 0,
+        doc.attachment ? 1 : 0,
+        doc.kind,
+        doc.sig,
+        doc.tokens.join(' '),
+      ]),
+    };
+  }
+
+  /**
+   * Rebuild an index from its toJSON() form
+   * @param {Object} data
+   * @returns {MessageSearchIndex|null} Null if the data is from another index version
+   */
+  static fromJSON(data) {
+    if (data?.v !== SEARCH_INDEX_VERSION || !Array.isArray(data.docs)) return null;
+    const index = new MessageSearchIndex();
+    for (const [address, txid, timestamp, my, attachment, kind, sig, tokens] of data.docs) {
+      index.upsert({
+        address,
+        txid,
+        timestamp,
+        my: my === 1,
+        attachment: attachment === 1,
+        kind,
+        sig,
+        tokens: tokens ? tokens.split(' ') : [],
+      });
+    }
+    return index;
+  }
+}
+
+export function hasActiveSearchFilters(filters = {}) {
+  return !!(filters.address || filters.from || filters.to || filters.attachment || filters.mine);
+}
+
+function matchesSearchFilters(doc, filters) {
+  if (filters.address && doc.address !== filters.address) return false;
+  if (filters.from && doc.timestamp < filters.from) return false;
+  if (filters.to && doc.timestamp > filters.to) return false;
+  if (filters.attachment && !doc.attachment) return false;
+  if (filters.mine && !doc.my) return false;
+  return true;
+}
@@ -1,9 +1,330 @@
-// Install event
-self.addEventListener('install', () => {
-  self.skipWaiting();
+// App shell cache
+// Each release is precached whole into its own cache, named after the version in version.html. The version being
+// served is recorded in a separate meta cache, so switching releases is a single write: pages always get a
+// consistent set of files from one release and keep working with no network. A newer release is downloaded in
+// the background and only becomes active when the app asks for it (see AppShell in app.js).
+const SHELL_CACHE_PREFIX = 'liberdus-shell-';
+const META_CACHE = 'liberdus-meta';
+const ACTIVE_VERSION_KEY = 'active-shell-version';
+const COMPLETE_KEY = 'precache-complete';
+const VERSION_URL = 'version.html';
+const VERSION_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const PUSH_ACCOUNTS_KEY = 'push-accounts';
+const NOTIFICATION_ICON = 'media/liberdus_logo_192.png';
+
+const PRECACHE_URLS = [
+  'index.html',
+  'styles.css',
+  'app.js',
+  'lib.js',
+  'crypto.js',
+  'attachment-chunks.js',
+  'network.js',
+  'db.js',
+  'dao.js',
+  'evm-assets.js',
+  'evm-provider.js',
+  'groups.js',
+  'gateways.js',
+  'staking.js',
+  'passkey-unlock.js',
+  'key-verification.js',
+  'payment-requests.js',
+  'batch-transfers.js',
+  'search-index.js',
+  'encryption.worker.js',
+  'offline.html',
+  'meet/index.html',
+  'meet/call-security.js',
+  'meet/e2ee-worker.js',
+  'data/emoji-picker-data.js',
+  'external/blake2b.js',
+  'external/jsQR.js',
+  'external/keccak256.js',
+  'external/noble-ciphers.js',
+  'external/noble-post-quantum.js',
+  'external/noble-secp256k1.js',
+  'external/qr.js',
+  'external/qrcode.js',
+  'external/stringify-shardus.js',
+  'media/chatSound.mp3',
+  'media/paymentSound.mp3',
+  'media/liberdus_logo_192.png',
+  'media/liberdus_logo_512.png',
+  'sounds/notification.wav',
+  'sounds/transfer-noti.wav',
+];
+
+const staging = new Map();
+let lastVersionCheck = 0;
+
+// Decrypted attachment streams.
+// The page registers a stream with a MessagePort and posts decrypted chunks to it as they arrive (see
+// openAttachmentStream in app.js). A GET of attachment-stream/<id> is answered from those chunks, so media opened in
+// a new tab can start playing before the whole file has downloaded. Each stream can be read once.
+const ATTACHMENT_STREAM_PATH = '/attachment-stream/';
+const ATTACHMENT_STREAM_TTL_MS = 60 * 1000;
+const attachmentStreams = new Map();
+
+function registerAttachmentStream({ id, mimeType, size }, port) {
+  if (typeof id !== 'string' || !port) return Promise.resolve();
+  // Keeps the worker alive until the tab asks for the stream
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      attachmentStreams.delete(id);
+      port.close();
+      resolve();
+    }, ATTACHMENT_STREAM_TTL_MS);
+    const claimed = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    attachmentStreams.set(id, { port, mimeType, size, claimed });
+  });
+}
+
+function respondFromAttachmentStream(url) {
+  const id = url.pathname.slice(url.pathname.lastIndexOf(ATTACHMENT_STREAM_PATH) + ATTACHMENT_STREAM_PATH.length);
+  const entry = attachmentStreams.get(id);
+  if (!entry) return new Response('Attachment stream not found', { status: 404 });
+  attachmentStreams.delete(id);
+  entry.claimed();
+
+  const { port } = entry;
+  const body = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data?.chunk) {
+          controller.enqueue(new Uint8Array(data.chunk));
+        } else if (data?.done) {
+          controller.close();
+          port.close();
+        } else if (data?.error) {
+          controller.error(new Error(data.error));
+          port.close();
+        }
+      };
+    },
+    cancel() {
+      port.close();
+    },
+  });
+  const headers = { 'Content-Type': entry.mimeType || 'application/octet-stream' };
+  if (Number.isSafeInteger(entry.size) && entry.size > 0) headers['Content-Length'] = String(entry.size);
+  return new Response(body, { headers });
+}
+
+async function fetchVersion() {
+  const response = await fetch(VERSION_URL, { cache: 'reload' });
+  if (!response.ok) throw new Error(`Version check failed: HTTP ${response.status}`);
+  return (await response.text()).trim();
+}
+
+async function getActiveVersion() {
+  const meta = await caches.open(META_CACHE);
+  const response = await meta.match(ACTIVE_VERSION_KEY);
+  return response ? response.text() : null;
+}
+
+async function isComplete(version) {
+  const name = SHELL_CACHE_PREFIX + version;
+  if (!(await caches.has(name))) return false;
+  const cache = await caches.open(name);
+  return !!(await cache.match(COMPLETE_KEY));
+}
+
+/**
+ * Download every shell file of a release into its own cache. Nothing is written unless all files arrive and the
+ * server still reports the same version afterwards, so a deploy in progress never produces a mixed cache.
+ * @param {string} version
+ * @returns {Promise<boolean>}
+ */
+function precache(version) {
+  if (!staging.has(version)) {
+    staging.set(version, stageVersion(version).finally(() => staging.delete(version)));
+  }
+  return staging.get(version);
+}
+
+async function stageVersion(version) {
+  if (await isComplete(version)) return true;
+  const name = SHELL_CACHE_PREFIX + version;
+  try {
+    const responses = await Promise.all(PRECACHE_URLS.map(async (url) => {
+      const response = await fetch(url, { cache: 'reload' });
+      if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+      return [url, response];
+    }));
+    const served = await fetchVersion();
+    if (served !== version) throw new Error(`version changed to ${served} while downloading`);
+
+    const cache = await caches.open(name);
+    await Promise.all(responses.map(([url, response]) => cache.put(url, response)));
+    await cache.put(COMPLETE_KEY, new Response(version));
+    return true;
+  } catch (error) {
+    console.error(`[Service Worker] Precache of ${version} failed:`, error);
+    await caches.delete(name);
+    return false;
+  }
+}
+
+/**
+ * Point the shell at a fully precached release and drop the caches of every other one
+ * @param {string} version
+ * @returns {Promise<boolean>}
+ */
+async function activateVersion(version) {
+  if (!version || !(await isComplete(version))) return false;
+  const meta = await caches.open(META_CACHE);
+  await meta.put(ACTIVE_VERSION_KEY, new Response(version));
+
+  const activeName = SHELL_CACHE_PREFIX + version;
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(SHELL_CACHE_PREFIX) && name !== activeName && !staging.has(name.slice(SHELL_CACHE_PREFIX.length)))
+      .map((name) => caches.delete(name))
+  );
+  console.log(`[Service Worker] Serving version ${version}`);
+  return true;
+}
+
+// Revalidate in the background: stage a newer release and tell open pages it is ready
+async function checkForUpdate() {
+  const now = Date.now();
+  if (now - lastVersionCheck < VERSION_CHECK_INTERVAL_MS) return;
+  lastVersionCheck = now;
+
+  let version;
+  try {
+    version = await fetchVersion();
+  } catch {
+    return; // offline; keep serving what we have
+  }
+  if (!version || version === (await getActiveVersion())) return;
+  if (!(await precache(version))) return;
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage({ type: 'UPDATE_READY', version }));
+}
+
+async function openActiveCache() {
+  const version = await getActiveVersion();
+  return version ? caches.open(SHELL_CACHE_PREFIX + version) : null;
+}
+
+// Navigations to a directory load its index.html
+function getNavigationKey(url) {
+  const { pathname } = new URL(url);
+  return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+}
+
+async function respondFromShell(event) {
+  const { request } = event;
+  const cache = await openActiveCache();
+  const key = request.mode === 'navigate' ? getNavigationKey(request.url) : request;
+  // Query strings are only cache busters (app.js?v=...), the cached release is already the right file
+  const cached = cache && (await cache.match(key, { ignoreSearch: true }));
+  if (cached) {
+    event.waitUntil(checkForUpdate());
+    return cached;
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const offline = request.mode === 'navigate' && cache && (await cache.match('offline.html'));
+    if (offline) return offline;
+    throw error;
+  }
+}
+
+// Web Push
+// The notifier only sends { kind, to, from, timestamp }; message text never travels through push, so every
+// notification is generic and only names the local account it is for.
+const PUSH_TITLES = {
+  message: 'New message',
+  call: 'Incoming call',
+  payment: 'Payment received',
+};
+
+async function getPushAccounts() {
+  const meta = await caches.open(META_CACHE);
+  const response = await meta.match(PUSH_ACCOUNTS_KEY);
+  return response ? response.json() : {};
+}
+
+async function showPushNotification(payload) {
+  const { kind: rawKind, type, to, from, timestamp } = payload;
+  const kind = PUSH_TITLES[rawKind || type] ? rawKind || type : 'message';
+  if (!to) return;
+
+  // An open, focused app already shows the message itself
+  const clients = await self.clients.matchAll({ type: 'window' });
+  if (clients.some((client) => client.focused && !client.url.includes('/meet/'))) return;
+
+  const accounts = await getPushAccounts();
+  const username = accounts[to] || accounts[to.toLowerCase()];
+  await self.registration.showNotification(PUSH_TITLES[kind], {
+    body: username ? `For ${username}` : 'Open Liberdus to see it',
+    icon: NOTIFICATION_ICON,
+    badge: NOTIFICATION_ICON,
+    // One notification per account and kind; calls ring again
+    tag: `${kind}:${to}`,
+    renotify: kind === 'call',
+    data: { kind, to, from: from || null, timestamp: Date.parse(timestamp) || Number(timestamp) || Date.now() },
+  });
+}
+
+async function openFromNotification(data) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = clients.find((candidate) => !candidate.url.includes('/meet/'));
+  if (client) {
+    await client.focus();
+    client.postMessage({ type: 'NOTIFICATION_CLICK', ...data });
+    return;
+  }
+  const url = new URL(self.registration.scope);
+  url.searchParams.set('push_kind', data.kind);
+  url.searchParams.set('push_to', data.to);
+  if (data.from) url.searchParams.set('push_from', data.from);
+  await self.clients.openWindow(url.href);
+}
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = {};
+  }
+  event.waitUntil(showPushNotification(payload));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(openFromNotification(event.notification.data || {}));
+});
+
+// Install event - precache the current release if there is none yet
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      if (!(await getActiveVersion())) {
+        try {
+          const version = await fetchVersion();
+          if (await precache(version)) await activateVersion(version);
+        } catch (error) {
+          console.warn('[Service Worker] Could not precache on install:', error);
+        }
+      }
+      await self.skipWaiting();
+    })()
+  );
 });
 
-// Activate event - clean up old caches
+// Activate event
 self.addEventListener('activate', (event) => {
   console.log('[Service Worker] Activating new service worker');
   // Take control of all clients immediately
@@ -14,14 +335,48 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Handle messages from the client
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.includes(ATTACHMENT_STREAM_PATH)) {
+    event.respondWith(respondFromAttachmentStream(url));
+    return;
+  }
+  // Explicit reloads (checkVersion, forceReload) and the version file itself always go to the server
+  if (request.cache === 'reload' || request.cache === 'no-cache' || request.cache === 'no-store') return;
+  if (url.pathname.endsWith(`/${VERSION_URL}`)) return;
+
+  event.respondWith(respondFromShell(event));
+});
+
+// Handle messages from the client; replies go to the MessageChannel port sent with the message
 self.addEventListener('message', (event) => {
-  const { type } = event.data;
+  const { type, version } = event.data || {};
+  const reply = (data) => event.ports[0]?.postMessage(data);
 
   switch (type) {
     case 'SKIP_WAITING':
       self.skipWaiting();
       break;
+    case 'GET_VERSION':
+      event.waitUntil(getActiveVersion().then((active) => reply({ version: active })));
+      break;
+    case 'PRECACHE':
+      event.waitUntil(precache(version).then((ok) => reply({ ok })));
+      break;
+    case 'ACTIVATE_VERSION':
+      event.waitUntil(activateVersion(version).then((ok) => reply({ ok })));
+      break;
+    case 'ATTACHMENT_STREAM':
+      event.waitUntil(registerAttachmentStream(event.data, event.ports[0]));
+      break;
+    case 'PUSH_ACCOUNTS':
+      event.waitUntil(
+        caches.open(META_CACHE).then((meta) => meta.put(PUSH_ACCOUNTS_KEY, new Response(JSON.stringify(event.data.accounts || {}))))
+      );
+      break;
   }
 });
 
@@ -0,0 +1,204 @@
+// Validator staking statement helpers.
+// The network only keeps an account's current nominee and stake, so every node the account has staked to is
+// rebuilt from the deposit_stake and withdraw_stake entries in the local wallet history. A withdrawal pays back
+// the stake plus the node's rewards minus any penalty; comparing it with what was deposited since the previous
+// withdrawal gives the reward (positive) or penalty (negative) for that period.
+
+import { big2str, csvField } from './lib.js';
+
+const WEI_DIGITS = 18;
+
+export const STAKE_LOCK_REASONS = Object.freeze({
+  VALIDATOR_ACTIVE: 'validator active',
+  RECENT_DEACTIVATION: 'recent validator deactivation',
+  CERTIFICATE_ACTIVE: 'certificate active',
+});
+
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  try {
+    return BigInt(value ?? 0);
+  } catch {
+    return 0n;
+  }
+}
+
+function createPosition(nominee) {
+  return {
+    nominee,
+    active: false,
+    staked: 0n,
+    deposited: 0n,
+    withdrawn: 0n,
+    rewards: 0n,
+    penalties: 0n,
+    // Set when the history still shows stake on a node the network no longer has nominated
+    incomplete: false,
+    firstStakedAt: 0,
+    lastActivityAt: 0,
+    events: [],
+  };
+}
+
+/**
+ * Group stake transactions by node.
+ * @param {Array<Object>} history - wallet history entries, in any order
+ * @param {Object} [options]
+ * @param {string|null} [options.nominee] - node currently nominated on the network (null for none); leave undefined
+ *   when the account could not be read
+ * @param {bigint|null} [options.stake] - stake currently held on the network in wei
+ * @param {Iterable<string>} [options.pendingTxids] - transactions still waiting for a receipt
+ * @returns {Array<Object>} positions with their events oldest first; the active node first, then most recent
+ */
+export function buildStakingPositions(history, { nominee, stake = null, pendingTxids = [] } = {}) {
+  const pending = new Set(pendingTxids);
+  const positions = new Map();
+  const getPosition = (address) => {
+    if (!positions.has(address)) positions.set(address, createPosition(address));
+    return positions.get(address);
+  };
+
+  const entries = (Array.isArray(history) ? history : [])
+    .filter((tx) => (tx?.type === 'deposit_stake' || tx?.type === 'withdraw_stake') && tx.nominee)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  for (const tx of entries) {
+    const position = getPosition(tx.nominee);
+    const amount = toBigInt(tx.amount);
+    const event = {
+      type: tx.type === 'deposit_stake' ? 'stake' : 'unstake',
+      amount,
+      net: null,
+      timestamp: tx.timestamp || 0,
+      txid: tx.txid || '',
+      pending: pending.has(tx.txid),
+    };
+    position.events.push(event);
+    if (!position.firstStakedAt) position.firstStakedAt = event.timestamp;
+    position.lastActivityAt = event.timestamp;
+    // A pending withdrawal has no amount yet and a pending deposit may still fail
+    if (event.pending) continue;
+
+    if (event.type === 'stake') {
+      position.staked += amount;
+      position.deposited += amount;
+    } else {
+      event.net = amount - position.staked;
+      position.withdrawn += amount;
+      if (event.net > 0n) position.rewards += event.net;
+      if (event.net < 0n) position.penalties -= event.net;
+      position.staked = 0n;
+    }
+  }
+
+  if (nominee) {
+    const position = getPosition(nominee);
+    position.active = true;
+    // The network is authoritative; local history can be missing entries after a restore
+    if (stake != null) position.staked = toBigInt(stake);
+  }
+  if (nominee !== undefined) {
+    for (const position of positions.values()) {
+      if (position.active || position.staked === 0n) continue;
+      position.incomplete = true;
+      position.staked = 0n;
+    }
+  }
+
+  return [...positions.values()].sort((a, b) => {
+    if (a.active !== b.active) return a.active ? -1 : 1;
+    return b.lastActivityAt - a.lastActivityAt;
+  });
+}
+
+/**
+ * Work out what keeps a stake locked, using the same checks the network applies to withdraw_stake.
+ * @param {Object} info
+ * @param {number} info.now - corrected timestamp in ms
+ * @param {number} [info.stakeLockTime] - network stake lock time in ms
+ * @param {number} [info.certExp] - nominator certificate expiry in ms
+ * @param {number} [info.rewardStartTimeMs] - node reward start time in ms
+ * @param {number} [info.rewardEndTimeMs] - node reward end time in ms
+ * @returns {{ unlockAt: number|null, reason: string }|null} unlockAt is null while the node is still validating and
+ *   may already have passed after a deactivation; null when nothing holds the stake
+ */
+export function getStakeUnlock({ now, stakeLockTime = 0, certExp = 0, rewardStartTimeMs = 0, rewardEndTimeMs = 0 }) {
+  if (stakeLockTime > 0 && rewardEndTimeMs > 0) {
+    return { unlockAt: rewardEndTimeMs + stakeLockTime, reason: STAKE_LOCK_REASONS.RECENT_DEACTIVATION };
+  }
+  if (rewardStartTimeMs > 0 && rewardEndTimeMs === 0) {
+    return { unlockAt: null, reason: STAKE_LOCK_REASONS.VALIDATOR_ACTIVE };
+  }
+  if (certExp > now) {
+    return { unlockAt: certExp, reason: STAKE_LOCK_REASONS.CERTIFICATE_ACTIVE };
+  }
+  return null;
+}
+
+/**
+ * Format a signed wei amount as LIB without trailing zeros.
+ * @param {bigint} amount
+ * @returns {string}
+ */
+export function formatStakeLib(amount) {
+  const value = toBigInt(amount);
+  const lib = big2str(value < 0n ? -value : value, WEI_DIGITS).replace(/\.?0+$/, '');
+  return `${value < 0n ? '-' : ''}${lib}`;
+}
+
+/**
+ * USD value of a wei amount at the given LIB price.
+ * @param {bigint} amount
+ * @param {number|null} libUsdPrice
+ * @returns {number|null}
+ */
+export function stakeUsdValue(amount, libUsdPrice) {
+  if (!Number.isFinite(libUsdPrice)) return null;
+  return Number(formatStakeLib(amount)) * libUsdPrice;
+}
+
+/**
+ * Build a CSV statement with one row per stake transaction across all nodes, oldest first.
+ * USD values use the price passed in, not the price at the time of each transaction.
+ * @param {Array<Object>} positions - from buildStakingPositions
+ * @param {Object} [options]
+ * @param {number|null} [options.libUsdPrice]
+ * @returns {string}
+ */
+export function buildStakingStatementCsv(positions, { libUsdPrice = null } = {}) {
+  const usd = (amount) => {
+    const value = stakeUsdValue(amount, libUsdPrice);
+    return value === null ? '' : value.toFixed(2);
+  };
+  const rows = [[
+    'Date',
+    'Node',
+    'Type',
+    'Amount (LIB)',
+    'Reward or Penalty (LIB)',
+    'Amount (USD)',
+    'Reward or Penalty (USD)',
+    'Status',
+    'Transaction',
+  ]];
+
+  const events = positions
+    .flatMap((position) => position.events.map((event) => ({ ...event, nominee: position.nominee })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  for (const event of events) {
+    const hasNet = event.net !== null;
+    rows.push([
+      event.timestamp ? new Date(event.timestamp).toISOString() : '',
+      event.nominee,
+      event.type === 'stake' ? 'Stake' : 'Unstake',
+      event.pending && event.type === 'unstake' ? '' : formatStakeLib(event.amount),
+      hasNet ? formatStakeLib(event.net) : '',
+      event.pending && event.type === 'unstake' ? '' : usd(event.amount),
+      hasNet ? usd(event.net) : '',
+      event.pending ? 'Pending' : 'Confirmed',
+      event.txid,
+    ]);
+  }
+
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
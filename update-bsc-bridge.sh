@@ -30,6 +30,7 @@
 # - Sets js/config.js RUNTIME.PROFILE to prod
 # - Increments CONFIG.APP.VERSION patch in js/config.js
 # - Refreshes version.html with the current timestamp for cache busting
+# - Adds the Liberdus wallet provider (dev/liberdus-provider.js) to index.html
 #
 # =============================================================================
 
@@ -218,6 +219,16 @@ if [ ! -f "$version_file" ]; then
   exit 1
 fi
 
+# The source repos don't load the Liberdus provider; add it so liberdus-wallet-module lists Liberdus
+if ! grep -q 'liberdus-provider\.js' "$TARGET_DIR/index.html"; then
+  sed -i -E '0,/<\/head>/ s|^([[:space:]]*)</head>|\1  <!-- Liberdus messaging client as an EIP-6963 wallet -->\n\1  <script src="../dev/liberdus-provider.js"></script>\n\1</head>|' "$TARGET_DIR/index.html"
+fi
+
+if ! grep -q 'liberdus-provider\.js' "$TARGET_DIR/index.html"; then
+  echo "Error: Failed to add liberdus-provider.js to index.html"
+  exit 1
+fi
+
 if [ ! -f "$TARGET_DIR/$WALLET_VENDOR_REL/index.js" ]; then
   echo "Error: Missing $TARGET_DIR/$WALLET_VENDOR_REL/index.js after sync"
   exit 1
@@ -30,6 +30,7 @@
 # - Excludes build artifacts, tests, docs, package files, patches, local scripts, git files
 # - Excludes vendor wallet-module test/demo from the published copy
 # - Increments CONFIG.APP.VERSION patch in lock/js/config.js
+# - Adds the Liberdus wallet provider (dev/liberdus-provider.js) to index.html
 #
 # =============================================================================
 
@@ -194,6 +195,16 @@ if [ ! -f "$TARGET_DIR/index.html" ]; then
     exit 1
 fi
 
+# The source repos don't load the Liberdus provider; add it so liberdus-wallet-module lists Liberdus
+if ! grep -q 'liberdus-provider\.js' "$TARGET_DIR/index.html"; then
+    sed -i -E '0,/<\/head>/ s|^([[:space:]]*)</head>|\1  <!-- Liberdus messaging client as an EIP-6963 wallet -->\n\1  <script src="../dev/liberdus-provider.js"></script>\n\1</head>|' "$TARGET_DIR/index.html"
+fi
+
+if ! grep -q 'liberdus-provider\.js' "$TARGET_DIR/index.html"; then
+    echo "Error: Failed to add liberdus-provider.js to index.html"
+    exit 1
+fi
+
 if [ ! -f "$TARGET_DIR/$WALLET_VENDOR_REL/index.js" ]; then
     echo "Error: Missing $TARGET_DIR/$WALLET_VENDOR_REL/index.js after sync"
     exit 1
@@ -27,6 +27,7 @@
 # - Mirrors runtime files into otc/ (excludes dev-only paths)
 # - Increments vX.Y.Z in otc/index.html (from current published version)
 # - Writes otc/version.html timestamp and cache-busts css/styles.css + js/app.js
+# - Adds the Liberdus wallet provider (dev/liberdus-provider.js) to index.html
 #
 # =============================================================================
 
@@ -202,6 +203,16 @@ if [ ! -f "$TARGET_DIR/index.html" ]; then
     exit 1
 fi
 
+# The source repos don't load the Liberdus provider; add it so liberdus-wallet-module lists Liberdus
+if ! grep -q 'liberdus-provider\.js' "$TARGET_DIR/index.html"; then
+    sed -i -E '0,/<\/head>/ s|^([[:space:]]*)</head>|\1  <!-- Liberdus messaging client as an EIP-6963 wallet -->\n\1  <script src="../dev/liberdus-provider.js"></script>\n\1</head>|' "$TARGET_DIR/index.html"
+fi
+
+if ! grep -q 'liberdus-provider\.js' "$TARGET_DIR/index.html"; then
+    echo "Error: Failed to add liberdus-provider.js to index.html"
+    exit 1
+fi
+
 if [ ! -f "$TARGET_DIR/$WALLET_VENDOR_REL/index.js" ]; then
     echo "Error: Missing $TARGET_DIR/$WALLET_VENDOR_REL/index.js after sync"
     exit 1